@@ -2,37 +2,111 @@ import { BrowserRouter, Routes, Route, Link } from 'react-router-dom';
 import Home from './pages/Home';
 import Chat from './pages/Chat';
 import BookingDetails from './pages/BookingDetails';
+import GuestProfile from './pages/GuestProfile';
+import Login from './pages/Login';
+import GuestBooking from './pages/GuestBooking';
+import Settings from './pages/Settings';
+import Menu from './pages/Menu';
+import WaitlistOffer from './pages/WaitlistOffer';
+import Reports from './pages/Reports';
+import AuthProvider from './components/AuthProvider';
+import I18nProvider from './components/I18nProvider';
+import LocationProvider from './components/LocationProvider';
+import RequireStaff from './components/RequireStaff';
+import { useAuth, canViewReports } from './auth';
+import { useI18n, LANGUAGES } from './i18n';
+import { useLocations } from './locations';
 
 function App() {
   return (
     <BrowserRouter>
-      <div className="min-h-screen bg-gray-50 font-sans text-gray-900">
-        
-        {/* Navigation Header */}
-        <header className="bg-white border-b border-gray-200 sticky top-0 z-50">
-          <div className="max-w-5xl mx-auto px-6 h-16 flex items-center justify-between">
-            <Link to="/" className="flex items-center gap-2 text-primary hover:opacity-80 transition-opacity">
-              <span className="text-2xl">🍽️</span>
-              <h1 className="text-xl font-bold tracking-tight">Vaiu Bistro</h1>
-            </Link>
-            <nav className="flex gap-4">
-              <Link to="/" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">Bookings</Link>
-              <Link to="/chat" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">AI Agent</Link>
-            </nav>
-          </div>
-        </header>
+      <AuthProvider>
+        <LocationProvider>
+          <I18nProvider>
+            <Layout />
+          </I18nProvider>
+        </LocationProvider>
+      </AuthProvider>
+    </BrowserRouter>
+  );
+}
+
+function Layout() {
+  const { user, logout } = useAuth();
+  const { choice, setChoice, t } = useI18n();
+  const { brand, locations, current, loading, setLocation } = useLocations();
 
-        {/* Routes */}
-        <main className="py-8">
+  return (
+    <div className="min-h-screen bg-gray-50 font-sans text-gray-900">
+      
+      {/* Navigation Header */}
+      <header className="bg-white border-b border-gray-200 sticky top-0 z-50">
+        <div className="max-w-5xl mx-auto px-6 h-16 flex items-center justify-between">
+          <Link to="/" className="flex items-center gap-2 text-primary hover:opacity-80 transition-opacity">
+            <span className="text-2xl">🍽️</span>
+            <h1 className="text-xl font-bold tracking-tight">{brand}</h1>
+          </Link>
+          <nav className="flex gap-4 items-center">
+            {user && locations.length > 1 && (
+              <select
+                value={current?._id}
+                onChange={(e) => setLocation(e.target.value)}
+                aria-label={t('location.label')}
+                className="text-sm font-medium text-gray-600 bg-transparent border border-gray-200 rounded-lg px-2 py-1"
+              >
+                {locations.map(location => (
+                  <option key={location._id} value={location._id}>{location.name}</option>
+                ))}
+              </select>
+            )}
+            {user && <Link to="/" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">{t('nav.bookings')}</Link>}
+            {user && <Link to="/menu" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">{t('nav.menu')}</Link>}
+            {canViewReports(user) && <Link to="/reports" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">{t('nav.reports')}</Link>}
+            {user && <Link to="/settings" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">{t('nav.settings')}</Link>}
+            <Link to="/chat" className="text-sm font-medium text-gray-600 hover:text-accent transition-colors">{t('nav.chat')}</Link>
+            {user ? (
+              <button onClick={logout} className="text-sm font-medium text-gray-400 hover:text-accent transition-colors">
+                {t('nav.logout', { name: user.name, role: user.role })}
+              </button>
+            ) : (
+              <Link to="/login" className="text-sm font-medium text-gray-400 hover:text-accent transition-colors">{t('nav.login')}</Link>
+            )}
+            <select
+              value={choice}
+              onChange={(e) => setChoice(e.target.value)}
+              aria-label={t('language.label')}
+              className="text-sm text-gray-600 bg-transparent border border-gray-200 rounded-lg px-2 py-1"
+            >
+              <option value="auto">{t('language.auto')}</option>
+              {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </nav>
+        </div>
+      </header>
+
+      {/* Routes: remounted when the location changes, so every page loads that location's data */}
+      <main key={current?._id} className="py-8">
+        {loading ? (
+          <div className="p-10 text-center">{t('location.loading')}</div>
+        ) : (
           <Routes>
-            <Route path="/" element={<Home />} />
+            <Route path="/" element={<RequireStaff><Home /></RequireStaff>} />
             <Route path="/chat" element={<Chat />} />
-            <Route path="/details/:id" element={<BookingDetails />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/details/:id" element={<RequireStaff><BookingDetails /></RequireStaff>} />
+            <Route path="/guests/:id" element={<RequireStaff><GuestProfile /></RequireStaff>} />
+            <Route path="/booking/:id" element={<GuestBooking />} />
+            <Route path="/waitlist/:id" element={<WaitlistOffer />} />
+            <Route path="/settings" element={<RequireStaff><Settings /></RequireStaff>} />
+            <Route path="/menu" element={<RequireStaff><Menu /></RequireStaff>} />
+            <Route path="/reports" element={<RequireStaff><Reports /></RequireStaff>} />
           </Routes>
-        </main>
+        )}
+      </main>
 
-      </div>
-    </BrowserRouter>
+    </div>
   );
 }
 
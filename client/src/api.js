@@ -1,7 +1,32 @@
 import axios from 'axios';
+import { getToken } from './auth';
 
 const apiTv = axios.create({
   baseURL: 'http://localhost:5000/api',
 });
 
-export default apiTv;
\ No newline at end of file
+// The location the dashboard is showing, set by components/LocationProvider.jsx
+let locationId = null;
+
+export const setApiLocation = (id) => {
+  locationId = id;
+};
+
+export const getApiLocation = () => locationId;
+
+// Send the staff token (if logged in) and the location with every request
+apiTv.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  if (locationId) config.headers['X-Location'] = locationId;
+  return config;
+});
+
+// The server's message for a failed request, with the list of problems when it sends one
+export const describeApiError = (err, fallback) => {
+  const data = err.response?.data || {};
+  if (!data.error) return fallback;
+  return Array.isArray(data.details) ? `${data.error}: ${data.details.join('. ')}` : data.error;
+};
+
+export default apiTv;
@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+
+// Staff login state shared across the app (see components/AuthProvider.jsx)
+export const AuthContext = createContext(null);
+
+export const useAuth = () => useContext(AuthContext);
+
+const TOKEN_KEY = 'staffToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+};
+
+// Mirror the server's settings:write, menu:write, reports:read and guests:flag permissions
+export const canEditSettings = (user) => ['manager', 'admin'].includes(user?.role);
+export const canEditMenu = (user) => ['manager', 'admin'].includes(user?.role);
+export const canViewReports = (user) => ['manager', 'admin'].includes(user?.role);
+export const canFlagGuests = (user) => ['manager', 'admin'].includes(user?.role);
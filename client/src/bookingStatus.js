@@ -0,0 +1,33 @@
+// Badge colours for each booking status, shared by the dashboard and details page
+export const STATUS_STYLES = {
+  Pending: 'bg-yellow-100 text-yellow-700',
+  Confirmed: 'bg-green-100 text-green-700',
+  Seated: 'bg-blue-100 text-blue-700',
+  Completed: 'bg-gray-100 text-gray-600',
+  'No-Show': 'bg-orange-100 text-orange-700',
+  Cancelled: 'bg-red-100 text-red-700',
+};
+
+// Button labels for the lifecycle actions returned by the API as allowedActions
+export const ACTION_LABELS = {
+  confirm: 'Confirm',
+  seat: 'Seat',
+  complete: 'Complete',
+  'no-show': 'No-show',
+  cancel: 'Cancel',
+};
+
+// What each deposit state means, for the guest's booking page and the details page
+export const DEPOSIT_LABELS = {
+  required: 'Awaiting payment',
+  paid: 'Paid',
+  refunded: 'Refunded',
+  refundFailed: 'Refund failed',
+  kept: 'Kept (late cancellation)',
+  failed: 'Payment failed',
+  expired: 'Not paid in time',
+  cancelled: 'Cancelled before payment',
+};
+
+export const formatDeposit = ({ amount, currency }) =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'INR', maximumFractionDigits: 0 }).format(amount);
@@ -0,0 +1,55 @@
+import api from './api';
+
+/**
+ * Sends a chat message to the streaming endpoint (POST /api/chat/stream). `location`
+ * is the restaurant the chat was opened for (an id or slug), if any.
+ * onDelta(text) is called with each piece of the reply as it is generated;
+ * resolves with the final payload, the same one /api/chat returns.
+ */
+export const streamChat = async ({ message, sessionId, language, location, onDelta }) => {
+  const response = await fetch(`${api.defaults.baseURL}/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({ message, sessionId, language, location }),
+  });
+  if (!response.ok || !response.body) {
+    // Refused before streaming started (invalid message or rate limit): keep the status for the caller
+    throw Object.assign(new Error(`Chat request failed (${response.status})`), { status: response.status });
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    // Events are separated by a blank line: "event: <name>\ndata: <json>\n\n"
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const block of events) {
+      const type = block.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)?.[1] || '{}');
+      if (type === 'delta') onDelta(data.text);
+      if (type === 'done') return data;
+      if (type === 'error') throw new Error(data.error);
+    }
+  }
+  throw new Error('Chat stream ended early');
+};
+
+/**
+ * Splits streamed text into complete sentences for speech synthesis.
+ * Returns [sentences ready to speak, text still waiting for its sentence end].
+ */
+export const takeSentences = (text) => {
+  const sentences = [];
+  let rest = text;
+  let match;
+  // A sentence ends at . ! ? or the Hindi danda followed by whitespace (so "19.30" is not split)
+  while ((match = rest.match(/^(.*?[.!?।])\s+/s))) {
+    sentences.push(match[1].trim());
+    rest = rest.slice(match[0].length);
+  }
+  return [sentences, rest];
+};
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import api from '../api';
+import { AuthContext, getToken, setToken } from '../auth';
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(() => Boolean(getToken()));
+
+  // Restore the session from a saved token
+  useEffect(() => {
+    if (!getToken()) return;
+    api.get('/auth/me')
+      .then(res => setUser(res.data.user))
+      .catch(() => setToken(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const login = async (email, password) => {
+    const res = await api.post('/auth/login', { email, password });
+    setToken(res.data.token);
+    setUser(res.data.user);
+  };
+
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      setToken(null);
+      setUser(null);
+    }
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, checking, login, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthProvider;
@@ -0,0 +1,53 @@
+import { useI18n } from '../i18n';
+
+// Day view header: covers per service and a bar per time slot
+const DaySummary = ({ summary }) => {
+  const { t } = useI18n();
+  if (!summary) return null;
+  const busiest = Math.max(1, ...summary.timeSlots.map(slot => slot.guests));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <SummaryStat label={t('summary.bookings')} value={summary.totals.bookings} />
+        <SummaryStat label={t('summary.covers')} value={summary.totals.guests} />
+        {summary.services.map(service => (
+          <SummaryStat
+            key={service.name}
+            label={`${service.name} (${service.start}–${service.end})`}
+            value={t('summary.serviceCovers', { count: service.guests })}
+            detail={t('summary.serviceBookings', { count: service.bookings })}
+          />
+        ))}
+      </div>
+
+      {summary.timeSlots.length === 0 ? (
+        <p className="text-sm text-gray-400">{t('summary.empty')}</p>
+      ) : (
+        <div className="space-y-2">
+          {summary.timeSlots.map(slot => (
+            <div key={slot.time} className="flex items-center gap-3 text-sm">
+              <span className="w-12 font-mono text-gray-500">{slot.time}</span>
+              <div className="flex-1 bg-gray-100 rounded-full h-3 overflow-hidden">
+                <div className="bg-accent h-3 rounded-full" style={{ width: `${(slot.guests / busiest) * 100}%` }} />
+              </div>
+              <span className="w-32 text-right text-gray-600">
+                {t('summary.slot', { guests: slot.guests, count: slot.bookings })}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SummaryStat = ({ label, value, detail }) => (
+  <div>
+    <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
+    <span className="text-2xl font-bold text-gray-800">{value}</span>
+    {detail && <span className="block text-xs text-gray-400">{detail}</span>}
+  </div>
+);
+
+export default DaySummary;
@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from 'react';
+import { I18nContext, LANGUAGES, translate, getSavedChoice, saveChoice, browserLanguage } from '../i18n';
+
+const I18nProvider = ({ children }) => {
+  const [choice, setChoiceState] = useState(getSavedChoice); // 'auto' or a language code
+  const [detected, setDetected] = useState(null); // The language the agent heard the guest use
+  const language = choice === 'auto' ? (detected || browserLanguage()) : choice;
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setChoice = (value) => {
+    saveChoice(value);
+    setChoiceState(value);
+  };
+
+  const t = useCallback((key, values) => translate(language, key, values), [language]);
+
+  return (
+    <I18nContext.Provider value={{ language, locale: LANGUAGES[language].locale, choice, setChoice, setDetected, t }}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
+
+export default I18nProvider;
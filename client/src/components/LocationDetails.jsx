@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import api from '../api';
+import { useLocations } from '../locations';
+
+const TEXT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'address', label: 'Address' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'timezone', label: 'Timezone', placeholder: 'e.g. Asia/Kolkata' },
+];
+// Where the weather forecast for this location's bookings is looked up
+const COORDINATE_FIELDS = [
+  { key: 'lat', label: 'Latitude' },
+  { key: 'lon', label: 'Longitude' },
+];
+
+const inputClass = 'border border-gray-200 rounded-lg px-3 py-2 text-sm disabled:bg-gray-50';
+
+// The name, address and whereabouts of the location being viewed, saved on their own
+const LocationDetails = ({ editable }) => {
+  const { current, replaceLocation } = useLocations();
+  const [edits, setEdits] = useState({}); // Unsaved changes over the loaded record
+  const [errors, setErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  if (!current) return null;
+  const details = { ...current, ...edits };
+
+  const change = (updates) => {
+    setEdits({ ...edits, ...updates });
+    setSaved(false);
+  };
+
+  const handleSave = async () => {
+    setErrors([]);
+    try {
+      const res = await api.patch(`/locations/${current._id}`, edits);
+      replaceLocation(res.data);
+      setEdits({});
+      setSaved(true);
+    } catch (err) {
+      const data = err.response?.data || {};
+      setErrors(data.details || [data.error || 'Failed to save the location']);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl border border-gray-100 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider">Location</h3>
+        {editable && (
+          <button type="button" onClick={handleSave} className="text-sm text-accent hover:underline">
+            Save location
+          </button>
+        )}
+      </div>
+      {saved && <p className="text-sm text-green-600 mb-3">Location saved.</p>}
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-600 list-disc pl-5 mb-3">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      <div className="grid grid-cols-2 gap-4">
+        {TEXT_FIELDS.map(field => (
+          <label key={field.key} className="text-sm">
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{field.label}</span>
+            <input
+              type="text"
+              value={details[field.key] || ''}
+              placeholder={field.placeholder}
+              disabled={!editable}
+              onChange={(e) => change({ [field.key]: e.target.value })}
+              className={`${inputClass} w-full`}
+            />
+          </label>
+        ))}
+        {COORDINATE_FIELDS.map(field => (
+          <label key={field.key} className="text-sm">
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{field.label}</span>
+            <input
+              type="number"
+              step="any"
+              value={details[field.key] ?? ''}
+              disabled={!editable}
+              onChange={(e) => change({ [field.key]: Number(e.target.value) })}
+              className={`${inputClass} w-full`}
+            />
+          </label>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default LocationDetails;
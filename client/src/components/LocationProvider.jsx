@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import api, { setApiLocation } from '../api';
+import { useAuth } from '../auth';
+import { LocationContext, getSavedLocation, saveLocation, canWorkAt } from '../locations';
+
+const LocationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [brand, setBrand] = useState(null); // The group's name
+  const [all, setAll] = useState(null); // Every open location, once loaded
+  const [chosen, setChosen] = useState(getSavedLocation);
+
+  // Staff get the full records (coordinates included), so fetch again when someone logs in or out
+  const userId = user?._id;
+  useEffect(() => {
+    api.get('/locations')
+      .then(res => {
+        setBrand(res.data.brand);
+        setAll(res.data.locations);
+      })
+      .catch(() => setAll([]));
+  }, [userId]);
+
+  // A saved location that closed, or that this staff member does not work at, falls back to their first
+  const locations = (all || []).filter(location => canWorkAt(user, location));
+  const current = locations.find(location => location._id === chosen) || locations[0] || null;
+  // Set while rendering, so the pages' first requests already go to this location
+  setApiLocation(current?._id ?? null);
+
+  const setLocation = (id) => {
+    saveLocation(id);
+    setChosen(id);
+  };
+
+  // After a location's details are edited
+  const replaceLocation = (updated) =>
+    setAll(list => list.map(location => (location._id === updated._id ? updated : location)));
+
+  return (
+    <LocationContext.Provider value={{ brand, locations, current, loading: all === null, setLocation, replaceLocation }}>
+      {children}
+    </LocationContext.Provider>
+  );
+};
+
+export default LocationProvider;
@@ -0,0 +1,14 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth';
+
+// Route guard: only logged-in staff may see the wrapped page
+const RequireStaff = ({ children }) => {
+  const { user, checking } = useAuth();
+  const location = useLocation();
+
+  if (checking) return <div className="p-10 text-center">Checking login...</div>;
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  return children;
+};
+
+export default RequireStaff;
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useState } from 'react';
+import api, { describeApiError } from '../api';
+import { useLiveEvents, WAITLIST_EVENTS } from '../liveEvents';
+import { useI18n } from '../i18n';
+
+const EMPTY_ENTRY = { customerName: '', contact: '', numberOfGuests: 2, bookingTime: '19:00', earliestTime: '', latestTime: '', notes: '' };
+
+const inputClass = 'border border-gray-200 rounded-lg px-3 py-2 text-sm bg-white';
+
+const formatClock = (date, locale) => new Date(date).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+
+// Day view: parties waiting for a table on the selected date, highest priority first
+const WaitlistPanel = ({ date }) => {
+  const { locale, t } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(null); // The party being added
+  const [error, setError] = useState('');
+
+  const fetchWaitlist = useCallback(() => {
+    api.get('/waitlist', { params: { date } })
+       .then(res => setEntries(res.data))
+       .catch(err => console.error("Error fetching waitlist:", err));
+  }, [date]);
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [fetchWaitlist]);
+
+  useLiveEvents(fetchWaitlist, WAITLIST_EVENTS);
+
+  // Runs a waitlist request and shows the server's error, if any
+  const run = async (request, fallback) => {
+    setError('');
+    try {
+      await request();
+      fetchWaitlist();
+      return true;
+    } catch (err) {
+      setError(describeApiError(err, fallback));
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const { contact, ...fields } = form;
+    const entry = {
+      ...fields,
+      numberOfGuests: Number(fields.numberOfGuests),
+      bookingDate: date,
+      [contact.includes('@') ? 'email' : 'phone']: contact,
+    };
+    if (await run(() => api.post('/waitlist', entry), t('waitlist.addFailed'))) setForm(null);
+  };
+
+  const changePriority = (entry, step) =>
+    run(() => api.patch(`/waitlist/${entry._id}`, { priority: entry.priority + step }), t('waitlist.priorityFailed'));
+
+  const offer = (entry) => run(() => api.post(`/waitlist/${entry._id}/offer`), t('waitlist.offerFailed'));
+
+  const accept = (entry) => run(() => api.post(`/waitlist/${entry._id}/accept`), t('waitlist.bookFailed'));
+
+  const remove = (entry) => {
+    if (!window.confirm(t('waitlist.confirmRemove', { name: entry.customerName }))) return;
+    run(() => api.delete(`/waitlist/${entry._id}`), t('waitlist.removeFailed'));
+  };
+
+  const setField = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider">{t('waitlist.title', { count: entries.length })}</h3>
+        {!form && (
+          <button onClick={() => setForm(EMPTY_ENTRY)} className="text-sm font-medium text-accent hover:underline">
+            {t('waitlist.add')}
+          </button>
+        )}
+      </div>
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {form && (
+        <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mb-4">
+          <input required placeholder={t('waitlist.name')} value={form.customerName} onChange={setField('customerName')} className={inputClass} />
+          <input required placeholder={t('waitlist.contact')} value={form.contact} onChange={setField('contact')} className={inputClass} />
+          <input required type="number" min="1" value={form.numberOfGuests} onChange={setField('numberOfGuests')} className={`${inputClass} w-20`} title={t('waitlist.guests')} />
+          <input required type="time" value={form.bookingTime} onChange={setField('bookingTime')} className={inputClass} title={t('waitlist.requestedTime')} />
+          <input type="time" value={form.earliestTime} onChange={setField('earliestTime')} className={inputClass} title={t('waitlist.earliestTime')} />
+          <input type="time" value={form.latestTime} onChange={setField('latestTime')} className={inputClass} title={t('waitlist.latestTime')} />
+          <input placeholder={t('waitlist.notes')} value={form.notes} onChange={setField('notes')} className={`${inputClass} flex-1`} />
+          <button type="button" onClick={() => setForm(null)} className="px-3 py-2 text-sm text-gray-500 hover:text-gray-700">{t('waitlist.discard')}</button>
+          <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">{t('waitlist.submit')}</button>
+        </form>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-400">{t('waitlist.empty')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-50">
+          {entries.map(entry => (
+            <li key={entry._id} className="py-3 flex justify-between items-center gap-4 text-sm">
+              <div className="flex items-center gap-3">
+                <div className="flex flex-col text-xs text-gray-400">
+                  <button onClick={() => changePriority(entry, 1)} className="hover:text-accent" title={t('waitlist.raise')}>▲</button>
+                  <button onClick={() => changePriority(entry, -1)} className="hover:text-accent" title={t('waitlist.lower')}>▼</button>
+                </div>
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {entry.customerName} <span className="text-gray-400">• {t('waitlist.party', { count: entry.numberOfGuests })} • {entry.bookingTime}</span>
+                    {entry.priority !== 0 && <span className="ml-2 text-xs text-gray-400">{t('waitlist.priority', { priority: entry.priority })}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {entry.earliestTime}–{entry.latestTime} • {entry.email || entry.phone}{entry.notes && ` • ${entry.notes}`}
+                  </p>
+                  {entry.status === 'Offered' && (
+                    <p className="text-xs font-semibold text-green-600">
+                      {t('waitlist.offered', { time: entry.offer.time, until: formatClock(entry.offer.expiresAt, locale) })}
+                    </p>
+                  )}
+                </div>
+              </div>
+              <div className="flex gap-3 text-xs shrink-0">
+                {entry.status === 'Waiting' && (
+                  <button onClick={() => offer(entry)} className="text-accent hover:underline">{t('waitlist.offerNow')}</button>
+                )}
+                {entry.status === 'Offered' && (
+                  <button onClick={() => accept(entry)} className="text-accent hover:underline">{t('waitlist.bookForGuest')}</button>
+                )}
+                <button onClick={() => remove(entry)} className="text-red-400 hover:text-red-600">{t('waitlist.remove')}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WaitlistPanel;
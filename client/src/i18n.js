@@ -0,0 +1,48 @@
+import { createContext, useContext } from 'react';
+import en from './locales/en';
+import ta from './locales/ta';
+import hi from './locales/hi';
+
+// Languages the app speaks: a message catalog each, plus the locale used for
+// speech recognition, voices and dates (see components/I18nProvider.jsx)
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-IN', catalog: en },
+  ta: { label: 'தமிழ்', locale: 'ta-IN', catalog: ta },
+  hi: { label: 'हिन्दी', locale: 'hi-IN', catalog: hi },
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+export const I18nContext = createContext(null);
+
+export const useI18n = () => useContext(I18nContext);
+
+const CHOICE_KEY = 'language';
+
+// 'auto' (follow the guest) or one of the LANGUAGES codes
+export const getSavedChoice = () => localStorage.getItem(CHOICE_KEY) || 'auto';
+
+export const saveChoice = (choice) => localStorage.setItem(CHOICE_KEY, choice);
+
+// The browser's preferred language, if we have a catalog for it
+export const browserLanguage = () => {
+  const code = (navigator.language || '').split('-')[0];
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+};
+
+// Tamil and Devanagari text give the language away; Latin text could be any of them
+export const detectScript = (text) => {
+  if (/[஀-௿]/.test(text)) return 'ta';
+  if (/[ऀ-ॿ]/.test(text)) return 'hi';
+  return null;
+};
+
+/**
+ * Looks a message up in the language's catalog (falling back to English) and fills in
+ * its {placeholders}. With count: 1, a "<key>_one" variant is used when there is one.
+ */
+export const translate = (language, key, values = {}) => {
+  const catalog = LANGUAGES[language]?.catalog || en;
+  const lookup = (name) => catalog[name] ?? en[name];
+  const template = (values.count === 1 && lookup(`${key}_one`)) || lookup(key) || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+};
@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from 'react';
+import api, { getApiLocation } from './api';
+import { getToken } from './auth';
+
+// Booking events pushed by the server over Server-Sent Events (GET /api/events)
+export const BOOKING_EVENTS = ['booking.created', 'booking.updated', 'booking.cancelled', 'booking.deleted'];
+export const WAITLIST_EVENTS = ['waitlist.created', 'waitlist.updated'];
+
+const RETRY_MS = [1000, 2000, 5000, 10000];
+
+/**
+ * Subscribes to the live event stream while the component is mounted and calls
+ * onEvent(type, booking) for each event. Returns the connection state:
+ * 'connecting' | 'live' | 'reconnecting'.
+ */
+export const useLiveEvents = (onEvent, types = BOOKING_EVENTS) => {
+  const [state, setState] = useState('connecting');
+  const handler = useRef(onEvent);
+  const typeList = types.join(',');
+
+  useEffect(() => {
+    handler.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let attempts = 0;
+
+    const connect = () => {
+      // EventSource cannot send headers, so the token and location go in the query
+      const params = new URLSearchParams({ types: typeList, access_token: getToken() || '', location: getApiLocation() || '' });
+      source = new EventSource(`${api.defaults.baseURL}/events?${params}`);
+
+      source.onopen = () => {
+        attempts = 0;
+        setState('live');
+      };
+      source.onerror = () => {
+        setState('reconnecting');
+        // The browser retries dropped connections itself; it gives up only when the
+        // server refuses the stream, so try again later with a fresh token.
+        if (source.readyState === EventSource.CLOSED) {
+          source.close();
+          retryTimer = setTimeout(connect, RETRY_MS[Math.min(attempts++, RETRY_MS.length - 1)]);
+        }
+      };
+      typeList.split(',').forEach(type => {
+        source.addEventListener(type, (e) => handler.current(type, JSON.parse(e.data)));
+      });
+    };
+
+    connect();
+    return () => {
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [typeList]);
+
+  return state;
+};
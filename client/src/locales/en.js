@@ -0,0 +1,127 @@
+// English messages, the reference catalog: every key used in the app is defined here,
+// and the other languages fall back to it for anything they have not translated.
+const en = {
+  'language.label': 'Language',
+  'language.auto': 'Auto',
+
+  'location.label': 'Restaurant',
+  'location.loading': 'Loading...',
+
+  'nav.bookings': 'Bookings',
+  'nav.menu': 'Menu',
+  'nav.settings': 'Settings',
+  'nav.reports': 'Reports',
+  'nav.chat': 'AI Agent',
+  'nav.logout': 'Log out ({name}, {role})',
+  'nav.login': 'Staff Login',
+
+  'status.Pending': 'Pending',
+  'status.Confirmed': 'Confirmed',
+  'status.Seated': 'Seated',
+  'status.Completed': 'Completed',
+  'status.No-Show': 'No-Show',
+  'status.Cancelled': 'Cancelled',
+  'seating.Indoor': 'Indoor',
+  'seating.Outdoor': 'Outdoor',
+
+  'chat.greeting': 'Hello! I am the Vaiu Bistro Assistant. I can help you book a table. What date and time would you like?',
+  'chat.liveContext': 'Live Context',
+  'chat.field.name': 'Name',
+  'chat.field.date': 'Date',
+  'chat.field.time': 'Time',
+  'chat.field.guests': 'Guests',
+  'chat.field.contact': 'Contact',
+  'chat.field.dietary': 'Dietary',
+  'chat.noAllergen': 'no {allergen}',
+  'chat.conversation': 'Conversation',
+  'chat.inputLabel': 'Your message',
+  'chat.placeholder': 'Type a message or use the mic',
+  'chat.placeholderTyped': 'Type a message',
+  'chat.send': 'Send',
+  'chat.startListening': 'Start speaking',
+  'chat.stopListening': 'Stop listening',
+  'chat.stopSpeaking': 'Stop speaking',
+  'chat.mute': 'Mute voice',
+  'chat.unmute': 'Unmute voice',
+  'chat.shortcuts': 'Hold Space to talk (outside the text box), Enter to send, Esc to stop the voice.',
+  'chat.noVoice': 'Voice input is not available in this browser, but you can type.',
+  'chat.micError': 'The microphone could not be used. Check the browser permission, or type instead.',
+  'chat.sendError': 'Your message did not go through.',
+  'chat.rateLimited': 'You are sending messages too quickly. Please wait a moment and try again.',
+  'chat.retry': 'Retry',
+  'chat.payDeposit': 'Pay deposit',
+  'chat.status.idle': 'idle',
+  'chat.status.listening': 'listening',
+  'chat.status.processing': 'processing',
+  'chat.status.speaking': 'speaking',
+
+  'home.title': 'Dashboard',
+  'home.liveUpdates': 'Live updates',
+  'home.connection.connecting': 'Connecting...',
+  'home.connection.live': 'Live',
+  'home.connection.reconnecting': 'Reconnecting...',
+  'home.calendarFeed': 'Calendar feed',
+  'home.feedCopied': 'Calendar feed URL copied. Add it to your calendar app as a subscription.',
+  'home.feedFailed': 'Could not get the calendar feed URL',
+  'home.newBooking': '+ New Booking',
+  'home.dayView': 'Day view',
+  'home.allBookings': 'All bookings',
+  'home.day': 'Day',
+  'home.from': 'From',
+  'home.to': 'To',
+  'home.searchName': 'Search name',
+  'home.status': 'Status',
+  'home.anyStatus': 'Any status',
+  'home.seating': 'Seating',
+  'home.anySeating': 'Any seating',
+  'home.minGuests': 'Min guests',
+  'home.clear': 'Clear',
+  'home.loadingBookings': 'Loading bookings...',
+  'home.noBookings': 'No bookings found.',
+  'home.new': 'NEW',
+  'home.guests': '{count} Guests',
+  'home.guests_one': '1 Guest',
+  'home.cancel': 'Cancel',
+  'home.confirmCancel': 'Are you sure you want to cancel this booking?',
+  'home.cancelFailed': 'Error cancelling booking',
+  'home.loadMore': 'Load more',
+  'home.loading': 'Loading...',
+
+  'summary.bookings': 'Bookings',
+  'summary.covers': 'Covers',
+  'summary.serviceCovers': '{count} covers',
+  'summary.serviceBookings': '{count} bookings',
+  'summary.serviceBookings_one': '1 booking',
+  'summary.empty': 'No bookings for this day.',
+  'summary.slot': '{guests} guests • {count} tables',
+  'summary.slot_one': '{guests} guests • 1 table',
+
+  'waitlist.title': 'Waitlist ({count})',
+  'waitlist.add': '+ Add party',
+  'waitlist.name': 'Name',
+  'waitlist.contact': 'Phone or email',
+  'waitlist.guests': 'Guests',
+  'waitlist.requestedTime': 'Requested time',
+  'waitlist.earliestTime': 'Earliest time (optional)',
+  'waitlist.latestTime': 'Latest time (optional)',
+  'waitlist.notes': 'Notes',
+  'waitlist.discard': 'Discard',
+  'waitlist.submit': 'Add',
+  'waitlist.empty': 'Nobody is waiting for this day.',
+  'waitlist.raise': 'Raise priority',
+  'waitlist.lower': 'Lower priority',
+  'waitlist.party': '{count} guests',
+  'waitlist.priority': 'priority {priority}',
+  'waitlist.offered': 'Offered {time}, held until {until}',
+  'waitlist.offerNow': 'Offer now',
+  'waitlist.bookForGuest': 'Book for guest',
+  'waitlist.remove': 'Remove',
+  'waitlist.confirmRemove': 'Take {name} off the waitlist?',
+  'waitlist.addFailed': 'Failed to add to the waitlist',
+  'waitlist.priorityFailed': 'Failed to change priority',
+  'waitlist.offerFailed': 'Failed to make an offer',
+  'waitlist.bookFailed': 'Failed to book the table',
+  'waitlist.removeFailed': 'Failed to remove from the waitlist',
+};
+
+export default en;
@@ -0,0 +1,126 @@
+// Hindi messages. Keys missing here fall back to English (see ../i18n.js).
+const hi = {
+  'language.label': 'भाषा',
+  'language.auto': 'स्वचालित',
+
+  'location.label': 'रेस्टोरेंट',
+  'location.loading': 'लोड हो रहा है...',
+
+  'nav.bookings': 'बुकिंग',
+  'nav.menu': 'मेन्यू',
+  'nav.settings': 'सेटिंग्स',
+  'nav.reports': 'रिपोर्ट',
+  'nav.chat': 'AI सहायक',
+  'nav.logout': 'लॉग आउट ({name}, {role})',
+  'nav.login': 'स्टाफ़ लॉगिन',
+
+  'status.Pending': 'लंबित',
+  'status.Confirmed': 'पुष्ट',
+  'status.Seated': 'बैठ गए',
+  'status.Completed': 'पूर्ण',
+  'status.No-Show': 'नहीं आए',
+  'status.Cancelled': 'रद्द',
+  'seating.Indoor': 'अंदर',
+  'seating.Outdoor': 'बाहर',
+
+  'chat.greeting': 'नमस्ते! मैं वायु बिस्ट्रो सहायक हूँ। मैं टेबल बुक करने में आपकी मदद कर सकता हूँ। आपको कौन सी तारीख और समय चाहिए?',
+  'chat.liveContext': 'लाइव विवरण',
+  'chat.field.name': 'नाम',
+  'chat.field.date': 'तारीख',
+  'chat.field.time': 'समय',
+  'chat.field.guests': 'मेहमान',
+  'chat.field.contact': 'संपर्क',
+  'chat.field.dietary': 'आहार',
+  'chat.noAllergen': '{allergen} के बिना',
+  'chat.conversation': 'बातचीत',
+  'chat.inputLabel': 'आपका संदेश',
+  'chat.placeholder': 'संदेश लिखें या माइक का उपयोग करें',
+  'chat.placeholderTyped': 'संदेश लिखें',
+  'chat.send': 'भेजें',
+  'chat.startListening': 'बोलना शुरू करें',
+  'chat.stopListening': 'सुनना बंद करें',
+  'chat.stopSpeaking': 'बोलना बंद करें',
+  'chat.mute': 'आवाज़ बंद करें',
+  'chat.unmute': 'आवाज़ चालू करें',
+  'chat.shortcuts': 'बोलने के लिए Space दबाकर रखें (टेक्स्ट बॉक्स के बाहर), भेजने के लिए Enter, आवाज़ रोकने के लिए Esc।',
+  'chat.noVoice': 'इस ब्राउज़र में आवाज़ से इनपुट उपलब्ध नहीं है, पर आप लिख सकते हैं।',
+  'chat.micError': 'माइक्रोफ़ोन का उपयोग नहीं हो सका। ब्राउज़र की अनुमति जाँचें, या लिखकर भेजें।',
+  'chat.sendError': 'आपका संदेश नहीं भेजा जा सका।',
+  'chat.rateLimited': 'आप बहुत जल्दी-जल्दी संदेश भेज रहे हैं। कृपया थोड़ा रुककर फिर से कोशिश करें।',
+  'chat.retry': 'फिर से कोशिश करें',
+  'chat.payDeposit': 'जमा राशि चुकाएँ',
+  'chat.status.idle': 'प्रतीक्षा में',
+  'chat.status.listening': 'सुन रहा है',
+  'chat.status.processing': 'प्रोसेस हो रहा है',
+  'chat.status.speaking': 'बोल रहा है',
+
+  'home.title': 'डैशबोर्ड',
+  'home.liveUpdates': 'लाइव अपडेट',
+  'home.connection.connecting': 'कनेक्ट हो रहा है...',
+  'home.connection.live': 'लाइव',
+  'home.connection.reconnecting': 'फिर से कनेक्ट हो रहा है...',
+  'home.calendarFeed': 'कैलेंडर फ़ीड',
+  'home.feedCopied': 'कैलेंडर फ़ीड URL कॉपी हो गया। इसे अपने कैलेंडर ऐप में सदस्यता के रूप में जोड़ें।',
+  'home.feedFailed': 'कैलेंडर फ़ीड URL नहीं मिल सका',
+  'home.newBooking': '+ नई बुकिंग',
+  'home.dayView': 'दिन का दृश्य',
+  'home.allBookings': 'सभी बुकिंग',
+  'home.day': 'दिन',
+  'home.from': 'से',
+  'home.to': 'तक',
+  'home.searchName': 'नाम खोजें',
+  'home.status': 'स्थिति',
+  'home.anyStatus': 'कोई भी स्थिति',
+  'home.seating': 'बैठक',
+  'home.anySeating': 'कोई भी बैठक',
+  'home.minGuests': 'न्यूनतम मेहमान',
+  'home.clear': 'साफ़ करें',
+  'home.loadingBookings': 'बुकिंग लोड हो रही हैं...',
+  'home.noBookings': 'कोई बुकिंग नहीं मिली।',
+  'home.new': 'नया',
+  'home.guests': '{count} मेहमान',
+  'home.guests_one': '1 मेहमान',
+  'home.cancel': 'रद्द करें',
+  'home.confirmCancel': 'क्या आप वाकई यह बुकिंग रद्द करना चाहते हैं?',
+  'home.cancelFailed': 'बुकिंग रद्द करने में त्रुटि',
+  'home.loadMore': 'और लोड करें',
+  'home.loading': 'लोड हो रहा है...',
+
+  'summary.bookings': 'बुकिंग',
+  'summary.covers': 'मेहमान',
+  'summary.serviceCovers': '{count} मेहमान',
+  'summary.serviceBookings': '{count} बुकिंग',
+  'summary.serviceBookings_one': '1 बुकिंग',
+  'summary.empty': 'इस दिन कोई बुकिंग नहीं है।',
+  'summary.slot': '{guests} मेहमान • {count} टेबल',
+  'summary.slot_one': '{guests} मेहमान • 1 टेबल',
+
+  'waitlist.title': 'प्रतीक्षा सूची ({count})',
+  'waitlist.add': '+ समूह जोड़ें',
+  'waitlist.name': 'नाम',
+  'waitlist.contact': 'फ़ोन या ईमेल',
+  'waitlist.guests': 'मेहमान',
+  'waitlist.requestedTime': 'अनुरोधित समय',
+  'waitlist.earliestTime': 'सबसे जल्दी समय (वैकल्पिक)',
+  'waitlist.latestTime': 'सबसे देर का समय (वैकल्पिक)',
+  'waitlist.notes': 'टिप्पणी',
+  'waitlist.discard': 'छोड़ें',
+  'waitlist.submit': 'जोड़ें',
+  'waitlist.empty': 'इस दिन के लिए कोई प्रतीक्षा में नहीं है।',
+  'waitlist.raise': 'प्राथमिकता बढ़ाएँ',
+  'waitlist.lower': 'प्राथमिकता घटाएँ',
+  'waitlist.party': '{count} मेहमान',
+  'waitlist.priority': 'प्राथमिकता {priority}',
+  'waitlist.offered': '{time} की पेशकश, {until} तक आरक्षित',
+  'waitlist.offerNow': 'अभी पेशकश करें',
+  'waitlist.bookForGuest': 'मेहमान के लिए बुक करें',
+  'waitlist.remove': 'हटाएँ',
+  'waitlist.confirmRemove': '{name} को प्रतीक्षा सूची से हटाएँ?',
+  'waitlist.addFailed': 'प्रतीक्षा सूची में जोड़ा नहीं जा सका',
+  'waitlist.priorityFailed': 'प्राथमिकता बदली नहीं जा सकी',
+  'waitlist.offerFailed': 'पेशकश नहीं की जा सकी',
+  'waitlist.bookFailed': 'टेबल बुक नहीं हो सकी',
+  'waitlist.removeFailed': 'प्रतीक्षा सूची से हटाया नहीं जा सका',
+};
+
+export default hi;
@@ -0,0 +1,126 @@
+// Tamil messages. Keys missing here fall back to English (see ../i18n.js).
+const ta = {
+  'language.label': 'மொழி',
+  'language.auto': 'தானியங்கி',
+
+  'location.label': 'உணவகம்',
+  'location.loading': 'ஏற்றுகிறது...',
+
+  'nav.bookings': 'முன்பதிவுகள்',
+  'nav.menu': 'உணவுப் பட்டியல்',
+  'nav.settings': 'அமைப்புகள்',
+  'nav.reports': 'அறிக்கைகள்',
+  'nav.chat': 'AI உதவியாளர்',
+  'nav.logout': 'வெளியேறு ({name}, {role})',
+  'nav.login': 'பணியாளர் உள்நுழைவு',
+
+  'status.Pending': 'நிலுவையில்',
+  'status.Confirmed': 'உறுதிசெய்யப்பட்டது',
+  'status.Seated': 'அமர்ந்துள்ளனர்',
+  'status.Completed': 'முடிந்தது',
+  'status.No-Show': 'வரவில்லை',
+  'status.Cancelled': 'ரத்துசெய்யப்பட்டது',
+  'seating.Indoor': 'உள்ளே',
+  'seating.Outdoor': 'வெளியே',
+
+  'chat.greeting': 'வணக்கம்! நான் வையு பிஸ்ட்ரோ உதவியாளர். மேசை முன்பதிவு செய்ய உதவ முடியும். எந்தத் தேதி, எந்த நேரம் வேண்டும்?',
+  'chat.liveContext': 'நேரடி விவரங்கள்',
+  'chat.field.name': 'பெயர்',
+  'chat.field.date': 'தேதி',
+  'chat.field.time': 'நேரம்',
+  'chat.field.guests': 'விருந்தினர்கள்',
+  'chat.field.contact': 'தொடர்பு',
+  'chat.field.dietary': 'உணவுத் தேவைகள்',
+  'chat.noAllergen': '{allergen} இல்லாமல்',
+  'chat.conversation': 'உரையாடல்',
+  'chat.inputLabel': 'உங்கள் செய்தி',
+  'chat.placeholder': 'செய்தியைத் தட்டச்சு செய்யுங்கள் அல்லது மைக்கைப் பயன்படுத்துங்கள்',
+  'chat.placeholderTyped': 'செய்தியைத் தட்டச்சு செய்யுங்கள்',
+  'chat.send': 'அனுப்பு',
+  'chat.startListening': 'பேசத் தொடங்குங்கள்',
+  'chat.stopListening': 'கேட்பதை நிறுத்து',
+  'chat.stopSpeaking': 'பேச்சை நிறுத்து',
+  'chat.mute': 'குரலை முடக்கு',
+  'chat.unmute': 'குரலை இயக்கு',
+  'chat.shortcuts': 'பேச Space-ஐ அழுத்திப் பிடியுங்கள் (உரைப் பெட்டிக்கு வெளியே), அனுப்ப Enter, குரலை நிறுத்த Esc.',
+  'chat.noVoice': 'இந்த உலாவியில் குரல் உள்ளீடு இல்லை, ஆனால் தட்டச்சு செய்யலாம்.',
+  'chat.micError': 'மைக்கைப் பயன்படுத்த முடியவில்லை. உலாவி அனுமதியைச் சரிபாருங்கள், அல்லது தட்டச்சு செய்யுங்கள்.',
+  'chat.sendError': 'உங்கள் செய்தி அனுப்பப்படவில்லை.',
+  'chat.rateLimited': 'நீங்கள் மிக வேகமாகச் செய்திகளை அனுப்புகிறீர்கள். சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.',
+  'chat.retry': 'மீண்டும் முயல்',
+  'chat.payDeposit': 'வைப்புத்தொகை செலுத்தவும்',
+  'chat.status.idle': 'காத்திருக்கிறது',
+  'chat.status.listening': 'கேட்கிறது',
+  'chat.status.processing': 'செயலாக்குகிறது',
+  'chat.status.speaking': 'பேசுகிறது',
+
+  'home.title': 'கட்டுப்பாட்டுப் பலகை',
+  'home.liveUpdates': 'நேரடி புதுப்பிப்புகள்',
+  'home.connection.connecting': 'இணைக்கிறது...',
+  'home.connection.live': 'நேரலை',
+  'home.connection.reconnecting': 'மீண்டும் இணைக்கிறது...',
+  'home.calendarFeed': 'நாட்காட்டி ஊட்டம்',
+  'home.feedCopied': 'நாட்காட்டி ஊட்ட URL நகலெடுக்கப்பட்டது. உங்கள் நாட்காட்டி செயலியில் சந்தாவாகச் சேர்க்கவும்.',
+  'home.feedFailed': 'நாட்காட்டி ஊட்ட URL-ஐப் பெற முடியவில்லை',
+  'home.newBooking': '+ புதிய முன்பதிவு',
+  'home.dayView': 'நாள் பார்வை',
+  'home.allBookings': 'அனைத்து முன்பதிவுகள்',
+  'home.day': 'நாள்',
+  'home.from': 'இருந்து',
+  'home.to': 'வரை',
+  'home.searchName': 'பெயரைத் தேடு',
+  'home.status': 'நிலை',
+  'home.anyStatus': 'எந்த நிலையும்',
+  'home.seating': 'இருக்கை',
+  'home.anySeating': 'எந்த இருக்கையும்',
+  'home.minGuests': 'குறைந்தபட்ச விருந்தினர்',
+  'home.clear': 'அழி',
+  'home.loadingBookings': 'முன்பதிவுகள் ஏற்றப்படுகின்றன...',
+  'home.noBookings': 'முன்பதிவுகள் இல்லை.',
+  'home.new': 'புதியது',
+  'home.guests': '{count} விருந்தினர்கள்',
+  'home.guests_one': '1 விருந்தினர்',
+  'home.cancel': 'ரத்துசெய்',
+  'home.confirmCancel': 'இந்த முன்பதிவை ரத்துசெய்ய விரும்புகிறீர்களா?',
+  'home.cancelFailed': 'முன்பதிவை ரத்துசெய்வதில் பிழை',
+  'home.loadMore': 'மேலும் ஏற்று',
+  'home.loading': 'ஏற்றுகிறது...',
+
+  'summary.bookings': 'முன்பதிவுகள்',
+  'summary.covers': 'விருந்தினர்கள்',
+  'summary.serviceCovers': '{count} விருந்தினர்கள்',
+  'summary.serviceBookings': '{count} முன்பதிவுகள்',
+  'summary.serviceBookings_one': '1 முன்பதிவு',
+  'summary.empty': 'இந்த நாளுக்கு முன்பதிவுகள் இல்லை.',
+  'summary.slot': '{guests} விருந்தினர்கள் • {count} மேசைகள்',
+  'summary.slot_one': '{guests} விருந்தினர்கள் • 1 மேசை',
+
+  'waitlist.title': 'காத்திருப்புப் பட்டியல் ({count})',
+  'waitlist.add': '+ குழுவைச் சேர்',
+  'waitlist.name': 'பெயர்',
+  'waitlist.contact': 'தொலைபேசி அல்லது மின்னஞ்சல்',
+  'waitlist.guests': 'விருந்தினர்கள்',
+  'waitlist.requestedTime': 'கோரிய நேரம்',
+  'waitlist.earliestTime': 'முந்தைய நேரம் (விருப்பம்)',
+  'waitlist.latestTime': 'பிந்தைய நேரம் (விருப்பம்)',
+  'waitlist.notes': 'குறிப்புகள்',
+  'waitlist.discard': 'கைவிடு',
+  'waitlist.submit': 'சேர்',
+  'waitlist.empty': 'இந்த நாளுக்கு யாரும் காத்திருக்கவில்லை.',
+  'waitlist.raise': 'முன்னுரிமையை உயர்த்து',
+  'waitlist.lower': 'முன்னுரிமையைக் குறை',
+  'waitlist.party': '{count} விருந்தினர்கள்',
+  'waitlist.priority': 'முன்னுரிமை {priority}',
+  'waitlist.offered': '{time} வழங்கப்பட்டது, {until} வரை ஒதுக்கப்பட்டுள்ளது',
+  'waitlist.offerNow': 'இப்போது வழங்கு',
+  'waitlist.bookForGuest': 'விருந்தினருக்காக முன்பதிவு செய்',
+  'waitlist.remove': 'நீக்கு',
+  'waitlist.confirmRemove': '{name} அவர்களைக் காத்திருப்புப் பட்டியலிலிருந்து நீக்கவா?',
+  'waitlist.addFailed': 'காத்திருப்புப் பட்டியலில் சேர்க்க முடியவில்லை',
+  'waitlist.priorityFailed': 'முன்னுரிமையை மாற்ற முடியவில்லை',
+  'waitlist.offerFailed': 'வழங்க முடியவில்லை',
+  'waitlist.bookFailed': 'மேசையை முன்பதிவு செய்ய முடியவில்லை',
+  'waitlist.removeFailed': 'காத்திருப்புப் பட்டியலிலிருந்து நீக்க முடியவில்லை',
+};
+
+export default ta;
@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+
+// The group's restaurants and the one the dashboard is looking at (see components/LocationProvider.jsx)
+export const LocationContext = createContext(null);
+
+export const useLocations = () => useContext(LocationContext);
+
+const LOCATION_KEY = 'locationId';
+
+export const getSavedLocation = () => localStorage.getItem(LOCATION_KEY);
+
+export const saveLocation = (id) => {
+  if (id) localStorage.setItem(LOCATION_KEY, id);
+  else localStorage.removeItem(LOCATION_KEY);
+};
+
+// Staff without a list of locations work at all of them, as on the server
+export const canWorkAt = (user, location) => !user?.locations?.length || user.locations.includes(location._id);
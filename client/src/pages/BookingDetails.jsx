@@ -1,10 +1,49 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import api from '../api';
+import api, { describeApiError } from '../api';
+import { ACTION_LABELS, DEPOSIT_LABELS, formatDeposit } from '../bookingStatus';
+import { useLiveEvents } from '../liveEvents';
+import { GuestBadges } from './GuestProfile';
+
+const EDIT_FIELDS = [
+  { key: 'customerName', label: 'Name', type: 'text' },
+  { key: 'phone', label: 'Phone', type: 'tel' },
+  { key: 'email', label: 'Email', type: 'email' },
+  { key: 'numberOfGuests', label: 'Guests', type: 'number' },
+  { key: 'bookingDate', label: 'Date', type: 'date' },
+  { key: 'bookingTime', label: 'Time', type: 'time' },
+  { key: 'seatingPreference', label: 'Seating', type: 'select', options: ['Any', 'Indoor', 'Outdoor'] },
+  { key: 'cuisinePreference', label: 'Cuisine', type: 'text' },
+  { key: 'specialRequests', label: 'Special Requests', type: 'text' },
+  { key: 'dietaryRequirements', label: 'Dietary', type: 'tags', vocabulary: 'dietaryTags' },
+  { key: 'allergies', label: 'Allergies', type: 'tags', vocabulary: 'allergens' },
+];
+
+const NOTIFICATION_STYLES = { sent: 'text-green-600', failed: 'text-red-500', skipped: 'text-gray-400' };
+
+const toFormValues = (booking) => ({
+  customerName: booking.customerName,
+  phone: booking.phone || '',
+  email: booking.email || '',
+  numberOfGuests: booking.numberOfGuests,
+  bookingDate: new Date(booking.bookingDate).toISOString().split('T')[0],
+  bookingTime: booking.bookingTime,
+  seatingPreference: booking.seatingPreference,
+  cuisinePreference: booking.cuisinePreference,
+  specialRequests: booking.specialRequests,
+  dietaryRequirements: booking.dietaryRequirements || [],
+  allergies: booking.allergies || [],
+});
 
 const BookingDetails = () => {
   const { id } = useParams();
   const [booking, setBooking] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({});
+  const [error, setError] = useState('');
+  const [tags, setTags] = useState({ dietaryTags: [], allergens: [] });
+  const [transcripts, setTranscripts] = useState([]);
+  const [guestProfile, setGuestProfile] = useState(null); // { guest, stats } of whoever made the booking
 
   useEffect(() => {
     api.get(`/bookings/${id}`)
@@ -12,8 +51,107 @@ const BookingDetails = () => {
        .catch(err => console.error(err));
   }, [id]);
 
+  useEffect(() => {
+    api.get(`/bookings/${id}/transcripts`)
+       .then(res => setTranscripts(res.data))
+       .catch(err => console.error(err));
+  }, [id]);
+
+  // Bookings with a phone number or email belong to a guest profile
+  const guestId = booking?.guest?._id || booking?.guest;
+  useEffect(() => {
+    if (!guestId) return;
+    api.get(`/guests/${guestId}`)
+       .then(res => setGuestProfile(res.data))
+       .catch(err => console.error(err));
+  }, [guestId]);
+
+  useEffect(() => {
+    api.get('/menu/tags')
+       .then(res => setTags(res.data))
+       .catch(err => console.error(err));
+  }, []);
+
+  const toggleTag = (key, tag) => {
+    const list = form[key].includes(tag) ? form[key].filter(t => t !== tag) : [...form[key], tag];
+    setForm({ ...form, [key]: list });
+  };
+
+  // Keep the page current when someone else (or the agent) changes this booking
+  const handleLiveEvent = useCallback((type, updated) => {
+    if (updated._id !== id) return;
+    if (type === 'booking.deleted') setError('This booking has been deleted.');
+    else setBooking(updated);
+  }, [id]);
+  useLiveEvents(handleLiveEvent);
+
+  const describeError = (err) => {
+    const data = err.response?.data || {};
+    if (data.alternatives?.length) return `${data.error}. Free times nearby: ${data.alternatives.join(', ')}`;
+    return describeApiError(err, 'Something went wrong');
+  };
+
+  const handleAction = async (action) => {
+    if (action === 'cancel' && !window.confirm("Are you sure you want to cancel this booking?")) return;
+    setError('');
+    try {
+      const res = await api.post(`/bookings/${id}/${action}`);
+      setBooking(res.data.booking);
+    } catch (err) {
+      setError(describeError(err));
+    }
+  };
+
+  const retryRefund = async () => {
+    setError('');
+    try {
+      const res = await api.post(`/bookings/${id}/deposit/refund`);
+      setBooking(res.data.booking);
+    } catch (err) {
+      setError(describeError(err));
+    }
+  };
+
+  // The download needs the staff token, so fetch it through the API client
+  const downloadCalendar = async () => {
+    try {
+      const res = await api.get(`/bookings/${id}/calendar.ics`, { responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `booking-${booking.confirmationCode || id}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(describeError(err));
+    }
+  };
+
+  const startEditing = () => {
+    setForm(toFormValues(booking));
+    setError('');
+    setEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    // Only send what actually changed
+    const original = toFormValues(booking);
+    const changes = Object.fromEntries(Object.entries(form).filter(([key, value]) => String(value) !== String(original[key])));
+    try {
+      const res = await api.patch(`/bookings/${id}`, changes);
+      setBooking(res.data.booking);
+      setEditing(false);
+    } catch (err) {
+      setError(describeError(err));
+    }
+  };
+
   if (!booking) return <div className="p-10 text-center">Loading details...</div>;
 
+  const canEdit = ['Pending', 'Confirmed'].includes(booking.status);
+
   return (
     <div className="max-w-2xl mx-auto p-6">
       <Link to="/" className="text-gray-400 hover:text-gray-600 mb-6 inline-block">← Back to Dashboard</Link>
@@ -21,30 +159,249 @@ const BookingDetails = () => {
         <div className="bg-primary p-6 text-white flex justify-between items-center">
           <div>
             <h2 className="text-2xl font-bold">{booking.customerName}</h2>
-            <p className="opacity-80 text-sm">ID: {booking._id}</p>
+            <p className="opacity-80 text-sm">Code: {booking.confirmationCode || '---'} • ID: {booking._id}</p>
           </div>
           <span className="px-3 py-1 bg-white/20 rounded-lg text-sm backdrop-blur-sm">
             {booking.status}
           </span>
         </div>
-        <div className="p-8 grid grid-cols-2 gap-y-6 gap-x-4">
-          <DetailItem label="Date" value={new Date(booking.bookingDate).toDateString()} />
-          <DetailItem label="Time" value={booking.bookingTime} />
-          <DetailItem label="Guests" value={booking.numberOfGuests} />
-          <DetailItem label="Seating" value={booking.seatingPreference} />
-          <DetailItem label="Cuisine" value={booking.cuisinePreference} />
-          <div className="col-span-2">
-            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Special Requests</span>
-            <p className="text-gray-700 bg-gray-50 p-3 rounded-lg border border-gray-100">
-              {booking.specialRequests}
-            </p>
+
+        {/* Lifecycle actions allowed from the current status */}
+        <div className="px-8 pt-6 flex flex-wrap gap-2">
+          {(booking.allowedActions || []).map(action => (
+            <button
+              key={action}
+              onClick={() => handleAction(action)}
+              className={`px-4 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                action === 'cancel' || action === 'no-show'
+                  ? 'text-red-500 hover:bg-red-50 border border-red-100'
+                  : 'bg-accent text-white hover:bg-blue-600'
+              }`}
+            >
+              {ACTION_LABELS[action]}
+            </button>
+          ))}
+          {canEdit && !editing && (
+            <button
+              onClick={startEditing}
+              className="px-4 py-1.5 rounded-lg text-sm font-medium text-gray-600 border border-gray-200 hover:bg-gray-50 transition-colors"
+            >
+              Edit
+            </button>
+          )}
+          <button
+            onClick={downloadCalendar}
+            className="px-4 py-1.5 rounded-lg text-sm font-medium text-gray-600 border border-gray-200 hover:bg-gray-50 transition-colors"
+          >
+            Add to calendar (.ics)
+          </button>
+        </div>
+        {error && <p className="px-8 pt-4 text-sm text-red-600">{error}</p>}
+
+        {/* The gateway turned the refund down: the guest is still owed their deposit */}
+        {booking.deposit?.status === 'refundFailed' && (
+          <div className="mx-8 mt-6 px-4 py-3 rounded-xl bg-red-50 border border-red-100 flex justify-between items-center gap-4 text-sm">
+            <span className="text-red-700">
+              The deposit refund failed{booking.deposit.refundError ? `: ${booking.deposit.refundError}` : ''}
+            </span>
+            <button
+              onClick={retryRefund}
+              className="px-4 py-1.5 rounded-lg text-sm font-medium text-red-600 border border-red-200 hover:bg-red-100 transition-colors"
+            >
+              Retry refund
+            </button>
           </div>
+        )}
+
+        {/* Who made it, and how their earlier bookings went */}
+        {guestProfile && (
+          <div className="mx-8 mt-6 px-4 py-3 rounded-xl bg-gray-50 border border-gray-100 flex justify-between items-center text-sm">
+            <span className="text-gray-600">
+              <Link to={`/guests/${guestProfile.guest._id}`} className="text-accent font-medium hover:underline">Guest profile</Link>
+              {' • '}{guestProfile.stats.visits} visits • {guestProfile.stats.noShows} no-shows • {guestProfile.stats.cancellations} cancellations
+            </span>
+            <GuestBadges guest={guestProfile.guest} />
+          </div>
+        )}
+
+        {editing ? (
+          <form onSubmit={handleSave} className="p-8 grid grid-cols-2 gap-y-4 gap-x-4">
+            {EDIT_FIELDS.map(field => {
+              // A group of tag checkboxes can't sit inside one <label>
+              const Wrapper = field.type === 'tags' ? 'div' : 'label';
+              return (
+                <Wrapper key={field.key} className={['specialRequests', 'dietaryRequirements', 'allergies'].includes(field.key) ? 'col-span-2' : ''}>
+                  <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{field.label}</span>
+                  {field.type === 'tags' ? (
+                    <span className="flex flex-wrap gap-3 text-sm">
+                      {tags[field.vocabulary].map(tag => (
+                        <label key={tag} className="flex items-center gap-1 text-gray-600">
+                          <input type="checkbox" checked={form[field.key].includes(tag)} onChange={() => toggleTag(field.key, tag)} />
+                          {tag}
+                        </label>
+                      ))}
+                    </span>
+                  ) : field.type === 'select' ? (
+                    <select
+                      value={form[field.key]}
+                      onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                      className="w-full border border-gray-200 rounded-lg px-3 py-2"
+                    >
+                      {field.options.map(option => <option key={option}>{option}</option>)}
+                    </select>
+                  ) : (
+                    <input
+                      type={field.type}
+                      min={field.type === 'number' ? 1 : undefined}
+                      value={form[field.key]}
+                      onChange={(e) => setForm({
+                        ...form,
+                        // The API expects the party size as a number, not the input's text
+                        [field.key]: field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value,
+                      })}
+                      className="w-full border border-gray-200 rounded-lg px-3 py-2"
+                    />
+                  )}
+                </Wrapper>
+              );
+            })}
+            <div className="col-span-2 flex justify-end gap-2">
+              <button type="button" onClick={() => setEditing(false)} className="px-4 py-2 text-sm text-gray-500 hover:text-gray-700">
+                Discard
+              </button>
+              <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">
+                Save changes
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-8 grid grid-cols-2 gap-y-6 gap-x-4">
+            <DetailItem label="Date" value={new Date(booking.bookingDate).toDateString()} />
+            <DetailItem label="Time" value={booking.bookingTime} />
+            <DetailItem label="Guests" value={booking.numberOfGuests} />
+            <DetailItem label="Phone" value={booking.phone || '---'} />
+            <DetailItem label="Email" value={booking.email || '---'} />
+            <DetailItem label="Seating" value={booking.seatingPreference} />
+            <DetailItem label="Cuisine" value={booking.cuisinePreference} />
+            <DetailItem
+              label="Tables"
+              value={booking.assignedTables?.length ? booking.assignedTables.map(t => t.name).join(' + ') : 'Unassigned'}
+            />
+            {booking.deposit && (
+              <DetailItem
+                label="Deposit"
+                value={`${formatDeposit(booking.deposit)} • ${DEPOSIT_LABELS[booking.deposit.status] || booking.deposit.status}`}
+              />
+            )}
+            {booking.weatherInfo?.condition && (
+              <DetailItem
+                label="Forecast"
+                value={`${booking.weatherInfo.condition}, ${Math.round(booking.weatherInfo.temp)}°C`}
+              />
+            )}
+            {(booking.dietaryRequirements?.length > 0 || booking.allergies?.length > 0) && (
+              <div className="col-span-2">
+                <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Dietary & Allergies</span>
+                <div className="flex flex-wrap gap-1">
+                  {(booking.dietaryRequirements || []).map(tag => (
+                    <span key={tag} className="px-2 py-0.5 rounded-full bg-green-50 text-green-700 text-xs">{tag}</span>
+                  ))}
+                  {(booking.allergies || []).map(allergen => (
+                    <span key={allergen} className="px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 text-xs">allergic to {allergen}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="col-span-2">
+              <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Special Requests</span>
+              <p className="text-gray-700 bg-gray-50 p-3 rounded-lg border border-gray-100">
+                {booking.specialRequests}
+              </p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Messages sent to the guest, including failed attempts */}
+      {booking.notifications?.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Guest Messages</h3>
+          <ul className="bg-white rounded-xl border border-gray-100 divide-y divide-gray-50">
+            {[...booking.notifications].reverse().map((note, idx) => (
+              <li key={idx} className="px-4 py-3 flex justify-between items-center text-sm">
+                <span className="text-gray-700">
+                  <span className="capitalize font-medium">{note.kind}</span>
+                  {note.to && <span className="text-gray-400"> via {note.channel} to {note.to}</span>}
+                  {note.error && <span className="block text-xs text-red-500">{note.error}</span>}
+                </span>
+                <span className="text-right">
+                  <span className={`block text-xs font-semibold ${NOTIFICATION_STYLES[note.status]}`}>{note.status}</span>
+                  <span className="text-xs text-gray-400">{new Date(note.at).toLocaleString()}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* What the guest said to the agent, for settling disputes */}
+      {transcripts.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Conversations</h3>
+          {transcripts.map(transcript => <Transcript key={transcript._id} transcript={transcript} />)}
         </div>
+      )}
+
+      {/* Audit trail, newest first */}
+      <div className="mt-8">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">History</h3>
+        <ol className="border-l-2 border-gray-200 space-y-4">
+          {[...(booking.history || [])].reverse().map((entry, idx) => (
+            <li key={idx} className="pl-4 relative">
+              <span className="absolute -left-[5px] top-1.5 w-2 h-2 rounded-full bg-accent" />
+              <p className="text-sm text-gray-800">
+                <span className="font-semibold capitalize">{entry.action}</span> by {entry.actor?.name || 'System'}
+              </p>
+              <p className="text-xs text-gray-400">{new Date(entry.at).toLocaleString()}</p>
+              {entry.after && Object.keys(entry.after).map(field => (
+                <p key={field} className="text-xs text-gray-500">
+                  {field}: {entry.before?.[field] !== undefined ? `${entry.before[field]} → ` : ''}{String(entry.after[field])}
+                </p>
+              ))}
+            </li>
+          ))}
+        </ol>
       </div>
     </div>
   );
 };
 
+// Details the agent picked out of a message, as "field: value" pairs
+const describeExtracted = (extracted) => Object.entries(extracted || {})
+  .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+  .map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(', ') : value}`)
+  .join(' • ');
+
+const Transcript = ({ transcript }) => (
+  <ol className="bg-white rounded-xl border border-gray-100 p-4 mb-4 space-y-3">
+    {transcript.turns.map((turn, idx) => (
+      <li key={idx} className="text-sm">
+        <p className="text-xs text-gray-400 mb-1">
+          {new Date(turn.at).toLocaleString()}
+          {turn.intent && ` • ${turn.intent}`}
+          {turn.modelLatencyMs > 0 && ` • model ${turn.modelLatencyMs} ms`}
+        </p>
+        <p className="text-gray-800"><span className="font-semibold">Guest:</span> {turn.message}</p>
+        {turn.reply && <p className="text-gray-600"><span className="font-semibold">Agent:</span> {turn.reply}</p>}
+        {describeExtracted(turn.extracted) && (
+          <p className="text-xs text-gray-500">Understood: {describeExtracted(turn.extracted)}</p>
+        )}
+        {turn.errorMessages?.map((error, errorIdx) => <p key={errorIdx} className="text-xs text-red-500">{error}</p>)}
+      </li>
+    ))}
+  </ol>
+);
+
 const DetailItem = ({ label, value }) => (
   <div>
     <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
@@ -52,4 +409,4 @@ const DetailItem = ({ label, value }) => (
   </div>
 );
 
-export default BookingDetails;
\ No newline at end of file
+export default BookingDetails;
@@ -1,133 +1,334 @@
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import api from '../api';
+import { streamChat, takeSentences } from '../chatStream';
+import { useI18n, LANGUAGES, detectScript } from '../i18n';
+
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+const MUTE_KEY = 'chatMuted';
+const SESSION_KEY = 'chatSession'; // Per tab, so a reload picks the conversation up again
+
+const GREETING = { sender: 'bot', key: 'chat.greeting', text: '' };
+
+// Keys typed into a field belong to the field, not to the push-to-talk shortcut
+const isTyping = (event) => Boolean(event.target.closest?.('input, textarea, select, button'));
+
+// The browser's voice for a locale: an exact match ("hi-IN"), else any voice for the language
+const pickVoice = (locale) => {
+  const voices = window.speechSynthesis.getVoices();
+  const tag = (voice) => voice.lang.replace('_', '-');
+  return voices.find(voice => tag(voice) === locale)
+    || voices.find(voice => tag(voice).split('-')[0] === locale.split('-')[0])
+    || null;
+};
 
 const Chat = () => {
   const navigate = useNavigate();
-  const [messages, setMessages] = useState([
-    { sender: 'bot', text: "Hello! I am the Vaiu Bistro Assistant. I can help you book a table. What date and time would you like?" }
-  ]);
+  const [searchParams] = useSearchParams();
+  const location = searchParams.get('location'); // e.g. /chat?location=anna-nagar from that restaurant's site
+  const { locale, choice, setDetected, t } = useI18n();
+  // The greeting is kept as a catalog key so it follows the language selector
+  const [messages, setMessages] = useState([GREETING]);
   const [isListening, setIsListening] = useState(false);
   const [status, setStatus] = useState('idle');
+  const [draft, setDraft] = useState(''); // Typed text, or the transcript waiting to be checked and sent
+  const [interim, setInterim] = useState(''); // Words recognized so far while listening
+  const [muted, setMuted] = useState(() => localStorage.getItem(MUTE_KEY) === 'true');
+  const [error, setError] = useState(null); // { message, retryText } shown above the input
+  const [announcement, setAnnouncement] = useState(''); // Completed replies, for screen readers
   const [bookingDetails, setBookingDetails] = useState({});
-  const [userLocation, setUserLocation] = useState(null);
+  const [needs, setNeeds] = useState({ dietary: [], allergies: [] });
+  const [paymentLink, setPaymentLink] = useState(null); // Deposit link for the booking just made
+  const [sessionId, setSessionId] = useState(() => sessionStorage.getItem(SESSION_KEY));
   const chatEndRef = useRef(null);
+  const pendingSpeech = useRef(0); // Sentences queued or being spoken
+  const speechRound = useRef(0); // Bumped by stopSpeaking, so cancelled sentences are not counted down
+  const recognitionRef = useRef(null);
+  const inputRef = useRef(null);
 
+  // Resume the conversation this tab was having before a reload
   useEffect(() => {
-    if ("geolocation" in navigator) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => setUserLocation({ lat: position.coords.latitude, lon: position.coords.longitude }),
-        (err) => console.log("Location denied")
-      );
-    }
+    const savedId = sessionStorage.getItem(SESSION_KEY);
+    if (!savedId) return;
+    api.get(`/chat/${savedId}`)
+       .then(res => {
+         setMessages([GREETING, ...res.data.messages]);
+         setBookingDetails(res.data.bookingDetails || {});
+         if (res.data.needs) setNeeds(res.data.needs);
+         setPaymentLink(res.data.paymentLink);
+       })
+       .catch(() => {
+         sessionStorage.removeItem(SESSION_KEY);
+         setSessionId(null);
+       });
   }, []);
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [messages, interim]);
 
+  // Sentences are queued as they stream in, so speech starts before the reply is complete.
+  // Each one is voiced in the language its script shows, else the current one.
   const speak = (text) => {
-    if (!window.speechSynthesis) return;
-    window.speechSynthesis.cancel();
+    if (muted || !window.speechSynthesis || !text.trim()) return;
     const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = LANGUAGES[detectScript(text)]?.locale || locale;
+    utterance.voice = pickVoice(utterance.lang);
+    const round = speechRound.current;
     utterance.onstart = () => setStatus('speaking');
-    utterance.onend = () => setStatus('idle');
+    utterance.onend = utterance.onerror = () => {
+      if (round !== speechRound.current) return;
+      pendingSpeech.current -= 1;
+      if (pendingSpeech.current === 0) setStatus('idle');
+    };
+    pendingSpeech.current += 1;
     window.speechSynthesis.speak(utterance);
   };
 
+  const stopSpeaking = () => {
+    speechRound.current += 1;
+    window.speechSynthesis?.cancel();
+    pendingSpeech.current = 0;
+    setStatus(current => (current === 'speaking' ? 'idle' : current));
+  };
+
+  const toggleMute = () => {
+    if (!muted) stopSpeaking();
+    localStorage.setItem(MUTE_KEY, String(!muted));
+    setMuted(!muted);
+  };
+
+  // Adds text to the bot message currently being streamed (always the last one)
+  const appendToReply = (text) => {
+    setMessages(prev => prev.map((msg, idx) => (idx === prev.length - 1 ? { ...msg, text: msg.text + text } : msg)));
+  };
+
+  // The transcript goes into the input box rather than straight to the agent,
+  // so a misheard word can be fixed before sending
   const startListening = () => {
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) return alert("Browser does not support voice.");
-    
+    if (!SpeechRecognition || recognitionRef.current || status === 'processing') return;
+    stopSpeaking();
+    setError(null);
+
     const recognition = new SpeechRecognition();
-    recognition.lang = 'en-US';
+    recognition.lang = locale;
+    recognition.interimResults = true;
     recognition.onstart = () => { setIsListening(true); setStatus('listening'); };
-    recognition.onend = () => { setIsListening(false); if (status === 'listening') setStatus('idle'); };
-    recognition.onresult = (event) => handleSendMessage(event.results[0][0].transcript);
+    recognition.onresult = (event) => {
+      let heard = '';
+      for (let i = event.resultIndex; i < event.results.length; i += 1) {
+        const { transcript } = event.results[i][0];
+        if (event.results[i].isFinal) setDraft(prev => `${prev} ${transcript}`.trim());
+        else heard += transcript;
+      }
+      setInterim(heard);
+    };
+    recognition.onerror = (event) => {
+      // Silence and our own stop() are not worth reporting
+      if (event.error !== 'no-speech' && event.error !== 'aborted') setError({ message: t('chat.micError') });
+    };
+    recognition.onend = () => {
+      recognitionRef.current = null;
+      setIsListening(false);
+      setInterim('');
+      setStatus(current => (current === 'listening' ? 'idle' : current));
+      inputRef.current?.focus(); // Enter sends the transcript as it stands
+    };
+    recognitionRef.current = recognition;
     recognition.start();
   };
 
+  const stopListening = () => recognitionRef.current?.stop();
+
   const handleSendMessage = async (userText) => {
-    if (!userText.trim()) return;
-    const newMessages = [...messages, { sender: 'user', text: userText }];
-    setMessages(newMessages);
+    if (!userText.trim() || status === 'processing') return;
+    stopListening();
+    stopSpeaking();
+    setDraft('');
+    setError(null);
+    setMessages(prev => [...prev, { sender: 'user', text: userText }, { sender: 'bot', text: '' }]);
     setStatus('processing');
 
+    let unspoken = '';
     try {
-      const response = await api.post('/chat', { message: userText, history: newMessages, userLocation });
-      const aiData = response.data;
-      
+      // The server keeps the conversation state; we only send the session id back
+      const aiData = await streamChat({
+        message: userText,
+        sessionId,
+        language: choice,
+        location,
+        onDelta: (text) => {
+          appendToReply(text);
+          const [sentences, rest] = takeSentences(unspoken + text);
+          sentences.forEach(speak);
+          unspoken = rest;
+        },
+      });
+      speak(unspoken);
+      if (pendingSpeech.current === 0) setStatus('idle');
+
+      setSessionId(aiData.sessionId);
+      sessionStorage.setItem(SESSION_KEY, aiData.sessionId);
+      // Follow the guest's language when they have not picked one themselves
+      if (choice === 'auto' && aiData.language) setDetected(aiData.language);
       setBookingDetails(aiData.bookingDetails || {});
-      setMessages(prev => [...prev, { sender: 'bot', text: aiData.reply }]);
-      speak(aiData.reply);
+      if (aiData.needs) setNeeds(aiData.needs);
+      setPaymentLink(aiData.paymentLink);
+      // The streamed pieces add up to the reply; use the final copy in case any were missed
+      setMessages(prev => prev.map((msg, idx) => (idx === prev.length - 1 ? { ...msg, text: aiData.reply } : msg)));
+      setAnnouncement(aiData.reply);
 
-      if (aiData.intent === 'confirmed') {
-        handleAutoSave(aiData.bookingDetails);
+      // The server has already saved the booking; show the guest their booking page
+      if (aiData.intent === 'confirmed' && aiData.bookingLink) {
+        sessionStorage.removeItem(SESSION_KEY); // The next visit starts a new conversation
+        setTimeout(() => navigate(aiData.bookingLink), 4000);
       }
     } catch (error) {
-      setStatus('error');
+      console.error("Chat error:", error);
+      // Take back the guest's message and the unfinished reply; Retry sends the message again
+      setMessages(prev => prev.slice(0, -2));
+      setStatus('idle');
+      setError({ message: t(error.status === 429 ? 'chat.rateLimited' : 'chat.sendError'), retryText: userText });
     }
   };
 
-  const handleAutoSave = async (details) => {
-    try {
-      await api.post('/bookings', {
-        customerName: details.name || "Guest",
-        numberOfGuests: details.guests || 2,
-        bookingDate: details.date || new Date(),
-        bookingTime: details.time || "19:00",
-        cuisinePreference: details.cuisine || "Any",
-        specialRequests: details.specialRequests || "None",
-        seatingPreference: details.seating || "Any",
-        status: "Confirmed"
-      });
-      const successMsg = "Booking confirmed! Redirecting...";
-      setMessages(prev => [...prev, { sender: 'bot', text: successMsg }]);
-      speak(successMsg);
-      setTimeout(() => navigate('/'), 4000);
-    } catch (err) {
-      console.error(err);
-    }
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleSendMessage(draft);
   };
 
+  // Push-to-talk: hold Space to talk, release to stop; Escape silences the agent
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        stopListening();
+        stopSpeaking();
+        return;
+      }
+      if (event.code !== 'Space' || isTyping(event)) return;
+      event.preventDefault();
+      if (!event.repeat) startListening();
+    };
+    const onKeyUp = (event) => {
+      if (event.code === 'Space' && !isTyping(event)) stopListening();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+    };
+  });
+
   return (
     <div className="max-w-4xl mx-auto p-4 h-[calc(100vh-100px)] flex flex-col">
       <div className="bg-white rounded-2xl shadow-xl overflow-hidden flex flex-1 border border-gray-200">
         <div className="w-1/3 bg-gray-50 border-r border-gray-100 p-6 hidden md:block">
-          <h4 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Live Context</h4>
+          <h4 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">{t('chat.liveContext')}</h4>
           <div className="space-y-4">
-            {Object.entries({Name: 'name', Date: 'date', Time: 'time', Guests: 'guests'}).map(([label, key]) => (
+            {['name', 'date', 'time', 'guests', 'contact'].map(key => (
               <div key={key}>
-                <span className="text-gray-400 text-xs block">{label}</span>
+                <span className="text-gray-400 text-xs block">{t(`chat.field.${key}`)}</span>
                 <span className="font-medium text-gray-700">{bookingDetails[key] || '---'}</span>
               </div>
             ))}
+            {needs.dietary.length + needs.allergies.length > 0 && (
+              <div>
+                <span className="text-gray-400 text-xs block">{t('chat.field.dietary')}</span>
+                <span className="font-medium text-gray-700">
+                  {[...needs.dietary, ...needs.allergies.map(allergen => t('chat.noAllergen', { allergen }))].join(', ')}
+                </span>
+              </div>
+            )}
           </div>
         </div>
         <div className="flex-1 flex flex-col bg-white">
-          <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          <div role="log" aria-live="off" aria-label={t('chat.conversation')} className="flex-1 overflow-y-auto p-6 space-y-4">
             {messages.map((msg, idx) => (
               <div key={idx} className={`flex ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
                 <div className={`max-w-[80%] px-5 py-3 rounded-2xl text-sm leading-relaxed ${
                   msg.sender === 'user' ? 'bg-accent text-white rounded-br-none' : 'bg-gray-100 text-gray-800 rounded-bl-none'
                 }`}>
-                  {msg.text}
+                  {(msg.key ? t(msg.key) : msg.text) || '…'}
                 </div>
               </div>
             ))}
+            {interim && (
+              <div className="flex justify-end">
+                <div className="max-w-[80%] px-5 py-3 rounded-2xl rounded-br-none text-sm italic text-gray-500 border border-dashed border-gray-300">
+                  {interim}
+                </div>
+              </div>
+            )}
             <div ref={chatEndRef} />
           </div>
-          <div className="p-6 border-t border-gray-100 flex flex-col items-center bg-gray-50">
-            <button 
-              onClick={startListening}
-              disabled={status === 'processing' || status === 'speaking'}
-              className={`w-16 h-16 rounded-full flex items-center justify-center transition-all shadow-lg ${
-                isListening ? 'bg-red-500 animate-pulse ring-4 ring-red-200' : 'bg-primary hover:bg-gray-700'
-              }`}
-            >
-              <span className="text-2xl">{isListening ? '🛑' : 'mic'}</span>
-            </button>
-            <p className="mt-3 text-xs font-medium text-gray-400 uppercase tracking-widest">{status}</p>
+          {paymentLink && (
+            <div className="px-6 pb-2">
+              <a href={paymentLink} className="inline-block px-4 py-2 rounded-lg text-sm font-medium bg-accent text-white hover:bg-blue-600">
+                {t('chat.payDeposit')}
+              </a>
+            </div>
+          )}
+          {/* Replies are announced once complete, not word by word as they stream in */}
+          <div aria-live="polite" className="sr-only">{announcement}</div>
+
+          <div className="p-4 border-t border-gray-100 bg-gray-50 space-y-3">
+            {error && (
+              <div role="alert" className="flex items-center justify-between gap-3 px-4 py-2 rounded-lg bg-red-50 text-sm text-red-700">
+                <span>{error.message}</span>
+                {error.retryText && (
+                  <button onClick={() => handleSendMessage(error.retryText)} className="font-medium underline hover:text-red-900">
+                    {t('chat.retry')}
+                  </button>
+                )}
+              </div>
+            )}
+            <form onSubmit={handleSubmit} className="flex items-center gap-2">
+              {SpeechRecognition && (
+                <button
+                  type="button"
+                  onClick={isListening ? stopListening : startListening}
+                  disabled={status === 'processing'}
+                  aria-label={t(isListening ? 'chat.stopListening' : 'chat.startListening')}
+                  aria-pressed={isListening}
+                  className={`w-12 h-12 shrink-0 rounded-full flex items-center justify-center transition-all shadow disabled:opacity-50 ${
+                    isListening ? 'bg-red-500 animate-pulse ring-4 ring-red-200' : 'bg-primary hover:bg-gray-700 text-white'
+                  }`}
+                >
+                  <span aria-hidden="true" className="text-sm">{isListening ? '🛑' : 'mic'}</span>
+                </button>
+              )}
+              <input
+                ref={inputRef}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                maxLength={1000}
+                placeholder={t(SpeechRecognition ? 'chat.placeholder' : 'chat.placeholderTyped')}
+                aria-label={t('chat.inputLabel')}
+                className="flex-1 border border-gray-200 rounded-full px-4 py-3 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-accent"
+              />
+              <button
+                type="submit"
+                disabled={!draft.trim() || status === 'processing'}
+                className="px-5 py-3 rounded-full text-sm font-medium bg-accent text-white hover:bg-blue-600 disabled:opacity-50"
+              >
+                {t('chat.send')}
+              </button>
+            </form>
+            <div className="flex items-center justify-between text-xs text-gray-400">
+              <p className="font-medium uppercase tracking-widest">{t(`chat.status.${status}`)}</p>
+              <div className="flex items-center gap-3">
+                {status === 'speaking' && (
+                  <button onClick={stopSpeaking} className="hover:text-accent">{t('chat.stopSpeaking')}</button>
+                )}
+                <button onClick={toggleMute} aria-pressed={muted} className="hover:text-accent">
+                  {t(muted ? 'chat.unmute' : 'chat.mute')}
+                </button>
+              </div>
+            </div>
+            <p className="text-xs text-gray-400">
+              {SpeechRecognition ? t('chat.shortcuts') : t('chat.noVoice')}
+            </p>
           </div>
         </div>
       </div>
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, act, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import I18nProvider from '../components/I18nProvider';
+import { streamChat } from '../chatStream';
+import Chat from './Chat';
+
+// The browser's speech APIs, installed before Chat.jsx looks for them on import
+const speech = vi.hoisted(() => {
+  const recognitions = [];
+  class FakeRecognition {
+    constructor() {
+      this.start = vi.fn(() => this.onstart?.());
+      this.stop = vi.fn(() => this.onend?.());
+      recognitions.push(this);
+    }
+  }
+  const synthesis = { speak: vi.fn(), cancel: vi.fn(), getVoices: () => [{ lang: 'en-IN', name: 'Test voice' }] };
+  vi.stubGlobal('SpeechRecognition', FakeRecognition);
+  vi.stubGlobal('speechSynthesis', synthesis);
+  vi.stubGlobal('SpeechSynthesisUtterance', class { constructor(text) { this.text = text; } });
+  return { recognitions, synthesis };
+});
+
+// The server is replaced; splitting replies into sentences for speech is kept
+vi.mock('../chatStream', async (importOriginal) => ({ ...(await importOriginal()), streamChat: vi.fn() }));
+
+const renderChat = () => render(
+  <MemoryRouter>
+    <I18nProvider>
+      <Chat />
+    </I18nProvider>
+  </MemoryRouter>
+);
+
+// A final speech recognition result, shaped like the browser's SpeechRecognitionEvent
+const heard = (transcript) => ({ resultIndex: 0, results: [Object.assign([{ transcript }], { isFinal: true })] });
+
+// The message list (replies are also copied to a screen-reader announcement once complete)
+const conversation = () => within(screen.getByRole('log'));
+
+const spoken = () => speech.synthesis.speak.mock.calls.map(([utterance]) => utterance.text);
+
+describe('Chat', () => {
+  beforeEach(() => {
+    streamChat.mockReset();
+    speech.synthesis.speak.mockClear();
+    speech.recognitions.length = 0;
+  });
+
+  it('sends a typed message, streams the reply in and speaks it sentence by sentence', async () => {
+    streamChat.mockImplementation(async ({ onDelta }) => {
+      onDelta('Hello Asha. ');
+      onDelta('How many guests?');
+      return { sessionId: 's1', reply: 'Hello Asha. How many guests?', bookingDetails: { name: 'Asha' }, intent: 'booking_request' };
+    });
+    const user = userEvent.setup();
+    renderChat();
+
+    await user.type(screen.getByLabelText('Your message'), 'Book a table for Asha');
+    await user.click(screen.getByRole('button', { name: 'Send' }));
+
+    expect(await conversation().findByText('Hello Asha. How many guests?')).toBeInTheDocument();
+    expect(streamChat).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Book a table for Asha', sessionId: null, language: 'auto',
+    }));
+    expect(screen.getByText('Asha')).toBeInTheDocument(); // The details panel
+    expect(sessionStorage.getItem('chatSession')).toBe('s1');
+    expect(spoken()).toEqual(['Hello Asha.', 'How many guests?']);
+    expect(speech.synthesis.speak.mock.calls[0][0].lang).toBe('en-IN');
+  });
+
+  it('puts what it heard in the input box instead of sending it', async () => {
+    const user = userEvent.setup();
+    renderChat();
+
+    await user.click(screen.getByRole('button', { name: 'Start speaking' }));
+    const recognition = speech.recognitions.at(-1);
+    expect(recognition.start).toHaveBeenCalled();
+    expect(recognition.lang).toBe('en-IN');
+
+    act(() => recognition.onresult(heard('table for two tonight')));
+    await user.click(screen.getByRole('button', { name: 'Stop listening' }));
+
+    expect(recognition.stop).toHaveBeenCalled();
+    expect(screen.getByLabelText('Your message')).toHaveValue('table for two tonight');
+    expect(streamChat).not.toHaveBeenCalled();
+  });
+
+  it('offers to retry a message that did not go through', async () => {
+    streamChat
+      .mockRejectedValueOnce(Object.assign(new Error('Chat request failed (429)'), { status: 429 }))
+      .mockResolvedValueOnce({ sessionId: 's2', reply: 'Welcome back.', intent: 'booking_request' });
+    const user = userEvent.setup();
+    renderChat();
+
+    await user.type(screen.getByLabelText('Your message'), 'hello');
+    await user.click(screen.getByRole('button', { name: 'Send' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('You are sending messages too quickly');
+
+    await user.click(screen.getByRole('button', { name: 'Retry' }));
+    expect(await conversation().findByText('Welcome back.')).toBeInTheDocument();
+    expect(streamChat).toHaveBeenCalledTimes(2);
+    expect(streamChat.mock.calls[1][0].message).toBe('hello');
+  });
+
+  it('stays quiet when muted', async () => {
+    streamChat.mockResolvedValue({ sessionId: 's3', reply: 'Sure. What time?', intent: 'booking_request' });
+    const user = userEvent.setup();
+    renderChat();
+
+    await user.click(screen.getByRole('button', { name: 'Mute voice' }));
+    await user.type(screen.getByLabelText('Your message'), 'tomorrow please');
+    await user.click(screen.getByRole('button', { name: 'Send' }));
+
+    expect(await conversation().findByText('Sure. What time?')).toBeInTheDocument();
+    expect(speech.synthesis.speak).not.toHaveBeenCalled();
+    expect(localStorage.getItem('chatMuted')).toBe('true');
+  });
+});
@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import api from '../api';
+import { DEPOSIT_LABELS, formatDeposit } from '../bookingStatus';
+
+// Public page a guest reaches through their signed booking link
+const GuestBooking = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const [booking, setBooking] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const params = { token: searchParams.get('token'), code: searchParams.get('code') };
+    api.get(`/bookings/${id}`, { params })
+       .then(res => setBooking(res.data))
+       .catch(() => setError("We couldn't open this booking. Please check your link."));
+  }, [id, searchParams]);
+
+  if (error) return <div className="p-10 text-center text-gray-500">{error}</div>;
+  if (!booking) return <div className="p-10 text-center">Loading your booking...</div>;
+
+  return (
+    <div className="max-w-xl mx-auto p-6">
+      <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-hidden">
+        <div className="bg-primary p-6 text-white flex justify-between items-center">
+          <div>
+            <h2 className="text-2xl font-bold">{booking.customerName}</h2>
+            <p className="opacity-80 text-sm">Confirmation code: {booking.confirmationCode}</p>
+          </div>
+          <span className="px-3 py-1 bg-white/20 rounded-lg text-sm backdrop-blur-sm">
+            {booking.status}
+          </span>
+        </div>
+        <div className="p-8 grid grid-cols-2 gap-y-6 gap-x-4">
+          <GuestItem label="Date" value={new Date(booking.bookingDate).toDateString()} />
+          <GuestItem label="Time" value={booking.bookingTime} />
+          <GuestItem label="Guests" value={booking.numberOfGuests} />
+          <GuestItem label="Seating" value={booking.seatingPreference} />
+        </div>
+        {booking.deposit && (
+          <div className="mx-8 mb-6 p-4 rounded-lg bg-gray-50 border border-gray-100 text-sm text-gray-600">
+            <p>
+              Deposit: <span className="font-medium text-gray-800">{formatDeposit(booking.deposit)}</span>
+              {' '}({DEPOSIT_LABELS[booking.deposit.status] || booking.deposit.status})
+            </p>
+            {booking.deposit.paymentUrl && (
+              <>
+                <p className="mt-1">
+                  Your table is confirmed once the deposit is paid. Please pay by{' '}
+                  {new Date(booking.deposit.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })},
+                  or the table is released.
+                </p>
+                <a
+                  href={booking.deposit.paymentUrl}
+                  className="inline-block mt-3 px-4 py-2 rounded-lg text-sm font-medium bg-accent text-white hover:bg-blue-600"
+                >
+                  Pay deposit
+                </a>
+              </>
+            )}
+          </div>
+        )}
+        <div className="px-8 pb-4">
+          <a
+            href={`${api.defaults.baseURL}/bookings/${id}/calendar.ics?${searchParams}`}
+            className="inline-block px-4 py-2 rounded-lg text-sm font-medium text-gray-600 border border-gray-200 hover:bg-gray-50 transition-colors"
+          >
+            Add to calendar
+          </a>
+        </div>
+        <p className="px-8 pb-8 text-sm text-gray-400">
+          Need to change or cancel? Talk to our AI agent and mention your confirmation code.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+const GuestItem = ({ label, value }) => (
+  <div>
+    <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
+    <span className="text-lg font-medium text-gray-800">{value}</span>
+  </div>
+);
+
+export default GuestBooking;
@@ -0,0 +1,231 @@
+import { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import api, { describeApiError } from '../api';
+import { useAuth, canFlagGuests } from '../auth';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm disabled:bg-gray-50';
+
+// What staff can change here, as the API takes it
+const toFormValues = (guest) => ({
+  name: guest.name,
+  phone: guest.phone || '',
+  email: guest.email || '',
+  preferences: guest.preferences,
+  notes: guest.notes || '',
+  vip: guest.vip,
+  blacklisted: guest.blacklisted,
+  blacklistReason: guest.blacklistReason || '',
+});
+
+const GuestProfile = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(null); // { guest, bookings, stats }
+  const [form, setForm] = useState(null);
+  const [tags, setTags] = useState({ dietaryTags: [], allergens: [] });
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    api.get(`/guests/${id}`)
+       .then(res => {
+         setProfile(res.data);
+         setForm(toFormValues(res.data.guest));
+       })
+       .catch(err => setError(describeApiError(err, 'Failed to load the guest')));
+  }, [id]);
+
+  useEffect(() => {
+    api.get('/menu/tags')
+       .then(res => setTags(res.data))
+       .catch(err => console.error(err));
+  }, []);
+
+  const change = (updates) => {
+    setForm({ ...form, ...updates });
+    setSaved(false);
+  };
+  const changePreference = (key, value) => change({ preferences: { ...form.preferences, [key]: value } });
+  const togglePreference = (key, tag) => {
+    const list = form.preferences[key];
+    changePreference(key, list.includes(tag) ? list.filter(t => t !== tag) : [...list, tag]);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    // Only send what actually changed; flags are refused for staff who cannot set them
+    const original = toFormValues(profile.guest);
+    const changes = Object.fromEntries(
+      Object.entries(form).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(original[key]))
+    );
+    try {
+      const res = await api.patch(`/guests/${id}`, changes);
+      setProfile({ ...profile, guest: res.data });
+      setForm(toFormValues(res.data));
+      setSaved(true);
+    } catch (err) {
+      setError(describeApiError(err, 'Failed to save the guest'));
+    }
+  };
+
+  if (!profile) return <div className="p-10 text-center">{error || 'Loading guest...'}</div>;
+
+  const { guest, bookings, stats } = profile;
+  const canFlag = canFlagGuests(user);
+
+  return (
+    <div className="max-w-2xl mx-auto p-6">
+      <Link to="/" className="text-gray-400 hover:text-gray-600 mb-6 inline-block">← Back to Dashboard</Link>
+      <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-hidden">
+        <div className="bg-primary p-6 text-white flex justify-between items-center">
+          <div>
+            <h2 className="text-2xl font-bold">{guest.name}</h2>
+            <p className="opacity-80 text-sm">{[guest.phone, guest.email].filter(Boolean).join(' • ')}</p>
+          </div>
+          <GuestBadges guest={guest} />
+        </div>
+
+        {/* Their record across every location */}
+        <div className="px-8 pt-6 grid grid-cols-4 gap-4">
+          <DetailItem label="Visits" value={stats.visits} />
+          <DetailItem label="No-shows" value={stats.noShows} />
+          <DetailItem label="Cancellations" value={stats.cancellations} />
+          <DetailItem label="Last visit" value={stats.lastVisit ? new Date(stats.lastVisit).toLocaleDateString() : '---'} />
+        </div>
+
+        <form onSubmit={handleSave} className="p-8 grid grid-cols-2 gap-y-4 gap-x-4">
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Name</span>
+            <input type="text" value={form.name} onChange={(e) => change({ name: e.target.value })} className={inputClass} />
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Phone</span>
+            <input type="tel" value={form.phone} onChange={(e) => change({ phone: e.target.value })} className={inputClass} />
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Email</span>
+            <input type="email" value={form.email} onChange={(e) => change({ email: e.target.value })} className={inputClass} />
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Usual seating</span>
+            <select value={form.preferences.seating} onChange={(e) => changePreference('seating', e.target.value)} className={inputClass}>
+              {['Any', 'Indoor', 'Outdoor'].map(option => <option key={option}>{option}</option>)}
+            </select>
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Usual cuisine</span>
+            <input
+              type="text"
+              value={form.preferences.cuisine}
+              onChange={(e) => changePreference('cuisine', e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          {[
+            { key: 'dietaryRequirements', label: 'Dietary', vocabulary: 'dietaryTags' },
+            { key: 'allergies', label: 'Allergies', vocabulary: 'allergens' },
+          ].map(field => (
+            <div key={field.key} className="col-span-2">
+              <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{field.label}</span>
+              <span className="flex flex-wrap gap-3 text-sm">
+                {tags[field.vocabulary].map(tag => (
+                  <label key={tag} className="flex items-center gap-1 text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={form.preferences[field.key].includes(tag)}
+                      onChange={() => togglePreference(field.key, tag)}
+                    />
+                    {tag}
+                  </label>
+                ))}
+              </span>
+            </div>
+          ))}
+          <label className="col-span-2">
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Notes</span>
+            <textarea
+              rows={3}
+              value={form.notes}
+              placeholder="e.g. prefers the corner table"
+              onChange={(e) => change({ notes: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+
+          {/* Managers and admins only; a blacklisted guest's bookings wait for staff to confirm them */}
+          <div className="col-span-2 flex flex-wrap items-center gap-6 text-sm text-gray-600">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={form.vip} disabled={!canFlag} onChange={(e) => change({ vip: e.target.checked })} />
+              VIP
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.blacklisted}
+                disabled={!canFlag}
+                onChange={(e) => change({ blacklisted: e.target.checked })}
+              />
+              Blacklisted
+            </label>
+            {form.blacklisted && (
+              <input
+                type="text"
+                value={form.blacklistReason}
+                placeholder="Reason"
+                disabled={!canFlag}
+                onChange={(e) => change({ blacklistReason: e.target.value })}
+                className={`${inputClass} flex-1`}
+              />
+            )}
+          </div>
+
+          {error && <p className="col-span-2 text-sm text-red-600">{error}</p>}
+          {saved && <p className="col-span-2 text-sm text-green-600">Guest saved.</p>}
+          <div className="col-span-2 flex justify-end">
+            <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">
+              Save changes
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Bookings at this staff member's locations, newest first */}
+      <div className="mt-8">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Bookings ({stats.bookings})</h3>
+        <ul className="bg-white rounded-xl border border-gray-100 divide-y divide-gray-50">
+          {bookings.map(booking => (
+            <li key={booking._id} className="px-4 py-3 flex justify-between items-center text-sm">
+              <Link to={`/details/${booking._id}`} className="text-accent hover:underline">
+                {new Date(booking.bookingDate).toDateString()} at {booking.bookingTime}
+              </Link>
+              <span className="text-gray-500">
+                {booking.numberOfGuests} guests • {booking.status}
+              </span>
+            </li>
+          ))}
+          {bookings.length === 0 && <li className="px-4 py-3 text-sm text-gray-400">No bookings at your locations.</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// VIP and blacklist flags, shown on the profile and on their bookings
+export const GuestBadges = ({ guest }) => (
+  <span className="flex gap-2">
+    {guest.vip && <span className="px-3 py-1 bg-amber-400 text-white rounded-lg text-sm">VIP</span>}
+    {guest.blacklisted && (
+      <span className="px-3 py-1 bg-red-500 text-white rounded-lg text-sm" title={guest.blacklistReason}>Blacklisted</span>
+    )}
+  </span>
+);
+
+const DetailItem = ({ label, value }) => (
+  <div>
+    <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
+    <span className="text-lg font-medium text-gray-800">{value}</span>
+  </div>
+);
+
+export default GuestProfile;
@@ -1,93 +1,251 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../api';
+import { STATUS_STYLES } from '../bookingStatus';
+import DaySummary from '../components/DaySummary';
+import WaitlistPanel from '../components/WaitlistPanel';
+import { useLiveEvents } from '../liveEvents';
+import { useI18n } from '../i18n';
+import { useLocations } from '../locations';
+
+const STATUSES = Object.keys(STATUS_STYLES);
+const today = () => new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+
+const EMPTY_FILTERS = { q: '', status: '', seating: '', minGuests: '', from: '', to: '' };
+
+// Drops empty filters so the API only sees what the user picked
+const toParams = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+
+const HIGHLIGHT_MS = 8000; // How long a newly arrived booking stays highlighted
 
 const Home = () => {
+  const { locale, t } = useI18n();
+  const { current } = useLocations();
+  const [view, setView] = useState('day'); // 'day' (tonight's covers) or 'all'
+  const [date, setDate] = useState(today);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [bookingsList, setBookingsList] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [arrivals, setArrivals] = useState([]); // Ids of bookings that just came in live
 
-  useEffect(() => {
-    fetchBookings();
-  }, []);
+  const params = useMemo(() => {
+    const { from, to, ...rest } = filters;
+    return view === 'day'
+      ? toParams({ ...rest, date, limit: 200 })
+      : toParams({ ...rest, from, to });
+  }, [view, date, filters]);
+
+  const fetchSummary = useCallback(async () => {
+    if (view !== 'day') return;
+    try {
+      const res = await api.get('/bookings/summary', { params });
+      setSummary(res.data);
+    } catch (err) {
+      console.error("Error fetching summary:", err);
+    }
+  }, [params, view]);
 
-  const fetchBookings = async () => {
+  const fetchBookings = useCallback(async (cursor) => {
+    setLoading(true);
     try {
-      const res = await api.get('/bookings');
-      setBookingsList(res.data);
+      const res = await api.get('/bookings', { params: { ...params, cursor } });
+      setBookingsList(list => (cursor ? [...list, ...res.data.bookings] : res.data.bookings));
+      setNextCursor(res.data.nextCursor);
+      if (!cursor) fetchSummary();
     } catch (err) {
       console.error("Error fetching bookings:", err);
     } finally {
       setLoading(false);
     }
-  };
+  }, [params, fetchSummary]);
 
-  const handleDelete = async (id, e) => {
-    e.preventDefault(); 
-    if (!window.confirm("Are you sure you want to cancel this booking?")) return;
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]);
+
+  // Live updates: new bookings reload the list (so filters and order still apply),
+  // changes are patched in place.
+  const handleLiveEvent = useCallback((type, booking) => {
+    if (type === 'booking.created') {
+      fetchBookings();
+      setArrivals(ids => [...ids, booking._id]);
+      setTimeout(() => setArrivals(ids => ids.filter(id => id !== booking._id)), HIGHLIGHT_MS);
+      return;
+    }
+    setBookingsList(list => (type === 'booking.deleted'
+      ? list.filter(b => b._id !== booking._id)
+      : list.map(b => (b._id === booking._id ? booking : b))));
+    fetchSummary();
+  }, [fetchBookings, fetchSummary]);
+
+  const connection = useLiveEvents(handleLiveEvent);
+
+  const handleCancel = async (id, e) => {
+    e.preventDefault();
+    if (!window.confirm(t('home.confirmCancel'))) return;
     try {
-      await api.delete(`/bookings/${id}`);
+      await api.post(`/bookings/${id}/cancel`);
       fetchBookings();
     } catch (err) {
-      alert("Error deleting booking");
+      alert(err.response?.data?.error || t('home.cancelFailed'));
     }
   };
 
+  // Personal iCal feed URL for subscribing from a calendar app
+  const copyFeedUrl = async () => {
+    try {
+      const res = await api.get('/calendar/feed-url');
+      await navigator.clipboard.writeText(res.data.url);
+      alert(t('home.feedCopied'));
+    } catch (err) {
+      alert(err.response?.data?.error || t('home.feedFailed'));
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const inputClass = "border border-gray-200 rounded-lg px-3 py-2 text-sm bg-white";
+
   return (
     <div className="max-w-5xl mx-auto p-6">
       <div className="flex justify-between items-center mb-8">
-        <h2 className="text-3xl font-bold text-gray-800">Dashboard</h2>
-        <Link 
-          to="/chat" 
-          className="bg-accent hover:bg-blue-600 text-white px-6 py-2 rounded-lg shadow-md transition-all flex items-center gap-2"
-        >
-          <span>+ New Booking</span>
-        </Link>
+        <div className="flex items-center gap-3">
+          <h2 className="text-3xl font-bold text-gray-800">{t('home.title')}</h2>
+          <span className="flex items-center gap-1.5 text-xs text-gray-400" title={t('home.liveUpdates')}>
+            <span className={`w-2 h-2 rounded-full ${connection === 'live' ? 'bg-green-500' : 'bg-yellow-400 animate-pulse'}`} />
+            {t(`home.connection.${connection}`)}
+          </span>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={copyFeedUrl} className="text-sm font-medium text-gray-500 hover:text-accent transition-colors">
+            {t('home.calendarFeed')}
+          </button>
+          <Link
+            to={current ? `/chat?location=${current.slug}` : '/chat'}
+            className="bg-accent hover:bg-blue-600 text-white px-6 py-2 rounded-lg shadow-md transition-all flex items-center gap-2"
+          >
+            <span>{t('home.newBooking')}</span>
+          </Link>
+        </div>
+      </div>
+
+      {/* View switch and filters */}
+      <div className="flex flex-wrap gap-3 items-center mb-6">
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm">
+          {[['day', t('home.dayView')], ['all', t('home.allBookings')]].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 ${view === key ? 'bg-primary text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {view === 'day' ? (
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} aria-label={t('home.day')} />
+        ) : (
+          <>
+            <input type="date" value={filters.from} onChange={setFilter('from')} className={inputClass} aria-label={t('home.from')} />
+            <input type="date" value={filters.to} onChange={setFilter('to')} className={inputClass} aria-label={t('home.to')} />
+          </>
+        )}
+        <input
+          type="search"
+          placeholder={t('home.searchName')}
+          value={filters.q}
+          onChange={setFilter('q')}
+          className={inputClass}
+        />
+        <select value={filters.status} onChange={setFilter('status')} className={inputClass} aria-label={t('home.status')}>
+          <option value="">{t('home.anyStatus')}</option>
+          {STATUSES.map(status => <option key={status} value={status}>{t(`status.${status}`)}</option>)}
+        </select>
+        <select value={filters.seating} onChange={setFilter('seating')} className={inputClass} aria-label={t('home.seating')}>
+          <option value="">{t('home.anySeating')}</option>
+          <option value="Indoor">{t('seating.Indoor')}</option>
+          <option value="Outdoor">{t('seating.Outdoor')}</option>
+        </select>
+        <input
+          type="number"
+          min="1"
+          placeholder={t('home.minGuests')}
+          value={filters.minGuests}
+          onChange={setFilter('minGuests')}
+          className={`${inputClass} w-28`}
+        />
+        {Object.values(filters).some(Boolean) && (
+          <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-sm text-gray-400 hover:text-gray-600">
+            {t('home.clear')}
+          </button>
+        )}
       </div>
 
+      {view === 'day' && <DaySummary summary={summary} />}
+      {view === 'day' && <WaitlistPanel date={date} />}
+
       {bookingsList.length === 0 ? (
         <div className="text-center py-20 bg-white rounded-xl shadow-sm border border-gray-100">
-          <p className="text-gray-400 text-lg">No bookings found yet.</p>
+          <p className="text-gray-400 text-lg">{loading ? t('home.loadingBookings') : t('home.noBookings')}</p>
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {bookingsList.map((b) => (
-            <Link 
-              to={`/details/${b._id}`} 
-              key={b._id} 
-              className="block bg-white p-6 rounded-xl shadow-sm hover:shadow-lg hover:-translate-y-1 transition-all border border-gray-100 group"
+            <Link
+              to={`/details/${b._id}`}
+              key={b._id}
+              className={`block bg-white p-6 rounded-xl shadow-sm hover:shadow-lg hover:-translate-y-1 transition-all border group ${
+                arrivals.includes(b._id) ? 'border-green-400 ring-2 ring-green-200' : 'border-gray-100'
+              }`}
             >
               <div className="flex justify-between items-start mb-4">
                 <span className="bg-gray-100 text-gray-600 px-3 py-1 rounded-full text-xs font-semibold">
-                  {new Date(b.bookingDate).toLocaleDateString()}
+                  {new Date(b.bookingDate).toLocaleDateString(locale)}
                 </span>
-                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                  b.status === 'Confirmed' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'
-                }`}>
-                  {b.status}
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[b.status]}`}>
+                  {t(`status.${b.status}`)}
                 </span>
               </div>
-              
+
               <h3 className="text-xl font-bold text-gray-800 mb-1 group-hover:text-accent transition-colors">
                 {b.customerName}
+                {arrivals.includes(b._id) && <span className="ml-2 text-xs font-semibold text-green-600 align-middle">{t('home.new')}</span>}
               </h3>
               <p className="text-gray-500 text-sm mb-4">
-                {b.bookingTime} • {b.numberOfGuests} Guests
+                {b.bookingTime} • {t('home.guests', { count: b.numberOfGuests })}
+                {b.assignedTables?.length > 0 && ` • ${b.assignedTables.map(table => table.name).join(' + ')}`}
               </p>
 
               <div className="flex justify-end pt-4 border-t border-gray-50">
-                <button 
-                  onClick={(e) => handleDelete(b._id, e)}
-                  className="text-red-400 hover:text-red-600 text-sm font-medium px-3 py-1 hover:bg-red-50 rounded-md transition-colors"
-                >
-                  Cancel
-                </button>
+                {b.allowedActions?.includes('cancel') && (
+                  <button
+                    onClick={(e) => handleCancel(b._id, e)}
+                    className="text-red-400 hover:text-red-600 text-sm font-medium px-3 py-1 hover:bg-red-50 rounded-md transition-colors"
+                  >
+                    {t('home.cancel')}
+                  </button>
+                )}
               </div>
             </Link>
           ))}
         </div>
       )}
+
+      {nextCursor && (
+        <div className="text-center mt-8">
+          <button
+            onClick={() => fetchBookings(nextCursor)}
+            disabled={loading}
+            className="px-6 py-2 rounded-lg border border-gray-200 bg-white text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {loading ? t('home.loading') : t('home.loadMore')}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-export default Home;
\ No newline at end of file
+export default Home;
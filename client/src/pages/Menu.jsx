@@ -0,0 +1,176 @@
+import { useEffect, useState } from 'react';
+import api, { describeApiError } from '../api';
+import { useAuth, canEditMenu } from '../auth';
+
+const EMPTY_DISH = { name: '', cuisine: '', course: 'Main', price: '', description: '', dietaryTags: [], allergens: [], available: true };
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm';
+
+const Menu = () => {
+  const { user } = useAuth();
+  const editable = canEditMenu(user);
+  const [dishes, setDishes] = useState([]);
+  const [tags, setTags] = useState({ dietaryTags: [], allergens: [], courses: [] });
+  const [form, setForm] = useState(null); // The dish being added or edited
+  const [error, setError] = useState('');
+
+  const fetchMenu = () => {
+    api.get('/menu')
+       .then(res => setDishes(res.data))
+       .catch(err => console.error(err));
+  };
+
+  useEffect(() => {
+    fetchMenu();
+    api.get('/menu/tags')
+       .then(res => setTags(res.data))
+       .catch(err => console.error(err));
+  }, []);
+
+  const toggleTag = (key, tag) => {
+    const list = form[key].includes(tag) ? form[key].filter(t => t !== tag) : [...form[key], tag];
+    setForm({ ...form, [key]: list });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    // Only the dish's own fields; the server refuses ids and timestamps in the body
+    const dish = { ...Object.fromEntries(Object.keys(EMPTY_DISH).map(key => [key, form[key]])), price: Number(form.price) };
+    try {
+      if (form._id) await api.patch(`/menu/${form._id}`, dish);
+      else await api.post('/menu', dish);
+      setForm(null);
+      fetchMenu();
+    } catch (err) {
+      setError(describeApiError(err, 'Failed to save dish'));
+    }
+  };
+
+  const toggleAvailable = async (dish) => {
+    try {
+      await api.patch(`/menu/${dish._id}`, { available: !dish.available });
+      fetchMenu();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update dish');
+    }
+  };
+
+  const handleDelete = async (dish) => {
+    if (!window.confirm(`Remove ${dish.name} from the menu?`)) return;
+    try {
+      await api.delete(`/menu/${dish._id}`);
+      fetchMenu();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove dish');
+    }
+  };
+
+  const cuisines = [...new Set(dishes.map(dish => dish.cuisine))];
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Menu</h2>
+          <p className="text-sm text-gray-500">The AI agent answers guests' food questions from this list.</p>
+        </div>
+        {editable && !form && (
+          <button onClick={() => setForm(EMPTY_DISH)} className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">
+            + Add dish
+          </button>
+        )}
+      </div>
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-2xl border border-gray-100 p-6 mb-8 grid grid-cols-2 gap-4">
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Name</span>
+            <input required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} />
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Cuisine</span>
+            <input required list="cuisines" value={form.cuisine} onChange={(e) => setForm({ ...form, cuisine: e.target.value })} className={inputClass} />
+            <datalist id="cuisines">{cuisines.map(cuisine => <option key={cuisine} value={cuisine} />)}</datalist>
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Course</span>
+            <select value={form.course} onChange={(e) => setForm({ ...form, course: e.target.value })} className={inputClass}>
+              {tags.courses.map(course => <option key={course}>{course}</option>)}
+            </select>
+          </label>
+          <label>
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Price</span>
+            <input required type="number" min="0" value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} className={inputClass} />
+          </label>
+          <label className="col-span-2">
+            <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Description</span>
+            <input value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} className={inputClass} />
+          </label>
+          {[['dietaryTags', 'Suitable for'], ['allergens', 'Contains']].map(([key, label]) => (
+            <div key={key} className="col-span-2">
+              <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
+              <div className="flex flex-wrap gap-3 text-sm">
+                {tags[key].map(tag => (
+                  <label key={tag} className="flex items-center gap-1 text-gray-600">
+                    <input type="checkbox" checked={form[key].includes(tag)} onChange={() => toggleTag(key, tag)} />
+                    {tag}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+          <div className="col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={() => setForm(null)} className="px-4 py-2 text-sm text-gray-500 hover:text-gray-700">
+              Discard
+            </button>
+            <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">
+              Save dish
+            </button>
+          </div>
+        </form>
+      )}
+
+      {cuisines.map(cuisine => (
+        <section key={cuisine} className="mb-8">
+          <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-3">{cuisine}</h3>
+          <ul className="bg-white rounded-xl border border-gray-100 divide-y divide-gray-50">
+            {dishes.filter(dish => dish.cuisine === cuisine).map(dish => (
+              <li key={dish._id} className={`px-4 py-3 flex justify-between items-start gap-4 ${dish.available ? '' : 'opacity-50'}`}>
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {dish.name} <span className="text-xs text-gray-400">{dish.course}</span>
+                  </p>
+                  <p className="text-sm text-gray-500">{dish.description}</p>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {dish.dietaryTags.map(tag => (
+                      <span key={tag} className="px-2 py-0.5 rounded-full bg-green-50 text-green-700 text-xs">{tag}</span>
+                    ))}
+                    {dish.allergens.map(allergen => (
+                      <span key={allergen} className="px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 text-xs">{allergen}</span>
+                    ))}
+                  </div>
+                </div>
+                <div className="text-right shrink-0">
+                  <p className="font-semibold text-gray-700">{dish.price}</p>
+                  {editable && (
+                    <div className="flex gap-2 text-xs mt-1">
+                      <button onClick={() => toggleAvailable(dish)} className="text-gray-500 hover:text-gray-700">
+                        {dish.available ? 'Mark unavailable' : 'Mark available'}
+                      </button>
+                      <button onClick={() => setForm({ ...EMPTY_DISH, ...dish })} className="text-accent hover:underline">Edit</button>
+                      <button onClick={() => handleDelete(dish)} className="text-red-400 hover:text-red-600">Remove</button>
+                    </div>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default Menu;
@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateString = (date) => date.toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+const daysAgo = (days) => toDateString(new Date(Date.now() - days * DAY_MS));
+
+const PRESETS = [['Last 7 days', 6], ['Last 30 days', 29], ['Last 90 days', 89]];
+// One colour per service period, in order; anything beyond falls back to grey
+const SERVICE_COLOURS = ['bg-amber-400', 'bg-accent', 'bg-purple-400', 'bg-green-400'];
+const SOURCE_LABELS = { agent: 'AI agent', staff: 'Staff', guest: 'Guest (waitlist)', system: 'System' };
+
+const inputClass = 'border border-gray-200 rounded-lg px-3 py-2 text-sm bg-white';
+
+const describeError = (err) => {
+  const data = err.response?.data;
+  return data?.details ? data.details.join('. ') : data?.error || 'Failed to load the report';
+};
+
+// Manager reports over a range of reservation dates
+const Reports = () => {
+  const [range, setRange] = useState(() => ({ from: daysAgo(29), to: daysAgo(0) }));
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(() => {
+    api.get('/reports', { params: range })
+       .then(res => {
+         setReport(res.data);
+         setError('');
+       })
+       .catch(err => setError(describeError(err)));
+  }, [range]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  // The download needs the staff token, so fetch it through the API client
+  const downloadCsv = async () => {
+    try {
+      const res = await api.get('/reports/bookings.csv', { params: range, responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bookings-${range.from}-to-${range.to}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(describeError(err));
+    }
+  };
+
+  const setField = (key) => (e) => setRange({ ...range, [key]: e.target.value });
+
+  return (
+    <div className="max-w-5xl mx-auto p-6">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-8">
+        <h2 className="text-3xl font-bold text-gray-800">Reports</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {PRESETS.map(([label, days]) => (
+            <button
+              key={label}
+              onClick={() => setRange({ from: daysAgo(days), to: daysAgo(0) })}
+              className="text-sm text-gray-500 hover:text-accent"
+            >
+              {label}
+            </button>
+          ))}
+          <input type="date" value={range.from} onChange={setField('from')} className={inputClass} aria-label="From" />
+          <input type="date" value={range.to} onChange={setField('to')} className={inputClass} aria-label="To" />
+          <button onClick={downloadCsv} className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">
+            Export CSV
+          </button>
+        </div>
+      </div>
+      {error && <p className="mb-6 text-sm text-red-600">{error}</p>}
+
+      {report && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            <Stat label="Bookings" value={report.totals.bookings} />
+            <Stat label="Covers" value={report.totals.guests} />
+            <Stat label="Cancellation rate" value={`${report.totals.cancellationRate}%`} detail={`${report.totals.cancelled} cancelled`} />
+            <Stat label="No-show rate" value={`${report.totals.noShowRate}%`} detail={`${report.totals.noShows} no-shows`} />
+            <Stat
+              label="Chat conversion"
+              value={`${report.chat.conversionRate}%`}
+              detail={`${report.chat.converted} of ${report.chat.sessions} chats booked`}
+            />
+          </div>
+
+          <Panel title="Covers per day">
+            <DailyCovers days={report.days} services={report.services.map(s => s.name)} />
+          </Panel>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Panel title="Covers by service">
+              <Bars items={report.services.map(s => ({ label: s.name, value: s.guests, detail: `${s.bookings} bookings` }))} />
+            </Panel>
+            <Panel title="Seating mix">
+              <Bars items={report.seating.map(s => ({ label: s.name, value: s.guests, detail: `${s.bookings} bookings` }))} percent />
+            </Panel>
+            <Panel title="Booked how far ahead">
+              <Bars items={report.leadTime.map(b => ({ label: b.label, value: b.bookings }))} />
+            </Panel>
+            <Panel title="Popular cuisines">
+              <Bars items={report.cuisines.map(c => ({ label: c.cuisine, value: c.bookings, detail: `${c.guests} covers` }))} />
+            </Panel>
+            <Panel title="Booked by">
+              <Bars items={report.sources.map(s => ({ label: SOURCE_LABELS[s.source] || s.source, value: s.bookings }))} percent />
+            </Panel>
+            <Panel title="Bookings by status">
+              <Bars items={report.statuses.map(s => ({ label: s.status, value: s.bookings }))} percent />
+            </Panel>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const Stat = ({ label, value, detail }) => (
+  <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+    <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
+    <span className="text-2xl font-bold text-gray-800">{value}</span>
+    {detail && <span className="block text-xs text-gray-400">{detail}</span>}
+  </div>
+);
+
+const Panel = ({ title, children }) => (
+  <section className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+    <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">{title}</h3>
+    {children}
+  </section>
+);
+
+// Horizontal bars scaled to the largest value (or shown as shares of the total)
+const Bars = ({ items, percent = false }) => {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const largest = Math.max(1, ...items.map(item => item.value));
+  if (total === 0) return <p className="text-sm text-gray-400">Nothing in this range.</p>;
+
+  return (
+    <div className="space-y-2">
+      {items.map(item => (
+        <div key={item.label} className="flex items-center gap-3 text-sm">
+          <span className="w-28 truncate text-gray-600" title={item.label}>{item.label}</span>
+          <div className="flex-1 bg-gray-100 rounded-full h-3 overflow-hidden">
+            <div className="bg-accent h-3 rounded-full" style={{ width: `${(item.value / largest) * 100}%` }} />
+          </div>
+          <span className="w-32 text-right text-gray-600">
+            {percent ? `${Math.round((item.value / total) * 100)}% (${item.value})` : item.value}
+            {item.detail && <span className="block text-xs text-gray-400">{item.detail}</span>}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// One column per day, stacked by service period
+const DailyCovers = ({ days, services }) => {
+  const busiest = Math.max(1, ...days.map(day => day.guests));
+  const colourOf = (name) => SERVICE_COLOURS[services.indexOf(name)] || 'bg-gray-300';
+
+  return (
+    <>
+      <div className="flex items-end gap-px h-40" role="img" aria-label="Covers per day">
+        {days.map(day => (
+          <div
+            key={day.date}
+            className="flex-1 flex flex-col-reverse h-full"
+            title={`${day.date}: ${day.guests} covers, ${day.bookings} bookings`}
+          >
+            {Object.entries(day.services).map(([name, guests]) => (
+              <div key={name} className={colourOf(name)} style={{ height: `${(guests / busiest) * 100}%` }} />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mt-2">
+        <span>{days[0]?.date}</span>
+        <span className="flex gap-3">
+          {services.map(name => (
+            <span key={name} className="flex items-center gap-1">
+              <span className={`w-2 h-2 rounded-full ${colourOf(name)}`} /> {name}
+            </span>
+          ))}
+        </span>
+        <span>{days[days.length - 1]?.date}</span>
+      </div>
+    </>
+  );
+};
+
+export default Reports;
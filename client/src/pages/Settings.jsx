@@ -0,0 +1,283 @@
+import { useEffect, useState } from 'react';
+import api from '../api';
+import { useAuth, canEditSettings } from '../auth';
+import LocationDetails from '../components/LocationDetails';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const LIMIT_FIELDS = [
+  { key: 'maxPartySize', label: 'Largest party', unit: 'guests', min: 1 },
+  { key: 'minLeadMinutes', label: 'Minimum notice', unit: 'minutes', min: 0 },
+  { key: 'maxAdvanceDays', label: 'Book up to', unit: 'days ahead', min: 1 },
+];
+
+const DEPOSIT_FIELDS = [
+  { key: 'depositPerGuest', label: 'Deposit', unit: 'per guest', min: 0 },
+  { key: 'depositRefundHours', label: 'Refund if cancelled', unit: 'hours ahead', min: 0 },
+  { key: 'depositHoldMinutes', label: 'Time to pay', unit: 'minutes', min: 30 },
+];
+
+const inputClass = 'border border-gray-200 rounded-lg px-3 py-2 text-sm disabled:bg-gray-50';
+
+const Settings = () => {
+  const { user } = useAuth();
+  const editable = canEditSettings(user);
+  const [settings, setSettings] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    api.get('/settings')
+       .then(res => setSettings(res.data))
+       .catch(err => console.error(err));
+  }, []);
+
+  const change = (updates) => {
+    setSettings({ ...settings, ...updates });
+    setSaved(false);
+  };
+
+  // Replaces item idx of a list setting with { ...item, ...updates }
+  const changeItem = (key, idx, updates) =>
+    change({ [key]: settings[key].map((item, i) => (i === idx ? { ...item, ...updates } : item)) });
+  const removeItem = (key, idx) => change({ [key]: settings[key].filter((item, i) => i !== idx) });
+  // Adds or removes a value in a list field of item idx (e.g. a deposit rule's days)
+  const toggleInItem = (key, idx, field, value) => {
+    const list = settings[key][idx][field];
+    changeItem(key, idx, { [field]: list.includes(value) ? list.filter(v => v !== value) : [...list, value] });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setErrors([]);
+    try {
+      const res = await api.put('/settings', settings);
+      setSettings(res.data);
+      setSaved(true);
+    } catch (err) {
+      const data = err.response?.data || {};
+      setErrors(data.details || [data.error || 'Failed to save settings']);
+    }
+  };
+
+  if (!settings) return <div className="p-10 text-center">Loading settings...</div>;
+
+  return (
+    <form onSubmit={handleSave} className="max-w-3xl mx-auto p-6 space-y-8">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-gray-800">Restaurant Settings</h2>
+        {editable && (
+          <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-accent text-white hover:bg-blue-600">
+            Save settings
+          </button>
+        )}
+      </div>
+      {!editable && <p className="text-sm text-gray-500">Only managers and admins can change these settings.</p>}
+      {saved && <p className="text-sm text-green-600">Settings saved. New bookings follow them straight away.</p>}
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-600 list-disc pl-5">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+
+      <LocationDetails editable={editable} />
+
+      {/* Bookings must start within the day's hours */}
+      <section className="bg-white rounded-2xl border border-gray-100 p-6">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Opening Hours</h3>
+        <div className="space-y-2">
+          {settings.weeklyHours.map((hours, idx) => (
+            <div key={hours.day} className="flex items-center gap-3 text-sm">
+              <span className="w-28 font-medium text-gray-700">{DAY_NAMES[hours.day]}</span>
+              <label className="flex items-center gap-1 text-gray-500 w-24">
+                <input
+                  type="checkbox"
+                  checked={hours.closed}
+                  disabled={!editable}
+                  onChange={(e) => changeItem('weeklyHours', idx, { closed: e.target.checked })}
+                />
+                Closed
+              </label>
+              {!hours.closed && (
+                <>
+                  <input type="time" value={hours.open} disabled={!editable} className={inputClass}
+                    onChange={(e) => changeItem('weeklyHours', idx, { open: e.target.value })} />
+                  <span className="text-gray-400">to</span>
+                  <input type="time" value={hours.close} disabled={!editable} className={inputClass}
+                    onChange={(e) => changeItem('weeklyHours', idx, { close: e.target.value })} />
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="bg-white rounded-2xl border border-gray-100 p-6">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Service Periods</h3>
+        <div className="space-y-2">
+          {settings.servicePeriods.map((period, idx) => (
+            <div key={idx} className="flex items-center gap-3 text-sm">
+              <input type="text" value={period.name} placeholder="Name" disabled={!editable} className={`${inputClass} w-32`}
+                onChange={(e) => changeItem('servicePeriods', idx, { name: e.target.value })} />
+              <input type="time" value={period.start} disabled={!editable} className={inputClass}
+                onChange={(e) => changeItem('servicePeriods', idx, { start: e.target.value })} />
+              <span className="text-gray-400">to</span>
+              <input type="time" value={period.end} disabled={!editable} className={inputClass}
+                onChange={(e) => changeItem('servicePeriods', idx, { end: e.target.value })} />
+              {editable && (
+                <button type="button" onClick={() => removeItem('servicePeriods', idx)} className="text-red-400 hover:text-red-600">
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        {editable && (
+          <button
+            type="button"
+            onClick={() => change({ servicePeriods: [...settings.servicePeriods, { name: '', start: '12:00', end: '15:00' }] })}
+            className="mt-3 text-sm text-accent hover:underline"
+          >
+            + Add service
+          </button>
+        )}
+      </section>
+
+      <section className="bg-white rounded-2xl border border-gray-100 p-6">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Closures</h3>
+        {settings.blackoutDates.length === 0 && <p className="text-sm text-gray-400">No closures planned.</p>}
+        <div className="space-y-2">
+          {settings.blackoutDates.map((closure, idx) => (
+            <div key={idx} className="flex items-center gap-3 text-sm">
+              <input type="date" value={closure.date} disabled={!editable} className={inputClass}
+                onChange={(e) => changeItem('blackoutDates', idx, { date: e.target.value })} />
+              <input type="text" value={closure.reason || ''} placeholder="Reason, e.g. Christmas" disabled={!editable}
+                className={`${inputClass} flex-1`}
+                onChange={(e) => changeItem('blackoutDates', idx, { reason: e.target.value })} />
+              {editable && (
+                <button type="button" onClick={() => removeItem('blackoutDates', idx)} className="text-red-400 hover:text-red-600">
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        {editable && (
+          <button
+            type="button"
+            onClick={() => change({ blackoutDates: [...settings.blackoutDates, { date: '', reason: '' }] })}
+            className="mt-3 text-sm text-accent hover:underline"
+          >
+            + Add closure
+          </button>
+        )}
+      </section>
+
+      <section className="bg-white rounded-2xl border border-gray-100 p-6">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Booking Limits</h3>
+        <div className="grid grid-cols-3 gap-4">
+          {LIMIT_FIELDS.map(field => (
+            <label key={field.key} className="text-sm">
+              <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{field.label}</span>
+              <input
+                type="number"
+                min={field.min}
+                value={settings[field.key]}
+                disabled={!editable}
+                onChange={(e) => change({ [field.key]: Number(e.target.value) })}
+                className={`${inputClass} w-24`}
+              />
+              <span className="ml-2 text-gray-500">{field.unit}</span>
+            </label>
+          ))}
+        </div>
+      </section>
+
+      {/* A booking matching any rule is held as Pending until the deposit is paid */}
+      <section className="bg-white rounded-2xl border border-gray-100 p-6">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Deposits</h3>
+        {settings.depositRules.length === 0 && <p className="text-sm text-gray-400">No deposits are taken.</p>}
+        <div className="space-y-3">
+          {settings.depositRules.map((rule, idx) => (
+            <div key={idx} className="flex flex-wrap items-center gap-3 text-sm border-b border-gray-50 pb-3">
+              <label className="flex items-center gap-2 text-gray-500">
+                Parties of
+                <input type="number" min="1" value={rule.minGuests ?? ''} placeholder="any" disabled={!editable}
+                  className={`${inputClass} w-20`}
+                  onChange={(e) => changeItem('depositRules', idx, { minGuests: e.target.value ? Number(e.target.value) : null })} />
+                or more
+              </label>
+              <span className="flex gap-2">
+                {DAY_NAMES.map((name, day) => (
+                  <label key={name} className="flex items-center gap-1 text-gray-600">
+                    <input type="checkbox" checked={rule.days.includes(day)} disabled={!editable}
+                      onChange={() => toggleInItem('depositRules', idx, 'days', day)} />
+                    {name.slice(0, 3)}
+                  </label>
+                ))}
+              </span>
+              <span className="flex gap-2">
+                {settings.servicePeriods.map(period => (
+                  <label key={period.name} className="flex items-center gap-1 text-gray-600">
+                    <input type="checkbox" checked={rule.services.includes(period.name)} disabled={!editable}
+                      onChange={() => toggleInItem('depositRules', idx, 'services', period.name)} />
+                    {period.name}
+                  </label>
+                ))}
+              </span>
+              {editable && (
+                <button type="button" onClick={() => removeItem('depositRules', idx)} className="text-red-400 hover:text-red-600">
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        {editable && (
+          <button
+            type="button"
+            onClick={() => change({ depositRules: [...settings.depositRules, { minGuests: 9, days: [], services: [] }] })}
+            className="mt-3 text-sm text-accent hover:underline"
+          >
+            + Add deposit rule
+          </button>
+        )}
+        <p className="mt-2 text-xs text-gray-400">Leave days or services unticked to apply the rule to all of them.</p>
+        <div className="grid grid-cols-3 gap-4 mt-4">
+          {DEPOSIT_FIELDS.map(field => (
+            <label key={field.key} className="text-sm">
+              <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{field.label}</span>
+              <input
+                type="number"
+                min={field.min}
+                value={settings[field.key]}
+                disabled={!editable}
+                onChange={(e) => change({ [field.key]: Number(e.target.value) })}
+                className={`${inputClass} w-24`}
+              />
+              <span className="ml-2 text-gray-500">{field.unit}</span>
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="bg-white rounded-2xl border border-gray-100 p-6">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Chat Transcripts</h3>
+        <label className="text-sm">
+          <span className="block text-xs font-bold text-gray-400 uppercase mb-1">Keep for</span>
+          <input
+            type="number"
+            min="1"
+            value={settings.transcriptRetentionDays}
+            disabled={!editable}
+            onChange={(e) => change({ transcriptRetentionDays: Number(e.target.value) })}
+            className={`${inputClass} w-24`}
+          />
+          <span className="ml-2 text-gray-500">days, then delete</span>
+        </label>
+      </section>
+    </form>
+  );
+};
+
+export default Settings;
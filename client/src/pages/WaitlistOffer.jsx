@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import api from '../api';
+
+const formatClock = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Public page a waitlisted guest reaches from the "a table has opened up" message
+const WaitlistOffer = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [entry, setEntry] = useState(null);
+  const [booking, setBooking] = useState(null); // Set once the offer is accepted
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    api.get(`/waitlist/${id}`, { params: { token } })
+       .then(res => setEntry(res.data))
+       .catch(() => setError("We couldn't open this offer. Please check your link."));
+  }, [id, token]);
+
+  const answer = async (choice) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.post(`/waitlist/${id}/${choice}`, null, { params: { token } });
+      if (choice === 'decline') return setEntry(res.data.entry);
+      if (res.data.bookingLink) return navigate(res.data.bookingLink);
+      setBooking(res.data.booking);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      // The offer may have expired or been taken meanwhile
+      api.get(`/waitlist/${id}`, { params: { token } }).then(res => setEntry(res.data)).catch(() => {});
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!entry) return <div className="p-10 text-center text-gray-500">{error || 'Loading your offer...'}</div>;
+
+  const open = entry.status === 'Offered' && new Date(entry.offer?.expiresAt) > new Date();
+  const paymentUrl = booking?.deposit?.paymentUrl;
+  const message = booking
+    ? (paymentUrl
+      ? `We're holding your table. Your confirmation code is ${booking.confirmationCode}; pay the deposit to confirm it.`
+      : `Your table is booked! Your confirmation code is ${booking.confirmationCode}.`)
+    : {
+      Offered: open ? `We are holding this table for you until ${formatClock(entry.offer.expiresAt)}.` : 'Sorry, this offer has expired.',
+      Accepting: 'We are booking this table for you now.',
+      Accepted: 'You accepted this table. See you soon!',
+      Declined: "You declined this table. Thanks for letting us know.",
+      Expired: 'Sorry, this offer has expired.',
+      Waiting: "You're still on the waitlist. We'll message you when a table frees up.",
+      Removed: 'This waitlist entry has been closed.',
+    }[entry.status];
+
+  return (
+    <div className="max-w-xl mx-auto p-6">
+      <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-hidden">
+        <div className="bg-primary p-6 text-white">
+          <h2 className="text-2xl font-bold">A table has opened up</h2>
+          <p className="opacity-80 text-sm">{entry.customerName}, party of {entry.numberOfGuests}</p>
+        </div>
+        <div className="p-8 grid grid-cols-2 gap-y-6 gap-x-4">
+          <OfferItem label="Date" value={new Date(entry.bookingDate).toDateString()} />
+          <OfferItem label="Time" value={entry.offer?.time || entry.bookingTime} />
+        </div>
+        <p className="px-8 pb-4 text-gray-600">{message}</p>
+        {paymentUrl && (
+          <a href={paymentUrl} className="mx-8 mb-8 inline-block px-5 py-2 rounded-lg text-sm font-medium bg-accent text-white hover:bg-blue-600">
+            Pay deposit
+          </a>
+        )}
+        {error && <p className="px-8 pb-4 text-sm text-red-600">{error}</p>}
+        {open && !booking && (
+          <div className="px-8 pb-8 flex gap-3">
+            <button
+              onClick={() => answer('accept')}
+              disabled={busy}
+              className="px-5 py-2 rounded-lg text-sm font-medium bg-accent text-white hover:bg-blue-600 disabled:opacity-50"
+            >
+              Book this table
+            </button>
+            <button
+              onClick={() => answer('decline')}
+              disabled={busy}
+              className="px-5 py-2 rounded-lg text-sm font-medium text-gray-600 border border-gray-200 hover:bg-gray-50 disabled:opacity-50"
+            >
+              No thanks
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const OfferItem = ({ label, value }) => (
+  <div>
+    <span className="block text-xs font-bold text-gray-400 uppercase mb-1">{label}</span>
+    <span className="text-lg font-medium text-gray-800">{value}</span>
+  </div>
+);
+
+export default WaitlistOffer;
@@ -0,0 +1,13 @@
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import '@testing-library/jest-dom/vitest';
+
+// jsdom does no layout, so it has no scrolling either
+Element.prototype.scrollIntoView = () => {};
+
+// Each test starts from an empty page and fresh storage (session id, mute, language choice)
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  sessionStorage.clear();
+});
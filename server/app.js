@@ -0,0 +1,90 @@
+import express from 'express';
+import cors from 'cors';
+import { createLLMProvider } from './services/llm/index.js';
+import { useWeatherService } from './services/weather/index.js';
+import { authenticate } from './middleware/auth.js';
+import { selectLocation } from './middleware/location.js';
+import { createChatRouter } from './routes/chat.js';
+import { createVoiceRouter } from './routes/voice.js';
+import authRoutes from './routes/auth.js';
+import staffRoutes from './routes/staff.js';
+import bookingRoutes from './routes/bookings.js';
+import eventRoutes from './routes/events.js';
+import calendarRoutes from './routes/calendar.js';
+import settingsRoutes from './routes/settings.js';
+import menuRoutes from './routes/menu.js';
+import waitlistRoutes from './routes/waitlist.js';
+import reportRoutes from './routes/reports.js';
+import paymentRoutes from './routes/payments.js';
+import floorPlanRoutes from './routes/floorPlan.js';
+import locationRoutes from './routes/locations.js';
+import guestRoutes from './routes/guests.js';
+
+// --- Express App ---
+// Built by a factory so tests can run it against their own database and stand-in
+// services; index.js connects to MongoDB, starts the background jobs and listens.
+
+/**
+ * Builds the API. `llm` answers the chat (an LLM provider, see services/llm/index.js);
+ * `weather`, if given, replaces the weather service used when bookings are made.
+ * Bookings and everything else are stored through mongoose, on whatever database it
+ * is connected to.
+ */
+export const createApp = ({ llm = createLLMProvider(), weather } = {}) => {
+  if (weather) useWeatherService(weather);
+  const app = express();
+
+  // Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the guest's address, not the proxy's
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+  }
+
+  // --- Middleware ---
+  // Payment webhooks are verified against the raw body, so they skip the JSON parser
+  app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
+  app.use(express.json()); // Allow parsing JSON bodies
+  // Enable CORS for the frontend only (comma-separated list in CLIENT_ORIGIN)
+  app.use(cors({ origin: (process.env.CLIENT_ORIGIN || 'http://localhost:5173').split(',') }));
+  app.use(authenticate); // Sets req.staff when a valid staff token is sent
+
+  // A body that is not valid JSON (or is too large) is the client's mistake, not ours
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') return res.status(400).json({ error: "Invalid JSON body" });
+    if (error.type === 'entity.too.large') return res.status(413).json({ error: "Request body is too large" });
+    next(error);
+  });
+  app.use(selectLocation); // Sets req.location, the location the dashboard or guest is looking at
+
+  // --- AI Chat ---
+  app.use('/api/chat', createChatRouter({ llm }));
+  app.use('/api/voice', createVoiceRouter({ llm })); // The same agent over the phone
+
+  // --- Restaurant Locations ---
+  app.use('/api/locations', locationRoutes);
+
+  // --- Staff Accounts ---
+  app.use('/api/auth', authRoutes);
+  app.use('/api/staff', staffRoutes);
+
+  // --- CRUD ROUTES for Booking Management ---
+  app.use('/api/bookings', bookingRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/calendar', calendarRoutes);
+  app.use('/api/settings', settingsRoutes);
+  app.use('/api/menu', menuRoutes);
+  app.use('/api/waitlist', waitlistRoutes);
+  app.use('/api/guests', guestRoutes);
+  app.use('/api/reports', reportRoutes);
+  app.use('/api/payments', paymentRoutes);
+
+  // --- Floor Plan & Availability (/api/tables, /api/availability) ---
+  app.use('/api', floorPlanRoutes);
+
+  // Base Route
+  app.get('/', (req, res) => {
+    res.send('Server is running!');
+  });
+
+  return app;
+};
@@ -0,0 +1,42 @@
+// --- Restaurant Configuration ---
+// Values come from .env and are read lazily, because dotenv.config() in index.js
+// runs after the imports that use them have been evaluated.
+
+export const getRestaurantName = () => process.env.RESTAURANT_NAME || 'Vaiu Bistro';
+
+// Opening hours as "HH:MM" strings; bookings must start inside this window
+export const getOpeningHours = () => ({
+  open: process.env.OPENING_TIME || '11:00',
+  close: process.env.CLOSING_TIME || '23:00',
+});
+
+// The restaurant's own position; weather is always looked up here, never at the diner's device
+export const getRestaurantLocation = () => ({
+  lat: Number(process.env.RESTAURANT_LAT || 10.7905),
+  lon: Number(process.env.RESTAURANT_LON || 78.7047),
+});
+
+// Booking dates and times are wall-clock values in this IANA timezone
+export const getRestaurantTimezone = () => process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata';
+
+// Named services shown on the dashboard day view. Lunch runs until SERVICE_SPLIT_TIME,
+// dinner from then until closing; a service outside the opening hours is dropped.
+export const getServicePeriods = () => {
+  const { open, close } = getOpeningHours();
+  const split = process.env.SERVICE_SPLIT_TIME || '16:00';
+  return [
+    { name: 'Lunch', start: open, end: split < close ? split : close },
+    { name: 'Dinner', start: split > open ? split : open, end: close },
+  ].filter(period => period.start < period.end);
+};
+
+// Where the web client is served, for links in guest messages
+export const getClientUrl = () =>
+  (process.env.CLIENT_URL || (process.env.CLIENT_ORIGIN || 'http://localhost:5173').split(',')[0]).replace(/\/$/, '');
+
+// Public address of this API, for links that point straight at it (e.g. calendar files)
+export const getServerUrl = () =>
+  (process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// ISO 4217 code for menu prices
+export const getCurrency = () => process.env.CURRENCY || 'INR';
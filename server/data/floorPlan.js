@@ -0,0 +1,17 @@
+// Default floor plan, seeded at each location that has no tables yet.
+// Tables with the same combinableGroup sit next to each other and can be joined.
+const floorPlan = [
+  { name: 'T1', seats: 2, zone: 'Indoor', combinableGroup: 'window' },
+  { name: 'T2', seats: 2, zone: 'Indoor', combinableGroup: 'window' },
+  { name: 'T3', seats: 4, zone: 'Indoor', combinableGroup: 'window' },
+  { name: 'T4', seats: 4, zone: 'Indoor', combinableGroup: 'hall' },
+  { name: 'T5', seats: 4, zone: 'Indoor', combinableGroup: 'hall' },
+  { name: 'T6', seats: 6, zone: 'Indoor', combinableGroup: 'hall' },
+  { name: 'T7', seats: 8, zone: 'Indoor', combinableGroup: null },
+  { name: 'P1', seats: 2, zone: 'Outdoor', combinableGroup: 'patio' },
+  { name: 'P2', seats: 4, zone: 'Outdoor', combinableGroup: 'patio' },
+  { name: 'P3', seats: 4, zone: 'Outdoor', combinableGroup: 'patio' },
+  { name: 'P4', seats: 6, zone: 'Outdoor', combinableGroup: 'patio' },
+];
+
+export default floorPlan;
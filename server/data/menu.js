@@ -0,0 +1,30 @@
+// Default menu, seeded into the menu items collection when it is empty.
+// Prices are in the restaurant's currency; see models/menuItem.js for the tag vocabulary.
+const menu = [
+  // North Indian
+  { name: 'Paneer Tikka', cuisine: 'North Indian', course: 'Starter', price: 320, dietaryTags: ['vegetarian', 'gluten-free', 'nut-free'], allergens: ['dairy'], description: 'Cottage cheese marinated in spiced yoghurt and grilled in the tandoor.' },
+  { name: 'Chicken Tikka', cuisine: 'North Indian', course: 'Starter', price: 380, dietaryTags: ['gluten-free', 'nut-free', 'halal'], allergens: ['dairy'], description: 'Boneless chicken in yoghurt and spices, char-grilled.' },
+  { name: 'Dal Makhani', cuisine: 'North Indian', course: 'Main', price: 290, dietaryTags: ['vegetarian', 'gluten-free', 'nut-free'], allergens: ['dairy'], description: 'Black lentils slow-cooked overnight with butter and cream.' },
+  { name: 'Butter Chicken', cuisine: 'North Indian', course: 'Main', price: 420, dietaryTags: ['gluten-free', 'halal'], allergens: ['dairy', 'nuts'], description: 'Tandoori chicken in a tomato, butter and cashew gravy.' },
+  { name: 'Chana Masala', cuisine: 'North Indian', course: 'Main', price: 260, dietaryTags: ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free'], allergens: [], description: 'Chickpeas in a tangy onion and tomato masala.' },
+  { name: 'Garlic Naan', cuisine: 'North Indian', course: 'Side', price: 90, dietaryTags: ['vegetarian', 'nut-free'], allergens: ['gluten', 'dairy'], description: 'Leavened flatbread from the tandoor, brushed with garlic butter.' },
+  { name: 'Gulab Jamun', cuisine: 'North Indian', course: 'Dessert', price: 160, dietaryTags: ['vegetarian'], allergens: ['gluten', 'dairy', 'nuts'], description: 'Milk dumplings in rose and cardamom syrup.' },
+  // South Indian
+  { name: 'Masala Dosa', cuisine: 'South Indian', course: 'Main', price: 180, dietaryTags: ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free'], allergens: [], description: 'Crisp rice and lentil crêpe with spiced potato, sambar and chutneys.' },
+  { name: 'Idli Sambar', cuisine: 'South Indian', course: 'Starter', price: 140, dietaryTags: ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'jain'], allergens: [], description: 'Steamed rice cakes with lentil sambar.' },
+  { name: 'Chettinad Chicken', cuisine: 'South Indian', course: 'Main', price: 400, dietaryTags: ['gluten-free', 'dairy-free', 'nut-free', 'halal'], allergens: [], description: 'Fiery Chettinad spice blend, slow-cooked with chicken.' },
+  { name: 'Meen Moilee', cuisine: 'South Indian', course: 'Main', price: 450, dietaryTags: ['gluten-free', 'dairy-free', 'nut-free'], allergens: ['fish'], description: 'Kerala fish curry in coconut milk.' },
+  { name: 'Lemon Rice', cuisine: 'South Indian', course: 'Side', price: 150, dietaryTags: ['vegetarian', 'vegan', 'gluten-free', 'dairy-free'], allergens: ['peanuts'], description: 'Rice tempered with mustard seeds, curry leaves and peanuts.' },
+  { name: 'Payasam', cuisine: 'South Indian', course: 'Dessert', price: 150, dietaryTags: ['vegetarian', 'gluten-free'], allergens: ['dairy', 'nuts'], description: 'Rice pudding with jaggery, cardamom and cashews.' },
+  // Italian
+  { name: 'Bruschetta', cuisine: 'Italian', course: 'Starter', price: 260, dietaryTags: ['vegetarian', 'vegan', 'dairy-free', 'nut-free'], allergens: ['gluten'], description: 'Toasted sourdough with tomato, basil and olive oil.' },
+  { name: 'Margherita Pizza', cuisine: 'Italian', course: 'Main', price: 420, dietaryTags: ['vegetarian', 'nut-free'], allergens: ['gluten', 'dairy'], description: 'Tomato, mozzarella and basil on a wood-fired base.' },
+  { name: 'Penne Arrabbiata', cuisine: 'Italian', course: 'Main', price: 380, dietaryTags: ['vegetarian', 'vegan', 'dairy-free', 'nut-free'], allergens: ['gluten'], description: 'Penne in a spicy tomato and garlic sauce.' },
+  { name: 'Pesto Risotto', cuisine: 'Italian', course: 'Main', price: 460, dietaryTags: ['vegetarian', 'gluten-free'], allergens: ['dairy', 'nuts'], description: 'Arborio rice with basil and pine nut pesto and parmesan.' },
+  { name: 'Tiramisu', cuisine: 'Italian', course: 'Dessert', price: 280, dietaryTags: ['vegetarian', 'nut-free'], allergens: ['gluten', 'dairy', 'eggs'], description: 'Coffee-soaked sponge with mascarpone cream.' },
+  // Drinks
+  { name: 'Mango Lassi', cuisine: 'North Indian', course: 'Drink', price: 140, dietaryTags: ['vegetarian', 'gluten-free', 'nut-free'], allergens: ['dairy'], description: 'Mango and yoghurt, blended.' },
+  { name: 'Filter Coffee', cuisine: 'South Indian', course: 'Drink', price: 90, dietaryTags: ['vegetarian', 'gluten-free', 'nut-free'], allergens: ['dairy'], description: 'Chicory coffee brewed South Indian style, with hot milk.' },
+];
+
+export default menu;
@@ -0,0 +1,38 @@
+import { findStaffByToken, hasPermission } from '../services/auth.js';
+
+// --- Auth Middleware ---
+
+const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  // EventSource cannot send headers, so the live event stream takes the token in the URL
+  if (req.get('Accept') === 'text/event-stream' && req.query.access_token) return String(req.query.access_token);
+  return null;
+};
+
+/**
+ * Attaches the logged-in staff member (if any) as req.staff. Never rejects by itself,
+ * so public routes like /api/chat keep working without a token.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = bearerToken(req);
+    req.token = token;
+    req.staff = token ? await findStaffByToken(token) : null;
+    next();
+  } catch (error) {
+    console.error("Auth Error:", error.message);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+};
+
+/**
+ * Only lets through staff whose role grants the permission.
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.staff) return res.status(401).json({ error: "Login required" });
+  if (!hasPermission(req.staff.role, permission)) {
+    return res.status(403).json({ error: "You do not have permission to do that" });
+  }
+  next();
+};
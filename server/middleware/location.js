@@ -0,0 +1,24 @@
+import { findLocation, getDefaultLocation, locationsFor, canAccessLocation } from '../services/locations.js';
+
+// --- Location Middleware ---
+
+/**
+ * Attaches the location a request is about as req.location: the one named in the
+ * X-Location header or ?location= (an id or slug; EventSource cannot send headers),
+ * else the staff member's first location, else the default one. Staff can only
+ * pick a location they work at.
+ */
+export const selectLocation = (req, res, next) => {
+  const requested = req.get('X-Location') || req.query.location;
+  if (requested) {
+    const location = findLocation(String(requested));
+    if (!location) return res.status(404).json({ error: "Location not found" });
+    if (req.staff && !canAccessLocation(req.staff, location._id)) {
+      return res.status(403).json({ error: "You do not work at that location" });
+    }
+    req.location = location;
+  } else {
+    req.location = (req.staff && locationsFor(req.staff)[0]) || getDefaultLocation();
+  }
+  next();
+};
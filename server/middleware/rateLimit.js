@@ -0,0 +1,36 @@
+// --- Rate Limiting ---
+// Fixed-window counters kept in memory, which is enough for a single server process.
+
+/**
+ * Allows `max` requests per `windowMs` for each key (the client's IP by default),
+ * then answers 429 with a Retry-After header until the window resets.
+ * Requests for which `key` returns nothing are not counted.
+ */
+export const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = "Too many requests, please slow down" }) => {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drop finished windows now and then, so the map does not grow with every client seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => { if (window.resetAt <= now) windows.delete(id); });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count += 1;
+    if (window.count > max) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+};
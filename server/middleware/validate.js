@@ -0,0 +1,84 @@
+// --- Request Body Validation ---
+// Each route declares the fields it accepts as a small schema, e.g.
+//   { customerName: { type: 'string', required: true, maxLength: 100 } }
+// Fields that are not in the schema are refused, so a client cannot set things
+// like a booking's status or weather snapshot by adding them to the body.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // "YYYY-MM-DD"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:MM", 24h
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Errors for one value against its rule; `name` is the field's path for the messages
+const checkValue = (name, value, rule) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return [`${name} must be text`];
+      const errors = [];
+      if (rule.required && value.trim() === '') errors.push(`${name} must not be blank`);
+      if (rule.maxLength && value.length > rule.maxLength) {
+        errors.push(`${name} must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.values && !rule.values.includes(value)) errors.push(`${name} must be one of: ${rule.values.join(', ')}`);
+      if (rule.pattern && value !== '' && !rule.pattern.test(value)) errors.push(rule.message || `${name} is not valid`);
+      return errors;
+    }
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${name} must be a number`];
+      if (rule.type === 'integer' && !Number.isInteger(value)) return [`${name} must be a whole number`];
+      if (rule.min !== undefined && value < rule.min) return [`${name} must be at least ${rule.min}`];
+      if (rule.max !== undefined && value > rule.max) return [`${name} must be at most ${rule.max}`];
+      return [];
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${name} must be true or false`];
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+        ? [] : [`${name} must be a date (YYYY-MM-DD)`];
+    case 'time':
+      return typeof value === 'string' && TIME_PATTERN.test(value) ? [] : [`${name} must be a time (HH:MM)`];
+    case 'array': {
+      if (!Array.isArray(value)) return [`${name} must be a list`];
+      if (rule.maxItems && value.length > rule.maxItems) return [`${name} must have at most ${rule.maxItems} items`];
+      return rule.items ? value.flatMap((item, i) => checkValue(`${name}[${i}]`, item, rule.items)) : [];
+    }
+    case 'object':
+      if (!isPlainObject(value)) return [`${name} must be an object`];
+      return rule.fields ? checkBody(value, rule.fields, { prefix: `${name}.` }) : [];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Checks a request body against a schema and returns the problems found, as messages
+ * (an empty list when it is valid). With `partial`, required fields may be left out,
+ * as when only the changed fields of a record are sent.
+ */
+export const checkBody = (body, schema, { partial = false, prefix = '' } = {}) => {
+  if (!isPlainObject(body)) return ['The request body must be a JSON object'];
+  const errors = [];
+  const unknown = Object.keys(body).filter(field => !Object.hasOwn(schema, field));
+  if (unknown.length > 0) errors.push(`Unknown field(s): ${unknown.map(field => prefix + field).join(', ')}`);
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = body[field];
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required && !partial) errors.push(`${prefix}${field} is required`);
+      return;
+    }
+    errors.push(...checkValue(prefix + field, value, rule));
+  });
+  return errors;
+};
+
+/**
+ * Middleware that refuses a request whose JSON body does not match the schema,
+ * answering 400 with every problem listed in `details`.
+ */
+export const validateBody = (schema, options) => (req, res, next) => {
+  const errors = checkBody(req.body ?? {}, schema, options);
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid request", details: errors });
+  next();
+};
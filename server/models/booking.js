@@ -1,10 +1,121 @@
 import mongoose from 'mongoose';
+import { randomInt } from 'crypto';
+import { DIETARY_TAGS, ALLERGENS } from './menuItem.js';
+
+// Unambiguous characters only (no 0/O or 1/I), so codes are easy to read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateConfirmationCode = () =>
+  Array.from({ length: 6 }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+
+// Phone numbers are stored as digits (plus an optional leading +) so lookups can match exactly
+export const normalizePhone = (value) => (value ? String(value).replace(/(?!^\+)[^\d]/g, '') : value);
+
+export const BOOKING_STATUSES = ['Pending', 'Confirmed', 'Seated', 'Completed', 'No-Show', 'Cancelled'];
+// Bookings in these states no longer hold their tables
+export const RELEASED_STATUSES = ['Cancelled', 'Completed', 'No-Show'];
+
+// One entry in a booking's audit trail: who did what, and the values before and after
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String, // e.g., "created", "updated", "seat", "cancel"
+    required: true,
+  },
+  actor: {
+    kind: { type: String, enum: ['staff', 'agent', 'guest', 'system'], default: 'system' },
+    id: String,
+    name: String,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  before: Object,
+  after: Object,
+}, { _id: false });
+
+// One attempt to message the guest (confirmation, change, cancellation, reminder, waitlist offer or deposit request)
+export const notificationSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['confirmation', 'change', 'cancellation', 'reminder', 'waitlist_offer', 'deposit_request'],
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+  },
+  transport: String, // e.g., "smtp", "sms-gateway", "console"
+  to: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true,
+  },
+  error: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+export const DEPOSIT_STATUSES = ['required', 'paid', 'refunded', 'refundFailed', 'kept', 'failed', 'expired', 'cancelled'];
+
+// The deposit a large party or peak slot pays to hold its table (see services/deposits.js).
+// required -> paid -> refunded | kept when cancelled; an unpaid one ends failed, expired or cancelled.
+// refundFailed means the gateway turned the refund down: staff retry it from the booking.
+const depositSchema = new mongoose.Schema({
+  amount: {
+    type: Number, // In the currency's main unit
+    required: true,
+  },
+  currency: String,
+  status: {
+    type: String,
+    enum: DEPOSIT_STATUSES,
+    default: 'required',
+  },
+  gateway: String, // e.g., "stripe" or "fake"
+  paymentId: String, // The gateway's id for the checkout
+  chargeId: String, // What the gateway refunds against, once paid
+  paymentUrl: String,
+  expiresAt: Date, // The booking is released if it has not been paid by then
+  paidAt: Date,
+  refundId: String,
+  refundedAt: Date,
+  refundError: String, // Why the gateway turned the last refund down
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true,
+  },
   customerName: {
     type: String,
     required: true,
   },
+  // The guest profile this booking belongs to, matched on the phone number or email
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+  },
+  // Given to the guest so they can find the booking again to change or cancel it
+  confirmationCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    default: generateConfirmationCode,
+  },
+  phone: {
+    type: String,
+    set: normalizePhone,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
   numberOfGuests: {
     type: Number,
     required: true,
@@ -25,6 +136,15 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     default: 'None',
   },
+  // Diets and allergies in the party, in the menu's vocabulary so the kitchen can plan
+  dietaryRequirements: [{
+    type: String,
+    enum: DIETARY_TAGS,
+  }],
+  allergies: [{
+    type: String,
+    enum: ALLERGENS,
+  }],
   // We store the weather data we fetched at the time of booking
   weatherInfo: {
     type: Object, 
@@ -37,13 +157,37 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Confirmed', 'Pending', 'Cancelled'],
+    enum: BOOKING_STATUSES,
     default: 'Pending',
   },
+  history: [historyEntrySchema],
+  // Table(s) reserved for this party by the availability engine
+  assignedTables: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+  }],
+  durationMinutes: {
+    type: Number, // How long the tables are held, from DINING_DURATION_MINUTES
+    default: 90,
+  },
+  notifications: [notificationSchema],
+  deposit: depositSchema, // Only for bookings the deposit rules apply to
+  // Set once the reminder has gone out; cleared when the date or time changes
+  reminderSentAt: Date,
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt
 });
 
+// Dashboard search sorts by reservation date/time; the availability engine loads one day at a time
+bookingSchema.index({ bookingDate: 1, bookingTime: 1, _id: 1 });
+bookingSchema.index({ location: 1, bookingDate: 1, bookingTime: 1 });
+bookingSchema.index({ status: 1, bookingDate: 1, bookingTime: 1 });
+bookingSchema.index({ customerName: 1 });
+bookingSchema.index({ guest: 1, bookingDate: -1 });
+bookingSchema.index({ status: 1, reminderSentAt: 1, bookingDate: 1 });
+bookingSchema.index({ 'deposit.paymentId': 1 }, { sparse: true });
+bookingSchema.index({ 'deposit.status': 1, 'deposit.expiresAt': 1 }, { sparse: true });
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 export default Booking;
\ No newline at end of file
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { normalizePhone } from './booking.js';
+import { DIETARY_TAGS, ALLERGENS } from './menuItem.js';
+
+// One person who has booked with us, shared by every location. Bookings with a phone
+// number or email are linked to the guest with the same details (see services/guests.js).
+const guestSchema = new mongoose.Schema({
+  name: {
+    type: String, // The name on their first booking; staff can correct it
+    required: true,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    set: normalizePhone,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // What they usually ask for, learned from their bookings; the agent fills these in for them
+  preferences: {
+    seating: {
+      type: String,
+      enum: ['Any', 'Indoor', 'Outdoor'],
+      default: 'Any',
+    },
+    cuisine: {
+      type: String,
+      default: 'Any',
+    },
+    dietaryRequirements: [{
+      type: String,
+      enum: DIETARY_TAGS,
+    }],
+    allergies: [{
+      type: String,
+      enum: ALLERGENS,
+    }],
+  },
+  notes: {
+    type: String, // For staff, e.g. "prefers the corner table"
+    default: '',
+  },
+  vip: {
+    type: Boolean,
+    default: false,
+  },
+  // Bookings from blacklisted guests are not confirmed automatically; staff review them
+  blacklisted: {
+    type: Boolean,
+    default: false,
+  },
+  blacklistReason: String,
+}, {
+  timestamps: true,
+});
+
+// One profile per phone number and per email; guests without one are not indexed on it
+guestSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phone: { $gt: '' } } });
+guestSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $gt: '' } } });
+guestSchema.index({ name: 1 });
+
+const Guest = mongoose.model('Guest', guestSchema);
+
+export default Guest;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// One restaurant in the group. Each location has its own tables, bookings, waitlist
+// and settings (opening hours, service periods and limits, see models/settings.js);
+// the menu and staff accounts are shared.
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g., "Vaiu Bistro Anna Nagar"; guests and messages see this
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  // Short handle for links and the chat, e.g. /chat?location=anna-nagar
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    match: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  },
+  address: {
+    type: String,
+    default: '',
+  },
+  phone: String,
+  // Where the weather is looked up for this location's bookings
+  lat: {
+    type: Number,
+    min: -90,
+    max: 90,
+    required: true,
+  },
+  lon: {
+    type: Number,
+    min: -180,
+    max: 180,
+    required: true,
+  },
+  timezone: {
+    type: String, // IANA name; booking dates and times here are wall-clock values in it
+    required: true,
+  },
+  // Inactive locations keep their history but take no new bookings
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+const Location = mongoose.model('Location', locationSchema);
+
+export default Location;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Shared vocabulary for dishes and guests: a dish is tagged with the diets it suits
+// and the allergens it contains; a booking records the guest's diets and allergies.
+export const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'halal', 'jain'];
+export const ALLERGENS = ['gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy', 'sesame', 'fish', 'shellfish'];
+export const COURSES = ['Starter', 'Main', 'Side', 'Dessert', 'Drink'];
+
+const menuItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  cuisine: {
+    type: String, // e.g., "North Indian" or "Italian"
+    required: true,
+    trim: true,
+  },
+  course: {
+    type: String,
+    enum: COURSES,
+    default: 'Main',
+  },
+  price: {
+    type: Number, // In the restaurant's currency (CURRENCY)
+    required: true,
+    min: 0,
+  },
+  dietaryTags: [{
+    type: String,
+    enum: DIETARY_TAGS,
+  }],
+  allergens: [{
+    type: String,
+    enum: ALLERGENS,
+  }],
+  // Off the menu for now (sold out, seasonal) without deleting the dish
+  available: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+menuItemSchema.index({ cuisine: 1, course: 1, name: 1 });
+
+const MenuItem = mongoose.model('MenuItem', menuItemSchema);
+
+export default MenuItem;
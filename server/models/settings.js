@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+// Booking rules for one location. Each location has its own settings document;
+// see services/settings.js for the defaults taken from .env.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:MM", 24h
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Opening hours for one day of the week (0 = Sunday)
+const dayHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true,
+  },
+  closed: {
+    type: Boolean,
+    default: false,
+  },
+  open: {
+    type: String,
+    match: TIME_PATTERN,
+    default: '11:00',
+  },
+  close: {
+    type: String, // Bookings must start before this
+    match: TIME_PATTERN,
+    default: '23:00',
+  },
+}, { _id: false });
+
+const servicePeriodSchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g., "Lunch" or "Dinner"
+    required: true,
+  },
+  start: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true,
+  },
+  end: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true,
+  },
+}, { _id: false });
+
+// A holiday or other day the restaurant is closed
+const blackoutDateSchema = new mongoose.Schema({
+  date: {
+    type: String, // "YYYY-MM-DD"
+    match: DATE_PATTERN,
+    required: true,
+  },
+  reason: String,
+}, { _id: false });
+
+// Bookings matching a rule pay a deposit; each condition that is set must hold
+const depositRuleSchema = new mongoose.Schema({
+  minGuests: {
+    type: Number, // e.g., 9 for "parties over 8"
+    min: 1,
+  },
+  days: [{
+    type: Number, // 0 = Sunday
+    min: 0,
+    max: 6,
+  }],
+  services: [String], // Service period names, e.g., "Dinner"
+}, { _id: false });
+
+const settingsSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true,
+    unique: true,
+  },
+  weeklyHours: [dayHoursSchema],
+  servicePeriods: [servicePeriodSchema],
+  blackoutDates: [blackoutDateSchema],
+  maxPartySize: {
+    type: Number,
+    min: 1,
+    default: 12,
+  },
+  minLeadMinutes: {
+    type: Number, // How soon before the start a booking may still be made
+    min: 0,
+    default: 60,
+  },
+  maxAdvanceDays: {
+    type: Number, // How far ahead bookings are taken
+    min: 1,
+    default: 90,
+  },
+  transcriptRetentionDays: {
+    type: Number, // Chat transcripts older than this are deleted
+    min: 1,
+    default: 90,
+  },
+  depositRules: [depositRuleSchema],
+  depositPerGuest: {
+    type: Number, // In the menu's currency
+    min: 0,
+    default: 500,
+  },
+  depositRefundHours: {
+    type: Number, // Cancelling at least this long before the booking refunds the deposit
+    min: 0,
+    default: 24,
+  },
+  depositHoldMinutes: {
+    type: Number, // An unpaid booking gives its tables back after this
+    min: 30,
+    default: 30,
+  },
+}, {
+  timestamps: true,
+});
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+export default Settings;
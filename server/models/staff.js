@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const staffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  // scrypt "salt:hash", never the password itself
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ['host', 'manager', 'admin'],
+    default: 'host',
+  },
+  // The locations this person works at; empty means all of them
+  locations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Never send the password hash to clients
+staffSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  },
+});
+
+const Staff = mongoose.model('Staff', staffSchema);
+
+export default Staff;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A logged-in staff member. Only a hash of the bearer token is stored,
+// and MongoDB removes the document once it expires.
+const staffSessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+const StaffSession = mongoose.model('StaffSession', staffSessionSchema);
+
+export default StaffSession;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const tableSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true,
+  },
+  name: {
+    type: String, // e.g., "T1" or "Patio 3"; unique within the location
+    required: true,
+  },
+  seats: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  zone: {
+    type: String,
+    enum: ['Indoor', 'Outdoor'],
+    required: true,
+  },
+  // Tables sharing a group can be pushed together for larger parties
+  combinableGroup: {
+    type: String,
+    default: null,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+tableSchema.index({ location: 1, name: 1 }, { unique: true });
+
+const Table = mongoose.model('Table', tableSchema);
+
+export default Table;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// One guest message and the agent's answer, with what the agent understood at that point
+const turnSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true,
+  },
+  reply: String, // Missing when the turn failed
+  at: {
+    type: Date, // When the guest's message arrived
+    required: true,
+  },
+  repliedAt: Date,
+  intent: String,
+  mode: String, // book | modify | cancel
+  language: String,
+  extracted: mongoose.Schema.Types.Mixed, // Booking details the model picked out of this message
+  slots: mongoose.Schema.Types.Mixed, // All details collected so far
+  needs: mongoose.Schema.Types.Mixed,
+  modelLatencyMs: Number, // Time spent waiting for the model (all calls in the turn)
+  errorMessages: [String],
+}, { _id: false });
+
+// A chat conversation, kept so staff can see what a guest actually asked for.
+// Old transcripts are purged after the retention period in the settings.
+const transcriptSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId, // Bookings made, changed or cancelled in the conversation
+    ref: 'Booking',
+    index: true,
+  }],
+  turns: [turnSchema],
+  state: mongoose.Schema.Types.Mixed, // The agent's session, to resume the conversation after a restart
+}, {
+  timestamps: true,
+});
+
+transcriptSchema.index({ updatedAt: 1 }); // For the retention purge
+
+const Transcript = mongoose.model('Transcript', transcriptSchema);
+
+export default Transcript;
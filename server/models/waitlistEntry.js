@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import { normalizePhone, notificationSchema } from './booking.js';
+import { DIETARY_TAGS, ALLERGENS } from './menuItem.js';
+
+// Waiting -> Offered (a table freed up) -> Accepted (booked) | Declined | Expired.
+// Accepting is the moment between the party claiming an offer and its booking being made.
+// Staff can take a party off the list at any point (Removed); entries are kept on record.
+export const WAITLIST_STATUSES = ['Waiting', 'Offered', 'Accepting', 'Accepted', 'Declined', 'Expired', 'Removed'];
+// Entries still in the queue
+export const ACTIVE_WAITLIST_STATUSES = ['Waiting', 'Offered'];
+// Entries whose offered tables are held for them
+export const HOLDING_WAITLIST_STATUSES = ['Offered', 'Accepting'];
+
+const waitlistEntrySchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true,
+  },
+  customerName: {
+    type: String,
+    required: true,
+  },
+  phone: {
+    type: String,
+    set: normalizePhone,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  numberOfGuests: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  bookingDate: {
+    type: Date, // UTC midnight, like Booking.bookingDate
+    required: true,
+  },
+  bookingTime: {
+    type: String, // The time the guest asked for, "HH:MM"
+    required: true,
+  },
+  // Any start time between these is worth offering ("HH:MM"; defaults around bookingTime)
+  earliestTime: String,
+  latestTime: String,
+  seatingPreference: {
+    type: String,
+    enum: ['Indoor', 'Outdoor', 'Any'],
+    default: 'Any',
+  },
+  cuisinePreference: {
+    type: String,
+    default: 'Any',
+  },
+  specialRequests: {
+    type: String,
+    default: 'None',
+  },
+  dietaryRequirements: [{
+    type: String,
+    enum: DIETARY_TAGS,
+  }],
+  allergies: [{
+    type: String,
+    enum: ALLERGENS,
+  }],
+  // Higher goes first; parties with the same priority are served in the order they joined
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  notes: String, // For the host, e.g. "regular, will take the bar"
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'Waiting',
+  },
+  // The tables held for the party while an offer is open; they count as taken until it expires
+  offer: {
+    time: String,
+    tables: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+    }],
+    durationMinutes: Number,
+    offeredAt: Date,
+    expiresAt: Date,
+    token: String, // Sent in the guest's accept link
+  },
+  // The booking made when the offer was accepted
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  notifications: [notificationSchema],
+}, {
+  timestamps: true,
+});
+
+waitlistEntrySchema.index({ status: 1, bookingDate: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
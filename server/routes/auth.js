@@ -0,0 +1,54 @@
+import express from 'express';
+import { login, logout } from '../services/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// --- Staff Login Routes ---
+const router = express.Router();
+
+// Both must be plain strings, so an object like { "$ne": null } never reaches the lookup
+const LOGIN_FIELDS = {
+  email: { type: 'string', required: true, maxLength: 254 },
+  password: { type: 'string', required: true, maxLength: 200 },
+};
+
+// Passwords must not be guessable online, so each address and each account gets a few
+// attempts per quarter of an hour
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const loginsPerIp = rateLimit({ windowMs: LOGIN_WINDOW_MS, max: 30, message: "Too many login attempts, please try again later" });
+const loginsPerEmail = rateLimit({
+  windowMs: LOGIN_WINDOW_MS,
+  max: 10,
+  key: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+  message: "Too many login attempts, please try again later",
+});
+
+// Exchange email + password for a bearer token
+router.post('/login', loginsPerIp, loginsPerEmail, validateBody(LOGIN_FIELDS), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await login(email, password);
+    if (!result) return res.status(401).json({ error: "Invalid email or password" });
+    res.json({ token: result.token, user: result.staff });
+  } catch (error) {
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+// End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.token) await logout(req.token);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+// Who is logged in (used by the dashboard to restore a session)
+router.get('/me', (req, res) => {
+  if (!req.staff) return res.status(401).json({ error: "Login required" });
+  res.json({ user: req.staff });
+});
+
+export default router;
@@ -0,0 +1,239 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Booking from '../models/booking.js';
+import {
+  createBooking, updateBooking, transitionBooking, toGuestView, allowedActions, isEditable,
+  staffActor, announceBooking, TRANSITIONS, InvalidTransitionError, BookingRuleError,
+} from '../services/bookings.js';
+import { searchBookings, summarizeDay, InvalidQueryError } from '../services/bookingSearch.js';
+import { bookingCalendar } from '../services/calendar.js';
+import { transcriptsForBooking } from '../services/transcripts.js';
+import { refundDeposit } from '../services/deposits.js';
+import { hasPermission, verifyBookingLink } from '../services/auth.js';
+import { canAccessLocation } from '../services/locations.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { DIETARY_TAGS, ALLERGENS } from '../models/menuItem.js';
+
+// --- CRUD ROUTES for Booking Management ---
+const router = express.Router();
+
+// Booking ids are ObjectIds: anything else cannot name a booking (and would fail as a CastError)
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Booking not found" });
+  next();
+});
+
+// What staff may set on a booking. Status only moves through the lifecycle actions below,
+// and the weather, tables and deposit are filled in by the server.
+const BOOKING_FIELDS = {
+  customerName: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'string', maxLength: 30, pattern: /^\+?[\d\s().-]+$/, message: 'phone is not a valid phone number' },
+  email: { type: 'string', maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'email is not a valid email address' },
+  numberOfGuests: { type: 'integer', required: true, min: 1, max: 100 },
+  bookingDate: { type: 'date', required: true },
+  bookingTime: { type: 'time', required: true },
+  seatingPreference: { type: 'string', values: ['Any', 'Indoor', 'Outdoor'] },
+  cuisinePreference: { type: 'string', maxLength: 60 },
+  specialRequests: { type: 'string', maxLength: 500 },
+  dietaryRequirements: { type: 'array', items: { type: 'string', values: DIETARY_TAGS } },
+  allergies: { type: 'array', items: { type: 'string', values: ALLERGENS } },
+};
+
+// Staff view of a booking, with the lifecycle actions currently allowed
+const withActions = (booking) => ({ ...booking.toJSON(), allowedActions: allowedActions(booking.status) });
+
+// A booking at one of the staff member's locations; others are treated as not found
+const findStaffBooking = async (req, id) => {
+  const booking = await Booking.findById(id);
+  return booking && canAccessLocation(req.staff, booking.location) ? booking : null;
+};
+
+// Create a new booking at the selected location (Manual entry; the chat agent books through the same service)
+router.post('/', requirePermission('bookings:write'), validateBody(BOOKING_FIELDS), async (req, res) => {
+  try {
+    const bookingData = { ...req.body, location: req.location._id };
+
+    // Reserve tables first; refuse the booking if the slot is already full
+    const { booking: newBooking, alternatives } = await createBooking(bookingData, staffActor(req.staff));
+    if (!newBooking) {
+      return res.status(409).json({ error: "No table available for that time", alternatives });
+    }
+    const message = newBooking.deposit?.status === 'required' ? "Booking held until the deposit is paid" : "Booking confirmed!";
+    res.status(201).json({ message, booking: withActions(newBooking) });
+  } catch (error) {
+    if (error instanceof BookingRuleError) return res.status(400).json({ error: error.message, details: error.errors });
+    res.status(500).json({ error: "Failed to create booking" });
+  }
+});
+
+// Search the selected location's bookings for the Dashboard View, soonest reservation first.
+// Query: date | from & to, status, seating, minGuests, maxGuests, q, limit, cursor, order
+router.get('/', requirePermission('bookings:read'), async (req, res) => {
+  try {
+    const { bookings, nextCursor } = await searchBookings(req.query, { location: req.location._id });
+    res.json({ bookings: bookings.map(withActions), nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidQueryError) return res.status(400).json({ error: "Invalid query", details: error.errors });
+    res.status(500).json({ error: "Failed to fetch bookings" });
+  }
+});
+
+// Day view totals: bookings and guests per service and per time slot (same filters, date required)
+router.get('/summary', requirePermission('bookings:read'), async (req, res) => {
+  try {
+    res.json(await summarizeDay(req.query, { location: req.location._id }));
+  } catch (error) {
+    if (error instanceof InvalidQueryError) return res.status(400).json({ error: "Invalid query", details: error.errors });
+    res.status(500).json({ error: "Failed to summarize bookings" });
+  }
+});
+
+// Staff with read access see every booking at their locations; a guest needs the signed
+// link (?token=) or their confirmation code (?code=). Returns 'staff', 'guest' or null.
+const viewerOf = (req, booking) => {
+  if (req.staff && hasPermission(req.staff.role, 'bookings:read') && canAccessLocation(req.staff, booking.location)) return 'staff';
+  const { token, code } = req.query;
+  const isOwner = verifyBookingLink(booking._id, token) ||
+    (code && String(code).toUpperCase() === booking.confirmationCode);
+  return isOwner ? 'guest' : null;
+};
+
+// A confirmation code is short enough to guess, so guests looking up a booking get a budget
+// per address, and each booking takes only a few code attempts, per quarter of an hour
+const GUEST_WINDOW_MS = 15 * 60 * 1000;
+const guestPerIp = rateLimit({ windowMs: GUEST_WINDOW_MS, max: 30, key: (req) => (req.staff ? null : req.ip) });
+const codesPerBooking = rateLimit({
+  windowMs: GUEST_WINDOW_MS,
+  max: 10,
+  key: (req) => (!req.staff && req.query.code ? req.params.id : null),
+  message: "Too many attempts for this booking, please try again later",
+});
+const limitGuests = [guestPerIp, codesPerBooking];
+
+// Get a specific booking by ID
+router.get('/:id', limitGuests, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('assignedTables');
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const viewer = viewerOf(req, booking);
+    if (!viewer && req.staff) return res.status(404).json({ error: "Booking not found" });
+    if (!viewer) return res.status(401).json({ error: "Login required" });
+    res.json(viewer === 'staff' ? withActions(booking) : toGuestView(booking));
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching booking" });
+  }
+});
+
+// Download the booking as an iCalendar file (same access rules as above)
+router.get('/:id/calendar.ics', limitGuests, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const viewer = viewerOf(req, booking);
+    if (!viewer && req.staff) return res.status(404).json({ error: "Booking not found" });
+    if (!viewer) return res.status(401).json({ error: "Login required" });
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="booking-${booking.confirmationCode || booking._id}.ics"`,
+    });
+    res.send(bookingCalendar(booking, { forGuest: viewer === 'guest' }));
+  } catch (error) {
+    res.status(500).json({ error: "Error exporting booking" });
+  }
+});
+
+// Chat conversations that made or changed the booking, turn by turn (staff only)
+router.get('/:id/transcripts', requirePermission('bookings:read'), async (req, res) => {
+  try {
+    if (!(await findStaffBooking(req, req.params.id))) return res.status(404).json({ error: "Booking not found" });
+    res.json(await transcriptsForBooking(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching transcripts" });
+  }
+});
+
+// Status is not editable through PATCH; it only moves through the transition endpoints below.
+// Checked before the schema so staff get a pointer to the right endpoint.
+const rejectStatus = (req, res, next) => {
+  if (req.body && typeof req.body === 'object' && 'status' in req.body) {
+    return res.status(400).json({ error: "Use the confirm/seat/complete/no-show/cancel endpoints to change status" });
+  }
+  next();
+};
+
+// Update booking details (tables are reassigned if the date, time, party size or seating changes)
+router.patch('/:id', requirePermission('bookings:write'), rejectStatus, validateBody(BOOKING_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    const booking = await findStaffBooking(req, req.params.id);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (!isEditable(booking.status)) {
+      return res.status(409).json({ error: `${booking.status} bookings cannot be changed` });
+    }
+
+    const { booking: updated, alternatives } = await updateBooking(booking, req.body, staffActor(req.staff));
+    if (!updated) {
+      return res.status(409).json({ error: "No table available for that time", alternatives });
+    }
+    await updated.populate('assignedTables');
+    res.json({ message: "Booking updated", booking: withActions(updated) });
+  } catch (error) {
+    if (error instanceof BookingRuleError) return res.status(400).json({ error: error.message, details: error.errors });
+    res.status(500).json({ error: "Error updating booking" });
+  }
+});
+
+// Lifecycle transitions: POST /api/bookings/:id/confirm | seat | complete | no-show | cancel
+// Cancelled bookings are kept on record with status 'Cancelled'.
+router.post('/:id/:action', requirePermission('bookings:write'), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!TRANSITIONS[action]) return res.status(404).json({ error: `Unknown action "${action}"` });
+
+    const booking = await findStaffBooking(req, id);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    await transitionBooking(booking, action, staffActor(req.staff));
+    await booking.populate('assignedTables');
+    res.json({ message: `Booking is now ${booking.status}`, booking: withActions(booking) });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) return res.status(409).json({ error: error.message });
+    res.status(500).json({ error: "Error updating booking status" });
+  }
+});
+
+// Try again to refund a deposit the payment gateway turned down
+router.post('/:id/deposit/refund', requirePermission('bookings:write'), async (req, res) => {
+  try {
+    const booking = await findStaffBooking(req, req.params.id);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (booking.deposit?.status !== 'refundFailed') return res.status(409).json({ error: "There is no failed refund to retry" });
+
+    await refundDeposit(booking);
+    if (booking.deposit.status === 'refundFailed') {
+      return res.status(502).json({ error: `The payment gateway refused the refund again: ${booking.deposit.refundError}` });
+    }
+    await booking.populate('assignedTables');
+    res.json({ message: "Deposit refunded", booking: withActions(booking) });
+  } catch (error) {
+    res.status(500).json({ error: "Error refunding the deposit" });
+  }
+});
+
+// Permanently delete a booking
+router.delete('/:id', requirePermission('bookings:delete'), async (req, res) => {
+  try {
+    const deletedBooking = await findStaffBooking(req, req.params.id);
+    if (!deletedBooking) return res.status(404).json({ error: "Booking not found" });
+    await deletedBooking.deleteOne();
+    await announceBooking('booking.deleted', deletedBooking);
+    res.json({ message: "Booking deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error deleting booking" });
+  }
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import { feedCalendar, calendarFeedToken, findStaffByFeedToken } from '../services/calendar.js';
+import { requirePermission } from '../middleware/auth.js';
+import { getServerUrl } from '../config.js';
+
+// --- Staff Calendar Feed ---
+const router = express.Router();
+
+// The logged-in staff member's personal feed URL, to paste into a calendar app
+router.get('/feed-url', requirePermission('bookings:read'), (req, res) => {
+  try {
+    res.json({ url: `${getServerUrl()}/api/calendar/feed.ics?token=${calendarFeedToken(req.staff._id)}` });
+  } catch (error) {
+    res.status(500).json({ error: "Calendar feed is not configured" });
+  }
+});
+
+// Subscribed calendars poll this with the token from the feed URL
+router.get('/feed.ics', async (req, res) => {
+  try {
+    const staff = await findStaffByFeedToken(req.query.token);
+    if (!staff) return res.status(401).json({ error: "Invalid calendar token" });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(await feedCalendar(staff));
+  } catch (error) {
+    res.status(500).json({ error: "Error building calendar feed" });
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import { runAgentTurn, streamAgentTurn, describeSession } from '../services/agent.js';
+import { loadSession, recordTurn, resumeConversation } from '../services/transcripts.js';
+import { LANGUAGES } from '../services/languages.js';
+import { validateBody } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// --- CORE ROUTE: AI Chat Processing ---
+
+// Only the new message comes from the client: the history and collected details stay on the server
+const CHAT_FIELDS = {
+  message: { type: 'string', required: true, maxLength: 1000 },
+  sessionId: { type: 'string', maxLength: 64, nullable: true },
+  language: { type: 'string', values: ['auto', ...Object.keys(LANGUAGES)], nullable: true },
+  // The location's page the chat was opened from (id or slug); the guest can still pick another
+  location: { type: 'string', maxLength: 64, nullable: true },
+};
+
+// Failed turns go in the transcript too, with the error and no reply
+const recordFailedTurn = (session, message, error) => {
+  recordTurn(session, { message: String(message ?? ''), error })
+    .catch(err => console.error("Transcript Error:", err.message));
+};
+
+/**
+ * The chat routes, answering with the given LLM provider (see services/llm/index.js).
+ */
+export const createChatRouter = ({ llm }) => {
+  const router = express.Router();
+
+  // Every turn costs a model call, so each address and each conversation gets a budget per minute
+  // (CHAT_IP_RATE_LIMIT and CHAT_RATE_LIMIT). Many guests can share an address, hence the higher limit.
+  const perIp = rateLimit({ windowMs: 60 * 1000, max: Number(process.env.CHAT_IP_RATE_LIMIT) || 60 });
+  const perSession = rateLimit({
+    windowMs: 60 * 1000,
+    max: Number(process.env.CHAT_RATE_LIMIT) || 20,
+    key: (req) => (typeof req.body?.sessionId === 'string' ? req.body.sessionId : null),
+  });
+  router.use(perIp);
+
+  router.post('/', validateBody(CHAT_FIELDS), perSession, async (req, res) => {
+    let session = null;
+    try {
+      // We receive the user's message and their conversation session id.
+      // The server keeps the transcript and collected details, so the client's copy is never trusted.
+      // `language` is the guest's pick in the client ("en", "ta", "hi" or "auto" to detect it)
+      const { message, sessionId, language, location } = req.body;
+      session = await loadSession(sessionId);
+
+      // The agent extracts details with the LLM, then books, changes or cancels deterministically
+      const result = await runAgentTurn({ llm, session, message, language, location });
+      res.json(result);
+
+    } catch (error) {
+      console.error("AI Error:", error);
+      if (session) recordFailedTurn(session, req.body.message, error);
+      res.status(500).json({ error: "Failed to process request" });
+    }
+  });
+
+  // Picks up a conversation after the guest reloads the chat page: the messages so far
+  // and the details collected. The session id is the guest's only key to it.
+  router.get('/:sessionId', async (req, res) => {
+    try {
+      const conversation = await resumeConversation(req.params.sessionId);
+      if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+      res.json({ ...describeSession(conversation.session), messages: conversation.messages });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to load conversation" });
+    }
+  });
+
+  // Streaming variant for the voice client: Server-Sent Events over the POST response.
+  // "delta" events carry reply text as it is generated, "done" carries the same payload
+  // as /api/chat, and "error" is sent if the turn fails part-way.
+  router.post('/stream', validateBody(CHAT_FIELDS), perSession, async (req, res) => {
+    const { message, sessionId, language, location } = req.body;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    let session = null;
+    try {
+      session = await loadSession(sessionId);
+      const result = await streamAgentTurn({ llm, session, message, language, location, onText: (text) => send('delta', { text }) });
+      send('done', result);
+    } catch (error) {
+      console.error("AI Error:", error);
+      if (session) recordFailedTurn(session, message, error);
+      send('error', { error: "Failed to process request" });
+    }
+    res.end();
+  });
+
+  return router;
+};
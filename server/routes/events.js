@@ -0,0 +1,45 @@
+import express from 'express';
+import { subscribe, eventsSince } from '../services/events.js';
+import { requirePermission } from '../middleware/auth.js';
+
+// --- Live Event Stream (Server-Sent Events) ---
+// GET /api/events streams every published event; ?types=booking.created,booking.cancelled
+// narrows it down (e.g. for a kitchen display). Browsers reconnect on their own and send
+// Last-Event-ID, which replays anything missed while disconnected. Only events at the
+// location being viewed (?location=, as EventSource cannot send headers) are sent.
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000; // Keeps proxies from closing an idle connection
+
+router.get('/', requirePermission('bookings:read'), (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : null;
+  const location = String(req.location._id);
+  const wanted = (event) => (!types || types.includes(event.type)) &&
+    (!event.data?.location || String(event.data.location) === location);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (event) => {
+    if (!wanted(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+  };
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) eventsSince(lastEventId).forEach(send);
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import Table from '../models/table.js';
+import { checkAvailability } from '../services/availability.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+
+// --- Floor Plan & Availability ---
+const router = express.Router();
+
+const TABLE_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 40 },
+  seats: { type: 'integer', required: true, min: 1, max: 50 },
+  zone: { type: 'string', required: true, values: ['Indoor', 'Outdoor'] },
+  combinableGroup: { type: 'string', maxLength: 40, nullable: true },
+  active: { type: 'boolean' },
+};
+
+// List the location's tables
+router.get('/tables', requirePermission('tables:read'), async (req, res) => {
+  try {
+    const tables = await Table.find({ location: req.location._id }).sort({ zone: 1, name: 1 });
+    res.json(tables);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch tables" });
+  }
+});
+
+// Add a table to the location's floor plan
+router.post('/tables', requirePermission('tables:write'), validateBody(TABLE_FIELDS), async (req, res) => {
+  try {
+    const table = new Table({ ...req.body, location: req.location._id });
+    await table.save();
+    res.status(201).json(table);
+  } catch (error) {
+    res.status(400).json({ error: "Failed to create table" });
+  }
+});
+
+// Check a slot, e.g. /api/availability?date=2025-06-01&time=19:00&guests=4&seating=Outdoor&location=anna-nagar
+router.get('/availability', async (req, res) => {
+  try {
+    const { date, time, guests, seating } = req.query;
+    const availability = await checkAvailability({ location: req.location._id, date, time, guests: Number(guests), seating });
+    res.json({ ...availability, tables: availability.tables.map(t => t.name) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+export default router;
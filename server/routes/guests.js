@@ -0,0 +1,70 @@
+import express from 'express';
+import Guest from '../models/guest.js';
+import { searchGuests, guestHistory, updateGuest, InvalidGuestError } from '../services/guests.js';
+import { hasPermission } from '../services/auth.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { DIETARY_TAGS, ALLERGENS } from '../models/menuItem.js';
+
+// --- Guest Profiles ---
+// Guests are shared by every location; the bookings listed are the staff member's locations' only.
+const router = express.Router();
+router.use(requirePermission('bookings:read'));
+
+const GUEST_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'string', maxLength: 30, pattern: /^\+?[\d\s().-]+$/, message: 'phone is not a valid phone number' },
+  email: { type: 'string', maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'email is not a valid email address' },
+  preferences: {
+    type: 'object',
+    fields: {
+      seating: { type: 'string', values: ['Any', 'Indoor', 'Outdoor'] },
+      cuisine: { type: 'string', maxLength: 60 },
+      dietaryRequirements: { type: 'array', items: { type: 'string', values: DIETARY_TAGS } },
+      allergies: { type: 'array', items: { type: 'string', values: ALLERGENS } },
+    },
+  },
+  notes: { type: 'string', maxLength: 1000 },
+  vip: { type: 'boolean' },
+  blacklisted: { type: 'boolean' },
+  blacklistReason: { type: 'string', maxLength: 300 },
+};
+// Flags change how a guest is treated, so only managers and admins set them
+const FLAG_FIELDS = ['vip', 'blacklisted', 'blacklistReason'];
+
+// Find guests, e.g. /api/guests?q=ravi (by name, phone number or email)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await searchGuests(req.query.q));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch guests" });
+  }
+});
+
+// A guest's profile with their bookings and their record: visits, no-shows and cancellations
+router.get('/:id', async (req, res) => {
+  try {
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) return res.status(404).json({ error: "Guest not found" });
+    res.json({ guest, ...(await guestHistory(guest, req.staff)) });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching guest" });
+  }
+});
+
+// Correct a guest's details, or change their preferences, notes or flags
+router.patch('/:id', requirePermission('bookings:write'), validateBody(GUEST_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    if (FLAG_FIELDS.some(field => field in req.body) && !hasPermission(req.staff.role, 'guests:flag')) {
+      return res.status(403).json({ error: "Only managers and admins can flag guests" });
+    }
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) return res.status(404).json({ error: "Guest not found" });
+    res.json(await updateGuest(guest, req.body));
+  } catch (error) {
+    if (error instanceof InvalidGuestError) return res.status(409).json({ error: error.message });
+    res.status(500).json({ error: "Error updating guest" });
+  }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import Location from '../models/location.js';
+import {
+  getLocations, publicLocation, createLocation, updateLocation, canAccessLocation, InvalidLocationError,
+} from '../services/locations.js';
+import { ensureFloorPlan } from '../services/availability.js';
+import { loadSettings } from '../services/settings.js';
+import { hasPermission } from '../services/auth.js';
+import { getRestaurantName } from '../config.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+
+// --- Restaurant Locations ---
+const router = express.Router();
+
+const LOCATION_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  slug: { type: 'string', maxLength: 60 },
+  address: { type: 'string', maxLength: 300 },
+  phone: { type: 'string', maxLength: 30, pattern: /^\+?[\d\s().-]+$/, message: 'phone is not a valid phone number' },
+  lat: { type: 'number' },
+  lon: { type: 'number' },
+  timezone: { type: 'string', maxLength: 60 },
+  active: { type: 'boolean' },
+};
+
+const sendError = (res, error) => {
+  if (error instanceof InvalidLocationError) return res.status(400).json({ error: "Invalid location", details: error.errors });
+  return false;
+};
+
+// The group's name and its locations (public, so the chat and guest pages can offer them).
+// Staff get the full records; admins also see inactive locations, with ?all=true.
+router.get('/', (req, res) => {
+  const includeInactive = req.query.all === 'true' && req.staff && hasPermission(req.staff.role, 'locations:manage');
+  const locations = getLocations({ includeInactive });
+  res.json({
+    brand: getRestaurantName(),
+    locations: req.staff ? locations : locations.map(publicLocation),
+  });
+});
+
+// Open a new location; it starts with the default floor plan and settings, ready to edit
+router.post('/', requirePermission('locations:manage'), validateBody(LOCATION_FIELDS), async (req, res) => {
+  try {
+    const location = await createLocation(req.body);
+    await Promise.all([ensureFloorPlan(), loadSettings()]);
+    res.status(201).json(location);
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Failed to create location" });
+  }
+});
+
+// Change a location's name, address, coordinates or timezone, or close it to new bookings
+router.patch('/:id', requirePermission('settings:write'), validateBody(LOCATION_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location || !canAccessLocation(req.staff, location._id)) return res.status(404).json({ error: "Location not found" });
+    res.json(await updateLocation(location, req.body));
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Failed to update location" });
+  }
+});
+
+export default router;
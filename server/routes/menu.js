@@ -0,0 +1,67 @@
+import express from 'express';
+import {
+  listMenu, createMenuItem, updateMenuItem, deleteMenuItem, InvalidMenuItemError,
+} from '../services/menu.js';
+import { DIETARY_TAGS, ALLERGENS, COURSES } from '../models/menuItem.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+
+// --- Menu ---
+const router = express.Router();
+
+// Tags are checked against the vocabulary by the service, which also accepts "Vegan, Gluten-free"
+const DISH_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  cuisine: { type: 'string', required: true, maxLength: 60 },
+  course: { type: 'string', values: COURSES },
+  price: { type: 'number', required: true, min: 0 },
+  dietaryTags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 30 } },
+  allergens: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 30 } },
+  available: { type: 'boolean' },
+};
+
+// The menu, e.g. /api/menu?cuisine=Italian&dietary=vegan&allergens=nuts&available=true
+router.get('/', (req, res) => {
+  res.json(listMenu(req.query));
+});
+
+// The tag vocabulary, for forms
+router.get('/tags', (req, res) => {
+  res.json({ dietaryTags: DIETARY_TAGS, allergens: ALLERGENS, courses: COURSES });
+});
+
+// Add a dish
+router.post('/', requirePermission('menu:write'), validateBody(DISH_FIELDS), async (req, res) => {
+  try {
+    res.status(201).json(await createMenuItem(req.body));
+  } catch (error) {
+    if (error instanceof InvalidMenuItemError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: "Failed to add dish" });
+  }
+});
+
+// Change a dish (price, tags, availability ...)
+router.patch('/:id', requirePermission('menu:write'), validateBody(DISH_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    const item = await updateMenuItem(req.params.id, req.body);
+    if (!item) return res.status(404).json({ error: "Dish not found" });
+    res.json(item);
+  } catch (error) {
+    if (error instanceof InvalidMenuItemError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: "Failed to update dish" });
+  }
+});
+
+// Remove a dish for good (set available: false to take it off for a while)
+router.delete('/:id', requirePermission('menu:write'), async (req, res) => {
+  try {
+    const item = await deleteMenuItem(req.params.id);
+    if (!item) return res.status(404).json({ error: "Dish not found" });
+    res.json({ message: "Dish removed" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to remove dish" });
+  }
+});
+
+export default router;
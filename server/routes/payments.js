@@ -0,0 +1,70 @@
+import express from 'express';
+import { getPaymentGateway } from '../services/payments/index.js';
+import { handlePaymentEvent } from '../services/deposits.js';
+import { formatPrice } from '../services/menu.js';
+import { validateBody } from '../middleware/validate.js';
+
+// --- Payments ---
+const router = express.Router();
+
+// The gateway reports deposit payments here. The body arrives unparsed (see index.js),
+// because the signature covers the exact bytes that were sent.
+router.post('/webhook', async (req, res) => {
+  try {
+    const gateway = getPaymentGateway();
+    if (!gateway) return res.status(404).json({ error: "No payment gateway is configured" });
+    const event = Buffer.isBuffer(req.body) && gateway.parseWebhook(req.body, req.headers);
+    if (!event) return res.status(400).json({ error: "Invalid webhook signature" });
+    await handlePaymentEvent(event);
+    res.json({ received: true });
+  } catch (error) {
+    if (error instanceof SyntaxError) return res.status(400).json({ error: "Invalid webhook body" });
+    console.error("Payment Webhook Error:", error.message);
+    res.status(500).json({ error: "Error handling the payment" });
+  }
+});
+
+// --- Fake Checkout ---
+// Only with PAYMENT_GATEWAY=fake: a stand-in for the gateway's payment page.
+
+const fakePayment = (req) => {
+  const gateway = getPaymentGateway();
+  return gateway?.name === 'fake' ? gateway.getPayment(req.params.id) : null;
+};
+
+const FAKE_OUTCOME_FIELDS = { outcome: { type: 'string', required: true, values: ['pay', 'fail'] } };
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+router.get('/fake/:id', (req, res) => {
+  const payment = fakePayment(req);
+  if (!payment) return res.status(404).json({ error: "Payment not found" });
+  res.send(`<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Test payment</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+  <h1>Test payment</h1>
+  <p>${escapeHtml(payment.description)}</p>
+  <p><strong>${escapeHtml(formatPrice(payment.amount))}</strong></p>
+  ${payment.status === 'open' ? `<form method="post">
+    <button name="outcome" value="pay">Pay</button>
+    <button name="outcome" value="fail">Fail the payment</button>
+  </form>` : `<p>This payment is ${payment.status}.</p>`}
+</body>
+</html>`);
+});
+
+router.post('/fake/:id', express.urlencoded({ extended: false }), validateBody(FAKE_OUTCOME_FIELDS), async (req, res) => {
+  try {
+    const payment = fakePayment(req);
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+    const succeeded = req.body.outcome === 'pay';
+    const event = getPaymentGateway().settle(payment.id, succeeded);
+    if (event) await handlePaymentEvent(event);
+    res.redirect(303, succeeded ? payment.successUrl : payment.cancelUrl);
+  } catch (error) {
+    res.status(500).json({ error: "Error settling the payment" });
+  }
+});
+
+export default router;
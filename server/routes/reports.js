@@ -0,0 +1,37 @@
+import express from 'express';
+import { buildReport, exportReportCsv } from '../services/reports.js';
+import { InvalidQueryError } from '../services/bookingSearch.js';
+import { requirePermission } from '../middleware/auth.js';
+
+// --- Reports ---
+const router = express.Router();
+
+router.use(requirePermission('reports:read'));
+
+// Covers, seating mix, cancellation and no-show rates, lead times, cuisines and chat conversion
+// at the selected location for a range of reservation dates, e.g. /api/reports?from=2025-06-01&to=2025-06-30
+router.get('/', async (req, res) => {
+  try {
+    res.json(await buildReport(req.query, { location: req.location._id }));
+  } catch (error) {
+    if (error instanceof InvalidQueryError) return res.status(400).json({ error: "Invalid query", details: error.errors });
+    res.status(500).json({ error: "Failed to build report" });
+  }
+});
+
+// The bookings behind the report as a spreadsheet (same from/to)
+router.get('/bookings.csv', async (req, res) => {
+  try {
+    const csv = await exportReportCsv(req.query, { location: req.location._id });
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="bookings-${req.location.slug}-${req.query.from}-to-${req.query.to}.csv"`,
+    });
+    res.send(csv);
+  } catch (error) {
+    if (error instanceof InvalidQueryError) return res.status(400).json({ error: "Invalid query", details: error.errors });
+    res.status(500).json({ error: "Failed to export bookings" });
+  }
+});
+
+export default router;
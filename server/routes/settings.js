@@ -0,0 +1,57 @@
+import express from 'express';
+import { getSettings, updateSettings, InvalidSettingsError } from '../services/settings.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+
+// --- Restaurant Settings ---
+const router = express.Router();
+
+// The shape of each setting; the service checks the values make sense together
+// (e.g. closing after opening) and lists every problem it finds
+const listOf = (fields) => ({ type: 'array', maxItems: 366, items: { type: 'object', fields } });
+const SETTINGS_FIELDS = {
+  weeklyHours: listOf({
+    day: { type: 'integer', required: true },
+    closed: { type: 'boolean' },
+    open: { type: 'string', maxLength: 5, nullable: true },
+    close: { type: 'string', maxLength: 5, nullable: true },
+  }),
+  servicePeriods: listOf({
+    name: { type: 'string', maxLength: 40 },
+    start: { type: 'string', maxLength: 5 },
+    end: { type: 'string', maxLength: 5 },
+  }),
+  blackoutDates: listOf({
+    date: { type: 'string', maxLength: 10 },
+    reason: { type: 'string', maxLength: 200, nullable: true },
+  }),
+  maxPartySize: { type: 'number' },
+  minLeadMinutes: { type: 'number' },
+  maxAdvanceDays: { type: 'number' },
+  transcriptRetentionDays: { type: 'number' },
+  depositRules: listOf({
+    minGuests: { type: 'number', nullable: true },
+    days: { type: 'array', maxItems: 7, items: { type: 'number' } },
+    services: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 40 } },
+  }),
+  depositPerGuest: { type: 'number' },
+  depositRefundHours: { type: 'number' },
+  depositHoldMinutes: { type: 'number' },
+};
+
+// A location's opening hours, service periods, closures and limits (public, so guest pages can show them)
+router.get('/', (req, res) => {
+  res.json(getSettings(req.location._id));
+});
+
+// Change any of the location's settings; fields left out keep their current value
+router.put('/', requirePermission('settings:write'), validateBody(SETTINGS_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    res.json(await updateSettings(req.body, req.location._id));
+  } catch (error) {
+    if (error instanceof InvalidSettingsError) return res.status(400).json({ error: "Invalid settings", details: error.errors });
+    res.status(500).json({ error: "Failed to save settings" });
+  }
+});
+
+export default router;
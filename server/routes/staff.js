@@ -0,0 +1,87 @@
+import express from 'express';
+import Staff from '../models/staff.js';
+import { hashPassword, ROLES } from '../services/auth.js';
+import { getLocation } from '../services/locations.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+
+// --- Staff Management Routes (admin only) ---
+const router = express.Router();
+router.use(requirePermission('staff:manage'));
+
+const STAFF_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'string', required: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'email is not a valid email address' },
+  password: { type: 'string', required: true, maxLength: 200 },
+  role: { type: 'string', values: ROLES },
+  // Location ids the account works at; leave empty for all of them
+  locations: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 24 } },
+};
+// Email is the login, so it is not changed once the account exists
+const STAFF_UPDATE_FIELDS = {
+  name: STAFF_FIELDS.name,
+  password: STAFF_FIELDS.password,
+  role: STAFF_FIELDS.role,
+  locations: STAFF_FIELDS.locations,
+  active: { type: 'boolean' },
+};
+
+const unknownLocations = (ids = []) => ids.filter(id => !getLocation(id));
+
+// List staff accounts
+router.get('/', async (req, res) => {
+  try {
+    const staff = await Staff.find().sort({ name: 1 });
+    res.json(staff);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch staff" });
+  }
+});
+
+// Create a staff account
+router.post('/', validateBody(STAFF_FIELDS), async (req, res) => {
+  try {
+    const { name, email, password, role, locations } = req.body;
+    if (!name || !email || !password || password.length < 8) {
+      return res.status(400).json({ error: "Name, email and a password of at least 8 characters are required" });
+    }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+    }
+    if (unknownLocations(locations).length > 0) {
+      return res.status(400).json({ error: `Unknown location(s): ${unknownLocations(locations).join(', ')}` });
+    }
+    const staff = await Staff.create({ name, email, role, locations, passwordHash: await hashPassword(password) });
+    res.status(201).json(staff);
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: "A staff account with that email already exists" });
+    res.status(500).json({ error: "Failed to create staff account" });
+  }
+});
+
+// Change role or locations, deactivate, or reset the password of a staff account
+router.patch('/:id', validateBody(STAFF_UPDATE_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    const { name, role, locations, active, password } = req.body;
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+    }
+    if (unknownLocations(locations).length > 0) {
+      return res.status(400).json({ error: `Unknown location(s): ${unknownLocations(locations).join(', ')}` });
+    }
+    if (password && password.length < 8) {
+      return res.status(400).json({ error: "Passwords must be at least 8 characters" });
+    }
+    const updates = { name, role, locations, active };
+    if (password) updates.passwordHash = await hashPassword(password);
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+    const staff = await Staff.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!staff) return res.status(404).json({ error: "Staff account not found" });
+    res.json(staff);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update staff account" });
+  }
+});
+
+export default router;
@@ -0,0 +1,185 @@
+import express from 'express';
+import {
+  answerCall, continueCall, endCall, isGenuineWebhook, isSimulatorEnabled, isVoiceEnabled, UnknownCallError,
+} from '../services/voice.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { getServerUrl } from '../config.js';
+
+// --- Phone Calls (Twilio voice webhooks) ---
+// Point the phone number's "A call comes in" webhook at POST /api/voice/incoming
+// (add ?location=<slug> when a number belongs to one location) and its call status
+// callback at POST /api/voice/status. Twilio posts form fields and expects TwiML back.
+// Everything here answers 404 until VOICE_ENABLED (or VOICE_SIMULATOR) is set.
+
+const sendTwiml = (res, body) => res.type('text/xml').send(body);
+
+const requireVoice = (req, res, next) => {
+  if (!isVoiceEnabled()) return res.status(404).json({ error: "Phone bookings are not enabled" });
+  next();
+};
+
+// Each request must be signed for SERVER_URL + the path, which is where Twilio was told to send it.
+// Only the simulator's unsigned requests get through without, and their caller ID is not trusted.
+const requireSignature = (req, res, next) => {
+  req.signedByTwilio = isGenuineWebhook(`${getServerUrl()}${req.originalUrl}`, req.body || {}, req.get('X-Twilio-Signature'));
+  if (!req.signedByTwilio && !isSimulatorEnabled()) {
+    return res.status(403).json({ error: "Invalid webhook signature" });
+  }
+  next();
+};
+
+// Anything going wrong is still answered in TwiML, so the caller hears an apology, not silence
+const SORRY = '<?xml version="1.0" encoding="UTF-8"?>\n<Response><Say>Sorry, we are having trouble taking calls right now. Please try again later.</Say><Hangup/></Response>';
+
+/**
+ * The voice webhooks, answering with the given LLM provider (see services/llm/index.js).
+ */
+export const createVoiceRouter = ({ llm }) => {
+  const router = express.Router();
+  router.use(requireVoice);
+  router.use(express.urlencoded({ extended: false }));
+
+  // Every turn costs a model call, so each address and each call gets a budget per minute
+  // (VOICE_IP_RATE_LIMIT and VOICE_RATE_LIMIT). Twilio posts every call from its own
+  // addresses, hence the much higher limit there.
+  const perIp = rateLimit({ windowMs: 60 * 1000, max: Number(process.env.VOICE_IP_RATE_LIMIT) || 300 });
+  const perCall = rateLimit({
+    windowMs: 60 * 1000,
+    max: Number(process.env.VOICE_RATE_LIMIT) || 20,
+    key: (req) => (typeof req.body?.CallSid === 'string' ? req.body.CallSid : null),
+  });
+  router.use(perIp, perCall);
+
+  // A new call: greet the caller and listen
+  router.post('/incoming', requireSignature, async (req, res) => {
+    try {
+      const { CallSid, From, To } = req.body;
+      if (!CallSid) return res.status(400).json({ error: "CallSid is required" });
+      sendTwiml(res, await answerCall({
+        llm, callSid: CallSid, from: From, to: To, location: req.query.location, trusted: req.signedByTwilio,
+      }));
+    } catch (error) {
+      console.error("Voice Error:", error);
+      sendTwiml(res, SORRY);
+    }
+  });
+
+  // What the caller said (SpeechResult) or pressed (Digits), or neither when they stayed silent
+  router.post('/gather', requireSignature, async (req, res) => {
+    try {
+      const { CallSid, SpeechResult, Digits } = req.body;
+      if (!CallSid) return res.status(400).json({ error: "CallSid is required" });
+      sendTwiml(res, await continueCall({ llm, callSid: CallSid, speech: SpeechResult, digits: Digits }));
+    } catch (error) {
+      if (error instanceof UnknownCallError) return res.status(404).json({ error: "Call not found" });
+      console.error("Voice Error:", error);
+      sendTwiml(res, SORRY);
+    }
+  });
+
+  // Twilio reports the call's progress; once it is over we forget it
+  router.post('/status', requireSignature, (req, res) => {
+    if (['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(req.body.CallStatus)) endCall(req.body.CallSid);
+    res.status(204).end();
+  });
+
+  // --- Call Simulator ---
+  // Only with VOICE_SIMULATOR: a page that plays the phone network, posting the same
+  // webhooks as Twilio and reading the TwiML back (aloud, where the browser can).
+  router.get('/simulator', (req, res) => {
+    if (!isSimulatorEnabled()) return res.status(404).json({ error: "The call simulator is off" });
+    res.send(SIMULATOR_PAGE);
+  });
+
+  return router;
+};
+
+const SIMULATOR_PAGE = `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Call simulator</title></head>
+<body style="font-family: sans-serif; max-width: 36rem; margin: 3rem auto;">
+  <h1>Call simulator</h1>
+  <p>
+    <label>Caller <input id="from" value="+919840012345"></label>
+    <label>Dialled <input id="to" placeholder="the location's number"></label>
+    <button id="call">Call</button>
+    <button id="hangup" disabled>Hang up</button>
+  </p>
+  <ol id="log"></ol>
+  <form id="speak">
+    <input id="speech" placeholder="What the caller says" size="40" disabled>
+    <button disabled>Say</button>
+    <button type="button" id="silence" disabled>Stay silent</button>
+  </form>
+  <p id="keypad">${['1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '0', '#'].map(key => `<button type="button" disabled>${key}</button>`).join(' ')}</p>
+  <script>
+    const $ = (id) => document.getElementById(id);
+    const controls = () => document.querySelectorAll('#speak input, #speak button, #keypad button, #hangup');
+    let callSid = null;
+
+    const log = (who, text) => {
+      const item = document.createElement('li');
+      item.textContent = who + ': ' + text;
+      $('log').append(item);
+    };
+
+    const setLive = (live) => {
+      controls().forEach(control => { control.disabled = !live; });
+      $('call').disabled = live;
+    };
+
+    const post = async (path, fields) => {
+      const res = await fetch('/api/voice/' + path, { method: 'POST', body: new URLSearchParams({ CallSid: callSid, ...fields }) });
+      return res.text();
+    };
+
+    // Reads the TwiML out as the phone network would: speech, a transfer or the end of the call
+    const play = (xml) => {
+      const response = new DOMParser().parseFromString(xml, 'text/xml');
+      response.querySelectorAll('Say').forEach(node => {
+        log('Agent', node.textContent);
+        if (window.speechSynthesis) {
+          const utterance = new SpeechSynthesisUtterance(node.textContent);
+          utterance.lang = node.getAttribute('language') || 'en-IN';
+          speechSynthesis.speak(utterance);
+        }
+      });
+      const dial = response.querySelector('Dial');
+      if (dial) log('Network', 'Transferring to ' + dial.textContent);
+      if (dial || response.querySelector('Hangup') || !response.querySelector('Gather')) end();
+    };
+
+    const end = () => {
+      if (callSid) post('status', { CallStatus: 'completed' });
+      callSid = null;
+      setLive(false);
+      log('Network', 'Call ended');
+    };
+
+    $('call').onclick = async () => {
+      callSid = 'CA' + crypto.randomUUID().replace(/-/g, '');
+      setLive(true);
+      play(await post('incoming', { From: $('from').value, To: $('to').value, CallStatus: 'ringing' }));
+    };
+    $('hangup').onclick = end;
+    $('speak').onsubmit = async (event) => {
+      event.preventDefault();
+      const text = $('speech').value.trim();
+      if (!text) return;
+      $('speech').value = '';
+      log('Caller', text);
+      play(await post('gather', { SpeechResult: text, Confidence: '0.9' }));
+    };
+    $('silence').onclick = async () => {
+      log('Caller', '(silence)');
+      play(await post('gather', {}));
+    };
+    document.querySelectorAll('#keypad button').forEach(button => {
+      button.onclick = async () => {
+        log('Caller', 'pressed ' + button.textContent);
+        play(await post('gather', { Digits: button.textContent }));
+      };
+    });
+  </script>
+</body>
+</html>`;
@@ -0,0 +1,165 @@
+import express from 'express';
+import WaitlistEntry, { WAITLIST_STATUSES, ACTIVE_WAITLIST_STATUSES } from '../models/waitlistEntry.js';
+import {
+  addToWaitlist, updateWaitlistEntry, offerEntry, acceptOffer, declineOffer, removeFromWaitlist,
+  verifyOfferToken, toGuestWaitlistView, InvalidWaitlistEntryError, WaitlistOfferError,
+} from '../services/waitlist.js';
+import { BookingRuleError, staffActor, toGuestView } from '../services/bookings.js';
+import { hasPermission, guestBookingPath } from '../services/auth.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { DIETARY_TAGS, ALLERGENS } from '../models/menuItem.js';
+import { canAccessLocation } from '../services/locations.js';
+import { dayRange } from '../utils/time.js';
+
+// --- Waitlist ---
+const router = express.Router();
+
+// Times may be written loosely ("7:30 pm"); the service normalizes them or refuses them
+const WAITLIST_FIELDS = {
+  customerName: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'string', maxLength: 30, pattern: /^\+?[\d\s().-]+$/, message: 'phone is not a valid phone number' },
+  email: { type: 'string', maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'email is not a valid email address' },
+  numberOfGuests: { type: 'integer', required: true, min: 1, max: 100 },
+  bookingDate: { type: 'date', required: true },
+  bookingTime: { type: 'string', required: true, maxLength: 20 },
+  earliestTime: { type: 'string', maxLength: 20, nullable: true },
+  latestTime: { type: 'string', maxLength: 20, nullable: true },
+  seatingPreference: { type: 'string', maxLength: 20 },
+  cuisinePreference: { type: 'string', maxLength: 60 },
+  specialRequests: { type: 'string', maxLength: 500 },
+  dietaryRequirements: { type: 'array', items: { type: 'string', values: DIETARY_TAGS } },
+  allergies: { type: 'array', items: { type: 'string', values: ALLERGENS } },
+  priority: { type: 'integer', min: -100, max: 100 },
+  notes: { type: 'string', maxLength: 500 },
+};
+
+const isStaff = (req, permission = 'bookings:write') => req.staff && hasPermission(req.staff.role, permission);
+
+// Maps the service's errors onto responses; returns false for anything unexpected
+const sendError = (res, error) => {
+  if (error instanceof BookingRuleError) return res.status(400).json({ error: error.message, details: error.errors });
+  if (error instanceof InvalidWaitlistEntryError) return res.status(400).json({ error: error.message });
+  if (error instanceof WaitlistOfferError) return res.status(409).json({ error: error.message });
+  return false;
+};
+
+// Staff only see entries at locations they work at; guests reach an entry through its offer link
+const findEntry = async (req) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry || (req.staff && !canAccessLocation(req.staff, entry.location))) return null;
+  return entry;
+};
+
+// The location's waitlist, e.g. /api/waitlist?date=2025-06-01&status=Waiting (parties still waiting or offered by default)
+router.get('/', requirePermission('bookings:read'), async (req, res) => {
+  try {
+    const { date, status } = req.query;
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${WAITLIST_STATUSES.join(', ')}` });
+    }
+    const filter = { location: req.location._id, status: status || { $in: ACTIVE_WAITLIST_STATUSES } };
+    if (date) {
+      const { start, end } = dayRange(date);
+      if (isNaN(start)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+      filter.bookingDate = { $gte: start, $lt: end };
+    }
+    const entries = await WaitlistEntry.find(filter).sort({ bookingDate: 1, priority: -1, createdAt: 1 });
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch the waitlist" });
+  }
+});
+
+// Add a party (e.g. one who called when the slot was full)
+router.post('/', requirePermission('bookings:write'), validateBody(WAITLIST_FIELDS), async (req, res) => {
+  try {
+    res.status(201).json(await addToWaitlist({ ...req.body, location: req.location._id }));
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Failed to add to the waitlist" });
+  }
+});
+
+// What the guest sees on the offer page (?token= from the offer message)
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+    if (isStaff(req, 'bookings:read')) return res.json(entry);
+    if (!verifyOfferToken(entry, req.query.token)) return res.status(401).json({ error: "This link is not valid" });
+    res.json(toGuestWaitlistView(entry));
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching waitlist entry" });
+  }
+});
+
+// Change priority, notes, contact details or (while waiting) the requested slot
+router.patch('/:id', requirePermission('bookings:write'), validateBody(WAITLIST_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+    res.json(await updateWaitlistEntry(entry, req.body));
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Error updating waitlist entry" });
+  }
+});
+
+// Offer this party a table now, if one fits in its window
+router.post('/:id/offer', requirePermission('bookings:write'), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+    const offered = await offerEntry(entry);
+    if (!offered) return res.status(409).json({ error: "No table is free for this party yet" });
+    res.json(offered);
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Error making the offer" });
+  }
+});
+
+// Accept or decline the offer: the guest with ?token=, or staff on their behalf (e.g. over the phone)
+const answerOffer = (answer) => async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+    const staff = isStaff(req);
+    if (!staff && !verifyOfferToken(entry, req.query.token)) return res.status(401).json({ error: "This link is not valid" });
+
+    if (answer === 'decline') {
+      await declineOffer(entry);
+      return res.json({ message: "Offer declined", entry: staff ? entry : toGuestWaitlistView(entry) });
+    }
+    const booking = await acceptOffer(entry, staff ? staffActor(req.staff) : undefined);
+    const awaitingDeposit = booking.deposit?.status === 'required';
+    res.json({
+      message: awaitingDeposit ? "Booking held until the deposit is paid" : "Booking confirmed!",
+      booking: staff ? booking : toGuestView(booking),
+      bookingLink: guestBookingPath(booking._id),
+      paymentLink: awaitingDeposit ? booking.deposit.paymentUrl : null,
+    });
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Error answering the offer" });
+  }
+};
+
+router.post('/:id/accept', answerOffer('accept'));
+router.post('/:id/decline', answerOffer('decline'));
+
+// Take a party off the waitlist (kept on record as Removed)
+router.delete('/:id', requirePermission('bookings:write'), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+    await removeFromWaitlist(entry);
+    res.json({ message: "Removed from the waitlist" });
+  } catch (error) {
+    if (sendError(res, error)) return;
+    res.status(500).json({ error: "Error removing waitlist entry" });
+  }
+});
+
+export default router;
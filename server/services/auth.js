@@ -0,0 +1,112 @@
+import { randomBytes, scrypt, timingSafeEqual, createHash, createHmac } from 'crypto';
+import { promisify } from 'util';
+import Staff from '../models/staff.js';
+import StaffSession from '../models/staffSession.js';
+
+// --- Staff Authentication ---
+// Passwords are hashed with scrypt; logins get an opaque bearer token whose
+// hash is stored in StaffSession, so logging out simply deletes it.
+
+const scryptAsync = promisify(scrypt);
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // One shift
+
+// What each role may do. Higher roles include everything below them.
+const ROLE_PERMISSIONS = {
+  host: ['bookings:read', 'bookings:write', 'tables:read'],
+  manager: ['bookings:read', 'bookings:write', 'tables:read', 'tables:write', 'settings:write', 'menu:write', 'reports:read', 'guests:flag'],
+  admin: ['bookings:read', 'bookings:write', 'bookings:delete', 'tables:read', 'tables:write', 'settings:write', 'menu:write', 'reports:read', 'guests:flag', 'staff:manage', 'locations:manage'],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [salt, hash] = String(stored).split(':');
+  if (!salt || !hash) return false;
+  const candidate = await scryptAsync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && timingSafeEqual(expected, candidate);
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Checks credentials and opens a session. Returns { token, staff } or null.
+ */
+export const login = async (email, password) => {
+  const staff = await Staff.findOne({ email: String(email || '').toLowerCase().trim(), active: true });
+  if (!staff || !(await verifyPassword(String(password || ''), staff.passwordHash))) return null;
+
+  const token = randomBytes(32).toString('hex');
+  await StaffSession.create({
+    tokenHash: hashToken(token),
+    staff: staff._id,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  });
+  return { token, staff };
+};
+
+export const logout = async (token) => {
+  await StaffSession.deleteOne({ tokenHash: hashToken(token) });
+};
+
+/**
+ * Resolves a bearer token to the active staff member, or null.
+ */
+export const findStaffByToken = async (token) => {
+  const session = await StaffSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } })
+    .populate('staff');
+  if (!session || !session.staff?.active) return null;
+  return session.staff;
+};
+
+/**
+ * Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no staff exist yet.
+ */
+export const ensureAdminUser = async () => {
+  const count = await Staff.countDocuments();
+  if (count > 0) return;
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('No staff accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin.');
+    return;
+  }
+  await Staff.create({
+    name: 'Administrator',
+    email: ADMIN_EMAIL,
+    passwordHash: await hashPassword(ADMIN_PASSWORD),
+    role: 'admin',
+  });
+  console.log(`Created admin account ${ADMIN_EMAIL}.`);
+};
+
+// --- Guest Booking Links ---
+// A guest can view their own booking through a link signed with BOOKING_LINK_SECRET.
+
+const linkSecret = () => {
+  if (!process.env.BOOKING_LINK_SECRET) throw new Error('BOOKING_LINK_SECRET is not configured');
+  return process.env.BOOKING_LINK_SECRET;
+};
+
+export const signBookingLink = (bookingId) =>
+  createHmac('sha256', linkSecret()).update(String(bookingId)).digest('base64url');
+
+export const verifyBookingLink = (bookingId, token) => {
+  if (!token || !process.env.BOOKING_LINK_SECRET) return false;
+  const expected = Buffer.from(signBookingLink(bookingId));
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+/**
+ * Client path of the guest's booking page, or null when links are not configured.
+ */
+export const guestBookingPath = (bookingId) =>
+  process.env.BOOKING_LINK_SECRET ? `/booking/${bookingId}?token=${signBookingLink(bookingId)}` : null;
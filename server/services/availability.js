@@ -0,0 +1,174 @@
+import Booking, { RELEASED_STATUSES } from '../models/booking.js';
+import Table from '../models/table.js';
+import WaitlistEntry from '../models/waitlistEntry.js';
+import floorPlan from '../data/floorPlan.js';
+import { checkTime } from './settings.js';
+import { getLocations, resolveLocation } from './locations.js';
+import { parseTime, formatTime, dayRange } from '../utils/time.js';
+
+// --- Availability Engine ---
+// Decides whether a party fits on a location's floor plan at a given date/time and,
+// if it does, which table(s) it should be assigned.
+
+const MINUTES_IN_DAY = 24 * 60;
+const ALTERNATIVE_STEP_MINUTES = 30;
+const ALTERNATIVE_SEARCH_MINUTES = 180;
+
+// Read lazily so values from .env are picked up after dotenv.config() runs
+export const getDiningDuration = () => Number(process.env.DINING_DURATION_MINUTES) || 90;
+
+/**
+ * Maps free-text seating ("outdoor", "patio please") onto the schema enum.
+ */
+export const normalizeSeating = (value) => {
+  const text = String(value || '').toLowerCase();
+  if (text.includes('out') || text.includes('patio')) return 'Outdoor';
+  if (text.includes('in')) return 'Indoor';
+  return 'Any';
+};
+
+/**
+ * Seeds the default floor plan at every location that has no tables configured yet.
+ */
+export const ensureFloorPlan = async () => {
+  const furnished = (await Table.distinct('location')).map(String);
+  const empty = getLocations({ includeInactive: true }).filter(location => !furnished.includes(String(location._id)));
+  for (const location of empty) {
+    await Table.insertMany(floorPlan.map(table => ({ ...table, location: location._id })));
+    console.log(`Seeded ${floorPlan.length} tables at ${location.name} from the default floor plan.`);
+  }
+};
+
+/**
+ * Loads the location's tables for the requested zone and every active booking there that day.
+ * Tables held by an open waitlist offer count as booked until the offer expires.
+ */
+const loadDay = async (location, date, seating, { excludeBookingId, excludeWaitlistId } = {}) => {
+  const zone = normalizeSeating(seating);
+  const tableFilter = { location, active: true };
+  if (zone !== 'Any') tableFilter.zone = zone;
+
+  const { start, end } = dayRange(date);
+  const [tables, bookings, offers] = await Promise.all([
+    Table.find(tableFilter).lean(),
+    Booking.find({
+      location,
+      bookingDate: { $gte: start, $lt: end },
+      status: { $nin: RELEASED_STATUSES },
+      assignedTables: { $exists: true, $ne: [] },
+      ...(excludeBookingId ? { _id: { $ne: excludeBookingId } } : {}),
+    }).lean(),
+    WaitlistEntry.find({
+      location,
+      bookingDate: { $gte: start, $lt: end },
+      // An offer being accepted keeps its tables even if it runs out meanwhile
+      $or: [{ status: 'Offered', 'offer.expiresAt': { $gt: new Date() } }, { status: 'Accepting' }],
+      ...(excludeWaitlistId ? { _id: { $ne: excludeWaitlistId } } : {}),
+    }).lean(),
+  ]);
+
+  const held = offers.map(entry => ({
+    bookingTime: entry.offer.time,
+    durationMinutes: entry.offer.durationMinutes,
+    assignedTables: entry.offer.tables,
+  }));
+  return { tables, bookings: [...bookings, ...held] };
+};
+
+/**
+ * Picks the tightest fit for a party from a list of free tables.
+ * 1. Prefer a single table with the fewest spare seats.
+ * 2. Otherwise join tables within one combinable group, largest first.
+ */
+const pickTables = (freeTables, guests) => {
+  const single = freeTables
+    .filter(t => t.seats >= guests)
+    .sort((a, b) => a.seats - b.seats)[0];
+  if (single) return [single];
+
+  const groups = {};
+  freeTables.filter(t => t.combinableGroup).forEach(t => {
+    (groups[t.combinableGroup] ||= []).push(t);
+  });
+
+  let best = null;
+  Object.values(groups).forEach(group => {
+    const picked = [];
+    let seats = 0;
+    for (const table of [...group].sort((a, b) => b.seats - a.seats)) {
+      if (seats >= guests) break;
+      picked.push(table);
+      seats += table.seats;
+    }
+    if (seats < guests) return;
+    if (!best || picked.length < best.picked.length ||
+        (picked.length === best.picked.length && seats < best.seats)) {
+      best = { picked, seats };
+    }
+  });
+
+  return best ? best.picked : null;
+};
+
+/**
+ * Finds a table assignment for one start time against an already loaded day.
+ */
+const assignForSlot = ({ tables, bookings }, startMinutes, guests) => {
+  const duration = getDiningDuration();
+  const busy = new Set();
+
+  bookings.forEach(b => {
+    const otherStart = parseTime(b.bookingTime);
+    if (otherStart === null) return;
+    const otherDuration = b.durationMinutes || duration;
+    const overlaps = startMinutes < otherStart + otherDuration && otherStart < startMinutes + duration;
+    if (overlaps) b.assignedTables.forEach(id => busy.add(String(id)));
+  });
+
+  const freeTables = tables.filter(t => !busy.has(String(t._id)));
+  return pickTables(freeTables, guests);
+};
+
+/**
+ * Checks whether a party can be seated at a location (the default one if not given)
+ * and suggests the nearest free slots if not. Pass excludeBookingId when moving an
+ * existing booking, or excludeWaitlistId when booking a waitlist offer, so it doesn't
+ * block itself. Returns { available, tables, time, durationMinutes, alternatives }.
+ */
+export const checkAvailability = async ({ location, date, time, guests, seating, excludeBookingId, excludeWaitlistId }) => {
+  const startMinutes = parseTime(time);
+  const partySize = Number(guests);
+  if (!date || startMinutes === null || !Number.isInteger(partySize) || partySize < 1) {
+    throw new Error('Availability check needs a date, a valid time and a positive party size');
+  }
+
+  const place = resolveLocation(location)._id;
+  const day = await loadDay(place, date, seating, { excludeBookingId, excludeWaitlistId });
+  const durationMinutes = getDiningDuration();
+  const tables = assignForSlot(day, startMinutes, partySize);
+
+  if (tables) {
+    return { available: true, tables, time: formatTime(startMinutes), durationMinutes, alternatives: [] };
+  }
+
+  // Walk outwards from the requested time (+30, -30, +60, -60 ...) collecting free slots
+  // that the restaurant's hours, service periods and notice period allow
+  const dateStr = dayRange(date).start.toISOString().split('T')[0];
+  const alternatives = [];
+  for (let offset = ALTERNATIVE_STEP_MINUTES; offset <= ALTERNATIVE_SEARCH_MINUTES; offset += ALTERNATIVE_STEP_MINUTES) {
+    for (const candidate of [startMinutes + offset, startMinutes - offset]) {
+      if (candidate < 0 || candidate + durationMinutes > MINUTES_IN_DAY) continue;
+      if (checkTime(dateStr, formatTime(candidate), { location: place })) continue;
+      if (assignForSlot(day, candidate, partySize)) alternatives.push(candidate);
+    }
+    if (alternatives.length >= 3) break;
+  }
+
+  return {
+    available: false,
+    tables: [],
+    time: formatTime(startMinutes),
+    durationMinutes,
+    alternatives: alternatives.slice(0, 3).sort((a, b) => a - b).map(formatTime),
+  };
+};
@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import Booking, { BOOKING_STATUSES } from '../models/booking.js';
+import { getSettings } from './settings.js';
+import { normalizeSeating } from './availability.js';
+import { dayRange, parseTime } from '../utils/time.js';
+
+// --- Booking Search ---
+// Filters, sorting and cursor pagination for the staff dashboard. Bookings are
+// ordered by reservation date, then time ("HH:MM", so it sorts as text), then _id.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export class InvalidQueryError extends Error {
+  constructor(errors) {
+    super(errors.join('; '));
+    this.name = 'InvalidQueryError';
+    this.errors = errors;
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// The cursor is the sort key of the last booking on the previous page
+const encodeCursor = (booking) => Buffer.from(JSON.stringify({
+  date: booking.bookingDate.toISOString(),
+  time: booking.bookingTime,
+  id: String(booking._id),
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { date, time, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (isNaN(new Date(date)) || typeof time !== 'string' || !mongoose.isValidObjectId(id)) return null;
+    return { date: new Date(date), time, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Turns dashboard query parameters into a MongoDB filter, limited to one location if given.
+ * date | from + to (YYYY-MM-DD), status (comma-separated), seating, minGuests, maxGuests, q (name).
+ * Throws InvalidQueryError listing every parameter that could not be understood.
+ */
+export const buildBookingFilter = (query = {}, { location } = {}) => {
+  const errors = [];
+  const filter = location ? { location } : {};
+
+  const { date, from, to, status, seating, minGuests, maxGuests, q } = query;
+  [['date', date], ['from', from], ['to', to]].forEach(([name, value]) => {
+    if (value !== undefined && !isDateString(value)) errors.push(`${name} must be a date in YYYY-MM-DD format`);
+  });
+  if (date && isDateString(date)) {
+    const { start, end } = dayRange(date);
+    filter.bookingDate = { $gte: start, $lt: end };
+  } else if ((from && isDateString(from)) || (to && isDateString(to))) {
+    filter.bookingDate = {};
+    if (from && isDateString(from)) filter.bookingDate.$gte = dayRange(from).start;
+    if (to && isDateString(to)) filter.bookingDate.$lt = dayRange(to).end;
+  }
+
+  if (status !== undefined) {
+    const statuses = list(status);
+    const unknown = statuses.filter(s => !BOOKING_STATUSES.includes(s));
+    if (unknown.length > 0) errors.push(`Unknown status: ${unknown.join(', ')}`);
+    else filter.status = { $in: statuses };
+  }
+
+  if (seating !== undefined && String(seating).trim()) {
+    // Older bookings may have the lower-case spelling
+    const value = normalizeSeating(seating);
+    filter.seatingPreference = { $in: [value, value.toLowerCase()] };
+  }
+
+  [['minGuests', minGuests, '$gte'], ['maxGuests', maxGuests, '$lte']].forEach(([name, value, operator]) => {
+    if (value === undefined) return;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      errors.push(`${name} must be a whole number above zero`);
+      return;
+    }
+    filter.numberOfGuests = { ...filter.numberOfGuests, [operator]: number };
+  });
+
+  if (q !== undefined && String(q).trim()) {
+    filter.customerName = new RegExp(escapeRegex(String(q).trim()), 'i');
+  }
+
+  if (errors.length > 0) throw new InvalidQueryError(errors);
+  return filter;
+};
+
+/**
+ * Returns one page of bookings (at `scope.location`, if given): { bookings, nextCursor }.
+ * `order` is "asc" (default, soonest first) or "desc"; pass nextCursor back as `cursor`.
+ */
+export const searchBookings = async (query = {}, scope = {}) => {
+  const filter = buildBookingFilter(query, scope);
+  const errors = [];
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  const order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(order)) errors.push('order must be "asc" or "desc"');
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    after = decodeCursor(query.cursor);
+    if (!after) errors.push('cursor is not valid');
+  }
+  if (errors.length > 0) throw new InvalidQueryError(errors);
+
+  const direction = order === 'asc' ? 1 : -1;
+  const past = direction === 1 ? '$gt' : '$lt';
+  const conditions = [filter];
+  if (after) {
+    conditions.push({
+      $or: [
+        { bookingDate: { [past]: after.date } },
+        { bookingDate: after.date, bookingTime: { [past]: after.time } },
+        { bookingDate: after.date, bookingTime: after.time, _id: { [past]: after.id } },
+      ],
+    });
+  }
+
+  // Fetch one extra to know whether another page exists
+  const bookings = await Booking.find({ $and: conditions })
+    .sort({ bookingDate: direction, bookingTime: direction, _id: direction })
+    .limit(limit + 1)
+    .populate('assignedTables', 'name');
+
+  const hasMore = bookings.length > limit;
+  const page = bookings.slice(0, limit);
+  return { bookings: page, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null };
+};
+
+/**
+ * Day view totals for the dashboard: bookings and guests per service (of `scope.location`)
+ * and per time slot. Cancelled bookings are left out unless a status filter asks for them.
+ */
+export const summarizeDay = async (query = {}, scope = {}) => {
+  if (!query.date) throw new InvalidQueryError(['date is required']);
+  const filter = buildBookingFilter(query, scope);
+  if (!filter.status) filter.status = { $ne: 'Cancelled' };
+
+  const slots = await Booking.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$bookingTime',
+        bookings: { $sum: 1 },
+        guests: { $sum: '$numberOfGuests' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const timeSlots = slots.map(slot => ({ time: slot._id, bookings: slot.bookings, guests: slot.guests }));
+  const services = getSettings(scope.location).servicePeriods.map(period => {
+    const inService = timeSlots.filter(slot => {
+      const minutes = parseTime(slot.time);
+      return minutes >= parseTime(period.start) && minutes < parseTime(period.end);
+    });
+    return {
+      ...period,
+      bookings: inService.reduce((sum, slot) => sum + slot.bookings, 0),
+      guests: inService.reduce((sum, slot) => sum + slot.guests, 0),
+    };
+  });
+
+  return {
+    date: query.date,
+    services,
+    timeSlots,
+    totals: {
+      bookings: timeSlots.reduce((sum, slot) => sum + slot.bookings, 0),
+      guests: timeSlots.reduce((sum, slot) => sum + slot.guests, 0),
+    },
+  };
+};
@@ -0,0 +1,245 @@
+import { normalizeSeating } from './availability.js';
+import { checkDate, checkTime, checkPartySize } from './settings.js';
+import { getLocations, getLocation, findLocation } from './locations.js';
+import { matchCuisine, normalizeDietary, normalizeAllergens } from './menu.js';
+import { parseTime, formatTime } from '../utils/time.js';
+
+// --- Booking State Machine ---
+// The LLM only extracts what the guest said in the latest turn. This module
+// validates those values, merges them into the session and decides the intent.
+
+// The location comes first: its hours and limits decide whether a date, time or party size is allowed
+export const SLOTS = ['location', 'name', 'date', 'time', 'guests', 'seating', 'cuisine', 'specialRequests', 'contact'];
+// Slots checked against the location's rules
+const RULE_SLOTS = ['date', 'time', 'guests'];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, twenty: 20,
+};
+
+const CONFIRM_PATTERN = /\b(yes|yeah|yep|yup|confirm|confirmed|go ahead|book it|sounds good|that's right|correct|sure|please do)\b/i;
+// Replies that hold back the booking, as a whole: "yes, not a problem" still says yes
+const DECLINE_PATTERN = /^\s*(no(?! problem| worries)|nope|nah|not yet|wait|hold on|cancel|(don't|do not) (book|confirm))\b/i;
+const REFUSE_PATTERN = /^\s*(no|nope|don't|do not|never mind|leave it)\b/i;
+
+export const isBlank = (value) =>
+  value === null || value === undefined || ['', 'null', 'undefined'].includes(String(value).trim().toLowerCase());
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isEmail = (value) => EMAIL_PATTERN.test(String(value || ''));
+
+const listLocations = () => {
+  const names = getLocations().map(location => location.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names.at(-1)}` : names.join('');
+};
+
+/**
+ * Whether the group has more than one location, so the guest has to pick one.
+ */
+export const hasManyLocations = () => getLocations().length > 1;
+
+// The options the rule checks need for this conversation, or null while the guest
+// has not picked one of several locations (only the format is checked until then)
+const rulesFor = (session) => (session.slots.location || !hasManyLocations() ? { location: session.slots.location } : null);
+
+// Each validator returns { value } with the normalized slot or { error } for the guest.
+// `rules` are the options for the location's rule checks (see rulesFor).
+const validators = {
+  // Kept as the location's id; publicSlots shows its name
+  location: (raw) => {
+    const location = findLocation(raw);
+    return location ? { value: String(location._id) } : { error: `Which of our restaurants would you like: ${listLocations()}?` };
+  },
+  name: (raw) => {
+    const value = String(raw).trim().slice(0, 100);
+    return value ? { value } : { error: "I didn't catch the name for the booking." };
+  },
+  date: (raw, rules) => {
+    const value = String(raw).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+      return { error: "I couldn't understand that date." };
+    }
+    const error = rules && checkDate(value, rules);
+    return error ? { error } : { value };
+  },
+  time: (raw, rules) => {
+    if (parseTime(raw) === null) return { error: "I couldn't understand that time." };
+    // Checked against the week here; mergeSlots re-checks it once the date is known
+    const error = rules && checkTime(null, raw, rules);
+    return error ? { error } : { value: formatTime(parseTime(raw)) };
+  },
+  guests: (raw, rules) => {
+    const text = String(raw).trim().toLowerCase();
+    const value = NUMBER_WORDS[text] ?? (/^\d+$/.test(text) ? Number(text) : parseInt(text, 10));
+    if (!Number.isInteger(value) || value < 1) return { error: 'The number of guests should be a whole number above zero.' };
+    const error = rules && checkPartySize(value, rules);
+    return error ? { error } : { value };
+  },
+  seating: (raw) => ({ value: normalizeSeating(raw) }),
+  // Must be a cuisine on the menu (or "Any")
+  cuisine: (raw) => matchCuisine(raw),
+  specialRequests: (raw) => ({ value: String(raw).trim().slice(0, 500) || 'None' }),
+  // An email address or phone number for the confirmation and reminder
+  contact: (raw) => {
+    let value = String(raw).trim();
+    // Spoken addresses: "aarsh at example dot com"
+    if (!value.includes('@')) value = value.replace(/\s+at\s+/i, '@').replace(/\s+dot\s+/gi, '.');
+    if (value.includes('@')) {
+      value = value.replace(/\s+/g, '').toLowerCase();
+      return isEmail(value) ? { value } : { error: "That email address doesn't look right." };
+    }
+    const digits = value.replace(/[^\d]/g, '');
+    if (digits.length < 7 || digits.length > 15) return { error: "I need an email address or a phone number to send your confirmation to." };
+    return { value: value.replace(/(?!^\+)[^\d]/g, '') };
+  },
+};
+
+/**
+ * Validates the slots extracted this turn and merges the valid ones into the session.
+ * Returns the names of slots that changed and the errors for rejected values.
+ */
+export const mergeSlots = (session, extracted = {}) => {
+  const changed = [];
+  const errors = {};
+
+  SLOTS.forEach(slot => {
+    if (isBlank(extracted[slot])) return;
+    const result = validators[slot](extracted[slot], rulesFor(session));
+    if (result.error) {
+      errors[slot] = result.error;
+      return;
+    }
+    if (session.slots[slot] !== result.value) {
+      session.slots[slot] = result.value;
+      changed.push(slot);
+    }
+  });
+
+  // Another location has its own hours and limits: what was collected before must fit them too
+  if (changed.includes('location')) {
+    RULE_SLOTS.filter(slot => !changed.includes(slot) && !isBlank(session.slots[slot])).forEach(slot => {
+      const { error } = validators[slot](session.slots[slot], rulesFor(session));
+      if (!error) return;
+      errors[slot] = error;
+      delete session.slots[slot];
+      changed.push(slot);
+    });
+  }
+
+  // A time can be fine in general but not on the chosen day (closing early, too soon)
+  const rules = rulesFor(session);
+  if (rules && ['location', 'date', 'time'].some(slot => changed.includes(slot)) && session.slots.date && session.slots.time) {
+    const error = checkTime(session.slots.date, session.slots.time, rules);
+    if (error) {
+      errors.time = error;
+      delete session.slots.time;
+      if (!changed.includes('time')) changed.push('time');
+    }
+  }
+
+  session.errors = errors;
+  return { changed, errors };
+};
+
+/**
+ * Adds the diets and allergies mentioned this turn to the session (they are optional,
+ * so they never block the booking). Returns true when anything new was added.
+ */
+export const mergeNeeds = (session, { dietary, allergies } = {}) => {
+  const before = JSON.stringify(session.needs);
+  session.needs = {
+    dietary: [...new Set([...session.needs.dietary, ...normalizeDietary(dietary)])],
+    allergies: [...new Set([...session.needs.allergies, ...normalizeAllergens(allergies)])],
+  };
+  return JSON.stringify(session.needs) !== before;
+};
+
+// The location only has to be asked for when there is a choice
+export const missingSlots = (slots) =>
+  SLOTS.filter(slot => isBlank(slots[slot]) && (slot !== 'location' || hasManyLocations()));
+
+export const isExplicitConfirmation = (message) =>
+  CONFIRM_PATTERN.test(message || '') && !DECLINE_PATTERN.test(message || '');
+
+// A plain "no" to a read-back, as opposed to "no, make it 8pm" which carries a change
+export const isExplicitRefusal = (message) => REFUSE_PATTERN.test(message || '');
+
+/**
+ * Validates a single slot value against a location's rules (the default location's
+ * when not given). Returns null when the value is blank.
+ */
+export const validateSlot = (slot, raw, location) => (isBlank(raw) ? null : validators[slot](raw, { location }));
+
+/**
+ * Decides the intent deterministically from the session state.
+ * 1. Missing or invalid slots -> keep collecting ("booking_request").
+ * 2. Complete, but the guest has not yet agreed to a summary -> "confirmation_request".
+ * 3. Complete, summary already shown, nothing changed and the guest said yes -> "confirmed".
+ */
+export const decideIntent = (session, { changed, errors }, message) => {
+  if (session.stage === 'booked') return 'confirmed';
+
+  if (missingSlots(session.slots).length > 0 || Object.keys(errors).length > 0) {
+    session.stage = 'collecting';
+    return 'booking_request';
+  }
+
+  if (session.stage === 'awaiting_confirmation' && changed.length === 0 && isExplicitConfirmation(message)) {
+    return 'confirmed';
+  }
+
+  session.stage = 'awaiting_confirmation';
+  return 'confirmation_request';
+};
+
+/**
+ * Builds the read-back the agent uses when asking the guest to confirm.
+ */
+export const describeBooking = (slots, needs = {}) => {
+  const seating = slots.seating === 'Any' ? 'no seating preference' : `${slots.seating.toLowerCase()} seating`;
+  const requests = slots.specialRequests === 'None' ? 'no special requests' : `special requests: ${slots.specialRequests}`;
+  const dietary = needs.dietary?.length ? `, ${needs.dietary.join(', ')} meals` : '';
+  const allergies = needs.allergies?.length ? `, allergic to ${needs.allergies.join(', ')}` : '';
+  const where = hasManyLocations() ? ` at ${getLocation(slots.location)?.name}` : '';
+  return `a table for ${slots.guests} under ${slots.name}${where} on ${slots.date} at ${slots.time}, ` +
+    `${seating}, ${slots.cuisine} cuisine, ${requests}${dietary}${allergies}, with the confirmation sent to ${slots.contact}`;
+};
+
+/**
+ * Converts validated session slots (and the party's diets and allergies) into Booking model fields.
+ */
+export const toBookingFields = (slots, needs = {}) => ({
+  location: slots.location,
+  customerName: slots.name,
+  numberOfGuests: slots.guests,
+  bookingDate: slots.date,
+  bookingTime: slots.time,
+  seatingPreference: slots.seating,
+  cuisinePreference: slots.cuisine,
+  specialRequests: slots.specialRequests,
+  ...(isEmail(slots.contact) ? { email: slots.contact } : { phone: slots.contact }),
+  ...(needs.dietary ? { dietaryRequirements: needs.dietary } : {}),
+  ...(needs.allergies ? { allergies: needs.allergies } : {}),
+});
+
+/**
+ * Returns every slot, with null for ones not collected yet and the location by name
+ * (shape used by the client and shown to the model).
+ */
+export const publicSlots = (slots) => ({
+  ...Object.fromEntries(SLOTS.map(slot => [slot, slots[slot] ?? null])),
+  location: getLocation(slots.location)?.name ?? null,
+});
+
+/**
+ * Fills in the location before the guest is asked for it: the one the conversation
+ * was started from (e.g. a location's own booking page), or the only one there is.
+ */
+export const presetLocation = (session, requested) => {
+  if (session.slots.location) return;
+  const location = requested ? findLocation(requested) : null;
+  const only = hasManyLocations() ? null : getLocations()[0];
+  if (location || only) session.slots.location = String((location || only)._id);
+};
@@ -0,0 +1,324 @@
+import Booking, { normalizePhone } from '../models/booking.js';
+import { checkAvailability } from './availability.js';
+import { getWeatherService } from './weather/index.js';
+import { publish } from './events.js';
+import { checkBookingRules, depositFor } from './settings.js';
+import { requestDeposit } from './payments/index.js';
+import { resolveLocation, publicLocation } from './locations.js';
+import { findGuest, linkSavedBooking } from './guests.js';
+
+// --- Booking Management ---
+// Shared by the REST routes and the chat agent so both reserve tables the same way.
+
+// Fields a guest or staff member may change on an existing booking
+export const EDITABLE_FIELDS = [
+  'customerName', 'phone', 'email', 'numberOfGuests', 'bookingDate', 'bookingTime',
+  'seatingPreference', 'cuisinePreference', 'specialRequests', 'dietaryRequirements', 'allergies',
+];
+// Changing any of these means the table assignment has to be recalculated
+const SLOT_FIELDS = ['numberOfGuests', 'bookingDate', 'bookingTime', 'seatingPreference'];
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Lifecycle ---
+// Allowed status changes: each action moves a booking from one of `from` to `to`.
+export const TRANSITIONS = {
+  confirm: { from: ['Pending'], to: 'Confirmed' },
+  seat: { from: ['Confirmed'], to: 'Seated' },
+  complete: { from: ['Seated'], to: 'Completed' },
+  'no-show': { from: ['Confirmed'], to: 'No-Show' },
+  cancel: { from: ['Pending', 'Confirmed'], to: 'Cancelled' },
+};
+
+// Bookings a guest can still change or cancel
+const ACTIVE_STATUSES = ['Pending', 'Confirmed'];
+
+export class InvalidTransitionError extends Error {
+  constructor(action, status) {
+    super(`Cannot ${action} a booking that is ${status}`);
+    this.name = 'InvalidTransitionError';
+  }
+}
+
+// A booking outside the restaurant's hours, closures or limits (see services/settings.js)
+export class BookingRuleError extends Error {
+  constructor(errors) {
+    super(Object.values(errors).join(' '));
+    this.name = 'BookingRuleError';
+    this.errors = errors;
+  }
+}
+
+const enforceRules = (fields) => {
+  const date = fields.bookingDate && new Date(fields.bookingDate);
+  const errors = checkBookingRules({
+    date: date && !isNaN(date) ? toDateString(date) : null,
+    time: fields.bookingTime,
+    guests: fields.numberOfGuests,
+  }, { location: fields.location });
+  if (Object.keys(errors).length > 0) throw new BookingRuleError(errors);
+};
+
+export const isEditable = (status) => ACTIVE_STATUSES.includes(status);
+
+export const allowedActions = (status) =>
+  Object.keys(TRANSITIONS).filter(action => TRANSITIONS[action].from.includes(status));
+
+// Who made a change, as recorded in the audit trail
+export const SYSTEM_ACTOR = { kind: 'system', name: 'System' };
+export const AGENT_ACTOR = { kind: 'agent', name: 'AI agent' };
+export const staffActor = (staff) => ({ kind: 'staff', id: String(staff._id), name: `${staff.name} (${staff.role})` });
+
+// Dates and lists are compared and stored by value so the trail stays readable
+const auditValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  return Array.isArray(value) ? value.join(', ') : value;
+};
+
+const recordHistory = (booking, action, actor, before, after) => {
+  booking.history.push({ action, actor, at: new Date(), before, after });
+};
+
+// --- Live Updates ---
+// Every change is announced on the event stream as booking.created / booking.updated /
+// booking.cancelled / booking.deleted, with the booking as the staff API returns it.
+
+export const announceBooking = async (type, booking) => {
+  try {
+    const data = await Booking.populate(booking.toJSON(), { path: 'assignedTables', select: 'name' });
+    publish(type, { ...data, allowedActions: allowedActions(booking.status) });
+  } catch (error) {
+    // A failed announcement must never undo a saved booking
+    console.error("Event Error:", error.message);
+  }
+};
+
+// --- Guest Profiles ---
+// Bookings are linked to their guest only once saved, so one that fails leaves no
+// profile or preferences behind (see services/guests.js).
+
+const linkGuestProfile = async (booking) => {
+  try {
+    await linkSavedBooking(booking);
+  } catch (error) {
+    // A profile that could not be updated must never undo a saved booking
+    console.error("Guest Error:", error.message);
+  }
+};
+
+// --- Reservation Lock ---
+// Availability is checked before the booking is saved, so reservations for the same
+// location and day run one at a time; two guests can never be given the same table.
+const slotQueues = new Map(); // "location:YYYY-MM-DD" -> the last reservation queued
+
+export const withSlotLock = (location, date, task) => {
+  const key = `${location}:${toDateString(date)}`;
+  const run = (slotQueues.get(key) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  slotQueues.set(key, settled);
+  // Drop the key once nothing else has queued behind this reservation
+  settled.then(() => {
+    if (slotQueues.get(key) === settled) slotQueues.delete(key);
+  });
+  return run;
+};
+
+/**
+ * Reserves tables for the booking at its location (the default one if `fields.location`
+ * is not given), snapshots the forecast for that slot, saves it and links it to the
+ * guest's profile.
+ * When the deposit rules apply, the booking is held as Pending with a payment link
+ * until the deposit is paid (see services/deposits.js). A blacklisted guest's booking
+ * is held as Pending for staff to review, unless staff made it.
+ * Pass excludeWaitlistId when booking a waitlist offer, so its held tables are free to take.
+ * Returns { booking } on success, or { booking: null, alternatives } when the slot is full.
+ * Throws BookingRuleError when the restaurant's settings do not allow the booking.
+ */
+export const createBooking = async (fields, actor = SYSTEM_ACTOR, { excludeWaitlistId } = {}) => {
+  const location = resolveLocation(fields.location);
+  enforceRules({ ...fields, location: location._id });
+  return withSlotLock(location._id, fields.bookingDate, () => reserveBooking(location, fields, actor, { excludeWaitlistId }));
+};
+
+const reserveBooking = async (location, fields, actor, { excludeWaitlistId }) => {
+  const availability = await checkAvailability({
+    location: location._id,
+    date: fields.bookingDate,
+    time: fields.bookingTime,
+    guests: Number(fields.numberOfGuests),
+    seating: fields.seatingPreference,
+    excludeWaitlistId,
+  });
+  if (!availability.available) {
+    return { booking: null, alternatives: availability.alternatives };
+  }
+
+  const weather = await getWeatherService().getForecast(toDateString(fields.bookingDate), availability.time, location);
+
+  // Only the guest's details (and the starting status) come from the caller; the rest is ours
+  const details = Object.fromEntries(
+    Object.entries(fields).filter(([field]) => EDITABLE_FIELDS.includes(field) || field === 'status')
+  );
+  const booking = new Booking({
+    ...details,
+    location: location._id,
+    bookingTime: availability.time,
+    weatherInfo: weather || {},
+    assignedTables: availability.tables.map(t => t._id),
+    durationMinutes: availability.durationMinutes,
+  });
+  const guest = await findGuest(booking);
+  const heldForReview = guest?.blacklisted && actor.kind !== 'staff';
+  const deposit = heldForReview ? 0 : depositFor({
+    date: toDateString(fields.bookingDate),
+    time: availability.time,
+    guests: Number(fields.numberOfGuests),
+  }, { location: location._id });
+  if (heldForReview) booking.status = 'Pending';
+  if (deposit > 0) {
+    booking.status = 'Pending';
+    booking.deposit = await requestDeposit(booking, deposit);
+  }
+  recordHistory(booking, 'created', actor, null, { status: booking.status });
+  await booking.save();
+  await linkGuestProfile(booking);
+  await announceBooking('booking.created', booking);
+  return { booking, alternatives: [] };
+};
+
+/**
+ * Applies changes to a booking, moving it to new tables if the slot changed.
+ * Returns { booking } on success, or { booking: null, alternatives } when the new slot is full.
+ * Throws BookingRuleError when the new date, time or party size breaks the restaurant's rules.
+ */
+export const updateBooking = async (booking, changes, actor = SYSTEM_ACTOR) => {
+  const updates = Object.fromEntries(
+    Object.entries(changes).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined)
+  );
+  if (!SLOT_FIELDS.some(field => field in updates)) return applyUpdates(booking, updates, actor);
+
+  const next = { ...booking.toObject(), ...updates };
+  // Only what changes is checked: an existing booking keeps its slot even if the rules tighten
+  if ('bookingDate' in updates || 'bookingTime' in updates) enforceRules(next);
+  else if ('numberOfGuests' in updates) enforceRules({ numberOfGuests: next.numberOfGuests, location: next.location });
+  return withSlotLock(next.location, next.bookingDate, () => applyUpdates(booking, updates, actor));
+};
+
+const applyUpdates = async (booking, updates, actor) => {
+  const slotChanged = SLOT_FIELDS.some(field => field in updates);
+  const whenChanged = 'bookingDate' in updates || 'bookingTime' in updates;
+
+  if (slotChanged) {
+    const next = { ...booking.toObject(), ...updates };
+    const availability = await checkAvailability({
+      location: next.location,
+      date: next.bookingDate,
+      time: next.bookingTime,
+      guests: Number(next.numberOfGuests),
+      seating: next.seatingPreference,
+      excludeBookingId: booking._id,
+    });
+    if (!availability.available) {
+      return { booking: null, alternatives: availability.alternatives };
+    }
+
+    updates.bookingTime = availability.time;
+    updates.assignedTables = availability.tables.map(t => t._id);
+    updates.durationMinutes = availability.durationMinutes;
+    if (whenChanged) {
+      updates.weatherInfo = await getWeatherService()
+        .getForecast(toDateString(next.bookingDate), availability.time, resolveLocation(next.location)) || {};
+      updates.reminderSentAt = null; // Remind the guest again about the new time
+    }
+  }
+
+  // Audit only the editable fields whose values actually changed
+  const before = {};
+  const after = {};
+  EDITABLE_FIELDS.filter(field => field in updates).forEach(field => {
+    const previous = auditValue(booking.get(field));
+    booking.set(field, updates[field]);
+    const next = auditValue(booking.get(field));
+    if (String(previous) !== String(next)) {
+      before[field] = previous;
+      after[field] = next;
+    }
+  });
+  booking.set(Object.fromEntries(Object.entries(updates).filter(([field]) => !EDITABLE_FIELDS.includes(field))));
+
+  if (Object.keys(after).length > 0) recordHistory(booking, 'updated', actor, before, after);
+  await booking.save();
+  if ('phone' in after || 'email' in after) await linkGuestProfile(booking);
+  await announceBooking('booking.updated', booking);
+  return { booking, alternatives: [] };
+};
+
+/**
+ * Moves a booking along the lifecycle (confirm, seat, complete, no-show, cancel).
+ * Throws InvalidTransitionError when the action is not allowed from the current status.
+ */
+export const transitionBooking = async (booking, action, actor = SYSTEM_ACTOR) => {
+  const transition = TRANSITIONS[action];
+  if (!transition || !transition.from.includes(booking.status)) {
+    throw new InvalidTransitionError(action, booking.status);
+  }
+
+  const before = { status: booking.status };
+  booking.status = transition.to;
+  recordHistory(booking, action, actor, before, { status: booking.status });
+  await booking.save();
+  await announceBooking(action === 'cancel' ? 'booking.cancelled' : 'booking.updated', booking);
+  return booking;
+};
+
+/**
+ * Marks a booking as cancelled. The document is kept so it stays on record.
+ */
+export const cancelBooking = (booking, actor = SYSTEM_ACTOR) => transitionBooking(booking, 'cancel', actor);
+
+/**
+ * Finds a guest's active booking by name plus confirmation code or phone number.
+ */
+export const findBookingForGuest = async ({ name, confirmationCode, phone }) => {
+  if (!name || (!confirmationCode && !phone)) return null;
+
+  const proof = confirmationCode
+    ? { confirmationCode: String(confirmationCode).toUpperCase() }
+    : { phone: normalizePhone(phone) };
+
+  return Booking.findOne({
+    customerName: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i'),
+    status: { $in: ACTIVE_STATUSES },
+    ...proof,
+  });
+};
+
+/**
+ * The subset of a booking shown to the guest who owns it.
+ */
+export const toGuestView = (booking) => ({
+  _id: booking._id,
+  location: publicLocation(resolveLocation(booking.location)),
+  customerName: booking.customerName,
+  confirmationCode: booking.confirmationCode,
+  numberOfGuests: booking.numberOfGuests,
+  bookingDate: booking.bookingDate,
+  bookingTime: booking.bookingTime,
+  seatingPreference: booking.seatingPreference,
+  cuisinePreference: booking.cuisinePreference,
+  specialRequests: booking.specialRequests,
+  dietaryRequirements: booking.dietaryRequirements,
+  allergies: booking.allergies,
+  weatherInfo: booking.weatherInfo,
+  status: booking.status,
+  deposit: booking.deposit?.amount ? {
+    amount: booking.deposit.amount,
+    currency: booking.deposit.currency,
+    status: booking.deposit.status,
+    // The link only matters while the deposit can still be paid
+    paymentUrl: booking.deposit.status === 'required' ? booking.deposit.paymentUrl : null,
+    expiresAt: booking.deposit.expiresAt,
+  } : null,
+});
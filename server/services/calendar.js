@@ -0,0 +1,108 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import mongoose from 'mongoose';
+import Booking from '../models/booking.js';
+import Staff from '../models/staff.js';
+import { buildCalendar } from '../utils/ical.js';
+import { zonedTimeToUtc, dayRange } from '../utils/time.js';
+import { getRestaurantName, getServerUrl } from '../config.js';
+import { hasPermission, signBookingLink } from './auth.js';
+import { resolveLocation } from './locations.js';
+
+// --- Calendar Export ---
+// Bookings as iCalendar events: a single .ics per booking, and a feed of upcoming
+// reservations staff can subscribe to. Cancelled and no-show bookings stay in the
+// feed as cancelled events so subscribed calendars drop them too.
+
+const FEED_DAYS_BACK = 1;
+const FEED_LIMIT = 2000;
+
+const EVENT_STATUS = {
+  Pending: 'TENTATIVE',
+  Cancelled: 'CANCELLED',
+  'No-Show': 'CANCELLED',
+};
+
+/**
+ * Converts a booking into an iCalendar event. Guests get a simpler summary and
+ * none of the staff-only details.
+ */
+export const bookingToEvent = (booking, { forGuest = false } = {}) => {
+  const date = new Date(booking.bookingDate).toISOString().split('T')[0];
+  const place = resolveLocation(booking.location);
+  const start = zonedTimeToUtc(date, booking.bookingTime, place.timezone);
+  const restaurant = place.name;
+  // Kept on the group's name so calendars that subscribed before there were locations still match
+  const group = getRestaurantName();
+
+  const details = [
+    `Party size: ${booking.numberOfGuests}`,
+    `Seating: ${booking.seatingPreference}`,
+    booking.specialRequests && booking.specialRequests !== 'None' && `Special requests: ${booking.specialRequests}`,
+    booking.dietaryRequirements?.length > 0 && `Dietary: ${booking.dietaryRequirements.join(', ')}`,
+    booking.allergies?.length > 0 && `Allergies: ${booking.allergies.join(', ')}`,
+    `Confirmation code: ${booking.confirmationCode}`,
+    !forGuest && booking.phone && `Phone: ${booking.phone}`,
+    !forGuest && `Status: ${booking.status}`,
+  ].filter(Boolean);
+
+  return {
+    uid: `booking-${booking._id}@${group.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    start,
+    end: start + (booking.durationMinutes || 90) * 60 * 1000,
+    stamp: booking.updatedAt || new Date(),
+    sequence: booking.history?.length || 0, // Bumps on every change so calendars pick it up
+    status: EVENT_STATUS[booking.status] || 'CONFIRMED',
+    summary: forGuest
+      ? `Table for ${booking.numberOfGuests} at ${restaurant}`
+      : `${booking.customerName} (${booking.numberOfGuests})${booking.status === 'Cancelled' ? ' - cancelled' : ''}`,
+    description: details.join('\n'),
+    location: place.address ? `${restaurant}, ${place.address}` : restaurant,
+  };
+};
+
+export const bookingCalendar = (booking, options) =>
+  buildCalendar({ name: resolveLocation(booking.location).name, events: [bookingToEvent(booking, options)] });
+
+/**
+ * Public .ics download link for the guest, or null when booking links are not configured.
+ */
+export const guestCalendarUrl = (bookingId) => (process.env.BOOKING_LINK_SECRET
+  ? `${getServerUrl()}/api/bookings/${bookingId}/calendar.ics?token=${signBookingLink(bookingId)}`
+  : null);
+
+/**
+ * A staff member's feed: every booking at their locations from yesterday onwards, soonest first.
+ */
+export const feedCalendar = async (staff) => {
+  const since = dayRange(new Date(Date.now() - FEED_DAYS_BACK * 24 * 60 * 60 * 1000)).start;
+  const locations = staff?.locations?.length ? { location: { $in: staff.locations } } : {};
+  const bookings = await Booking.find({ bookingDate: { $gte: since }, ...locations })
+    .sort({ bookingDate: 1, bookingTime: 1 })
+    .limit(FEED_LIMIT);
+  return buildCalendar({ name: `${getRestaurantName()} reservations`, events: bookings.map(b => bookingToEvent(b)) });
+};
+
+// --- Feed Tokens ---
+// Calendar apps cannot log in, so each staff member gets a feed URL with a token
+// signed by BOOKING_LINK_SECRET. Deactivating the account revokes it.
+
+const signFeed = (staffId) => {
+  if (!process.env.BOOKING_LINK_SECRET) throw new Error('BOOKING_LINK_SECRET is not configured');
+  return createHmac('sha256', process.env.BOOKING_LINK_SECRET).update(`calendar:${staffId}`).digest('base64url');
+};
+
+export const calendarFeedToken = (staffId) => `${staffId}.${signFeed(staffId)}`;
+
+/**
+ * Resolves a feed token to an active staff member allowed to read bookings, or null.
+ */
+export const findStaffByFeedToken = async (token) => {
+  const [staffId, signature] = String(token || '').split('.');
+  if (!mongoose.isValidObjectId(staffId) || !signature || !process.env.BOOKING_LINK_SECRET) return null;
+  const expected = Buffer.from(signFeed(staffId));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+
+  const staff = await Staff.findOne({ _id: staffId, active: true });
+  return staff && hasPermission(staff.role, 'bookings:read') ? staff : null;
+};
@@ -0,0 +1,123 @@
+import Booking from '../models/booking.js';
+import { transitionBooking, cancelBooking, announceBooking, SYSTEM_ACTOR } from './bookings.js';
+import { getPaymentGateway } from './payments/index.js';
+import { isRefundable } from './settings.js';
+import { subscribe } from './events.js';
+
+// --- Deposits ---
+// A booking that needs a deposit waits as Pending with a payment link. The gateway's
+// webhook confirms it once paid, which sends the guest their confirmation; if the
+// payment fails or the hold runs out first, the booking is cancelled so its tables
+// are free again. Cancelling a paid booking refunds the deposit when it is done at
+// least depositRefundHours ahead (see the settings); otherwise the restaurant keeps it.
+
+const EXPIRY_CHECK_MS = 60 * 1000;
+const PAYMENT_ACTOR = { kind: 'system', name: 'Payment gateway' };
+// Deposits a late payment can still land on: the booking was given up while the guest paid
+const UNPAID_STATUSES = ['required', 'expired', 'cancelled'];
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Gives the guest their deposit back through the gateway it was paid with. When the
+ * gateway turns it down the deposit is marked refundFailed, with the reason, for staff
+ * to retry; check deposit.status afterwards.
+ */
+export const refundDeposit = async (booking) => {
+  const { deposit } = booking;
+  try {
+    const refund = await getPaymentGateway().refund({ chargeId: deposit.chargeId, amount: deposit.amount });
+    deposit.status = 'refunded';
+    deposit.refundId = refund.id;
+    deposit.refundedAt = new Date();
+    deposit.refundError = undefined;
+  } catch (error) {
+    console.error(`Refund Error (booking ${booking._id}):`, error.message);
+    deposit.status = 'refundFailed';
+    deposit.refundError = error.message;
+  }
+  await booking.save();
+  await announceBooking('booking.updated', booking);
+  return booking;
+};
+
+/**
+ * Applies a verified webhook event from the payment gateway. Events are matched to
+ * bookings by payment id and are safe to receive twice. Returns the booking, or null
+ * when the event is not about a deposit.
+ */
+export const handlePaymentEvent = async (event) => {
+  if (event?.type !== 'payment.succeeded' && event?.type !== 'payment.failed') return null;
+  const booking = await Booking.findOne({ 'deposit.paymentId': event.paymentId });
+  if (!booking) return null;
+  const { deposit } = booking;
+
+  if (event.type === 'payment.failed') {
+    if (deposit.status !== 'required') return booking;
+    deposit.status = 'failed';
+    return booking.status === 'Pending' ? cancelBooking(booking, PAYMENT_ACTOR) : booking.save();
+  }
+
+  if (!UNPAID_STATUSES.includes(deposit.status)) return booking;
+  deposit.status = 'paid';
+  deposit.paidAt = new Date();
+  deposit.chargeId = event.chargeId;
+  if (booking.status === 'Pending') return transitionBooking(booking, 'confirm', PAYMENT_ACTOR);
+
+  // Paid after the booking was cancelled (or the hold ran out): it goes straight back
+  await booking.save();
+  return refundDeposit(booking);
+};
+
+/**
+ * Settles the deposit of a booking that has just been cancelled.
+ */
+export const settleCancelledDeposit = async (booking) => {
+  const { deposit } = booking;
+  if (deposit?.status === 'required') {
+    deposit.status = 'cancelled';
+    return booking.save();
+  }
+  if (deposit?.status !== 'paid') return booking;
+
+  if (isRefundable({ date: toDateString(booking.bookingDate), time: booking.bookingTime }, { location: booking.location })) {
+    return refundDeposit(booking);
+  }
+  deposit.status = 'kept';
+  await booking.save();
+  await announceBooking('booking.updated', booking);
+  return booking;
+};
+
+/**
+ * Cancels the Pending bookings whose deposit was not paid in time. Returns how many.
+ */
+export const expireUnpaidDeposits = async ({ now = new Date() } = {}) => {
+  const unpaid = await Booking.find({ status: 'Pending', 'deposit.status': 'required', 'deposit.expiresAt': { $lte: now } });
+  for (const booking of unpaid) {
+    booking.deposit.status = 'expired';
+    await cancelBooking(booking, SYSTEM_ACTOR);
+  }
+  return unpaid.length;
+};
+
+/**
+ * Settles deposits as bookings are cancelled, and checks every minute for holds that
+ * ran out. Returns a stop function.
+ */
+export const startDeposits = ({ intervalMs = EXPIRY_CHECK_MS } = {}) => {
+  const unsubscribe = subscribe(event => {
+    if (event.type !== 'booking.cancelled' || !event.data.deposit) return;
+    Booking.findById(event.data._id)
+      .then(booking => booking && settleCancelledDeposit(booking))
+      .catch(error => console.error("Deposit Error:", error.message));
+  });
+  const run = () => expireUnpaidDeposits().catch(error => console.error("Deposit Error:", error.message));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+};
@@ -0,0 +1,39 @@
+import { EventEmitter } from 'events';
+
+// --- Live Event Stream ---
+// An in-process pub/sub bus. Services publish named events ("booking.created", ...)
+// and the /api/events route relays them to dashboards, kitchen displays or any other
+// subscriber as Server-Sent Events. Recent events are kept so a client that
+// reconnects with Last-Event-ID does not miss anything.
+
+const REPLAY_SIZE = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected screen
+
+let lastId = 0;
+const recent = [];
+
+/**
+ * Publishes an event to every subscriber. Returns the stored event { id, type, data, at }.
+ */
+export const publish = (type, data) => {
+  const event = { id: ++lastId, type, data, at: new Date().toISOString() };
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) recent.shift();
+  emitter.emit('event', event);
+  return event;
+};
+
+/**
+ * Calls `listener` for every new event. Returns a function that unsubscribes.
+ */
+export const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Events published after the given id that are still in the replay buffer.
+ */
+export const eventsSince = (id) => recent.filter(event => event.id > Number(id));
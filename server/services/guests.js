@@ -0,0 +1,179 @@
+import Guest from '../models/guest.js';
+import Booking, { normalizePhone } from '../models/booking.js';
+import { canAccessLocation } from './locations.js';
+
+// --- Guest Profiles ---
+// Bookings that leave a phone number or email are linked to one Guest per person,
+// matched on those details whatever name is given, so regulars are recognised.
+
+export class InvalidGuestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidGuestError';
+  }
+}
+
+const EDITABLE_FIELDS = ['name', 'phone', 'email', 'preferences', 'notes', 'vip', 'blacklisted', 'blacklistReason'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const cleanContact = ({ phone, email }) => ({
+  phone: phone ? normalizePhone(phone) : null,
+  email: email ? String(email).trim().toLowerCase() : null,
+});
+
+/**
+ * The guest with this phone number or email, or null. When the two point at different
+ * guests, the phone number wins.
+ */
+export const findGuest = async (contact = {}) => {
+  const { phone, email } = cleanContact(contact);
+  const matches = [phone && { phone }, email && { email }].filter(Boolean);
+  if (matches.length === 0) return null;
+  const guests = await Guest.find({ $or: matches }).sort({ createdAt: 1 });
+  return guests.find(guest => phone && guest.phone === phone) || guests[0] || null;
+};
+
+// Preferences follow the guest's latest booking; "Any" keeps what they chose before
+const learnPreferences = (booking) => {
+  const $set = {};
+  const seating = String(booking.seatingPreference || '');
+  if (seating && seating.toLowerCase() !== 'any') {
+    $set['preferences.seating'] = seating[0].toUpperCase() + seating.slice(1).toLowerCase();
+  }
+  if (booking.cuisinePreference && booking.cuisinePreference !== 'Any') $set['preferences.cuisine'] = booking.cuisinePreference;
+  const $addToSet = Object.fromEntries(['dietaryRequirements', 'allergies'].map(field => (
+    [`preferences.${field}`, { $each: [...(booking[field] || [])] }]
+  )));
+  return { $set, $addToSet };
+};
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+/**
+ * Links a booking to its guest by phone number or email, creating the profile on their
+ * first booking and learning their preferences. Bookings without either are left alone.
+ * Sets booking.guest but does not save the booking. Returns the guest, or null.
+ */
+export const linkGuest = async (booking, { retries = 1 } = {}) => {
+  const { phone, email } = cleanContact(booking);
+  if (!phone && !email) return null;
+
+  const known = await findGuest({ phone, email });
+  let guest;
+  try {
+    // Upserted on the contact details, so two first bookings at once still make one profile
+    guest = await Guest.findOneAndUpdate(
+      known ? { _id: known._id } : phone ? { phone } : { email },
+      { ...learnPreferences(booking), $setOnInsert: { name: booking.customerName, ...(phone && email ? { email } : {}) } },
+      { upsert: !known, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another booking created this guest in the meantime; link to theirs instead
+    if (!isDuplicateKey(error) || retries === 0) throw error;
+    return linkGuest(booking, { retries: retries - 1 });
+  }
+  // The guest we found was deleted in the meantime
+  if (!guest) return retries === 0 ? null : linkGuest(booking, { retries: retries - 1 });
+
+  // Fill in the details this guest has not given before (an email on a phone-only profile),
+  // unless they already belong to someone else
+  const missing = { ...(phone && !guest.phone ? { phone } : {}), ...(email && !guest.email ? { email } : {}) };
+  if (Object.keys(missing).length > 0) {
+    try {
+      guest = await Guest.findByIdAndUpdate(guest._id, { $set: missing }, { new: true });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+  }
+  booking.guest = guest._id;
+  return guest;
+};
+
+/**
+ * Links a saved booking to its guest (see linkGuest) and records the link.
+ */
+export const linkSavedBooking = async (booking) => {
+  const guest = await linkGuest(booking);
+  if (guest) await Booking.updateOne({ _id: booking._id }, { $set: { guest: guest._id } });
+  return guest;
+};
+
+/**
+ * Links bookings made before guest profiles existed, oldest first, so regulars are
+ * known from the start.
+ */
+export const ensureGuests = async () => {
+  const unlinked = await Booking.find({
+    guest: { $exists: false },
+    $or: [{ phone: { $nin: [null, ''] } }, { email: { $nin: [null, ''] } }],
+  }).sort({ createdAt: 1 });
+  for (const booking of unlinked) {
+    await linkSavedBooking(booking);
+  }
+  if (unlinked.length > 0) console.log(`Linked ${unlinked.length} earlier bookings to guest profiles.`);
+};
+
+// --- Staff Views ---
+
+/**
+ * Searches guests by name, phone number or email (all of them, newest first, without q).
+ */
+export const searchGuests = (q, { limit = 50 } = {}) => {
+  const text = String(q || '').trim();
+  if (!text) return Guest.find().sort({ updatedAt: -1 }).limit(limit);
+  const pattern = new RegExp(escapeRegex(text), 'i');
+  const digits = normalizePhone(text);
+  return Guest.find({
+    $or: [{ name: pattern }, { email: pattern }, ...(/\d{3,}/.test(digits) ? [{ phone: new RegExp(escapeRegex(digits)) }] : [])],
+  }).sort({ name: 1 }).limit(limit);
+};
+
+/**
+ * A guest's bookings at the staff member's locations, newest first, and their record
+ * across the whole group: bookings, completed visits, no-shows and cancellations.
+ */
+export const guestHistory = async (guest, staff) => {
+  const bookings = await Booking.find({ guest: guest._id })
+    .select('location customerName numberOfGuests bookingDate bookingTime status confirmationCode seatingPreference')
+    .sort({ bookingDate: -1, bookingTime: -1 });
+  const count = (status) => bookings.filter(booking => booking.status === status).length;
+  const visits = bookings.filter(booking => booking.status === 'Completed');
+  return {
+    bookings: bookings.filter(booking => canAccessLocation(staff, booking.location)),
+    stats: {
+      bookings: bookings.length,
+      visits: visits.length,
+      noShows: count('No-Show'),
+      cancellations: count('Cancelled'),
+      lastVisit: visits[0]?.bookingDate || null,
+    },
+  };
+};
+
+/**
+ * Changes a guest's details, preferences, notes or flags. A phone number or email that
+ * belongs to another guest is refused (InvalidGuestError), so each person keeps a single profile.
+ */
+export const updateGuest = async (guest, changes) => {
+  const updates = Object.fromEntries(
+    Object.entries(changes).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined)
+  );
+  const contact = cleanContact(updates);
+  const other = await findGuest(contact);
+  if (other && String(other._id) !== String(guest._id)) {
+    throw new InvalidGuestError(`${other.name} already has that ${other.phone === contact.phone ? 'phone number' : 'email address'}`);
+  }
+  if (updates.preferences) updates.preferences = { ...guest.toObject().preferences, ...updates.preferences };
+  if (updates.blacklisted === false) updates.blacklistReason = undefined;
+
+  guest.set(updates);
+  try {
+    await guest.save();
+  } catch (error) {
+    // Another guest took the phone number or email since we looked
+    if (!isDuplicateKey(error)) throw error;
+    throw new InvalidGuestError(`Another guest already has that ${error.keyPattern?.phone ? 'phone number' : 'email address'}`);
+  }
+  return guest;
+};
@@ -0,0 +1,47 @@
+// --- Guest Languages ---
+// The agent talks to guests in English, Tamil or Hindi. Whatever the language of the
+// conversation, booking details are always kept in English with ISO formats, so the
+// validators, the database and the dashboard never see anything else.
+
+export const LANGUAGES = {
+  en: { name: 'English' },
+  ta: { name: 'Tamil' },
+  hi: { name: 'Hindi' },
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+// Unicode blocks that identify a language on sight
+const SCRIPTS = [
+  { language: 'ta', pattern: /[஀-௿]/ },
+  { language: 'hi', pattern: /[ऀ-ॿ]/ },
+];
+// Native digits: Devanagari ०-९ and Tamil ௦-௯
+const DIGIT_BLOCKS = [0x0966, 0x0BE6];
+
+/**
+ * Maps "ta", "ta-IN", "Tamil" and the like onto a supported language code, or null.
+ */
+export const normalizeLanguage = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  const code = text.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+  return Object.keys(LANGUAGES).find(key => LANGUAGES[key].name.toLowerCase() === text) || null;
+};
+
+export const languageName = (code) => LANGUAGES[code]?.name || LANGUAGES[DEFAULT_LANGUAGE].name;
+
+/**
+ * Recognizes Tamil and Hindi by their script. Latin text could be any of the three
+ * ("mujhe table chahiye"), so it returns null and the model's guess is used instead.
+ */
+export const detectScript = (text) => SCRIPTS.find(({ pattern }) => pattern.test(text || ''))?.language || null;
+
+/**
+ * Replaces Devanagari and Tamil digits with ASCII ones ("४ लोग" -> "4 लोग").
+ */
+export const toAsciiDigits = (text) => String(text).replace(/[०-९௦-௯]/g, (digit) => {
+  const code = digit.charCodeAt(0);
+  const block = DIGIT_BLOCKS.find(start => code >= start && code <= start + 9);
+  return String(code - block);
+});
@@ -0,0 +1,37 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// --- Gemini Provider ---
+
+export const createGeminiProvider = ({ apiKey, model = 'gemini-2.0-flash' }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const buildRequest = (messages) => ({
+    contents: messages.map(msg => ({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: msg.content }],
+    })),
+    generationConfig: { responseMimeType: 'application/json' },
+  });
+
+  return {
+    name: 'gemini',
+    generate: async ({ system, messages }) => {
+      // The flash model keeps response times suitable for voice agents
+      const gemini = genAI.getGenerativeModel({ model, systemInstruction: system });
+      const result = await gemini.generateContent(buildRequest(messages));
+      const response = await result.response;
+      return response.text();
+    },
+    stream: async ({ system, messages, onChunk }) => {
+      const gemini = genAI.getGenerativeModel({ model, systemInstruction: system });
+      const result = await gemini.generateContentStream(buildRequest(messages));
+      let text = '';
+      for await (const chunk of result.stream) {
+        const piece = chunk.text();
+        text += piece;
+        onChunk(piece);
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,95 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { parseModelJson, validateAgentResponse, LLMResponseError } from './schema.js';
+
+// --- LLM Provider Layer ---
+// A provider is { name, generate({ system, messages, context }) -> raw text }, where
+// messages are { role: 'user' | 'assistant', content } and context carries the
+// structured session state for providers that do not read prompts (the mock).
+// Providers may also offer stream({ ..., onChunk }) -> raw text, calling onChunk
+// with each piece of text as it is generated. Providers answer in JSON (Gemini is
+// told to), so even a plain translation comes back as { "text": ... }.
+
+export { LLMResponseError };
+
+/**
+ * Builds the provider selected by LLM_PROVIDER (gemini | openai | mock).
+ * Without an explicit choice, Gemini is used when a key is present. Throws when there
+ * is neither: the mock's canned rules would take real guests' bookings, so it is only
+ * used when asked for.
+ */
+export const createLLMProvider = (env = process.env) => {
+  const choice = (env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : '')).toLowerCase();
+
+  switch (choice) {
+    case '':
+      throw new Error('No language model is set up: set GEMINI_API_KEY, or LLM_PROVIDER (openai, or mock while developing)');
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL });
+    case 'openai':
+      return createOpenAIProvider({ baseURL: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${choice}"`);
+  }
+};
+
+/**
+ * Asks the provider for an agent response and validates it against the schema.
+ * When the output is malformed, the model is shown its answer and the problem and
+ * asked again, up to LLM_MAX_RETRIES times (default 1), before giving up.
+ */
+export const generateAgentResponse = async (provider, { system, messages, context }) => {
+  const maxRetries = Number(process.env.LLM_MAX_RETRIES ?? 1);
+  let conversation = messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const text = await provider.generate({ system, messages: conversation, context });
+    try {
+      return validateAgentResponse(parseModelJson(text), text);
+    } catch (error) {
+      if (!(error instanceof LLMResponseError) || attempt >= maxRetries) throw error;
+      console.warn(`LLM (${provider.name}) returned an invalid response, retrying:`, error.message);
+      conversation = [
+        ...messages,
+        { role: 'assistant', content: String(text) },
+        { role: 'user', content: `Your last response was invalid (${error.message}). Reply again with ONLY the JSON object in the required format.` },
+      ];
+    }
+  }
+};
+
+/**
+ * Streams one raw response from the provider, calling onChunk as text arrives.
+ * Providers without stream() deliver their whole answer as a single chunk.
+ * There is no repair retry here: the caller validates what it receives.
+ */
+export const streamAgentText = async (provider, { system, messages, context, onChunk }) => {
+  if (provider.stream) return provider.stream({ system, messages, context, onChunk });
+  const text = await provider.generate({ system, messages, context });
+  onChunk(text);
+  return text;
+};
+
+/**
+ * Translates a reply the server wrote (read-backs, confirmations, menu answers) into
+ * the guest's language, leaving names, codes, dates, times and links untouched.
+ * Throws LLMResponseError when the provider's answer has no translation in it.
+ */
+export const translateText = async (provider, text, language) => {
+  const system = `
+    Translate the restaurant booking assistant's message below into ${language}, in a warm, natural tone.
+    Keep names, confirmation codes, dates, times, numbers, prices, email addresses, phone numbers and links exactly as they are.
+    Return JSON ONLY: { "text": "the translation" }
+    `;
+  const raw = await provider.generate({
+    system,
+    messages: [{ role: 'user', content: text }],
+    context: { task: 'translate', text, language },
+  });
+  const data = parseModelJson(raw);
+  if (typeof data?.text !== 'string' || !data.text.trim()) throw new LLMResponseError('Translation is missing "text"', raw);
+  return data.text.trim();
+};
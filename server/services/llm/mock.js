@@ -0,0 +1,198 @@
+// --- Mock Provider ---
+// Deterministic stand-in for a real model, for tests, demos and offline work.
+// 1. With a `script`, it returns the scripted responses in order (strings are returned
+//    verbatim, so malformed JSON can be scripted too).
+// 2. Otherwise it extracts booking details from the latest message with regexes.
+
+const QUESTIONS = {
+  location: 'Which of our restaurants would you like to book at?',
+  name: 'May I have a name for the booking?',
+  date: 'What date would you like to come in?',
+  time: 'What time would you like the table?',
+  guests: 'How many guests will be joining?',
+  seating: 'Would you prefer indoor or outdoor seating?',
+  cuisine: 'Do you have a cuisine preference?',
+  specialRequests: 'Any special requests, like a birthday or dietary needs?',
+  contact: 'What email address or phone number should we send your confirmation to?',
+};
+
+const CUISINES = ['south indian', 'north indian', 'italian', 'indian', 'chinese', 'mexican', 'thai',
+  'japanese', 'continental', 'french', 'mediterranean'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+const DIETS = {
+  vegan: /\bvegan\b/, vegetarian: /\b(vegetarian|veggie|veg)\b/, 'gluten-free': /\b(gluten[- ]free|coeliac|celiac)\b/,
+  'dairy-free': /\b(dairy[- ]free|lactose intolerant)\b/, 'nut-free': /\bnut[- ]free\b/, halal: /\bhalal\b/, jain: /\bjain\b/,
+};
+const COURSE_WORDS = { starter: 'Starter', main: 'Main', side: 'Side', dessert: 'Dessert', drink: 'Drink' };
+const STREAM_CHUNK_SIZE = 12;
+const NUMBER = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+
+const isoDate = (date) => date.toISOString().split('T')[0];
+
+const capitalize = (text) => text.replace(/\b\w/g, c => c.toUpperCase());
+
+const extractDate = (text) => {
+  const iso = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return iso[1];
+
+  const today = new Date();
+  if (/\btoday\b|\btonight\b/.test(text)) return isoDate(today);
+  if (/\btomorrow\b/.test(text)) return isoDate(new Date(today.getTime() + 86400000));
+
+  const weekday = WEEKDAYS.findIndex(day => text.includes(day));
+  if (weekday !== -1) {
+    const ahead = (weekday - today.getUTCDay() + 7) % 7 || 7;
+    return isoDate(new Date(today.getTime() + ahead * 86400000));
+  }
+
+  // "5 june", "5th of june", "june 5th"
+  const monthPattern = MONTHS.join('|');
+  const dayMonth = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?: of)? (${monthPattern})\\b`)) ||
+    text.match(new RegExp(`\\b(${monthPattern}) (\\d{1,2})(?:st|nd|rd|th)?\\b`));
+  if (dayMonth) {
+    const [day, month] = /^\d/.test(dayMonth[1]) ? [dayMonth[1], dayMonth[2]] : [dayMonth[2], dayMonth[1]];
+    let year = today.getUTCFullYear();
+    const candidate = () => new Date(Date.UTC(year, MONTHS.indexOf(month), Number(day)));
+    if (isoDate(candidate()) < isoDate(today)) year += 1;
+    return isoDate(candidate());
+  }
+  return null;
+};
+
+const extractAction = (text) => {
+  if (/\bcancel\b/.test(text)) return 'cancel';
+  if (/\b(change|move|modify|reschedule|update)\b/.test(text) && /\b(booking|reservation|table)\b/.test(text)) return 'modify';
+  if (/\b(new booking|new reservation|book a table|reserve a table)\b/.test(text)) return 'book';
+  return null;
+};
+
+const extractDetails = (message, expected, locations = []) => {
+  const text = message.toLowerCase();
+  const details = {};
+
+  // A restaurant named in full; a short answer to "which restaurant?" is matched by the agent
+  details.location = locations.find(name => text.includes(name.toLowerCase())) || null;
+
+  details.date = extractDate(text);
+
+  const time = text.match(/\b(\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.))/) || text.match(/\b(\d{1,2}:\d{2})\b/) ||
+    text.match(/\bat (\d{1,2})\b(?!\s*(?:people|guests|persons))/);
+  if (time) details.time = time[1];
+
+  const guests = text.match(new RegExp(`\\b${NUMBER}\\s*(?:people|persons|guests|pax|of us)\\b`)) ||
+    text.match(new RegExp(`\\b(?:for|party of|table for)\\s+${NUMBER}\\b(?!\\s*(?:am|pm|:|o'clock))`));
+  if (guests) details.guests = guests[1];
+
+  if (/\b(outdoor|outside|patio|terrace)\b/.test(text)) details.seating = 'Outdoor';
+  else if (/\b(indoor|inside)\b/.test(text)) details.seating = 'Indoor';
+  else if (/\b(no preference|anywhere|either)\b/.test(text) && expected === 'seating') details.seating = 'Any';
+
+  const cuisine = CUISINES.find(c => text.includes(c));
+  if (cuisine) details.cuisine = capitalize(cuisine);
+
+  const name = message.match(/\b(?:my name is|name is|this is|call me|under(?: the name)?)\s+([a-z]+(?: (?!code\b|and\b|phone\b|for\b)[a-z]+)?)/i);
+  if (name) details.name = capitalize(name[1]);
+
+  const email = message.match(/\b([\w.+-]+@[\w-]+(?:\.[\w-]+)+)\b/) ||
+    message.match(/\b([\w.+-]+ at [\w-]+(?: dot [\w-]+)+)\b/i); // Spoken: "aarsh at example dot com"
+  const phone = message.replace(/\b\d{4}-\d{2}-\d{2}\b/g, '').match(/(\+?\d[\d\s-]{7,}\d)/); // Not an ISO date
+  if (email || phone) details.contact = (email || phone)[1];
+
+  if (/\b(no special requests?|nothing special|no requests?|nothing else)\b/.test(text)) {
+    details.specialRequests = 'None';
+  } else if (/\b(birthday|anniversary|wheelchair|high chair|celebrat\w*)\b/.test(text)) {
+    details.specialRequests = message.trim();
+  }
+
+  // A short answer that matched nothing is taken as the reply to the question just asked
+  const nothingFound = Object.values(details).every(value => !value) && !extractAction(text);
+  if (nothingFound && message.trim().split(/\s+/).length <= 4 &&
+      ['location', 'name', 'cuisine', 'specialRequests'].includes(expected)) {
+    const answer = message.trim().replace(/[.!?]+$/, '');
+    details[expected] = /^(no|none|nope|nothing)$/i.test(answer) ? (expected === 'cuisine' ? 'Any' : 'None') : capitalize(answer);
+  }
+
+  return details;
+};
+
+// "we're vegan", "she is allergic to peanuts", "nut allergy"
+const extractNeeds = (text) => ({
+  dietary: Object.keys(DIETS).filter(diet => DIETS[diet].test(text)),
+  allergies: [...text.matchAll(/\ballergic to ([a-z]+)|\b([a-z]+) allergy\b|\bno ([a-z]+)\b/g)]
+    .map(match => match[1] || match[2] || match[3]),
+});
+
+// "do you have vegan options?", "is the tiramisu nut-free?", "what desserts do you have?"
+const extractMenuQuestion = (message) => {
+  const text = message.toLowerCase();
+  const asks = /\?|\b(do you (have|serve|do)|is there|are there|what.*(menu|serve|dishes|food)|menu)\b/.test(text);
+  if (!asks || extractAction(text)) return null;
+  const { dietary, allergies } = extractNeeds(text);
+  const dish = text.match(/\b(?:is|does) (?:the |your )?([a-z ]+?) (?:vegan|vegetarian|gluten|dairy|nut|halal|jain|contain|have|spicy)/);
+  const course = Object.keys(COURSE_WORDS).find(word => new RegExp(`\\b${word}s?\\b`).test(text));
+  return {
+    dietary,
+    allergies,
+    cuisine: CUISINES.find(c => text.includes(c)) || null,
+    course: course ? COURSE_WORDS[course] : null,
+    dish: dish ? dish[1] : null,
+  };
+};
+
+const extractLookup = (message) => {
+  // Confirmation codes are 6 letters/digits, e.g. "code 7V9E8S"
+  const code = message.match(/\b(?:code|confirmation)\D{0,15}?\b([a-z0-9]{6})\b/i) ||
+    message.match(/\b(?=[a-z]*\d)(?=\d*[a-z])([a-z0-9]{6})\b/i);
+  const phone = message.replace(/\b\d{4}-\d{2}-\d{2}\b/g, '').match(/(\+?\d[\d\s-]{7,}\d)/); // Not an ISO date
+  return {
+    confirmationCode: code ? code[1].toUpperCase() : null,
+    phone: phone ? phone[1] : null,
+  };
+};
+
+export const createMockProvider = ({ script = [] } = {}) => {
+  const queue = [...script];
+
+  const provider = {
+    name: 'mock',
+    generate: async ({ messages, context = {} }) => {
+      if (queue.length > 0) {
+        const next = queue.shift();
+        return typeof next === 'string' ? next : JSON.stringify(next);
+      }
+
+      // The mock knows no other languages: "translations" come back in English
+      if (context.task === 'translate') return JSON.stringify({ text: context.text });
+
+      const latest = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+      const missing = context.missing || Object.keys(QUESTIONS);
+      const menuQuestion = extractMenuQuestion(latest);
+      // Diets named in a question are about the menu, not necessarily the party
+      const needs = menuQuestion ? { dietary: [], allergies: [] } : extractNeeds(latest.toLowerCase());
+      const extracted = menuQuestion ? {} : extractDetails(latest, missing[0], context.locations);
+      if (!extracted.specialRequests && missing[0] === 'specialRequests' && (needs.dietary.length || needs.allergies.length)) {
+        extracted.specialRequests = 'None'; // Diets and allergies are recorded separately
+      }
+      const stillMissing = missing.filter(slot => !extracted[slot]);
+
+      const bookingDetails = Object.fromEntries(Object.keys(QUESTIONS).map(slot => [slot, extracted[slot] ?? null]));
+      const lookup = extractLookup(latest);
+      // A phone number is not a time or a party size
+      if (lookup.phone) ['time', 'guests'].forEach(slot => { bookingDetails[slot] = null; });
+
+      const reply = stillMissing.length > 0 ? QUESTIONS[stillMissing[0]] : 'Thank you, let me check that for you.';
+      return JSON.stringify({
+        action: extractAction(latest.toLowerCase()), bookingDetails, lookup, ...needs, menuQuestion, reply,
+      });
+    },
+  };
+  // Streams the same answer in small pieces, like a real model would
+  provider.stream = async (request) => {
+    const text = await provider.generate(request);
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) request.onChunk(text.slice(i, i + STREAM_CHUNK_SIZE));
+    return text;
+  };
+  return provider;
+};
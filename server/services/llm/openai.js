@@ -0,0 +1,50 @@
+import axios from 'axios';
+
+// --- OpenAI-Compatible Provider ---
+// Works with api.openai.com and any local server exposing /v1/chat/completions
+// (llama.cpp, Ollama, vLLM, LM Studio ...).
+
+export const createOpenAIProvider = ({ baseURL = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' }) => {
+  const client = axios.create({
+    baseURL,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+  });
+
+  return {
+    name: 'openai',
+    generate: async ({ system, messages }) => {
+      const response = await client.post('/chat/completions', {
+        model,
+        temperature: 0.3,
+        messages: [{ role: 'system', content: system }, ...messages],
+      });
+      return response.data.choices[0].message.content;
+    },
+    stream: async ({ system, messages, onChunk }) => {
+      const response = await client.post('/chat/completions', {
+        model,
+        temperature: 0.3,
+        stream: true,
+        messages: [{ role: 'system', content: system }, ...messages],
+      }, { responseType: 'stream' });
+
+      // The body is Server-Sent Events: "data: {json}" lines, ending with "data: [DONE]"
+      let text = '';
+      let pending = '';
+      for await (const data of response.data) {
+        pending += data.toString();
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        lines.forEach(line => {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || payload === '[DONE]') return;
+          const piece = JSON.parse(payload).choices?.[0]?.delta?.content || '';
+          if (!piece) return;
+          text += piece;
+          onChunk(piece);
+        });
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,126 @@
+import { SLOTS } from '../bookingState.js';
+import { normalizeLanguage, toAsciiDigits } from '../languages.js';
+
+// --- Agent Response Schema ---
+// Every provider must produce the same JSON:
+// { reply, bookingDetails, action?, lookup?: { confirmationCode, phone }, intent?, language?,
+//   dietary?: [], allergies?: [], menuQuestion?: { dietary, allergies, cuisine, course, dish } }.
+
+const INTENTS = ['booking_request', 'confirmation_request', 'confirmed'];
+const ACTIONS = ['book', 'modify', 'cancel'];
+const LOOKUP_FIELDS = ['confirmationCode', 'phone'];
+const MENU_QUESTION_FIELDS = ['cuisine', 'course', 'dish'];
+
+export class LLMResponseError extends Error {
+  constructor(message, rawText) {
+    super(message);
+    this.name = 'LLMResponseError';
+    this.rawText = rawText;
+  }
+}
+
+/**
+ * Parses model output into an object, repairing the usual mistakes
+ * (markdown code fences, chatter around the JSON, trailing commas).
+ */
+export const parseModelJson = (text) => {
+  const cleaned = String(text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    // Keep only the outermost {...} block and drop trailing commas
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new LLMResponseError('Response contains no JSON object', text);
+    const candidate = cleaned.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      throw new LLMResponseError(`Response is not valid JSON: ${error.message}`, text);
+    }
+  }
+};
+
+// Guests may give numbers in their own script; the validators expect ASCII digits
+const asciiValue = (value) => (typeof value === 'string' ? toAsciiDigits(value) : value);
+
+/**
+ * Checks a parsed response against the schema and returns a normalized copy.
+ * Unknown bookingDetails keys are dropped; type problems raise LLMResponseError.
+ */
+export const validateAgentResponse = (data, rawText) => {
+  const problems = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new LLMResponseError('Response must be a JSON object', rawText);
+  }
+  if (typeof data.reply !== 'string' || !data.reply.trim()) problems.push('"reply" must be a non-empty string');
+
+  const details = data.bookingDetails ?? {};
+  if (typeof details !== 'object' || Array.isArray(details)) problems.push('"bookingDetails" must be an object');
+
+  const bookingDetails = {};
+  SLOTS.forEach(slot => {
+    const value = details?.[slot] ?? null;
+    if (value !== null && !['string', 'number'].includes(typeof value)) {
+      problems.push(`"bookingDetails.${slot}" must be a string, number or null`);
+    }
+    bookingDetails[slot] = asciiValue(value);
+  });
+
+  const lookup = {};
+  if (data.lookup !== undefined && data.lookup !== null && (typeof data.lookup !== 'object' || Array.isArray(data.lookup))) {
+    problems.push('"lookup" must be an object');
+  }
+  LOOKUP_FIELDS.forEach(field => {
+    const value = data.lookup?.[field] ?? null;
+    if (value !== null && !['string', 'number'].includes(typeof value)) {
+      problems.push(`"lookup.${field}" must be a string, number or null`);
+    }
+    lookup[field] = value === null ? null : asciiValue(String(value));
+  });
+
+  // Lists of words; mapping them onto the menu's tags is left to services/menu.js
+  const stringList = (value, path) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      problems.push(`"${path}" must be a list of strings`);
+      return [];
+    }
+    return value;
+  };
+  const dietary = stringList(data.dietary, 'dietary');
+  const allergies = stringList(data.allergies, 'allergies');
+
+  let menuQuestion = null;
+  if (data.menuQuestion !== undefined && data.menuQuestion !== null) {
+    if (typeof data.menuQuestion !== 'object' || Array.isArray(data.menuQuestion)) {
+      problems.push('"menuQuestion" must be an object or null');
+    } else {
+      menuQuestion = {
+        dietary: stringList(data.menuQuestion.dietary, 'menuQuestion.dietary'),
+        allergies: stringList(data.menuQuestion.allergies, 'menuQuestion.allergies'),
+      };
+      MENU_QUESTION_FIELDS.forEach(field => {
+        const value = data.menuQuestion[field] ?? null;
+        if (value !== null && typeof value !== 'string') problems.push(`"menuQuestion.${field}" must be a string or null`);
+        menuQuestion[field] = value;
+      });
+    }
+  }
+
+  const action = data.action ?? null;
+  if (action !== null && !ACTIONS.includes(action)) {
+    problems.push(`"action" must be one of ${ACTIONS.join(', ')} or null`);
+  }
+  const language = data.language ?? null;
+  if (language !== null && typeof language !== 'string') problems.push('"language" must be a language code or null');
+  if (data.intent !== undefined && !INTENTS.includes(data.intent)) {
+    problems.push(`"intent" must be one of ${INTENTS.join(', ')}`);
+  }
+
+  if (problems.length > 0) throw new LLMResponseError(problems.join('; '), rawText);
+  return {
+    reply: data.reply.trim(), bookingDetails, action, lookup, intent: data.intent,
+    language: normalizeLanguage(language), dietary, allergies, menuQuestion,
+  };
+};
@@ -0,0 +1,58 @@
+// --- Streaming Reply Parser ---
+// The prompt asks for "reply" as the LAST key of the JSON, so while the model is
+// still generating we can already read the structured fields before it and pass
+// the reply text on as it arrives.
+
+const REPLY_KEY = /"reply"\s*:\s*"/;
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Returns a parser fed with raw model output chunks. feed() returns the newly
+ * decoded reply text (if any). `prefix` is the JSON text before the reply key,
+ * available once `replyStarted` is true.
+ */
+export const createReplyStreamParser = () => {
+  let raw = '';
+  let position = -1; // Index in `raw` of the next undecoded reply character
+  const parser = { prefix: null, reply: '', replyStarted: false, replyDone: false };
+
+  parser.feed = (chunk) => {
+    raw += chunk;
+    if (!parser.replyStarted) {
+      const match = raw.match(REPLY_KEY);
+      if (!match) return '';
+      parser.replyStarted = true;
+      parser.prefix = raw.slice(0, match.index);
+      position = match.index + match[0].length;
+    }
+
+    let text = '';
+    while (!parser.replyDone && position < raw.length) {
+      const char = raw[position];
+      if (char === '"') {
+        parser.replyDone = true;
+      } else if (char === '\\') {
+        // Wait for the rest of an escape sequence split across chunks
+        const next = raw[position + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = raw.slice(position + 2, position + 6);
+          if (hex.length < 4) break;
+          text += String.fromCharCode(parseInt(hex, 16));
+          position += 6;
+          continue;
+        }
+        text += ESCAPES[next] ?? next;
+        position += 2;
+        continue;
+      } else {
+        text += char;
+      }
+      position += 1;
+    }
+    parser.reply += text;
+    return text;
+  };
+
+  return parser;
+};
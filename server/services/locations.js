@@ -0,0 +1,195 @@
+import Location from '../models/location.js';
+import Booking from '../models/booking.js';
+import Table from '../models/table.js';
+import WaitlistEntry from '../models/waitlistEntry.js';
+import Settings from '../models/settings.js';
+import { getRestaurantName, getRestaurantLocation, getRestaurantTimezone } from '../config.js';
+
+// --- Restaurant Locations ---
+// The restaurants in the group. Like the settings, locations are loaded once and kept
+// in memory so lookups can be synchronous; without a database a single location built
+// from .env stands in. RESTAURANT_NAME is the group's name, each location has its own.
+
+export class InvalidLocationError extends Error {
+  constructor(errors) {
+    super(errors.join('; '));
+    this.name = 'InvalidLocationError';
+    this.errors = errors;
+  }
+}
+
+const EDITABLE_FIELDS = ['name', 'slug', 'address', 'phone', 'lat', 'lon', 'timezone', 'active'];
+
+export const slugify = (text) =>
+  String(text || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// The single location a fresh install starts with (and the stand-in without a database)
+const envLocation = () => ({
+  name: getRestaurantName(),
+  slug: slugify(getRestaurantName()) || 'main',
+  address: process.env.RESTAURANT_ADDRESS || '',
+  ...getRestaurantLocation(),
+  timezone: getRestaurantTimezone(),
+  active: true,
+});
+
+let locations = []; // Oldest first, inactive ones included
+
+/**
+ * Active locations, oldest first; pass includeInactive for every location on record.
+ */
+export const getLocations = ({ includeInactive = false } = {}) =>
+  (includeInactive ? locations : locations.filter(location => location.active));
+
+export const getLocation = (id) => (id ? locations.find(location => String(location._id) === String(id)) || null : null);
+
+/**
+ * The first active location: where records from before locations existed belong,
+ * and what a single-restaurant install uses everywhere.
+ */
+export const getDefaultLocation = () => getLocations()[0] || { _id: null, ...envLocation() };
+
+/**
+ * The location with this id, or the default one when it is not given or unknown.
+ */
+export const resolveLocation = (id) => getLocation(id) || getDefaultLocation();
+
+/**
+ * What guests may see of a location.
+ */
+export const publicLocation = ({ _id, name, slug, address, phone, timezone }) => ({ _id, name, slug, address, phone, timezone });
+
+// Lowercase words only, so "Anna Nagar!" and "anna-nagar" compare equal
+const simplify = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Finds an active location from an id, slug or name, or from part of its name in a
+ * phrase ("the Anna Nagar one" for "Vaiu Bistro Anna Nagar"). Returns null unless
+ * exactly one location matches.
+ */
+export const findLocation = (text) => {
+  const wanted = simplify(text);
+  if (!wanted) return null;
+  const active = getLocations();
+
+  const exact = active.find(location => String(location._id) === String(text).trim() ||
+    simplify(location.slug) === wanted || simplify(location.name) === wanted);
+  if (exact) return exact;
+
+  // Part of the name, or every word that sets the name apart from the other locations'
+  const wordsOf = (location) => simplify(location.name).split(' ');
+  const mentioned = active.filter(location => {
+    const own = wordsOf(location).filter(word => !active.every(other => wordsOf(other).includes(word)));
+    return ` ${simplify(location.name)} `.includes(` ${wanted} `) ||
+      (own.length > 0 && own.every(word => ` ${wanted} `.includes(` ${word} `)));
+  });
+  return mentioned.length === 1 ? mentioned[0] : null;
+};
+
+// --- Staff Access ---
+
+/**
+ * Whether a staff member works at a location. Staff without a list work at all of them.
+ */
+export const canAccessLocation = (staff, locationId) =>
+  !staff?.locations?.length || staff.locations.some(id => String(id) === String(locationId));
+
+export const locationsFor = (staff) => getLocations().filter(location => canAccessLocation(staff, location._id));
+
+// --- Loading and Editing ---
+
+export const loadLocations = async () => {
+  locations = await Location.find().sort({ createdAt: 1 }).lean();
+  return locations;
+};
+
+/**
+ * Creates the first location from .env on first start, and assigns tables, bookings,
+ * waitlist entries and settings saved before locations existed to the default location.
+ */
+export const ensureLocations = async () => {
+  if (await Location.countDocuments() === 0) {
+    const created = await Location.create(envLocation());
+    console.log(`Created the "${created.name}" location from .env.`);
+  }
+  await loadLocations();
+
+  const owner = getDefaultLocation()._id;
+  const unassigned = { location: { $exists: false } };
+  const [tables] = await Promise.all([Table, Booking, WaitlistEntry, Settings]
+    .map(Model => Model.updateMany(unassigned, { $set: { location: owner } })));
+  // Table names used to be unique across the restaurant; now they are per location
+  if (tables.modifiedCount > 0) await Table.syncIndexes();
+  return locations;
+};
+
+const isTimezone = (name) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateLocation = (fields, existing) => {
+  const errors = [];
+  const others = locations.filter(location => String(location._id) !== String(existing?._id));
+
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) errors.push('name is required');
+    else if (others.some(location => simplify(location.name) === simplify(fields.name))) {
+      errors.push(`A location named "${fields.name}" already exists`);
+    }
+  }
+  if (fields.slug !== undefined) {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(fields.slug || '')) errors.push('slug must be lowercase letters, digits and dashes');
+    else if (others.some(location => location.slug === fields.slug)) errors.push(`The slug "${fields.slug}" is taken`);
+  }
+  [['lat', 90], ['lon', 180]].forEach(([key, limit]) => {
+    if (fields[key] !== undefined && (typeof fields[key] !== 'number' || !(Math.abs(fields[key]) <= limit))) {
+      errors.push(`${key} must be a number between -${limit} and ${limit}`);
+    }
+  });
+  if (fields.timezone !== undefined && (typeof fields.timezone !== 'string' || !isTimezone(fields.timezone))) {
+    errors.push('timezone must be an IANA timezone, e.g. Asia/Kolkata');
+  }
+  if (fields.active === false && existing && others.filter(location => location.active).length === 0) {
+    errors.push('At least one location must stay active');
+  }
+  return errors;
+};
+
+const pickEditable = (fields) =>
+  Object.fromEntries(Object.entries(fields).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+/**
+ * Adds a location. Missing coordinates and timezone are copied from the default location.
+ * Throws InvalidLocationError listing every problem. The caller seeds its tables and settings.
+ */
+export const createLocation = async (fields = {}) => {
+  const { lat, lon, timezone } = getDefaultLocation();
+  const values = { lat, lon, timezone, ...pickEditable(fields) };
+  values.slug ??= slugify(values.name);
+  const errors = validateLocation(values);
+  if (values.name === undefined) errors.unshift('name is required');
+  if (errors.length > 0) throw new InvalidLocationError(errors);
+
+  const location = await Location.create(values);
+  await loadLocations();
+  return location;
+};
+
+/**
+ * Changes a location's details. Throws InvalidLocationError listing every problem.
+ */
+export const updateLocation = async (location, changes = {}) => {
+  const updates = pickEditable(changes);
+  const errors = validateLocation(updates, location);
+  if (errors.length > 0) throw new InvalidLocationError(errors);
+
+  location.set(updates);
+  await location.save();
+  await loadLocations();
+  return location;
+};
@@ -0,0 +1,251 @@
+import MenuItem, { DIETARY_TAGS, ALLERGENS, COURSES } from '../models/menuItem.js';
+import defaultMenu from '../data/menu.js';
+import { getCurrency } from '../config.js';
+
+// --- Menu Knowledge Base ---
+// The agent never describes dishes itself: menu questions are answered here from the
+// menu items, which are kept in memory (like the restaurant settings) so the slot
+// validators can check a cuisine preference synchronously.
+
+const DIETARY_SYNONYMS = {
+  veg: 'vegetarian', veggie: 'vegetarian', 'plant-based': 'vegan',
+  gluten: 'gluten-free', coeliac: 'gluten-free', celiac: 'gluten-free',
+  'lactose-free': 'dairy-free', 'no-dairy': 'dairy-free', nut: 'nut-free',
+};
+const ALLERGEN_SYNONYMS = {
+  nut: 'nuts', 'tree-nuts': 'nuts', cashew: 'nuts', cashews: 'nuts', almond: 'nuts', almonds: 'nuts', 'pine-nuts': 'nuts',
+  peanut: 'peanuts', milk: 'dairy', lactose: 'dairy', egg: 'eggs', wheat: 'gluten', soya: 'soy',
+  shrimp: 'shellfish', prawn: 'shellfish', prawns: 'shellfish', crab: 'shellfish', lobster: 'shellfish', seafood: 'shellfish',
+};
+const ANY_CUISINE_PATTERN = /^(any|none|no preference|anything|no)$/i;
+const MAX_LISTED_DISHES = 5;
+// Fields staff may set on a dish
+const MENU_FIELDS = ['name', 'description', 'cuisine', 'course', 'price', 'dietaryTags', 'allergens', 'available'];
+
+export class InvalidMenuItemError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidMenuItemError';
+  }
+}
+
+const toKey = (value) => String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+const normalizeList = (values, vocabulary, synonyms) => {
+  const list = Array.isArray(values) ? values : String(values || '').split(',');
+  const tags = list.map(value => {
+    const key = toKey(value);
+    return vocabulary.includes(key) ? key : synonyms[key];
+  });
+  return [...new Set(tags.filter(Boolean))];
+};
+
+/**
+ * Maps free-text diets ("veg", "gluten free") onto DIETARY_TAGS, dropping anything unknown.
+ */
+export const normalizeDietary = (values) => normalizeList(values, DIETARY_TAGS, DIETARY_SYNONYMS);
+
+/**
+ * Maps free-text allergies ("peanut", "prawns") onto ALLERGENS, dropping anything unknown.
+ */
+export const normalizeAllergens = (values) => normalizeList(values, ALLERGENS, ALLERGEN_SYNONYMS);
+
+// "a", "a and b", "a, b and c"
+const listText = (items) =>
+  (items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`);
+
+export const formatPrice = (price) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: getCurrency(), maximumFractionDigits: 0 }).format(price);
+
+// --- Menu Cache ---
+
+let items = [];
+
+export const getMenu = () => items;
+
+export const loadMenu = async () => {
+  items = await MenuItem.find().sort({ cuisine: 1, course: 1, name: 1 }).lean();
+  return items;
+};
+
+/**
+ * Seeds the default menu when no dishes have been added yet, then loads it.
+ */
+export const ensureMenu = async () => {
+  const count = await MenuItem.countDocuments();
+  if (count === 0) {
+    await MenuItem.insertMany(defaultMenu);
+    console.log(`Seeded ${defaultMenu.length} dishes from the default menu.`);
+  }
+  return loadMenu();
+};
+
+/**
+ * Cuisines with at least one dish on the menu today.
+ */
+export const getCuisines = () => [...new Set(items.filter(item => item.available).map(item => item.cuisine))];
+
+// --- Admin CRUD ---
+
+// Tags arrive as lists or comma-separated text; unknown ones are rejected rather than dropped
+const cleanItemFields = (fields) => {
+  const clean = Object.fromEntries(Object.entries(fields).filter(([key]) => MENU_FIELDS.includes(key)));
+  [['dietaryTags', DIETARY_TAGS], ['allergens', ALLERGENS]].forEach(([key, vocabulary]) => {
+    if (clean[key] === undefined) return;
+    const list = (Array.isArray(clean[key]) ? clean[key] : String(clean[key]).split(',')).map(toKey).filter(Boolean);
+    const unknown = list.filter(tag => !vocabulary.includes(tag));
+    if (unknown.length > 0) throw new InvalidMenuItemError(`Unknown ${key}: ${unknown.join(', ')}. Use ${vocabulary.join(', ')}`);
+    clean[key] = [...new Set(list)];
+  });
+  if (clean.course !== undefined && !COURSES.includes(clean.course)) {
+    throw new InvalidMenuItemError(`course must be one of ${COURSES.join(', ')}`);
+  }
+  return clean;
+};
+
+const saveItem = async (item) => {
+  try {
+    await item.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') throw new InvalidMenuItemError(error.message);
+    throw error;
+  }
+  await loadMenu();
+  return item;
+};
+
+/**
+ * Lists dishes. Query: cuisine, course, dietary (comma list), allergens to avoid, available.
+ */
+export const listMenu = (query = {}) => findDishes({
+  cuisine: query.cuisine,
+  course: query.course,
+  dietary: normalizeDietary(query.dietary),
+  allergies: normalizeAllergens(query.allergens),
+  includeUnavailable: query.available !== 'true',
+});
+
+export const createMenuItem = (fields) => saveItem(new MenuItem(cleanItemFields(fields)));
+
+export const updateMenuItem = async (id, changes) => {
+  const item = await MenuItem.findById(id);
+  if (!item) return null;
+  item.set(cleanItemFields(changes));
+  return saveItem(item);
+};
+
+export const deleteMenuItem = async (id) => {
+  const item = await MenuItem.findByIdAndDelete(id);
+  if (item) await loadMenu();
+  return item;
+};
+
+// --- Answering Questions ---
+
+/**
+ * Dishes matching every requested diet, free of the given allergens, optionally
+ * limited to one cuisine or course.
+ */
+export const findDishes = ({ dietary = [], allergies = [], cuisine = null, course = null, includeUnavailable = false } = {}) =>
+  items.filter(item =>
+    (includeUnavailable || item.available) &&
+    (!cuisine || item.cuisine.toLowerCase() === String(cuisine).toLowerCase()) &&
+    (!course || item.course.toLowerCase() === String(course).toLowerCase()) &&
+    dietary.every(tag => item.dietaryTags.includes(tag)) &&
+    !allergies.some(allergen => item.allergens.includes(allergen)));
+
+/**
+ * Matches a guest's cuisine preference against the menu. Returns { value } with the
+ * menu's spelling (or "Any"), or { error } asking the guest to choose.
+ */
+export const matchCuisine = (raw) => {
+  const text = String(raw || '').trim();
+  if (!text || ANY_CUISINE_PATTERN.test(text)) return { value: 'Any' };
+
+  const cuisines = getCuisines();
+  if (cuisines.length === 0) return { value: text.slice(0, 100) }; // No menu loaded: take it as said
+
+  const lower = text.toLowerCase();
+  const exact = cuisines.find(cuisine => cuisine.toLowerCase() === lower);
+  if (exact) return { value: exact };
+  const partial = cuisines.filter(cuisine => cuisine.toLowerCase().includes(lower) || lower.includes(cuisine.toLowerCase()));
+  if (partial.length === 1) return { value: partial[0] };
+  if (partial.length > 1) return { error: `Would that be ${partial.slice(0, -1).join(', ')} or ${partial[partial.length - 1]}?` };
+  return { error: `We serve ${listText(cuisines)} food. Which would you like, or is any fine?` };
+};
+
+const findDish = (name) => {
+  const lower = String(name).trim().toLowerCase();
+  return items.find(item => item.name.toLowerCase() === lower) ||
+    items.find(item => item.name.toLowerCase().includes(lower) || lower.includes(item.name.toLowerCase()));
+};
+
+const dishNames = (dishes) => {
+  const named = dishes.slice(0, MAX_LISTED_DISHES).map(item => `${item.name} (${formatPrice(item.price)})`);
+  const more = dishes.length - named.length;
+  return more > 0 ? `${named.join(', ')} and ${more} more` : listText(named);
+};
+
+const describeDish = (item, dietary, allergies) => {
+  const article = /^[aeiou]/i.test(item.cuisine) ? 'an' : 'a';
+  const parts = [`${item.name} is ${article} ${item.cuisine} ${item.course.toLowerCase()} at ${formatPrice(item.price)}: ${item.description}`];
+  if (dietary.length > 0) {
+    const missing = dietary.filter(tag => !item.dietaryTags.includes(tag));
+    parts.push(missing.length === 0 ? `It is ${listText(dietary)}.` : `I'm afraid it isn't ${listText(missing)}.`);
+  }
+  if (allergies.length > 0) {
+    const contained = allergies.filter(allergen => item.allergens.includes(allergen));
+    parts.push(contained.length > 0 ? `It contains ${listText(contained)}.` : `It has no ${listText(allergies)} in it.`);
+  } else if (item.allergens.length > 0) {
+    parts.push(`Allergens: ${listText(item.allergens)}.`);
+  }
+  if (!item.available) parts.push("It's not on the menu at the moment, though.");
+  return parts.join(' ');
+};
+
+/**
+ * Answers a guest's menu question from the menu data. The question is what the model
+ * extracted: { dietary, allergies, cuisine, course, dish }, any of them empty.
+ */
+export const answerMenuQuestion = ({ dietary, allergies, cuisine, course, dish } = {}) => {
+  const tags = normalizeDietary(dietary);
+  const avoid = normalizeAllergens(allergies);
+  const cuisines = getCuisines();
+  if (items.length === 0) return "I'm sorry, I don't have our menu to hand right now.";
+
+  if (dish) {
+    const item = findDish(dish);
+    return item ? describeDish(item, tags, avoid) : `Sorry, we don't have ${dish} on the menu.`;
+  }
+
+  let cuisineName = null;
+  if (cuisine) {
+    const match = matchCuisine(cuisine);
+    if (match.error) return match.error;
+    cuisineName = match.value === 'Any' ? null : match.value;
+  }
+  const courseName = COURSES.find(name => name.toLowerCase() === String(course || '').trim().toLowerCase().replace(/s$/, ''));
+
+  if (tags.length === 0 && avoid.length === 0 && !cuisineName && !courseName) {
+    return `We serve ${listText(cuisines)} food, for example ${dishNames(findDishes())}.`;
+  }
+
+  const matches = findDishes({ dietary: tags, allergies: avoid, cuisine: cuisineName, course: courseName });
+  const singular = matches.length === 1;
+  const noun = courseName ? `${courseName.toLowerCase()}${singular ? '' : 's'}` : (singular ? 'dish' : 'dishes');
+  const what = [...tags, cuisineName, noun].filter(Boolean).join(' ') + (avoid.length > 0 ? ` without ${listText(avoid)}` : '');
+  if (matches.length === 0) return `I'm sorry, we don't have any ${what} on the menu at the moment.`;
+
+  const caution = avoid.length > 0 ? ' Please mention the allergy to your server as well, so the kitchen can take extra care.' : '';
+  return `Yes, we have ${matches.length} ${what}: ${dishNames(matches)}.${caution}`;
+};
+
+/**
+ * A short overview of the menu for the agent's system prompt.
+ */
+export const describeMenu = () => {
+  const cuisines = getCuisines();
+  if (cuisines.length === 0) return 'The menu is not available.';
+  const diets = DIETARY_TAGS.filter(tag => findDishes({ dietary: [tag] }).length > 0);
+  return `Cuisines: ${cuisines.join(', ')}. Dishes for these diets: ${diets.join(', ')}.`;
+};
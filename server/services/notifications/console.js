@@ -0,0 +1,14 @@
+import { appendFile } from 'fs/promises';
+
+// --- Console / File Transport ---
+// For development and tests: messages are printed, or appended as JSON lines to `file`.
+
+export const createConsoleTransport = ({ channel, file }) => ({
+  name: file ? 'file' : 'console',
+  channel,
+  send: async ({ to, subject, text }) => {
+    const message = { channel, to, subject, text, at: new Date().toISOString() };
+    if (file) await appendFile(file, `${JSON.stringify(message)}\n`);
+    else console.log(`[${channel} to ${to}] ${subject ? `${subject}: ` : ''}${text}`);
+  },
+});
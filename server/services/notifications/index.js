@@ -0,0 +1,143 @@
+import Booking from '../../models/booking.js';
+import { createSmtpTransport } from './smtp.js';
+import { createSmsGatewayTransport } from './smsGateway.js';
+import { createConsoleTransport } from './console.js';
+import { renderNotification } from './templates.js';
+import { subscribe } from '../events.js';
+
+// --- Guest Notifications ---
+// A transport is { name, channel: 'email' | 'sms', send({ to, subject, text }) }.
+// Guests are messaged by email when the booking has an address, otherwise by SMS.
+// Every attempt, successful or not, is recorded in booking.notifications (or in the
+// waitlist entry's notifications for waitlist offers).
+
+const RETRY_DELAYS_MS = [2000, 10000]; // Waits before the second and third attempt
+
+const createEmailTransport = (env) => {
+  const choice = (env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  switch (choice) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASSWORD,
+        from: env.EMAIL_FROM || env.SMTP_USER,
+      });
+    case 'file':
+      return createConsoleTransport({ channel: 'email', file: env.NOTIFICATIONS_FILE || 'notifications.log' });
+    case 'console':
+      return createConsoleTransport({ channel: 'email' });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${choice}"`);
+  }
+};
+
+const createSmsTransport = (env) => {
+  const choice = (env.SMS_TRANSPORT || (env.SMS_GATEWAY_URL ? 'gateway' : 'console')).toLowerCase();
+  switch (choice) {
+    case 'gateway':
+      return createSmsGatewayTransport({
+        url: env.SMS_GATEWAY_URL,
+        user: env.SMS_GATEWAY_USER,
+        password: env.SMS_GATEWAY_PASSWORD,
+        from: env.SMS_FROM,
+      });
+    case 'file':
+      return createConsoleTransport({ channel: 'sms', file: env.NOTIFICATIONS_FILE || 'notifications.log' });
+    case 'console':
+      return createConsoleTransport({ channel: 'sms' });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown SMS_TRANSPORT "${choice}"`);
+  }
+};
+
+/**
+ * Builds the transports selected by EMAIL_TRANSPORT (smtp | file | console | none)
+ * and SMS_TRANSPORT (gateway | file | console | none).
+ */
+export const createTransports = (env = process.env) => ({
+  email: createEmailTransport(env),
+  sms: createSmsTransport(env),
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createNotifier = ({ transports, retryDelaysMs = RETRY_DELAYS_MS }) => {
+  /**
+   * Sends one kind of message (confirmation, change, cancellation, reminder, deposit request) to the
+   * booking's guest, retrying failures. Never throws; returns the final status.
+   * Waitlist offers go to a waitlist entry instead: pass its model so attempts are
+   * recorded there.
+   */
+  const notify = async (booking, kind, { model = Booking } = {}) => {
+    const record = (id, entry) =>
+      model.updateOne({ _id: id }, { $push: { notifications: { ...entry, at: new Date() } } });
+
+    try {
+      const channel = booking.email ? 'email' : booking.phone ? 'sms' : null;
+      const transport = channel && transports[channel];
+      if (!transport) {
+        const error = channel ? `No ${channel} transport configured` : 'Booking has no email or phone';
+        await record(booking._id, { kind, channel, status: 'skipped', error });
+        return 'skipped';
+      }
+
+      const to = channel === 'email' ? booking.email : booking.phone;
+      const message = renderNotification(kind, booking);
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await transport.send(channel === 'email'
+            ? { to, subject: message.subject, text: message.text }
+            : { to, text: message.sms });
+          await record(booking._id, { kind, channel, transport: transport.name, to, status: 'sent' });
+          return 'sent';
+        } catch (error) {
+          await record(booking._id, { kind, channel, transport: transport.name, to, status: 'failed', error: error.message });
+          if (attempt >= retryDelaysMs.length) return 'failed';
+          await wait(retryDelaysMs[attempt]);
+        }
+      }
+    } catch (error) {
+      console.error("Notification Error:", error.message);
+      return 'failed';
+    }
+  };
+
+  return { notify };
+};
+
+let notifier = null;
+
+export const getNotifier = () => {
+  if (!notifier) notifier = createNotifier({ transports: createTransports() });
+  return notifier;
+};
+
+/**
+ * Which message a booking event calls for, if any. Bookings taken as Pending are
+ * confirmed to the guest once staff confirm them or the deposit is paid; until then
+ * a booking waiting for its deposit gets the payment link.
+ */
+const kindForEvent = (type, booking) => {
+  const lastAction = booking.history?.[booking.history.length - 1]?.action;
+  if (type === 'booking.created' && booking.status === 'Confirmed') return 'confirmation';
+  if (type === 'booking.created') return booking.deposit?.status === 'required' ? 'deposit_request' : null;
+  if (type === 'booking.cancelled') return 'cancellation';
+  if (type === 'booking.updated' && lastAction === 'confirm') return 'confirmation';
+  if (type === 'booking.updated' && lastAction === 'updated' && booking.status === 'Confirmed') return 'change';
+  return null;
+};
+
+/**
+ * Sends guest messages for booking events from the live event stream.
+ * Returns a function that stops listening.
+ */
+export const startNotifications = () => subscribe(event => {
+  const kind = kindForEvent(event.type, event.data);
+  if (kind) getNotifier().notify(event.data, kind);
+});
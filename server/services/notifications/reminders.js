@@ -0,0 +1,51 @@
+import Booking from '../../models/booking.js';
+import { getNotifier } from './index.js';
+import { resolveLocation } from '../locations.js';
+import { zonedTimeToUtc } from '../../utils/time.js';
+
+// --- Reminder Job ---
+// Every few minutes, sends a reminder to confirmed guests whose reservation starts
+// within REMINDER_HOURS_BEFORE hours (default 24). reminderSentAt makes it once-only.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sends the reminders that are due at `now`. Returns how many were sent out.
+ */
+export const sendDueReminders = async ({ now = Date.now(), leadHours = Number(process.env.REMINDER_HOURS_BEFORE || 24) } = {}) => {
+  const leadMs = leadHours * 60 * 60 * 1000;
+  // Booking dates are stored as UTC midnight, so widen the range by a day on each side
+  const candidates = await Booking.find({
+    status: 'Confirmed',
+    reminderSentAt: null,
+    bookingDate: { $gte: new Date(now - DAY_MS), $lte: new Date(now + leadMs + DAY_MS) },
+  });
+
+  let sent = 0;
+  for (const booking of candidates) {
+    const { timezone } = resolveLocation(booking.location);
+    const startsAt = zonedTimeToUtc(booking.bookingDate.toISOString().split('T')[0], booking.bookingTime, timezone);
+    if (startsAt <= now || startsAt - now > leadMs) continue;
+
+    // Claim the reminder first so overlapping runs cannot send it twice
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, reminderSentAt: null },
+      { $set: { reminderSentAt: new Date(now) } },
+    );
+    if (!claimed) continue;
+    await getNotifier().notify(booking, 'reminder');
+    sent += 1;
+  }
+  return sent;
+};
+
+/**
+ * Runs sendDueReminders every REMINDER_CHECK_MINUTES (default 5). Returns a stop function.
+ */
+export const startReminderJob = ({ intervalMs = Number(process.env.REMINDER_CHECK_MINUTES || 5) * 60 * 1000 } = {}) => {
+  const run = () => sendDueReminders().catch(error => console.error("Reminder Error:", error.message));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,16 @@
+import axios from 'axios';
+
+// --- SMS Gateway Transport ---
+// Posts a Twilio-style form (To, From, Body) with basic auth to SMS_GATEWAY_URL,
+// e.g. https://api.twilio.com/2010-04-01/Accounts/<sid>/Messages.json.
+
+export const createSmsGatewayTransport = ({ url, user, password, from }) => ({
+  name: 'sms-gateway',
+  channel: 'sms',
+  send: async ({ to, text }) => {
+    await axios.post(url, new URLSearchParams({ To: to, From: from || '', Body: text }), {
+      auth: user ? { username: user, password: password || '' } : undefined,
+      timeout: 10000,
+    });
+  },
+});
@@ -0,0 +1,20 @@
+import nodemailer from 'nodemailer';
+
+// --- SMTP Transport ---
+
+export const createSmtpTransport = ({ host, port = 587, user, pass, from }) => {
+  const mailer = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure: Number(port) === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    channel: 'email',
+    send: async ({ to, subject, text }) => {
+      await mailer.sendMail({ from, to, subject, text });
+    },
+  };
+};
@@ -0,0 +1,92 @@
+import { getClientUrl } from '../../config.js';
+import { resolveLocation } from '../locations.js';
+import { guestBookingPath } from '../auth.js';
+import { guestCalendarUrl } from '../calendar.js';
+import { formatPrice } from '../menu.js';
+
+// --- Message Templates ---
+// {placeholders} are filled from the booking. Emails use `subject` and `text`;
+// SMS uses the shorter `sms` text.
+
+const TEMPLATES = {
+  confirmation: {
+    subject: 'Your table at {restaurant} is confirmed',
+    text: 'Hi {name},\n\nYour table for {guests} at {restaurant} on {date} at {time} is confirmed.\n' +
+      'Confirmation code: {code}\n{link}\n{calendar}\nTo change or cancel, talk to our booking assistant and mention your code.\n\nSee you soon!',
+    sms: '{restaurant}: table for {guests} on {date} at {time} confirmed. Code {code}. {link}',
+  },
+  change: {
+    subject: 'Your booking at {restaurant} has changed',
+    text: 'Hi {name},\n\nYour booking has been updated. It is now for {guests} on {date} at {time}.\n' +
+      'Confirmation code: {code}\n{link}\n{calendar}\n\nSee you soon!',
+    sms: '{restaurant}: your booking is now for {guests} on {date} at {time}. Code {code}. {link}',
+  },
+  cancellation: {
+    subject: 'Your booking at {restaurant} has been cancelled',
+    text: 'Hi {name},\n\nYour booking for {guests} on {date} at {time} (code {code}) has been cancelled.\n\n' +
+      'We hope to see you another time.',
+    sms: '{restaurant}: your booking for {date} at {time} (code {code}) has been cancelled.',
+  },
+  reminder: {
+    subject: 'See you soon at {restaurant}',
+    text: 'Hi {name},\n\nA reminder of your table for {guests} at {restaurant} on {date} at {time}.\n' +
+      'Confirmation code: {code}\n{link}\n\nSee you soon!',
+    sms: '{restaurant} reminder: table for {guests} on {date} at {time}. Code {code}.',
+  },
+  // Sent when a booking is held as Pending until its deposit is paid
+  deposit_request: {
+    subject: 'Pay your deposit to confirm your table at {restaurant}',
+    text: 'Hi {name},\n\nWe are holding a table for {guests} at {restaurant} on {date} at {time}.\n' +
+      'To confirm it, please pay the {deposit} deposit by {expires}:\n{paymentLink}\n\n' +
+      'Confirmation code: {code}\nIf the deposit is not paid by then, the table is released.',
+    sms: '{restaurant}: pay the {deposit} deposit by {expires} to confirm your table for {guests} on {date} at {time}: {paymentLink}',
+  },
+  // Sent to a waitlist entry, not a booking: {time} is the time on offer
+  waitlist_offer: {
+    subject: 'A table has opened up at {restaurant}',
+    text: 'Hi {name},\n\nGood news: a table for {guests} on {date} at {time} has become free, ' +
+      'and we are holding it for you until {expires}.\nClaim it here: {offerLink}\n\n' +
+      'If you no longer need it, you can decline on the same page so we can offer it to the next guest.',
+    sms: '{restaurant}: a table for {guests} on {date} at {time} is free. Held for you until {expires}: {offerLink}',
+  },
+};
+
+export const NOTIFICATION_KINDS = Object.keys(TEMPLATES);
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? '');
+
+const formatClock = (date, timeZone) =>
+  new Date(date).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Renders the message for a booking (or a waitlist entry with an open offer): { subject, text, sms }.
+ */
+export const renderNotification = (kind, booking) => {
+  // A waitlist entry has no booking page or calendar file yet, only the offer
+  const offer = kind === 'waitlist_offer' ? booking.offer : null;
+  const path = offer ? null : guestBookingPath(booking._id);
+  const calendar = offer ? null : guestCalendarUrl(booking._id);
+  const deposit = kind === 'deposit_request' ? booking.deposit : null;
+  const expiresAt = offer?.expiresAt || deposit?.expiresAt;
+  const location = resolveLocation(booking.location); // Messages come from the location the table is at
+  const values = {
+    restaurant: location.name,
+    name: booking.customerName,
+    guests: booking.numberOfGuests,
+    date: new Date(booking.bookingDate).toISOString().split('T')[0],
+    time: offer?.time || booking.bookingTime,
+    code: booking.confirmationCode,
+    link: path ? `${getClientUrl()}${path}` : '',
+    calendar: calendar ? `Add it to your calendar: ${calendar}` : '',
+    expires: expiresAt ? formatClock(expiresAt, location.timezone) : '',
+    offerLink: offer?.token ? `${getClientUrl()}/waitlist/${booking._id}?token=${offer.token}` : '',
+    deposit: deposit ? formatPrice(deposit.amount) : '',
+    paymentLink: deposit?.paymentUrl || '',
+  };
+  const template = TEMPLATES[kind];
+  return {
+    subject: fill(template.subject, values),
+    text: fill(template.text, values).replace(/\n{3,}/g, '\n\n'),
+    sms: fill(template.sms, values).trim(),
+  };
+};
@@ -0,0 +1,45 @@
+import { randomBytes } from 'crypto';
+
+// --- Fake Gateway ---
+// For development and tests: no money moves. The payment link opens a page served by
+// /api/payments/fake/:id where the payment can be made to succeed or fail, and refunds
+// are only logged. Payments live in memory, so links stop working after a restart.
+
+const newId = (prefix) => `${prefix}_${randomBytes(8).toString('hex')}`;
+
+export const createFakeGateway = ({ serverUrl }) => {
+  const payments = new Map();
+
+  return {
+    name: 'fake',
+    createPayment: async ({ bookingId, amount, currency, description, successUrl, cancelUrl }) => {
+      const id = newId('fake_pay');
+      payments.set(id, { id, bookingId, amount, currency, description, successUrl, cancelUrl, status: 'open' });
+      return { id, url: `${serverUrl}/api/payments/fake/${id}` };
+    },
+    /**
+     * A payment made through this gateway, for the fake checkout page, or null.
+     */
+    getPayment: (id) => payments.get(id) || null,
+    /**
+     * Pays or fails an open payment, returning the event a real gateway's webhook would send.
+     */
+    settle: (id, succeeded) => {
+      const payment = payments.get(id);
+      if (!payment || payment.status !== 'open') return null;
+      payment.status = succeeded ? 'paid' : 'failed';
+      payment.chargeId = succeeded ? newId('fake_ch') : null;
+      return { type: succeeded ? 'payment.succeeded' : 'payment.failed', paymentId: id, chargeId: payment.chargeId };
+    },
+    // Accepts the JSON event settle() returns, for payments this process made
+    parseWebhook: (rawBody) => {
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return payments.has(event?.paymentId) ? event : null;
+    },
+    refund: async ({ chargeId, amount }) => {
+      const id = newId('fake_re');
+      console.log(`[payments] Refunded ${amount} on ${chargeId} (${id})`);
+      return { id };
+    },
+  };
+};
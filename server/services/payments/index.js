@@ -0,0 +1,91 @@
+import { createStripeGateway } from './stripe.js';
+import { createFakeGateway } from './fake.js';
+import { getClientUrl, getCurrency, getServerUrl } from '../../config.js';
+import { guestBookingPath } from '../auth.js';
+import { getSettings } from '../settings.js';
+import { resolveLocation, getLocations } from '../locations.js';
+
+// --- Payment Gateway ---
+// A gateway is { name, createPayment, parseWebhook, refund }:
+//   createPayment({ bookingId, amount, currency, description, email, successUrl, cancelUrl, expiresAt }) -> { id, url }
+//   parseWebhook(rawBody, headers) -> { type, paymentId, chargeId }, or null when the request is not genuine
+//   refund({ chargeId, amount }) -> { id }
+// Amounts are in the currency's main unit. Webhook events of type "payment.succeeded"
+// and "payment.failed" are acted on (see services/deposits.js); anything else is ignored.
+
+/**
+ * Builds the gateway selected by PAYMENT_GATEWAY (stripe | fake | none).
+ * Without an explicit choice, Stripe is used when a key is present, else there is none
+ * (null) and no deposits can be taken. The fake gateway confirms payments without taking
+ * any money, so it is only ever used when asked for, while developing and testing.
+ */
+export const createPaymentGateway = (env = process.env) => {
+  const choice = (env.PAYMENT_GATEWAY || (env.STRIPE_SECRET_KEY ? 'stripe' : 'none')).toLowerCase();
+
+  switch (choice) {
+    case 'none':
+      return null;
+    case 'stripe':
+      return createStripeGateway({ secretKey: env.STRIPE_SECRET_KEY, webhookSecret: env.STRIPE_WEBHOOK_SECRET });
+    case 'fake':
+      return createFakeGateway({ serverUrl: getServerUrl() });
+    default:
+      throw new Error(`Unknown PAYMENT_GATEWAY "${choice}"`);
+  }
+};
+
+let gateway;
+
+// The configured gateway, or null when there is none
+export const getPaymentGateway = () => {
+  if (gateway === undefined) gateway = createPaymentGateway();
+  return gateway;
+};
+
+export const hasPaymentGateway = () => getPaymentGateway() !== null;
+
+/**
+ * Checks at startup that locations asking for deposits have a gateway to take them.
+ * Throws naming those locations when there is none.
+ */
+export const checkPaymentSetup = () => {
+  if (hasPaymentGateway()) return;
+  const taking = getLocations().filter(location => getSettings(location._id).depositRules.length > 0);
+  if (taking.length > 0) {
+    throw new Error(`Deposits are set up at ${taking.map(location => location.name).join(', ')} but no payment gateway ` +
+      'is configured: set STRIPE_SECRET_KEY (or PAYMENT_GATEWAY=fake while developing), or remove the deposit rules.');
+  }
+};
+
+/**
+ * Opens a payment for a new booking's deposit. Returns the deposit to store on the
+ * booking; the payment link stays open for the settings' depositHoldMinutes.
+ */
+export const requestDeposit = async (booking, amount) => {
+  const payments = getPaymentGateway();
+  if (!payments) throw new Error('No payment gateway is configured to take deposits');
+  const expiresAt = new Date(Date.now() + getSettings(booking.location).depositHoldMinutes * 60 * 1000);
+  // Either way the guest lands back on their booking page, which shows whether it went through
+  const path = guestBookingPath(booking._id);
+  const returnUrl = `${getClientUrl()}${path || '/'}`;
+
+  const payment = await payments.createPayment({
+    bookingId: String(booking._id),
+    amount,
+    currency: getCurrency(),
+    description: `Deposit for a table for ${booking.numberOfGuests} at ${resolveLocation(booking.location).name} (${booking.confirmationCode})`,
+    email: booking.email,
+    successUrl: returnUrl,
+    cancelUrl: returnUrl,
+    expiresAt,
+  });
+  return {
+    amount,
+    currency: getCurrency(),
+    status: 'required',
+    gateway: payments.name,
+    paymentId: payment.id,
+    paymentUrl: payment.url,
+    expiresAt,
+  };
+};
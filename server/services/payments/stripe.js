@@ -0,0 +1,86 @@
+import axios from 'axios';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// --- Stripe Gateway ---
+// Deposits are paid on a Stripe Checkout page. Stripe reports the outcome to
+// /api/payments/webhook, signed with the endpoint's secret (STRIPE_WEBHOOK_SECRET).
+
+const API_URL = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000; // Older events are treated as replays
+
+// Stripe takes amounts in the currency's smallest unit (paise, cents)
+const toMinorUnits = (amount) => String(Math.round(amount * 100));
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+export const createStripeGateway = ({ secretKey, webhookSecret, now = Date.now }) => {
+  if (!secretKey) throw new Error('STRIPE_SECRET_KEY is required for the Stripe gateway');
+  if (!webhookSecret) throw new Error('STRIPE_WEBHOOK_SECRET is required for the Stripe gateway');
+
+  const client = axios.create({
+    baseURL: API_URL,
+    headers: { Authorization: `Bearer ${secretKey}` },
+    timeout: 10000,
+  });
+
+  // Checks the Stripe-Signature header ("t=<seconds>,v1=<hex HMAC of "t.body">")
+  const isSigned = (body, header = '') => {
+    const fields = header.split(',').map(field => field.split('='));
+    const timestamp = Number(fields.find(([key]) => key === 't')?.[1]);
+    if (!timestamp || Math.abs(now() - timestamp * 1000) > SIGNATURE_TOLERANCE_MS) return false;
+    const expected = createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+    return fields.some(([key, value]) => key === 'v1' && value && safeEqual(value, expected));
+  };
+
+  return {
+    name: 'stripe',
+    createPayment: async ({ bookingId, amount, currency, description, email, successUrl, cancelUrl, expiresAt }) => {
+      const params = new URLSearchParams({
+        mode: 'payment',
+        client_reference_id: bookingId,
+        'metadata[bookingId]': bookingId,
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': currency.toLowerCase(),
+        'line_items[0][price_data][unit_amount]': toMinorUnits(amount),
+        'line_items[0][price_data][product_data][name]': description,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        expires_at: String(Math.floor(expiresAt.getTime() / 1000)),
+      });
+      if (email) params.set('customer_email', email);
+      const { data } = await client.post('/checkout/sessions', params);
+      return { id: data.id, url: data.url };
+    },
+    parseWebhook: (rawBody, headers) => {
+      const body = rawBody.toString('utf8');
+      if (!isSigned(body, headers['stripe-signature'])) return null;
+
+      const event = JSON.parse(body);
+      const session = event.data?.object || {};
+      const result = { paymentId: session.id, chargeId: session.payment_intent };
+      switch (event.type) {
+        case 'checkout.session.completed':
+          // Bank transfers and the like settle later, with async_payment_succeeded
+          return { ...result, type: session.payment_status === 'paid' ? 'payment.succeeded' : event.type };
+        case 'checkout.session.async_payment_succeeded':
+          return { ...result, type: 'payment.succeeded' };
+        case 'checkout.session.async_payment_failed':
+        case 'checkout.session.expired':
+          return { ...result, type: 'payment.failed' };
+        default:
+          return { ...result, type: event.type };
+      }
+    },
+    refund: async ({ chargeId, amount }) => {
+      const { data } = await client.post('/refunds', new URLSearchParams({
+        payment_intent: chargeId,
+        amount: toMinorUnits(amount),
+      }));
+      return { id: data.id };
+    },
+  };
+};
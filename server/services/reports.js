@@ -0,0 +1,249 @@
+import Booking from '../models/booking.js';
+import Transcript from '../models/transcript.js';
+import { getSettings } from './settings.js';
+import { normalizeSeating } from './availability.js';
+import { InvalidQueryError } from './bookingSearch.js';
+import { resolveLocation, getDefaultLocation } from './locations.js';
+import { dayRange, parseTime, zonedTimeToUtc } from '../utils/time.js';
+
+// --- Reports ---
+// Manager reporting over a range of reservation dates at one location, aggregated in MongoDB.
+// Cancelled bookings and no-shows count towards their rates but not towards covers.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const NOT_SERVED = ['Cancelled', 'No-Show'];
+
+// Days from booking to reservation, as [lower bound, label]; the last bucket is open-ended
+const LEAD_TIME_BUCKETS = [[0, 'Same day'], [1, '1-2 days'], [3, '3-7 days'], [8, '8-14 days'], [15, '15-30 days'], [31, '31+ days']];
+const NO_CUISINE = [null, '', 'Any', 'None'];
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value));
+
+const addDays = (dateStr, days) => new Date(new Date(dateStr).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0); // Percent, one decimal
+
+/**
+ * Checks the from/to query (YYYY-MM-DD, inclusive, at most a year apart).
+ * Throws InvalidQueryError listing what is wrong.
+ */
+export const parseReportRange = ({ from, to } = {}) => {
+  const errors = [];
+  if (!isDateString(from)) errors.push('from must be a date in YYYY-MM-DD format');
+  if (!isDateString(to)) errors.push('to must be a date in YYYY-MM-DD format');
+  if (errors.length === 0 && from > to) errors.push('from must not be after to');
+  if (errors.length === 0 && (new Date(to) - new Date(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    errors.push(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+  if (errors.length > 0) throw new InvalidQueryError(errors);
+  return { from, to };
+};
+
+// The location's bookings whose reservation falls in the range (booking dates are stored as UTC midnight)
+const rangeFilter = ({ from, to }, location) => ({
+  location: location._id,
+  bookingDate: { $gte: dayRange(from).start, $lt: dayRange(to).end },
+});
+
+// Chat conversations at the location; ones that never got as far as picking a location
+// count towards the default location, like records from before there were several
+const chatFilter = (location) => {
+  const id = String(location._id);
+  return { 'state.slots.location': String(getDefaultLocation()._id) === id ? { $in: [id, null] } : id };
+};
+
+// Whole days from the (local) day a booking was made to its reservation date
+const leadDaysExpression = (timezone) => ({
+  $floor: {
+    $divide: [
+      {
+        $subtract: ['$bookingDate', {
+          $dateFromString: { dateString: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone } } },
+        }],
+      },
+      DAY_MS,
+    ],
+  },
+});
+
+// Who made the booking: the actor of the first history entry
+const sourceExpression = { $ifNull: [{ $arrayElemAt: ['$history.actor.kind', 0] }, 'system'] };
+
+const countAndCovers = { bookings: { $sum: 1 }, guests: { $sum: '$numberOfGuests' } };
+
+const serviceFor = (time, periods) => {
+  const minutes = parseTime(time);
+  return periods.find(p => minutes >= parseTime(p.start) && minutes < parseTime(p.end))?.name || 'Other';
+};
+
+/**
+ * The figures for the reports page. Query: from, to (YYYY-MM-DD, inclusive).
+ * Covers the location given in `scope` (the default location if none).
+ */
+export const buildReport = async (query = {}, scope = {}) => {
+  const range = parseReportRange(query);
+  const location = resolveLocation(scope.location);
+  const { timezone } = location;
+  const periods = getSettings(location._id).servicePeriods;
+
+  const [facets] = await Booking.aggregate([
+    { $match: rangeFilter(range, location) },
+    {
+      $addFields: {
+        day: { $dateToString: { date: '$bookingDate', format: '%Y-%m-%d' } },
+        served: { $not: [{ $in: ['$status', NOT_SERVED] }] },
+        leadDays: leadDaysExpression(timezone),
+      },
+    },
+    {
+      $facet: {
+        statuses: [{ $group: { _id: '$status', ...countAndCovers } }],
+        slots: [
+          { $match: { served: true } },
+          { $group: { _id: { day: '$day', time: '$bookingTime' }, ...countAndCovers } },
+        ],
+        seating: [
+          { $match: { served: true } },
+          { $group: { _id: '$seatingPreference', ...countAndCovers } },
+        ],
+        leadTime: [
+          {
+            $bucket: {
+              groupBy: '$leadDays',
+              boundaries: [...LEAD_TIME_BUCKETS.map(([lower]) => lower), Number.MAX_SAFE_INTEGER],
+              default: 'unknown', // Made after the reservation date, e.g. entered afterwards
+              output: { bookings: { $sum: 1 } },
+            },
+          },
+        ],
+        cuisines: [
+          { $match: { served: true, cuisinePreference: { $nin: NO_CUISINE } } },
+          { $group: { _id: '$cuisinePreference', ...countAndCovers } },
+          { $sort: { bookings: -1, _id: 1 } },
+          { $limit: 10 },
+        ],
+        sources: [{ $group: { _id: sourceExpression, bookings: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  // Covers per day, with every day in the range present, split by service period
+  const days = [];
+  for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+    days.push({ date: day, bookings: 0, guests: 0, services: Object.fromEntries(periods.map(p => [p.name, 0])) });
+  }
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const services = new Map(periods.map(p => [p.name, { name: p.name, bookings: 0, guests: 0 }]));
+  facets.slots.forEach(({ _id, bookings, guests }) => {
+    const day = byDate.get(_id.day);
+    const name = serviceFor(_id.time, periods);
+    if (!services.has(name)) services.set(name, { name, bookings: 0, guests: 0 });
+    services.get(name).bookings += bookings;
+    services.get(name).guests += guests;
+    if (!day) return;
+    day.bookings += bookings;
+    day.guests += guests;
+    day.services[name] = (day.services[name] || 0) + guests;
+  });
+
+  // Older bookings may have the lower-case spelling
+  const seating = ['Indoor', 'Outdoor', 'Any'].map(name => ({ name, bookings: 0, guests: 0 }));
+  facets.seating.forEach(({ _id, bookings, guests }) => {
+    const entry = seating.find(s => s.name === normalizeSeating(_id));
+    entry.bookings += bookings;
+    entry.guests += guests;
+  });
+
+  const count = (status) => facets.statuses.find(s => s._id === status)?.bookings || 0;
+  const total = facets.statuses.reduce((sum, s) => sum + s.bookings, 0);
+  const cancelled = count('Cancelled');
+  const noShows = count('No-Show');
+
+  // Chat conversations started in the range, and how many ended with a booking
+  const chatRange = {
+    $gte: new Date(zonedTimeToUtc(range.from, '00:00', timezone)),
+    $lt: new Date(zonedTimeToUtc(addDays(range.to, 1), '00:00', timezone)),
+  };
+  const [sessions, converted] = await Promise.all([
+    Transcript.countDocuments({ createdAt: chatRange, ...chatFilter(location) }),
+    Transcript.countDocuments({ createdAt: chatRange, ...chatFilter(location), 'state.bookingId': { $ne: null } }),
+  ]);
+
+  return {
+    from: range.from,
+    to: range.to,
+    totals: {
+      bookings: total,
+      guests: days.reduce((sum, day) => sum + day.guests, 0),
+      cancelled,
+      noShows,
+      cancellationRate: rate(cancelled, total),
+      noShowRate: rate(noShows, total - cancelled), // Of the bookings that were still on
+    },
+    days,
+    services: [...services.values()],
+    seating,
+    statuses: facets.statuses.map(({ _id, bookings, guests }) => ({ status: _id, bookings, guests })),
+    leadTime: LEAD_TIME_BUCKETS.map(([lower, label]) => ({
+      label,
+      bookings: facets.leadTime.find(b => b._id === lower)?.bookings || 0,
+    })),
+    cuisines: facets.cuisines.map(({ _id, bookings, guests }) => ({ cuisine: _id, bookings, guests })),
+    sources: facets.sources.map(({ _id, bookings }) => ({ source: _id, bookings })),
+    chat: { sessions, converted, conversionRate: rate(converted, sessions) },
+  };
+};
+
+// --- CSV Export ---
+
+const CSV_COLUMNS = [
+  ['date', 'Date'], ['time', 'Time'], ['service', 'Service'], ['guests', 'Guests'], ['status', 'Status'],
+  ['seating', 'Seating'], ['cuisine', 'Cuisine'], ['source', 'Booked by'], ['bookedAt', 'Booked at'],
+  ['leadDays', 'Lead time (days)'], ['confirmationCode', 'Confirmation code'],
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  // Quote anything with a separator, and defuse values a spreadsheet would run as a formula
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * The bookings behind a report, one CSV row each (no guest names or contact details).
+ */
+export const exportReportCsv = async (query = {}, scope = {}) => {
+  const range = parseReportRange(query);
+  const location = resolveLocation(scope.location);
+  const periods = getSettings(location._id).servicePeriods;
+  const bookings = await Booking.aggregate([
+    { $match: rangeFilter(range, location) },
+    { $sort: { bookingDate: 1, bookingTime: 1, _id: 1 } },
+    {
+      $project: {
+        date: { $dateToString: { date: '$bookingDate', format: '%Y-%m-%d' } },
+        time: '$bookingTime',
+        guests: '$numberOfGuests',
+        status: 1,
+        seating: '$seatingPreference',
+        cuisine: '$cuisinePreference',
+        source: sourceExpression,
+        bookedAt: '$createdAt',
+        leadDays: leadDaysExpression(location.timezone),
+        confirmationCode: 1,
+      },
+    },
+  ]);
+
+  const rows = bookings.map(booking => ({
+    ...booking,
+    service: serviceFor(booking.time, periods),
+    seating: booking.seating ? normalizeSeating(booking.seating) : '',
+    bookedAt: booking.bookedAt ? booking.bookedAt.toISOString() : '',
+  }));
+  return [
+    CSV_COLUMNS.map(([, header]) => header).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([key]) => csvCell(row[key])).join(',')),
+  ].join('\r\n') + '\r\n';
+};
@@ -0,0 +1,69 @@
+import { randomUUID } from 'crypto';
+
+// --- Conversation Sessions ---
+// Keeps the booking state for each chat conversation on the server, so the
+// agent never has to rely on the client (or the LLM) to remember earlier turns.
+
+const SESSION_TTL_MS = 60 * 60 * 1000; // Drop conversations idle for an hour
+const sessions = new Map();
+
+const pruneExpired = () => {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (session.updatedAt < cutoff) sessions.delete(id);
+  }
+};
+
+const blankSession = () => ({
+  id: randomUUID(),
+  mode: 'book', // book | modify | cancel
+  stage: 'collecting', // collecting -> awaiting_confirmation -> booked
+  slots: {},
+  needs: { dietary: [], allergies: [] }, // Diets and allergies mentioned while booking
+  errors: {},
+  history: [],
+  weatherMentioned: false,
+  guest: null, // { id, name } of a returning caller, recognised from their caller ID
+  language: null, // en | ta | hi, detected from the first message unless the guest picks one
+  languageChosen: false,
+  bookingId: null,
+  paymentLink: null, // Deposit link for the booking made in this conversation, until it is paid
+  waitlistOffer: null, // { date, time } of a full slot the guest may wait for
+  waitlistEntryId: null,
+  manage: null, // Lookup details and pending changes while modifying or cancelling
+  updatedAt: Date.now(),
+});
+
+const createSession = () => {
+  const session = blankSession();
+  sessions.set(session.id, session);
+  return session;
+};
+
+/**
+ * Returns the session for an id, or starts a new one if it is unknown or expired.
+ */
+export const getSession = (id) => {
+  pruneExpired();
+  const session = id && sessions.get(id);
+  if (!session) return createSession();
+  session.updatedAt = Date.now();
+  return session;
+};
+
+/**
+ * The live session for an id, or null. Unlike getSession, never starts a new one.
+ */
+export const findSession = (id) => {
+  pruneExpired();
+  return (id && sessions.get(id)) || null;
+};
+
+/**
+ * Brings a saved conversation back under its old id (see services/transcripts.js).
+ */
+export const restoreSession = (id, state) => {
+  const session = { ...blankSession(), ...state, id, updatedAt: Date.now() };
+  sessions.set(id, session);
+  return session;
+};
@@ -0,0 +1,359 @@
+import Settings from '../models/settings.js';
+import { getOpeningHours, getServicePeriods } from '../config.js';
+import { getLocations, resolveLocation } from './locations.js';
+import { parseTime, zonedTimeToUtc } from '../utils/time.js';
+import { formatPrice } from './menu.js';
+import { hasPaymentGateway } from './payments/index.js';
+
+// --- Restaurant Settings ---
+// Opening hours, service periods, closures and booking limits, one set per location.
+// The settings documents are loaded once and kept in memory, so the booking rules
+// below can be checked synchronously (the agent's slot validators run on every turn).
+// Until they are loaded, or without a database, the defaults from .env apply.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const EDITABLE_SETTINGS = [
+  'weeklyHours', 'servicePeriods', 'blackoutDates', 'maxPartySize', 'minLeadMinutes', 'maxAdvanceDays', 'transcriptRetentionDays',
+  'depositRules', 'depositPerGuest', 'depositRefundHours', 'depositHoldMinutes',
+];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class InvalidSettingsError extends Error {
+  constructor(errors) {
+    super(errors.join('; '));
+    this.name = 'InvalidSettingsError';
+    this.errors = errors;
+  }
+}
+
+const defaultSettings = () => {
+  const { open, close } = getOpeningHours();
+  return {
+    weeklyHours: DAY_NAMES.map((name, day) => ({ day, closed: false, open, close })),
+    servicePeriods: getServicePeriods(),
+    blackoutDates: [],
+    maxPartySize: Number(process.env.MAX_PARTY_SIZE || 12),
+    minLeadMinutes: Number(process.env.MIN_LEAD_MINUTES ?? 60),
+    maxAdvanceDays: Number(process.env.MAX_ADVANCE_DAYS || 90),
+    transcriptRetentionDays: Number(process.env.TRANSCRIPT_RETENTION_DAYS || 90),
+    depositRules: [], // No deposits until staff set some up
+    depositPerGuest: Number(process.env.DEPOSIT_PER_GUEST || 500),
+    depositRefundHours: Number(process.env.DEPOSIT_REFUND_HOURS ?? 24),
+    depositHoldMinutes: Number(process.env.DEPOSIT_HOLD_MINUTES || 30),
+  };
+};
+
+// Plain copy of the editable fields, sorted so weeklyHours[day] is that weekday
+const toRules = (doc) => {
+  const data = doc.toObject ? doc.toObject() : doc;
+  const rules = Object.fromEntries(EDITABLE_SETTINGS.map(key => [key, data[key]]));
+  const defaults = defaultSettings();
+  rules.weeklyHours = defaults.weeklyHours.map(day => data.weeklyHours?.find(h => h.day === day.day) || day);
+  rules.servicePeriods = (data.servicePeriods || []).map(({ name, start, end }) => ({ name, start, end }));
+  rules.blackoutDates = (data.blackoutDates || []).map(({ date, reason }) => ({ date, reason }));
+  rules.depositRules = (data.depositRules || []).map(({ minGuests, days, services }) => ({
+    minGuests: minGuests ?? null,
+    days: [...(days || [])],
+    services: [...(services || [])],
+  }));
+  ['depositPerGuest', 'depositRefundHours', 'depositHoldMinutes'].forEach(key => {
+    rules[key] = data[key] ?? defaults[key];
+  });
+  return rules;
+};
+
+const rulesByLocation = new Map(); // Location id -> rules
+
+/**
+ * The settings in force at a location, the default location when none is given
+ * (the .env defaults until loadSettings has run).
+ */
+export const getSettings = (location) => rulesByLocation.get(String(resolveLocation(location)._id)) || defaultSettings();
+
+/**
+ * Loads every location's settings, creating them from the defaults for new locations.
+ */
+export const loadSettings = async () => {
+  const docs = await Settings.find();
+  const missing = getLocations({ includeInactive: true })
+    .filter(location => !docs.some(doc => String(doc.location) === String(location._id)));
+  const created = await Promise.all(missing.map(location => Settings.create({ ...defaultSettings(), location: location._id })));
+
+  rulesByLocation.clear();
+  [...docs, ...created].forEach(doc => rulesByLocation.set(String(doc.location), toRules(doc)));
+  return getSettings();
+};
+
+const validateSettings = (changes) => {
+  const errors = [];
+  const minutes = (value) => (TIME_PATTERN.test(value || '') ? parseTime(value) : null);
+
+  if (changes.weeklyHours !== undefined) {
+    if (!Array.isArray(changes.weeklyHours)) {
+      errors.push('weeklyHours must be a list of days');
+    } else {
+      changes.weeklyHours.forEach(hours => {
+        const name = DAY_NAMES[hours?.day] || `day ${hours?.day}`;
+        if (!Number.isInteger(hours?.day) || hours.day < 0 || hours.day > 6) errors.push(`${name}: day must be 0 (Sunday) to 6`);
+        else if (!hours.closed && (minutes(hours.open) === null || minutes(hours.close) === null)) {
+          errors.push(`${name}: opening and closing times must be HH:MM`);
+        } else if (!hours.closed && minutes(hours.open) >= minutes(hours.close)) {
+          errors.push(`${name}: closing time must be after opening time`);
+        }
+      });
+    }
+  }
+
+  if (changes.servicePeriods !== undefined) {
+    if (!Array.isArray(changes.servicePeriods)) errors.push('servicePeriods must be a list');
+    else changes.servicePeriods.forEach((period, idx) => {
+      const name = period?.name || `Service ${idx + 1}`;
+      if (!period?.name) errors.push(`${name}: a name is required`);
+      if (minutes(period?.start) === null || minutes(period?.end) === null) errors.push(`${name}: start and end must be HH:MM`);
+      else if (minutes(period.start) >= minutes(period.end)) errors.push(`${name}: end must be after start`);
+    });
+  }
+
+  if (changes.blackoutDates !== undefined) {
+    if (!Array.isArray(changes.blackoutDates)) errors.push('blackoutDates must be a list');
+    else changes.blackoutDates.forEach(closure => {
+      if (!DATE_PATTERN.test(closure?.date || '') || isNaN(new Date(closure.date))) {
+        errors.push(`Closure date "${closure?.date}" must be YYYY-MM-DD`);
+      }
+    });
+  }
+
+  if (changes.depositRules !== undefined) {
+    if (!Array.isArray(changes.depositRules)) errors.push('depositRules must be a list');
+    else changes.depositRules.forEach((rule, idx) => {
+      const name = `Deposit rule ${idx + 1}`;
+      const { minGuests = null, days = [], services = [] } = rule || {};
+      if (minGuests !== null && (!Number.isInteger(minGuests) || minGuests < 1)) errors.push(`${name}: minGuests must be a whole number of at least 1`);
+      if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        errors.push(`${name}: days must be a list of 0 (Sunday) to 6`);
+      }
+      if (!Array.isArray(services) || services.some(service => typeof service !== 'string' || !service)) {
+        errors.push(`${name}: services must be a list of service names`);
+      }
+      // A rule with no conditions would ask every booking for a deposit
+      if (minGuests === null && !days?.length && !services?.length) errors.push(`${name}: set a party size, days or services`);
+    });
+  }
+
+  if (changes.depositPerGuest !== undefined && (typeof changes.depositPerGuest !== 'number' || !(changes.depositPerGuest >= 0))) {
+    errors.push('depositPerGuest must be an amount of at least 0');
+  }
+
+  [
+    ['maxPartySize', 1], ['minLeadMinutes', 0], ['maxAdvanceDays', 1], ['transcriptRetentionDays', 1],
+    ['depositRefundHours', 0],
+    ['depositHoldMinutes', 30], // Checkout links from Stripe stay open for at least 30 minutes
+  ].forEach(([key, min]) => {
+    if (changes[key] !== undefined && (!Number.isInteger(changes[key]) || changes[key] < min)) {
+      errors.push(`${key} must be a whole number of at least ${min}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates and saves changes to a location's settings. Throws InvalidSettingsError listing every problem.
+ */
+export const updateSettings = async (changes = {}, location) => {
+  const updates = Object.fromEntries(Object.entries(changes).filter(([key]) => EDITABLE_SETTINGS.includes(key)));
+  const errors = validateSettings(updates);
+  if (updates.depositRules?.length > 0 && !hasPaymentGateway()) {
+    errors.push('Deposits need a payment gateway: set STRIPE_SECRET_KEY on the server first');
+  }
+  if (errors.length > 0) throw new InvalidSettingsError(errors);
+
+  const { _id } = resolveLocation(location);
+  const existing = await Settings.findOne({ location: _id }) || new Settings({ ...defaultSettings(), location: _id });
+  existing.set(updates);
+  await existing.save();
+  rulesByLocation.set(String(_id), toRules(existing));
+  return toRules(existing);
+};
+
+// --- Booking Rules ---
+// Each check returns a sentence for the guest, or null when the value is allowed.
+// Checks take the location's id in their options; its settings and timezone apply.
+
+const todayIn = (timeZone, now) => new Date(now).toLocaleDateString('en-CA', { timeZone });
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const weekday = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+/**
+ * Opening hours { open, close } on a date, or null when closed that day.
+ */
+export const hoursFor = (dateStr, settings = getSettings()) => {
+  if (settings.blackoutDates.some(closure => closure.date === dateStr)) return null;
+  const hours = settings.weeklyHours[weekday(dateStr)];
+  return !hours || hours.closed ? null : { open: hours.open, close: hours.close };
+};
+
+// Earliest opening and latest closing across the week, for a time given before the date
+const widestHours = (settings) => {
+  const open = settings.weeklyHours.filter(h => !h.closed);
+  if (open.length === 0) return null;
+  return {
+    open: open.map(h => h.open).sort()[0],
+    close: open.map(h => h.close).sort().reverse()[0],
+  };
+};
+
+/**
+ * The first open, bookable day after the given date, or null within two weeks.
+ */
+export const nextOpenDate = (dateStr, { now = Date.now(), location, settings = getSettings(location) } = {}) => {
+  const last = addDays(todayIn(resolveLocation(location).timezone, now), settings.maxAdvanceDays);
+  for (let offset = 1; offset <= 14; offset++) {
+    const candidate = addDays(dateStr, offset);
+    if (candidate > last) return null;
+    if (hoursFor(candidate, settings)) return candidate;
+  }
+  return null;
+};
+
+export const checkDate = (dateStr, { now = Date.now(), location, settings = getSettings(location) } = {}) => {
+  const today = todayIn(resolveLocation(location).timezone, now);
+  if (dateStr < today) return 'That date is in the past.';
+  if (dateStr > addDays(today, settings.maxAdvanceDays)) {
+    return `We only take bookings up to ${settings.maxAdvanceDays} days ahead.`;
+  }
+  if (hoursFor(dateStr, settings)) return null;
+
+  const closure = settings.blackoutDates.find(c => c.date === dateStr);
+  const reason = closure
+    ? `we're closed on ${dateStr}${closure.reason ? ` (${closure.reason})` : ''}`
+    : `we're closed on ${DAY_NAMES[weekday(dateStr)]}s`;
+  const next = nextOpenDate(dateStr, { now, location, settings });
+  return `Sorry, ${reason}.${next ? ` How about ${DAY_NAMES[weekday(next)]}, ${next}?` : ''}`;
+};
+
+/**
+ * Checks a time against the opening hours (of the date, if known), the service
+ * periods and the minimum notice.
+ */
+export const checkTime = (dateStr, timeStr, { now = Date.now(), location, settings = getSettings(location) } = {}) => {
+  const minutes = parseTime(timeStr);
+  if (minutes === null) return "I couldn't understand that time.";
+
+  const hours = dateStr ? hoursFor(dateStr, settings) : widestHours(settings);
+  if (hours && (minutes < parseTime(hours.open) || minutes >= parseTime(hours.close))) {
+    return dateStr
+      ? `On ${DAY_NAMES[weekday(dateStr)]}s we take bookings between ${hours.open} and ${hours.close}.`
+      : `We take bookings between ${hours.open} and ${hours.close}.`;
+  }
+
+  const periods = settings.servicePeriods;
+  if (periods.length > 0 && !periods.some(p => minutes >= parseTime(p.start) && minutes < parseTime(p.end))) {
+    const list = periods.map(p => `${p.name.toLowerCase()} from ${p.start} to ${p.end}`).join(' and ');
+    return `We serve ${list}. Could you pick a time in one of those?`;
+  }
+
+  if (dateStr) {
+    const startsIn = zonedTimeToUtc(dateStr, timeStr, resolveLocation(location).timezone) - now;
+    if (startsIn <= 0) return 'That time has already passed.';
+    if (startsIn < settings.minLeadMinutes * 60 * 1000) {
+      return `We need at least ${settings.minLeadMinutes} minutes' notice for a booking.`;
+    }
+  }
+  return null;
+};
+
+export const checkPartySize = (guests, { location, settings = getSettings(location) } = {}) =>
+  (Number(guests) > settings.maxPartySize
+    ? `We can book tables for up to ${settings.maxPartySize} guests. For a larger group, please call the restaurant.`
+    : null);
+
+// --- Deposits ---
+// A booking matching any deposit rule is held as Pending until the guest pays
+// depositPerGuest for each guest. Within a rule, every condition that is set must hold.
+
+const servicePeriodAt = (timeStr, settings) => {
+  const minutes = parseTime(timeStr);
+  return settings.servicePeriods.find(p => minutes >= parseTime(p.start) && minutes < parseTime(p.end)) || null;
+};
+
+/**
+ * The deposit a booking needs (in the menu's currency), or 0 when none of the rules apply.
+ */
+export const depositFor = ({ date, time, guests }, { location, settings = getSettings(location) } = {}) => {
+  if (!date || !time || !guests || settings.depositPerGuest <= 0) return 0;
+  const service = servicePeriodAt(time, settings)?.name;
+  const applies = settings.depositRules.some(rule =>
+    (!rule.minGuests || Number(guests) >= rule.minGuests) &&
+    (rule.days.length === 0 || rule.days.includes(weekday(date))) &&
+    (rule.services.length === 0 || rule.services.includes(service)));
+  return applies ? settings.depositPerGuest * Number(guests) : 0;
+};
+
+/**
+ * Whether cancelling now gets the deposit back: at least depositRefundHours before the booking.
+ */
+export const isRefundable = ({ date, time }, { now = Date.now(), location, settings = getSettings(location) } = {}) =>
+  zonedTimeToUtc(date, time, resolveLocation(location).timezone) - now >= settings.depositRefundHours * 60 * 60 * 1000;
+
+const describeDepositRule = (rule) => [
+  rule.minGuests && `parties of ${rule.minGuests} or more`,
+  rule.days.length > 0 && `on ${rule.days.map(day => `${DAY_NAMES[day]}s`).join(' and ')}`,
+  rule.services.length > 0 && `at ${rule.services.join(' or ')}`,
+].filter(Boolean).join(' ');
+
+/**
+ * The deposit policy in plain words, or null when no deposits are taken.
+ */
+export const describeDeposits = (settings = getSettings()) => {
+  if (settings.depositRules.length === 0 || settings.depositPerGuest <= 0) return null;
+  return `A deposit of ${formatPrice(settings.depositPerGuest)} per guest is needed for ` +
+    `${settings.depositRules.map(describeDepositRule).join('; ')}. ` +
+    `It is refunded if the booking is cancelled at least ${settings.depositRefundHours} hours ahead.`;
+};
+
+/**
+ * Checks whichever of date, time and guests are given. Returns { field: message } for violations.
+ */
+export const checkBookingRules = ({ date, time, guests }, options = {}) => {
+  const errors = {};
+  const dateError = date ? checkDate(date, options) : null;
+  if (dateError) errors.date = dateError;
+  const timeError = time ? checkTime(dateError ? null : date, time, options) : null;
+  if (timeError) errors.time = timeError;
+  const guestsError = guests ? checkPartySize(guests, options) : null;
+  if (guestsError) errors.guests = guestsError;
+  return errors;
+};
+
+/**
+ * A location's rules in plain words, for the agent's system prompt.
+ */
+export const describeRules = (location) => {
+  const settings = getSettings(location);
+  const hours = settings.weeklyHours
+    .map(h => `${DAY_NAMES[h.day]} ${h.closed ? 'closed' : `${h.open}-${h.close}`}`)
+    .join(', ');
+  const services = settings.servicePeriods.map(p => `${p.name} ${p.start}-${p.end}`).join(', ');
+  const today = todayIn(resolveLocation(location).timezone, Date.now());
+  const closures = settings.blackoutDates
+    .filter(c => c.date >= today)
+    .map(c => `${c.date}${c.reason ? ` (${c.reason})` : ''}`)
+    .join(', ');
+
+  return [
+    `Booking hours (a booking must start within them): ${hours}.`,
+    services && `Service periods: ${services}.`,
+    closures && `Closed on: ${closures}.`,
+    `Largest party: ${settings.maxPartySize} guests.`,
+    `Bookings need at least ${settings.minLeadMinutes} minutes' notice and are taken up to ${settings.maxAdvanceDays} days ahead.`,
+    describeDeposits(settings),
+  ].filter(Boolean).join('\n    ');
+};
@@ -0,0 +1,113 @@
+import Transcript from '../models/transcript.js';
+import { findSession, restoreSession, getSession } from './sessionStore.js';
+import { publicSlots } from './bookingState.js';
+import { getSettings } from './settings.js';
+import { getLocations } from './locations.js';
+
+// --- Conversation Transcripts ---
+// Every chat turn is saved: both messages, what the agent understood, how long the
+// model took and what went wrong. Transcripts are linked to the bookings made or
+// changed in the conversation, carry the agent's session so a guest can pick the
+// conversation up again after a reload (or a server restart), and are purged once
+// they are older than the retention period in the settings.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The session minus what only matters for the current turn. History is rebuilt from the turns.
+const snapshot = (session) => {
+  const { id, history, trace, updatedAt, ...state } = session;
+  return JSON.parse(JSON.stringify(state));
+};
+
+/**
+ * Saves one turn of a conversation. A failed turn is saved with its error and no reply.
+ */
+export const recordTurn = async (session, { message, reply = null, intent = null, error = null }) => {
+  const trace = session.trace || { startedAt: Date.now(), modelMs: 0, errors: [], extracted: null };
+  const turn = {
+    message,
+    reply,
+    at: new Date(trace.startedAt),
+    repliedAt: reply === null ? null : new Date(),
+    intent,
+    mode: session.mode,
+    language: session.language,
+    extracted: trace.extracted,
+    slots: publicSlots(session.slots),
+    needs: session.needs,
+    modelLatencyMs: trace.modelMs,
+    errorMessages: error ? [...trace.errors, error.message] : trace.errors,
+  };
+  const bookings = [session.bookingId, session.manage?.bookingId].filter(Boolean);
+
+  await Transcript.updateOne(
+    { sessionId: session.id },
+    {
+      $push: { turns: turn },
+      $set: { state: snapshot(session) },
+      ...(bookings.length > 0 && { $addToSet: { bookings: { $each: bookings } } }),
+    },
+    { upsert: true },
+  );
+};
+
+// Completed turns as chat messages, in the client's { sender, text } shape
+const toMessages = (turns) => turns
+  .filter(turn => turn.reply)
+  .flatMap(turn => [{ sender: 'user', text: turn.message, at: turn.at }, { sender: 'bot', text: turn.reply, at: turn.repliedAt }]);
+
+// The live session, or the saved one brought back under the same id
+const sessionFor = (transcript) => findSession(transcript.sessionId) || restoreSession(transcript.sessionId, {
+  ...transcript.state,
+  history: toMessages(transcript.turns).map(({ sender, text }) => ({ sender, text })),
+});
+
+/**
+ * The session for a chat request: the live one, else the saved conversation brought
+ * back (the server restarted or the session went idle), else a new conversation.
+ */
+export const loadSession = async (sessionId) => {
+  const live = findSession(sessionId);
+  if (live) return live;
+  const transcript = sessionId && await Transcript.findOne({ sessionId });
+  return transcript ? sessionFor(transcript) : getSession();
+};
+
+/**
+ * A conversation for the guest to carry on with: its session and the messages so far.
+ * Returns null when there is no saved conversation under that id.
+ */
+export const resumeConversation = async (sessionId) => {
+  const transcript = await Transcript.findOne({ sessionId });
+  if (!transcript) return null;
+  return { session: sessionFor(transcript), messages: toMessages(transcript.turns) };
+};
+
+/**
+ * Transcripts of the conversations that made or changed a booking, oldest first.
+ */
+export const transcriptsForBooking = (bookingId) =>
+  Transcript.find({ bookings: bookingId }).select('-state').sort({ createdAt: 1 });
+
+// A conversation may not have picked a location yet, so the strictest location's period applies to all
+const retentionDays = () =>
+  Math.min(...[getSettings(), ...getLocations().map(location => getSettings(location._id))].map(settings => settings.transcriptRetentionDays));
+
+/**
+ * Deletes transcripts not touched for transcriptRetentionDays. Returns how many went.
+ */
+export const purgeTranscripts = async ({ now = Date.now(), days = retentionDays() } = {}) => {
+  const { deletedCount } = await Transcript.deleteMany({ updatedAt: { $lt: new Date(now - days * DAY_MS) } });
+  return deletedCount;
+};
+
+/**
+ * Runs purgeTranscripts every hour. Returns a stop function.
+ */
+export const startTranscriptPurge = ({ intervalMs = 60 * 60 * 1000 } = {}) => {
+  const run = () => purgeTranscripts().catch(error => console.error("Transcript Purge Error:", error.message));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,190 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { runAgentTurn, presetCaller, localizeReply } from './agent.js';
+import { getSession } from './sessionStore.js';
+import { loadSession, recordTurn } from './transcripts.js';
+import { getLocations } from './locations.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+import { normalizePhone } from '../models/booking.js';
+import { getRestaurantName } from '../config.js';
+
+// --- Phone Calls ---
+// Guests can ring the agent through a telephony provider's voice webhooks (Twilio's
+// TwiML). Each call is one chat conversation: what the caller says arrives as speech
+// recognised by the provider, goes through the same agent turn as /api/chat, and the
+// reply is read back to them. Keypresses stand in for "yes" and "no", and callers the
+// agent keeps failing are put through to the restaurant's staff.
+// Phone bookings are off unless VOICE_ENABLED is set (VOICE_SIMULATOR for local testing).
+
+const CALL_TTL_MS = 60 * 60 * 1000; // Forget calls that never reported their end after an hour
+const calls = new Map(); // CallSid -> { sessionId, location, failures, lastIntent, updatedAt }
+
+// Speech recognition and text-to-speech voices for each conversation language
+const SPEECH_LANGUAGES = { en: 'en-IN', ta: 'ta-IN', hi: 'hi-IN' };
+
+// Replies that ask the caller for a yes or no, which they can also give on the keypad
+const YES_NO_INTENTS = ['confirmation_request', 'cancellation_request', 'modification_request'];
+const KEYPAD_ANSWERS = { 1: 'yes', 2: 'no' };
+const TRANSFER_KEY = '0';
+
+// Conversations that ended with these leave nothing to ask, so silence ends the call
+const FINISHED_INTENTS = ['confirmed', 'cancelled', 'modified', 'waitlisted'];
+
+export class UnknownCallError extends Error {
+  constructor(callSid) {
+    super(`No call ${callSid} was answered here`);
+    this.name = 'UnknownCallError';
+  }
+}
+
+const getTransferNumber = () => process.env.VOICE_TRANSFER_NUMBER || null;
+const getMaxFailures = () => Number(process.env.VOICE_MAX_FAILURES) || 3;
+
+const pruneCalls = () => {
+  const cutoff = Date.now() - CALL_TTL_MS;
+  for (const [sid, call] of calls) {
+    if (call.updatedAt < cutoff) calls.delete(sid);
+  }
+};
+
+// --- TwiML ---
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const twiml = (verbs) => `<?xml version="1.0" encoding="UTF-8"?>\n<Response>${verbs.join('')}</Response>`;
+
+const say = (text, language) => `<Say language="${SPEECH_LANGUAGES[language] || SPEECH_LANGUAGES[DEFAULT_LANGUAGE]}">${escapeXml(text)}</Say>`;
+
+// Reads the text, then listens for speech or a single key; silence is reported too
+const listen = (text, language) => {
+  const speechLanguage = SPEECH_LANGUAGES[language] || SPEECH_LANGUAGES[DEFAULT_LANGUAGE];
+  return twiml([
+    `<Gather input="speech dtmf" action="/api/voice/gather" method="POST" language="${speechLanguage}"`
+      + ` speechTimeout="auto" numDigits="1" timeout="6" actionOnEmptyResult="true">${say(text, language)}</Gather>`,
+  ]);
+};
+
+const hangUp = (text, language) => twiml([say(text, language), '<Hangup/>']);
+
+// --- Webhook Signatures ---
+
+/**
+ * Whether a webhook really comes from Twilio: X-Twilio-Signature is an HMAC-SHA1, keyed
+ * with the account's auth token, of the full URL followed by every POST parameter's
+ * name and value in name order. Nothing is genuine without TWILIO_AUTH_TOKEN.
+ */
+export const isGenuineWebhook = (url, params, signature) => {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!token || !signature) return false;
+  const payload = url + Object.keys(params).sort().map(name => `${name}${params[name]}`).join('');
+  const expected = Buffer.from(createHmac('sha1', token).update(payload).digest('base64'));
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+// The simulator posts unsigned webhooks, so turning it on accepts those from anyone: never in production
+export const isSimulatorEnabled = () => process.env.VOICE_SIMULATOR === 'true';
+
+export const isVoiceEnabled = () => process.env.VOICE_ENABLED === 'true' || isSimulatorEnabled();
+
+/**
+ * Checks on start that the phone line, when enabled, can tell Twilio's webhooks from
+ * anyone else's. Throws when it cannot.
+ */
+export const checkVoiceSetup = () => {
+  if (process.env.VOICE_ENABLED === 'true' && !process.env.TWILIO_AUTH_TOKEN && !isSimulatorEnabled()) {
+    throw new Error('VOICE_ENABLED needs TWILIO_AUTH_TOKEN to check that calls really come from Twilio');
+  }
+};
+
+// --- Calls ---
+
+// The location whose phone number was dialled, when each location has its own line
+const locationForNumber = (number) => {
+  const dialled = normalizePhone(number);
+  return dialled ? getLocations().find(location => location.phone && normalizePhone(location.phone) === dialled) : null;
+};
+
+// Puts the caller through to staff, or says goodbye when there is no one to put them through to
+const transfer = async (llm, session) => {
+  const number = getTransferNumber();
+  if (!number) {
+    const sorry = "I'm sorry, no one from our team is free to take your call right now. Please try again a little later. Goodbye.";
+    return hangUp(await localizeReply(llm, session, sorry), session.language);
+  }
+  const line = await localizeReply(llm, session, 'Let me put you through to a member of our team.');
+  return twiml([say(line, session.language), `<Dial>${escapeXml(number)}</Dial>`]);
+};
+
+// One more turn the agent could not make sense of; too many in a row and the caller goes to staff
+const failTurn = async (llm, call, session, line) => {
+  call.failures += 1;
+  if (call.failures >= getMaxFailures()) return transfer(llm, session);
+  return listen(await localizeReply(llm, session, line), session.language);
+};
+
+/**
+ * Answers a new call: starts its conversation (preset with the dialled location and
+ * the caller's number) and greets them. `location` is an id or slug from the webhook
+ * URL, for numbers that each ring one location. Only with `trusted` (a signed webhook)
+ * is the caller's number used to find their guest profile. Returns TwiML.
+ */
+export const answerCall = async ({ llm, callSid, from, to, location, trusted = false }) => {
+  pruneCalls();
+  const session = getSession();
+  const dialled = location || locationForNumber(to)?._id;
+  calls.set(callSid, {
+    sessionId: session.id, location: dialled ? String(dialled) : null, failures: 0, lastIntent: null, updatedAt: Date.now(),
+  });
+
+  await presetCaller(session, from, { trusted });
+  const help = getTransferNumber() ? ' You can press 0 at any time to speak to our team.' : '';
+  return listen(`Thank you for calling ${getRestaurantName()}. How can I help you today?${help}`, session.language);
+};
+
+/**
+ * Takes what the caller said (`speech`, as recognised by the provider) or pressed
+ * (`digits`) as the next agent turn and returns the TwiML reply. Throws UnknownCallError
+ * for a call that was never answered here (or was forgotten, e.g. after a restart).
+ */
+export const continueCall = async ({ llm, callSid, speech, digits }) => {
+  pruneCalls();
+  const call = calls.get(callSid);
+  if (!call) throw new UnknownCallError(callSid);
+  call.updatedAt = Date.now();
+  const session = await loadSession(call.sessionId);
+  call.sessionId = session.id;
+
+  if (digits === TRANSFER_KEY) return transfer(llm, session);
+  const message = String(speech || '').trim() || KEYPAD_ANSWERS[digits] || '';
+  if (!message) {
+    if (FINISHED_INTENTS.includes(call.lastIntent)) return hangUp(await localizeReply(llm, session, 'Thank you for calling. Goodbye!'), session.language);
+    return failTurn(llm, call, session, "Sorry, I didn't hear anything. Could you say that again?");
+  }
+
+  let result;
+  try {
+    result = await runAgentTurn({ llm, session, message, location: call.location });
+  } catch (error) {
+    console.error("Voice Error:", error);
+    recordTurn(session, { message, error }).catch(err => console.error("Transcript Error:", err.message));
+    return failTurn(llm, call, session, "Sorry, something went wrong on our side. Could you say that again?");
+  }
+
+  // A reply that only asks again (details it could not accept, or a message the model could not read) counts as a failure
+  const understood = Object.keys(result.errors).length === 0 && session.trace.errors.length === 0;
+  call.failures = understood ? 0 : call.failures + 1;
+  call.lastIntent = result.intent;
+  if (call.failures >= getMaxFailures()) return transfer(llm, session);
+
+  const asksYesOrNo = YES_NO_INTENTS.includes(result.intent) || session.waitlistOffer;
+  const hint = asksYesOrNo ? await localizeReply(llm, session, ' You can also press 1 for yes or 2 for no.') : '';
+  return listen(result.reply + hint, session.language);
+};
+
+/**
+ * Forgets a call once the provider reports it over. Its conversation stays saved in
+ * the transcripts like any chat.
+ */
+export const endCall = (callSid) => {
+  calls.delete(callSid);
+};
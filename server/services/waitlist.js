@@ -0,0 +1,392 @@
+import { randomBytes, timingSafeEqual } from 'crypto';
+import WaitlistEntry, { ACTIVE_WAITLIST_STATUSES, HOLDING_WAITLIST_STATUSES } from '../models/waitlistEntry.js';
+import { checkAvailability, normalizeSeating } from './availability.js';
+import { createBooking, withSlotLock, BookingRuleError } from './bookings.js';
+import { checkBookingRules, checkTime } from './settings.js';
+import { resolveLocation, publicLocation } from './locations.js';
+import { getNotifier } from './notifications/index.js';
+import { publish, subscribe } from './events.js';
+import { parseTime, formatTime, dayRange } from '../utils/time.js';
+
+// --- Waitlist ---
+// Parties who could not get the slot they wanted wait here. Whenever capacity frees up
+// on a day (a cancellation, a smaller party, a booking moved elsewhere) the waiting
+// parties are matched in priority order, and each one that now fits is offered a table.
+// The tables are held for WAITLIST_OFFER_MINUTES; an unclaimed offer expires and the
+// tables go to the next party.
+
+const SLOT_STEP_MINUTES = 15;
+const MINUTES_IN_DAY = 24 * 60;
+const EXPIRY_CHECK_MS = 60 * 1000;
+// An accept that never finished (the server stopped halfway) frees its tables after this
+const ACCEPT_TIMEOUT_MS = 5 * 60 * 1000;
+// Booking changes that can leave a table free
+const RELEASING_ACTIONS = ['updated', 'complete', 'no-show'];
+
+// Fields that may be set on an entry (the routes set the location, never the request body)
+const WAITLIST_FIELDS = [
+  'location', 'customerName', 'phone', 'email', 'numberOfGuests', 'bookingDate', 'bookingTime', 'earliestTime', 'latestTime',
+  'seatingPreference', 'cuisinePreference', 'specialRequests', 'dietaryRequirements', 'allergies', 'priority', 'notes',
+];
+// Changing any of these while an offer is open would invalidate the held tables
+const SLOT_FIELDS = ['numberOfGuests', 'bookingDate', 'bookingTime', 'earliestTime', 'latestTime', 'seatingPreference'];
+const TIME_FIELDS = ['bookingTime', 'earliestTime', 'latestTime'];
+
+// Read lazily so values from .env are picked up after dotenv.config() runs
+export const getOfferMinutes = () => Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+// How far either side of the requested time a party will take a table, unless they say otherwise
+export const getWindowMinutes = () => Number(process.env.WAITLIST_WINDOW_MINUTES) || 60;
+
+export class InvalidWaitlistEntryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWaitlistEntryError';
+  }
+}
+
+// An accept, decline or change that the entry's status does not allow
+export class WaitlistOfferError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WaitlistOfferError';
+  }
+}
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const guestActor = (entry) => ({ kind: 'guest', id: String(entry._id), name: entry.customerName });
+
+const announce = (type, entry) => publish(type, entry.toJSON());
+
+// Keeps only WAITLIST_FIELDS and normalizes times ("7:30 pm" -> "19:30") and seating
+const cleanFields = (fields) => {
+  const clean = Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => WAITLIST_FIELDS.includes(key) && value !== undefined)
+  );
+  TIME_FIELDS.filter(field => field in clean && clean[field] !== '' && clean[field] !== null).forEach(field => {
+    const minutes = parseTime(clean[field]);
+    if (minutes === null) throw new InvalidWaitlistEntryError(`${field} must be a time like 19:30`);
+    clean[field] = formatTime(minutes);
+  });
+  if ('seatingPreference' in clean) clean.seatingPreference = normalizeSeating(clean.seatingPreference);
+  return clean;
+};
+
+// Checks the entry against the restaurant's rules and fills in the window around the requested time
+const settleEntry = async (entry) => {
+  try {
+    await entry.validate();
+  } catch (error) {
+    if (error.name === 'ValidationError') throw new InvalidWaitlistEntryError(error.message);
+    throw error;
+  }
+  if (!entry.email && !entry.phone) {
+    throw new InvalidWaitlistEntryError('An email address or phone number is needed to send the offer');
+  }
+  const errors = checkBookingRules({
+    date: toDateString(entry.bookingDate),
+    time: entry.bookingTime,
+    guests: entry.numberOfGuests,
+  }, { location: entry.location });
+  if (Object.keys(errors).length > 0) throw new BookingRuleError(errors);
+
+  const preferred = parseTime(entry.bookingTime);
+  if (!entry.earliestTime) entry.earliestTime = formatTime(Math.max(0, preferred - getWindowMinutes()));
+  if (!entry.latestTime) entry.latestTime = formatTime(Math.min(MINUTES_IN_DAY - 1, preferred + getWindowMinutes()));
+  if (parseTime(entry.earliestTime) > preferred || parseTime(entry.latestTime) < preferred) {
+    throw new InvalidWaitlistEntryError('The requested time must lie between earliestTime and latestTime');
+  }
+};
+
+/**
+ * Puts a party on the waitlist at its location (the default one if not given). Takes
+ * booking fields plus optional earliestTime,
+ * latestTime, priority and notes. Throws BookingRuleError when the restaurant would
+ * not take the booking at all, and InvalidWaitlistEntryError for missing details.
+ */
+export const addToWaitlist = async (fields) => {
+  const entry = new WaitlistEntry(cleanFields({ ...fields, location: resolveLocation(fields.location)._id }));
+  await settleEntry(entry);
+  await entry.save();
+  announce('waitlist.created', entry);
+  return entry;
+};
+
+/**
+ * Changes a waiting party's details or priority. The date, time, window, size and
+ * seating are fixed while an offer is open.
+ */
+export const updateWaitlistEntry = async (entry, changes) => {
+  if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+    throw new WaitlistOfferError(`${entry.status} waitlist entries cannot be changed`);
+  }
+  const updates = cleanFields(changes);
+  const slotChanged = SLOT_FIELDS.some(field => field in updates);
+  if (slotChanged && entry.status === 'Offered') {
+    throw new WaitlistOfferError('This party has an open offer; wait until it is accepted or expires');
+  }
+  // A new requested time brings a new window unless one is given
+  if ('bookingTime' in updates) {
+    if (!('earliestTime' in updates)) updates.earliestTime = null;
+    if (!('latestTime' in updates)) updates.latestTime = null;
+  }
+
+  entry.set(updates);
+  if (slotChanged || 'email' in updates || 'phone' in updates) await settleEntry(entry);
+  await entry.save();
+  announce('waitlist.updated', entry);
+  return entry;
+};
+
+// --- Matching ---
+
+// Start times to try, nearest to the requested time first
+const candidateTimes = (entry) => {
+  const preferred = parseTime(entry.bookingTime);
+  const earliest = parseTime(entry.earliestTime) ?? preferred;
+  const latest = parseTime(entry.latestTime) ?? preferred;
+  const times = [];
+  for (let offset = 0; preferred - offset >= earliest || preferred + offset <= latest; offset += SLOT_STEP_MINUTES) {
+    const candidates = offset === 0 ? [preferred] : [preferred - offset, preferred + offset];
+    times.push(...candidates.filter(minutes => minutes >= earliest && minutes <= latest));
+  }
+  return times;
+};
+
+// The first slot in the party's window that the rules allow and the floor plan can seat
+const findSlot = async (entry) => {
+  const date = toDateString(entry.bookingDate);
+  for (const minutes of candidateTimes(entry)) {
+    const time = formatTime(minutes);
+    if (checkTime(date, time, { location: entry.location })) continue;
+    const availability = await checkAvailability({
+      location: entry.location,
+      date,
+      time,
+      guests: entry.numberOfGuests,
+      seating: entry.seatingPreference,
+      excludeWaitlistId: entry._id,
+    });
+    if (availability.available) return availability;
+  }
+  return null;
+};
+
+const makeOffer = async (entry, availability) => {
+  const now = new Date();
+  entry.status = 'Offered';
+  entry.offer = {
+    time: availability.time,
+    tables: availability.tables.map(t => t._id),
+    durationMinutes: availability.durationMinutes,
+    offeredAt: now,
+    expiresAt: new Date(now.getTime() + getOfferMinutes() * 60 * 1000),
+    token: randomBytes(18).toString('base64url'),
+  };
+  await entry.save();
+  announce('waitlist.updated', entry);
+  getNotifier().notify(entry, 'waitlist_offer', { model: WaitlistEntry });
+  return entry;
+};
+
+// Checked and held under the same lock as bookings (see services/bookings.js), so a
+// booking made meanwhile cannot be given the tables this party is offered
+const offerIfFree = (entry) => withSlotLock(entry.location, entry.bookingDate, async () => {
+  const slot = await findSlot(entry);
+  return slot ? makeOffer(entry, slot) : null;
+});
+
+// Matching runs one at a time, so two freed tables never go to the same party twice
+let queue = Promise.resolve();
+const serialize = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Offers freed tables on a day to the waiting parties that now fit (at every location),
+ * highest priority first, then in the order they joined. Returns the entries that were made an offer.
+ */
+export const matchWaitlist = (date) => serialize(async () => {
+  const { start, end } = dayRange(date);
+  const waiting = await WaitlistEntry.find({ status: 'Waiting', bookingDate: { $gte: start, $lt: end } })
+    .sort({ priority: -1, createdAt: 1 });
+
+  const offered = [];
+  for (const entry of waiting) {
+    const offer = await offerIfFree(entry);
+    if (offer) offered.push(offer);
+  }
+  return offered;
+});
+
+/**
+ * Makes one waiting party an offer now, if a table fits (staff can skip the queue this way).
+ * Returns the entry, or null when nothing is free in its window.
+ */
+export const offerEntry = (entry) => serialize(async () => {
+  if (entry.status !== 'Waiting') throw new WaitlistOfferError(`This party is ${entry.status}, not waiting`);
+  return offerIfFree(entry);
+});
+
+// Runs matching in the background; callers never wait on (or fail because of) it
+const rematch = (date) => {
+  matchWaitlist(date).catch(error => console.error("Waitlist Error:", error.message));
+};
+
+const closeEntry = async (entry, status) => {
+  const wasOffered = HOLDING_WAITLIST_STATUSES.includes(entry.status);
+  entry.status = status;
+  await entry.save();
+  announce('waitlist.updated', entry);
+  // The held tables are free again for whoever is next
+  if (wasOffered) rematch(entry.bookingDate);
+  return entry;
+};
+
+// --- Offers ---
+
+export const verifyOfferToken = (entry, token) => {
+  if (!token || !entry.offer?.token) return false;
+  const expected = Buffer.from(entry.offer.token);
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+const isOpenOffer = (entry, now = new Date()) => entry.status === 'Offered' && entry.offer.expiresAt > now;
+
+/**
+ * Books the offered table for the party. Returns the new (confirmed) booking.
+ * Throws WaitlistOfferError when there is no open offer; if the table cannot be booked
+ * after all, the party goes back to waiting.
+ */
+export const acceptOffer = async (entry, actor = guestActor(entry)) => {
+  if (entry.status === 'Offered' && !isOpenOffer(entry)) {
+    await closeEntry(entry, 'Expired');
+    throw new WaitlistOfferError('Sorry, this offer has expired');
+  }
+  if (entry.status !== 'Offered') throw new WaitlistOfferError(`There is no open offer: this entry is ${entry.status}`);
+
+  // Claim the offer first, so a second accept at the same moment cannot book the table again
+  const claimed = await WaitlistEntry.findOneAndUpdate({ _id: entry._id, status: 'Offered' }, { $set: { status: 'Accepting' } });
+  if (!claimed) throw new WaitlistOfferError('This offer has already been answered');
+  entry.status = 'Accepting';
+
+  let created = { booking: null };
+  try {
+    created = await createBooking({
+      location: entry.location,
+      customerName: entry.customerName,
+      phone: entry.phone,
+      email: entry.email,
+      numberOfGuests: entry.numberOfGuests,
+      bookingDate: entry.bookingDate,
+      bookingTime: entry.offer.time,
+      seatingPreference: entry.seatingPreference,
+      cuisinePreference: entry.cuisinePreference,
+      specialRequests: entry.specialRequests,
+      dietaryRequirements: entry.dietaryRequirements,
+      allergies: entry.allergies,
+      status: 'Confirmed',
+    }, actor, { excludeWaitlistId: entry._id });
+  } catch (error) {
+    // The notice period may have run out, or staff changed the hours since the offer
+    if (!(error instanceof BookingRuleError)) {
+      // Nothing was booked, so the offer is open again for the party to retry
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'Accepting' }, { $set: { status: 'Offered' } });
+      entry.status = 'Offered';
+      throw error;
+    }
+  }
+
+  if (!created.booking) {
+    await closeEntry(entry, 'Waiting');
+    throw new WaitlistOfferError("Sorry, that table can't be booked any more. You're still on the waitlist.");
+  }
+  entry.status = 'Accepted';
+  entry.bookingId = created.booking._id;
+  await entry.save();
+  announce('waitlist.updated', entry);
+  return created.booking;
+};
+
+/**
+ * The party does not want the offered table; it goes to the next party in line.
+ */
+export const declineOffer = async (entry) => {
+  if (entry.status !== 'Offered') throw new WaitlistOfferError(`There is no open offer: this entry is ${entry.status}`);
+  return closeEntry(entry, 'Declined');
+};
+
+/**
+ * Takes a party off the waitlist (kept on record as Removed).
+ */
+export const removeFromWaitlist = async (entry) => {
+  if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+    throw new WaitlistOfferError(`This party is already ${entry.status}`);
+  }
+  return closeEntry(entry, 'Removed');
+};
+
+/**
+ * Expires offers that were not claimed in time (their tables go to the next party) and
+ * parties still waiting for a day that has passed. Returns how many offers expired.
+ */
+export const expireOffers = async (now = new Date()) => {
+  const stale = await WaitlistEntry.find({
+    $or: [
+      { status: 'Offered', 'offer.expiresAt': { $lte: now } },
+      { status: 'Accepting', 'offer.expiresAt': { $lte: new Date(now.getTime() - ACCEPT_TIMEOUT_MS) } },
+    ],
+  });
+  for (const entry of stale) await closeEntry(entry, 'Expired');
+  await WaitlistEntry.updateMany(
+    { status: 'Waiting', bookingDate: { $lt: dayRange(now).start } },
+    { $set: { status: 'Expired' } },
+  );
+  return stale.length;
+};
+
+/**
+ * The subset of an entry shown to the guest on the offer page.
+ */
+export const toGuestWaitlistView = (entry) => ({
+  _id: entry._id,
+  location: publicLocation(resolveLocation(entry.location)),
+  customerName: entry.customerName,
+  numberOfGuests: entry.numberOfGuests,
+  bookingDate: entry.bookingDate,
+  bookingTime: entry.bookingTime,
+  seatingPreference: entry.seatingPreference,
+  status: entry.status,
+  offer: entry.offer?.time ? { time: entry.offer.time, expiresAt: entry.offer.expiresAt } : null,
+  bookingId: entry.bookingId,
+});
+
+// Days on which a booking event may have left a table free (a moved booking frees its old day)
+const releasedDates = ({ type, data }) => {
+  if (type === 'booking.cancelled' || type === 'booking.deleted') return [data.bookingDate];
+  if (type !== 'booking.updated') return [];
+  const last = data.history?.[data.history.length - 1];
+  if (!RELEASING_ACTIONS.includes(last?.action)) return [];
+  return [data.bookingDate, last.before?.bookingDate].filter(Boolean);
+};
+
+/**
+ * Matches the waitlist whenever a booking frees capacity, and checks for expired offers
+ * every minute. Returns a function that stops both.
+ */
+export const startWaitlist = ({ intervalMs = EXPIRY_CHECK_MS } = {}) => {
+  const unsubscribe = subscribe(event => {
+    new Set(releasedDates(event).map(toDateString)).forEach(rematch);
+  });
+  const run = () => expireOffers().catch(error => console.error("Waitlist Error:", error.message));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+};
@@ -0,0 +1,26 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { normalizeForecastList } from './openWeatherMap.js';
+
+// --- Fixture Provider ---
+// Serves a recorded OpenWeatherMap response from disk for offline use.
+
+const DEFAULT_FIXTURE = fileURLToPath(new URL('../../data/weather-fixture.json', import.meta.url));
+const SLOT_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * With shiftToNow (the default) the recording is moved forward so its first entry
+ * starts at the current 3-hour slot, making it usable for upcoming bookings.
+ * Tests that match against the recorded timestamps pass shiftToNow: false.
+ */
+export const createFixtureWeatherProvider = ({ file = DEFAULT_FIXTURE, shiftToNow = true, now = Date.now } = {}) => ({
+  name: 'fixture',
+  getForecast: async () => {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    const forecast = normalizeForecastList(data);
+    if (!shiftToNow || forecast.length === 0) return forecast;
+
+    const shift = Math.floor(now() / SLOT_MS) * SLOT_MS - forecast[0].time;
+    return forecast.map(entry => ({ ...entry, time: entry.time + shift }));
+  },
+});
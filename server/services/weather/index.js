@@ -0,0 +1,116 @@
+import { createOpenWeatherMapProvider } from './openWeatherMap.js';
+import { createFixtureWeatherProvider } from './fixture.js';
+import { getRestaurantLocation, getRestaurantTimezone } from '../../config.js';
+import { zonedTimeToUtc } from '../../utils/time.js';
+
+// --- Weather Service ---
+// A provider is { name, getForecast({ lat, lon }) -> [{ time, condition, temp }] }
+// with `time` in UTC milliseconds. The service caches forecasts and picks the
+// entry closest to the booking time.
+
+const SLOT_MS = 3 * 60 * 60 * 1000; // Forecast entries are 3 hours apart
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+// Assume a dinner booking until the guest gives us a time
+const DEFAULT_BOOKING_TIME = '19:00';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // "YYYY-MM-DD"
+
+// The restaurant from .env, for callers that don't name a location
+const defaultPlace = () => ({ ...getRestaurantLocation(), timezone: getRestaurantTimezone() });
+
+/**
+ * Builds the provider selected by WEATHER_PROVIDER (openweathermap | fixture | none).
+ * Without an explicit choice, OpenWeatherMap is used when a key is present, and there
+ * is no weather otherwise: the recorded fixture is only ever used when asked for, since
+ * guests would take its forecast as real. Returns null for none.
+ */
+export const createWeatherProvider = (env = process.env) => {
+  const choice = (env.WEATHER_PROVIDER || (env.OPENWEATHER_API_KEY ? 'openweathermap' : 'none')).toLowerCase();
+
+  switch (choice) {
+    case 'none':
+      return null;
+    case 'openweathermap':
+      return createOpenWeatherMapProvider({ apiKey: env.OPENWEATHER_API_KEY });
+    case 'fixture':
+      return createFixtureWeatherProvider({ file: env.WEATHER_FIXTURE_FILE || undefined });
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${choice}"`);
+  }
+};
+
+export const createWeatherService = ({
+  provider,
+  ttlMs = Number(process.env.WEATHER_CACHE_TTL_MINUTES) * 60 * 1000 || DEFAULT_TTL_MS,
+  now = Date.now,
+}) => {
+  const cache = new Map();
+
+  // Cache key: location rounded to ~1km plus the 3-hour window the forecast was issued in
+  const cacheKey = ({ lat, lon }) =>
+    `${lat.toFixed(2)},${lon.toFixed(2)}@${Math.floor(now() / SLOT_MS)}`;
+
+  const loadForecast = async (location) => {
+    const key = cacheKey(location);
+    const cached = cache.get(key);
+    if (cached && now() - cached.fetchedAt < ttlMs) return cached;
+
+    const entry = { forecast: await provider.getForecast(location), fetchedAt: now() };
+    for (const [oldKey, old] of cache) {
+      if (now() - old.fetchedAt >= ttlMs) cache.delete(oldKey);
+    }
+    cache.set(key, entry);
+    return entry;
+  };
+
+  return {
+    /**
+     * Returns the forecast closest to a booking's date and time at a restaurant
+     * location ({ lat, lon, timezone }; the one in .env if not given), or null when
+     * there is no provider, the date is outside the forecast range or the provider fails.
+     */
+    getForecast: async (dateStr, timeStr, place = defaultPlace()) => {
+      if (!provider) return null;
+      // A date we cannot read has no forecast; it is not a provider failure
+      if (!DATE_PATTERN.test(dateStr || '') || isNaN(new Date(dateStr))) return null;
+      try {
+        const target = zonedTimeToUtc(dateStr, timeStr || DEFAULT_BOOKING_TIME, place.timezone);
+        if (isNaN(target)) return null;
+
+        const { forecast, fetchedAt } = await loadForecast({ lat: place.lat, lon: place.lon });
+        const nearest = forecast.reduce((best, entry) =>
+          !best || Math.abs(entry.time - target) < Math.abs(best.time - target) ? entry : best, null);
+
+        // Beyond the forecast range the nearest entry is days away, not a real match
+        if (!nearest || Math.abs(nearest.time - target) > SLOT_MS / 2) return null;
+
+        return {
+          condition: nearest.condition,
+          temp: nearest.temp,
+          forecastTime: new Date(nearest.time).toISOString(),
+          provider: provider.name,
+          fetchedAt: new Date(fetchedAt).toISOString(),
+        };
+      } catch (error) {
+        console.error("Weather API Error:", error.message);
+        return null;
+      }
+    },
+  };
+};
+
+let defaultService = null;
+
+/**
+ * Shared service built from the environment on first use.
+ */
+export const getWeatherService = () => {
+  if (!defaultService) defaultService = createWeatherService({ provider: createWeatherProvider() });
+  return defaultService;
+};
+
+/**
+ * Replaces the shared service, e.g. with one built on a recorded forecast in tests.
+ */
+export const useWeatherService = (service) => {
+  defaultService = service;
+};
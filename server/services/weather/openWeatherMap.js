@@ -0,0 +1,24 @@
+import axios from 'axios';
+
+// --- OpenWeatherMap Provider ---
+// The 5-day forecast endpoint returns one entry every 3 hours.
+
+/**
+ * Maps an OpenWeatherMap forecast payload onto [{ time, condition, temp }].
+ */
+export const normalizeForecastList = (data) =>
+  data.list.map(item => ({
+    time: item.dt * 1000, // UTC milliseconds
+    condition: item.weather[0].description, // e.g., "light rain"
+    temp: item.main.temp,
+  }));
+
+export const createOpenWeatherMapProvider = ({ apiKey }) => ({
+  name: 'openweathermap',
+  getForecast: async ({ lat, lon }) => {
+    const response = await axios.get('https://api.openweathermap.org/data/2.5/forecast', {
+      params: { lat, lon, appid: apiKey, units: 'metric' },
+    });
+    return normalizeForecastList(response.data);
+  },
+});
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDatabase, startServer, ADMIN } from './helpers.js';
+
+// --- Staff login ---
+
+describe('auth routes', () => {
+  let db;
+  let server;
+
+  before(async () => {
+    db = await startDatabase();
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    await db.stop();
+  });
+
+  const login = (email, password) => server.request('POST', '/api/auth/login', { body: { email, password } });
+
+  it('logs staff in with the right password only', async () => {
+    const ok = await login(ADMIN.email, ADMIN.password);
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+    assert.equal((await login(ADMIN.email, 'wrong-password')).status, 401);
+  });
+
+  it('stops guessing at a staff password', async () => {
+    // Two attempts were used above; the account allows ten per quarter of an hour
+    for (let i = 0; i < 8; i++) {
+      assert.equal((await login(ADMIN.email.toUpperCase(), `guess-${i}`)).status, 401);
+    }
+    const blocked = await login(ADMIN.email, ADMIN.password);
+    assert.equal(blocked.status, 429);
+    assert.ok(blocked.body.error);
+
+    // Other accounts from the same address still get their own attempts, up to the address's budget
+    const others = [];
+    for (let i = 0; i < 20; i++) others.push((await login(`someone${i}@example.com`, 'guess')).status);
+    assert.deepEqual(others, [...Array(19).fill(401), 429]);
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../models/booking.js';
+import WaitlistEntry from '../models/waitlistEntry.js';
+import { ensureLocations, getDefaultLocation } from '../services/locations.js';
+import { getSettings } from '../services/settings.js';
+import { withSlotLock } from '../services/bookings.js';
+import { startDatabase, startServer, clearBookings, daysFromNow, STUB_FORECAST } from './helpers.js';
+
+// --- Booking CRUD routes ---
+
+const newBooking = (changes = {}) => ({
+  customerName: 'Meera Iyer',
+  phone: '+91 98765 43210',
+  numberOfGuests: 4,
+  bookingDate: daysFromNow(3),
+  bookingTime: '19:00',
+  seatingPreference: 'Indoor',
+  ...changes,
+});
+
+describe('booking routes', () => {
+  let db;
+  let server;
+  let token;
+
+  before(async () => {
+    db = await startDatabase();
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(async () => {
+    await server.close();
+    await db.stop();
+  });
+
+  beforeEach(clearBookings);
+
+  const create = (body = newBooking()) => server.request('POST', '/api/bookings', { body, token });
+
+  it('needs a staff login', async () => {
+    const list = await server.request('GET', '/api/bookings');
+    assert.equal(list.status, 401);
+    const created = await server.request('POST', '/api/bookings', { body: newBooking() });
+    assert.equal(created.status, 401);
+  });
+
+  it('creates a booking with tables and the forecast for its slot', async () => {
+    const { status, body } = await create();
+    assert.equal(status, 201);
+    assert.equal(body.booking.customerName, 'Meera Iyer');
+    assert.equal(body.booking.phone, '+919876543210');
+    assert.equal(body.booking.status, 'Pending');
+    assert.ok(body.booking.assignedTables.length > 0);
+    assert.equal(body.booking.weatherInfo.condition, STUB_FORECAST.condition);
+    assert.match(body.booking.confirmationCode, /^[A-Z2-9]{6}$/);
+    assert.deepEqual(body.booking.allowedActions, ['confirm', 'cancel']);
+  });
+
+  it('never gives two simultaneous bookings the same table', async () => {
+    // More parties than there are patio tables, all at once
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+      create(newBooking({ customerName: `Guest ${i}`, numberOfGuests: 2, seatingPreference: 'Outdoor' }))));
+    const booked = results.filter(({ status }) => status === 201).map(({ body }) => body.booking);
+    assert.ok(booked.length > 0);
+    assert.ok(results.every(({ status }) => status === 201 || status === 409));
+    const tables = booked.filter(booking => booking.bookingTime === '19:00')
+      .flatMap(booking => booking.assignedTables.map(table => String(table._id || table)));
+    assert.equal(new Set(tables).size, tables.length);
+  });
+
+  it('refuses fields the server sets, listing every problem', async () => {
+    const { status, body } = await create(newBooking({ status: 'Seated', weatherInfo: { condition: 'sunny' }, numberOfGuests: '4' }));
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid request');
+    assert.deepEqual(body.details, ['Unknown field(s): status, weatherInfo', 'numberOfGuests must be a number']);
+  });
+
+  it('answers 400 for a body that is not JSON', async () => {
+    const { status, body } = await server.request('POST', '/api/bookings', { body: '{"customerName": ', token });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid JSON body');
+  });
+
+  it('refuses bookings that break the restaurant rules', async () => {
+    const { status, body } = await create(newBooking({ numberOfGuests: 40 }));
+    assert.equal(status, 400);
+    assert.ok(body.details.guests);
+  });
+
+  it('lists and fetches bookings', async () => {
+    const { body: { booking } } = await create();
+    await create(newBooking({ customerName: 'Arjun Rao', bookingDate: daysFromNow(4) }));
+
+    const list = await server.request('GET', '/api/bookings', { token });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.bookings.map(b => b.customerName), ['Meera Iyer', 'Arjun Rao']);
+
+    const search = await server.request('GET', '/api/bookings?q=arjun', { token });
+    assert.deepEqual(search.body.bookings.map(b => b.customerName), ['Arjun Rao']);
+
+    const one = await server.request('GET', `/api/bookings/${booking._id}`, { token });
+    assert.equal(one.status, 200);
+    assert.equal(one.body.confirmationCode, booking.confirmationCode);
+  });
+
+  it('answers 404 for an id that cannot be a booking', async () => {
+    for (const [method, path] of [['GET', '/api/bookings/not-an-id'], ['GET', '/api/bookings/123/calendar.ics'],
+      ['PATCH', '/api/bookings/not-an-id'], ['POST', '/api/bookings/not-an-id/confirm'], ['DELETE', '/api/bookings/not-an-id']]) {
+      const { status, body } = await server.request(method, path, { body: method === 'PATCH' ? { numberOfGuests: 2 } : undefined, token });
+      assert.equal(status, 404, `${method} ${path}`);
+      assert.equal(body.error, 'Booking not found');
+    }
+  });
+
+  it('shows a guest their own booking through the confirmation code only', async () => {
+    const { body: { booking } } = await create();
+    const guest = await server.request('GET', `/api/bookings/${booking._id}?code=${booking.confirmationCode}`);
+    assert.equal(guest.status, 200);
+    assert.equal(guest.body.phone, undefined);
+
+    const stranger = await server.request('GET', `/api/bookings/${booking._id}?code=WRONG1`);
+    assert.equal(stranger.status, 401);
+  });
+
+  it('stops guessing at a booking\'s confirmation code', async () => {
+    const { body: { booking } } = await create();
+    const guesses = [];
+    for (let i = 0; i < 10; i++) {
+      guesses.push((await server.request('GET', `/api/bookings/${booking._id}?code=WRONG${i}`)).status);
+    }
+    assert.ok(guesses.every(status => status === 401));
+    const blocked = await server.request('GET', `/api/bookings/${booking._id}?code=${booking.confirmationCode}`);
+    assert.equal(blocked.status, 429);
+    // Staff are not held up by it
+    assert.equal((await server.request('GET', `/api/bookings/${booking._id}`, { token })).status, 200);
+  });
+
+  it('updates details and records the change', async () => {
+    const { body: { booking } } = await create();
+    const { status, body } = await server.request('PATCH', `/api/bookings/${booking._id}`, {
+      body: { numberOfGuests: 2, specialRequests: 'Window table' }, token,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.booking.numberOfGuests, 2);
+    assert.equal(body.booking.specialRequests, 'Window table');
+    assert.deepEqual(body.booking.history.at(-1).after, { numberOfGuests: 2, specialRequests: 'Window table' });
+  });
+
+  it('changes status only through the lifecycle actions', async () => {
+    const { body: { booking } } = await create();
+    const patch = await server.request('PATCH', `/api/bookings/${booking._id}`, { body: { status: 'Confirmed' }, token });
+    assert.equal(patch.status, 400);
+
+    const confirmed = await server.request('POST', `/api/bookings/${booking._id}/confirm`, { token });
+    assert.equal(confirmed.body.booking.status, 'Confirmed');
+    const completedUnseated = await server.request('POST', `/api/bookings/${booking._id}/complete`, { token });
+    assert.equal(completedUnseated.status, 409);
+    const cancelled = await server.request('POST', `/api/bookings/${booking._id}/cancel`, { token });
+    assert.equal(cancelled.body.booking.status, 'Cancelled');
+  });
+
+  it('deletes a booking', async () => {
+    const { body: { booking } } = await create();
+    const deleted = await server.request('DELETE', `/api/bookings/${booking._id}`, { token });
+    assert.equal(deleted.status, 200);
+    const gone = await server.request('GET', `/api/bookings/${booking._id}`, { token });
+    assert.equal(gone.status, 404);
+  });
+
+  describe('at several locations', () => {
+    let main;
+    let branch;
+    const at = (location) => ({ 'X-Location': String(location._id) });
+
+    before(async () => {
+      main = getDefaultLocation();
+      const opened = await server.request('POST', '/api/locations', { body: { name: 'Anna Nagar' }, token });
+      assert.equal(opened.status, 201);
+      branch = opened.body;
+    });
+
+    it('gives records from before locations existed to the default location', async () => {
+      const bookingDate = new Date(`${daysFromNow(3)}T00:00:00Z`);
+      const { insertedId: bookingId } = await Booking.collection.insertOne({
+        customerName: 'Old Guest', numberOfGuests: 2, bookingDate, bookingTime: '19:00', status: 'Confirmed',
+      });
+      const { insertedId: entryId } = await WaitlistEntry.collection.insertOne({
+        customerName: 'Old Guest', numberOfGuests: 2, bookingDate, bookingTime: '20:00', status: 'Waiting',
+      });
+
+      await ensureLocations();
+      assert.equal(String((await Booking.findById(bookingId)).location), String(main._id));
+      assert.equal(String((await WaitlistEntry.findById(entryId)).location), String(main._id));
+    });
+
+    it('keeps each location\'s settings to itself', async () => {
+      const changed = await server.request('PUT', '/api/settings', { body: { maxPartySize: 4 }, token, headers: at(branch) });
+      assert.equal(changed.status, 200);
+      assert.equal(getSettings(branch._id).maxPartySize, 4);
+      assert.equal(getSettings(main._id).maxPartySize, 12);
+      assert.equal((await server.request('GET', '/api/settings', { headers: at(main) })).body.maxPartySize, 12);
+
+      const large = newBooking({ numberOfGuests: 6 });
+      assert.equal((await server.request('POST', '/api/bookings', { body: large, token, headers: at(branch) })).status, 400);
+      assert.equal((await server.request('POST', '/api/bookings', { body: large, token, headers: at(main) })).status, 201);
+    });
+
+    it('counts tables at each location separately', async () => {
+      const patio = newBooking({ numberOfGuests: 4, seatingPreference: 'Outdoor' });
+      const statuses = [];
+      while (!statuses.includes(409) && statuses.length < 8) {
+        statuses.push((await server.request('POST', '/api/bookings', { body: patio, token, headers: at(main) })).status);
+      }
+      assert.equal(statuses.at(-1), 409);
+      const elsewhere = await server.request('POST', '/api/bookings', { body: patio, token, headers: at(branch) });
+      assert.equal(elsewhere.status, 201);
+      assert.equal(String(elsewhere.body.booking.location), String(branch._id));
+    });
+
+    it('runs reservations for the same day at another location without waiting', async () => {
+      const date = daysFromNow(3);
+      let release;
+      const held = withSlotLock(branch._id, date, () => new Promise(resolve => { release = resolve; }));
+      let queued = false;
+      const behind = withSlotLock(branch._id, date, () => { queued = true; });
+
+      assert.equal(await withSlotLock(main._id, date, () => 'ran'), 'ran');
+      assert.equal(queued, false);
+      release();
+      await Promise.all([held, behind]);
+      assert.equal(queued, true);
+    });
+
+    it('shows staff only the bookings at their own locations', async () => {
+      const { body: { booking } } = await create();
+      const host = { name: 'Priya', email: 'priya@example.com', password: 'host-password-123', role: 'host', locations: [String(branch._id)] };
+      assert.equal((await server.request('POST', '/api/staff', { body: host, token })).status, 201);
+      const hostToken = (await server.request('POST', '/api/auth/login', { body: { email: host.email, password: host.password } })).body.token;
+
+      assert.equal((await server.request('GET', `/api/bookings/${booking._id}`, { token: hostToken })).status, 404);
+      assert.equal((await server.request('GET', '/api/bookings', { token: hostToken, headers: at(main) })).status, 403);
+      const own = await server.request('GET', '/api/bookings', { token: hostToken });
+      assert.deepEqual(own.body.bookings, []);
+      const cancel = await server.request('POST', `/api/bookings/${booking._id}/cancel`, { token: hostToken });
+      assert.equal(cancel.status, 404);
+    });
+  });
+});
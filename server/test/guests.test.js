@@ -0,0 +1,176 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../models/booking.js';
+import Guest from '../models/guest.js';
+import { presetCaller } from '../services/agent.js';
+import { getSession } from '../services/sessionStore.js';
+import { startDatabase, startServer, clearBookings, daysFromNow } from './helpers.js';
+
+// --- Guest profiles: linking bookings, staff edits and what the agent does with them ---
+
+const newBooking = (changes = {}) => ({
+  customerName: 'Ravi Kumar',
+  phone: '+91 98400 12345',
+  numberOfGuests: 2,
+  bookingDate: daysFromNow(3),
+  bookingTime: '19:00',
+  seatingPreference: 'Outdoor',
+  cuisinePreference: 'Italian',
+  ...changes,
+});
+
+const modelSays = ({ details = {}, ...rest } = {}) => ({
+  language: 'en',
+  action: null,
+  bookingDetails: {
+    name: null, date: null, time: null, guests: null, seating: null,
+    cuisine: null, specialRequests: null, contact: null, ...details,
+  },
+  lookup: { confirmationCode: null, phone: null },
+  dietary: [],
+  allergies: [],
+  menuQuestion: null,
+  reply: 'Thank you.',
+  ...rest,
+});
+
+describe('guest profiles', () => {
+  let db;
+  let server;
+  let token;
+
+  before(async () => {
+    db = await startDatabase();
+    await Guest.init(); // The unique contact indexes
+    server = await startServer();
+    token = await server.login(); // Once: logins are rate limited
+  });
+
+  after(async () => {
+    await server?.close();
+    await db.stop();
+  });
+
+  beforeEach(async () => {
+    await clearBookings();
+    await server.close();
+    server = await startServer();
+  });
+
+  const create = (body = newBooking()) => server.request('POST', '/api/bookings', { body, token });
+  const edit = (id, body, as = token) => server.request('PATCH', `/api/guests/${id}`, { body, token: as });
+
+  it('links bookings with the same phone number or email to one guest', async () => {
+    const first = await create();
+    assert.equal(first.status, 201);
+    const guest = await Guest.findOne();
+    assert.equal(guest.phone, '+919840012345');
+    assert.equal(guest.preferences.seating, 'Outdoor');
+    assert.equal(guest.preferences.cuisine, 'Italian');
+
+    // Same number under another name, now with an email the profile learns
+    const byPhone = await create(newBooking({ customerName: 'R. Kumar', phone: '+919840012345', email: 'Ravi@Example.com', bookingDate: daysFromNow(4) }));
+    const byEmail = await create(newBooking({ phone: undefined, email: 'ravi@example.com', bookingDate: daysFromNow(5) }));
+    assert.equal(await Guest.countDocuments(), 1);
+    const linked = await Booking.find().sort({ createdAt: 1 });
+    assert.deepEqual(linked.map(booking => String(booking.guest)), Array(3).fill(String(guest._id)));
+    assert.equal(String(byPhone.body.booking.guest), String(guest._id));
+    assert.equal(String(byEmail.body.booking.guest), String(guest._id));
+    assert.equal((await Guest.findById(guest._id)).email, 'ravi@example.com');
+  });
+
+  it('makes one profile for simultaneous first bookings', async () => {
+    const results = await Promise.all([0, 1, 2].map(i => create(newBooking({ bookingDate: daysFromNow(3 + i) }))));
+    assert.ok(results.every(({ status }) => status === 201));
+    assert.equal(await Guest.countDocuments(), 1);
+  });
+
+  it('refuses a phone number or email that belongs to another guest', async () => {
+    await create();
+    await create(newBooking({ customerName: 'Meera Iyer', phone: undefined, email: 'meera@example.com' }));
+    const meera = await Guest.findOne({ email: 'meera@example.com' });
+
+    const taken = await edit(meera._id, { phone: '+91 98400 12345' });
+    assert.equal(taken.status, 409);
+    assert.match(taken.body.error, /already has that phone number/);
+
+    const free = await edit(meera._id, { phone: '+91 98765 43210' });
+    assert.equal(free.status, 200);
+    assert.equal(free.body.phone, '+919876543210');
+  });
+
+  it('lets only managers and admins flag guests', async () => {
+    await create();
+    const guest = await Guest.findOne();
+    const host = { name: 'Hari', email: 'host@example.com', password: 'host-password-123', role: 'host' };
+    assert.equal((await server.request('POST', '/api/staff', { body: host, token })).status, 201);
+    const hostToken = (await server.request('POST', '/api/auth/login', { body: { email: host.email, password: host.password } })).body.token;
+
+    const flagged = await edit(guest._id, { blacklisted: true, blacklistReason: 'Abusive to staff' }, hostToken);
+    assert.equal(flagged.status, 403);
+    assert.equal((await edit(guest._id, { vip: true }, hostToken)).status, 403);
+    assert.equal((await edit(guest._id, { notes: 'Prefers the corner table' }, hostToken)).status, 200);
+
+    const byAdmin = await edit(guest._id, { vip: true });
+    assert.equal(byAdmin.status, 200);
+    assert.equal(byAdmin.body.vip, true);
+  });
+
+  it('holds a blacklisted guest\'s chat booking for staff to review', async () => {
+    await create();
+    await Guest.updateOne({}, { $set: { blacklisted: true, blacklistReason: 'No-shows' } });
+
+    const date = daysFromNow(4);
+    await server.close();
+    server = await startServer({
+      script: [
+        modelSays({
+          action: 'book',
+          details: {
+            name: 'Ravi Kumar', date, time: '20:00', guests: '2', seating: 'Indoor',
+            cuisine: 'Any', specialRequests: 'None', contact: '+91 98400 12345',
+          },
+        }),
+        modelSays(),
+      ],
+    });
+    const readBack = await server.request('POST', '/api/chat', { body: { message: `Table for 2 on ${date} at 8pm` } });
+    assert.equal(readBack.body.intent, 'confirmation_request');
+    const held = await server.request('POST', '/api/chat', { body: { message: 'Yes', sessionId: readBack.body.sessionId } });
+    assert.equal(held.body.intent, 'confirmed');
+    assert.match(held.body.reply, /a member of our team will confirm it/);
+
+    const booking = await Booking.findOne({ bookingTime: '20:00' });
+    assert.equal(booking.status, 'Pending');
+    assert.equal(booking.deposit?.amount || 0, 0);
+  });
+
+  it('fills in a returning caller\'s usual details only from a trusted caller ID', async () => {
+    await create();
+
+    const unverified = getSession();
+    await presetCaller(unverified, '+91 98400 12345');
+    assert.equal(unverified.slots.contact, '+919840012345');
+    assert.equal(unverified.slots.name, undefined);
+    assert.equal(unverified.guest, null);
+
+    const verified = getSession();
+    await presetCaller(verified, '+91 98400 12345', { trusted: true });
+    assert.equal(verified.slots.name, 'Ravi Kumar');
+    assert.equal(verified.slots.seating, 'Outdoor');
+    assert.equal(verified.slots.cuisine, 'Italian');
+    assert.equal(verified.guest.name, 'Ravi Kumar');
+  });
+
+  it('never recognises a guest from details typed into the web chat', async () => {
+    await create();
+    await server.close();
+    server = await startServer({ script: [modelSays({ action: 'book', details: { contact: '+91 98400 12345' } })] });
+
+    const { body } = await server.request('POST', '/api/chat', { body: { message: 'Book a table, my number is +91 98400 12345' } });
+    assert.equal(body.bookingDetails.contact, '+919840012345');
+    assert.equal(body.bookingDetails.name, null);
+    assert.equal(body.bookingDetails.seating, null);
+    assert.doesNotMatch(body.reply, /Ravi|Outdoor|Italian/i);
+  });
+});
@@ -0,0 +1,93 @@
+import { once } from 'events';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createApp } from '../app.js';
+import { createMockProvider } from '../services/llm/mock.js';
+import { ensureFloorPlan } from '../services/availability.js';
+import { ensureAdminUser } from '../services/auth.js';
+import { loadSettings } from '../services/settings.js';
+import { ensureMenu } from '../services/menu.js';
+import { ensureLocations } from '../services/locations.js';
+import Booking from '../models/booking.js';
+import Transcript from '../models/transcript.js';
+import WaitlistEntry from '../models/waitlistEntry.js';
+import Guest from '../models/guest.js';
+
+// --- Test Harness ---
+// Runs the API fully offline: MongoDB in memory, the mock model answering from a
+// script, and a fixed forecast instead of a weather provider.
+
+export const ADMIN = { email: 'admin@example.com', password: 'test-password-123' };
+
+export const STUB_FORECAST = { condition: 'light rain', temp: 24.4 };
+
+export const stubWeatherService = () => ({
+  getForecast: async () => ({ ...STUB_FORECAST, provider: 'stub', fetchedAt: new Date().toISOString() }),
+});
+
+/**
+ * Starts an empty in-memory MongoDB, points mongoose at it and seeds what the server
+ * seeds on start (a location, its tables and settings, the menu and an admin). Returns stop().
+ */
+export const startDatabase = async () => {
+  const mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  process.env.ADMIN_EMAIL = ADMIN.email;
+  process.env.ADMIN_PASSWORD = ADMIN.password;
+  await ensureLocations();
+  await Promise.all([ensureFloorPlan(), ensureAdminUser(), loadSettings(), ensureMenu()]);
+
+  return {
+    stop: async () => {
+      await mongoose.disconnect();
+      await mongo.stop();
+    },
+  };
+};
+
+// Bookings and conversations from earlier tests would take the tables
+export const clearBookings = () =>
+  Promise.all([Booking.deleteMany({}), Transcript.deleteMany({}), WaitlistEntry.deleteMany({}), Guest.deleteMany({})]);
+
+/**
+ * Serves the app on a free port. `script` is what the model answers, in order
+ * (objects are sent as JSON, strings verbatim); once it runs out the mock's own
+ * rules take over. Returns { request, close }.
+ */
+export const startServer = async ({ script = [] } = {}) => {
+  const app = createApp({ llm: createMockProvider({ script }), weather: stubWeatherService() });
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Sends JSON and returns { status, body }; `body` may also be a raw string, and `form`
+  // fields are sent form-encoded instead (as telephony webhooks are)
+  const request = async (method, path, { body, form, token, headers: extra = {} } = {}) => {
+    const headers = { 'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json', ...extra };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: form ? new URLSearchParams(form).toString()
+        : body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text && res.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text };
+  };
+
+  return {
+    request,
+    login: async () => (await request('POST', '/api/auth/login', { body: ADMIN })).body.token,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+};
+
+// A date (YYYY-MM-DD) some days ahead, inside the booking window
+export const daysFromNow = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
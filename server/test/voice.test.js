@@ -0,0 +1,161 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import Booking from '../models/booking.js';
+import Guest from '../models/guest.js';
+import { getServerUrl } from '../config.js';
+import { startDatabase, startServer, clearBookings, daysFromNow } from './helpers.js';
+
+// --- /api/voice phone calls, as Twilio would post them, with the model's answers scripted ---
+
+const modelSays = ({ details = {}, ...rest } = {}) => ({
+  language: 'en',
+  action: null,
+  bookingDetails: {
+    name: null, date: null, time: null, guests: null, seating: null,
+    cuisine: null, specialRequests: null, contact: null, ...details,
+  },
+  lookup: { confirmationCode: null, phone: null },
+  dietary: [],
+  allergies: [],
+  menuQuestion: null,
+  reply: 'Thank you.',
+  ...rest,
+});
+
+// The text read to the caller
+const spoken = (twiml) => [...twiml.matchAll(/<Say[^>]*>([^<]*)<\/Say>/g)].map(match => match[1]).join(' ');
+
+// Twilio signs the URL it was given for the webhook, i.e. SERVER_URL + the path
+const sign = (token, path, fields) => createHmac('sha1', token)
+  .update(`${getServerUrl()}${path}` + Object.keys(fields).sort().map(name => `${name}${fields[name]}`).join(''))
+  .digest('base64');
+
+describe('voice route', () => {
+  let db;
+  let server;
+
+  before(async () => {
+    db = await startDatabase();
+    process.env.VOICE_SIMULATOR = 'true'; // Unsigned webhooks, as the simulator posts them
+  });
+
+  after(async () => {
+    delete process.env.VOICE_SIMULATOR;
+    await db.stop();
+  });
+
+  beforeEach(clearBookings);
+
+  const serve = async (script) => {
+    await server?.close();
+    server = await startServer({ script });
+    return server;
+  };
+  const call = (path, form, headers) => server.request('POST', `/api/voice/${path}`, { form, headers });
+
+  after(() => server?.close());
+
+  it('books a table over the phone, confirming with a keypress', async () => {
+    const date = daysFromNow(3);
+    await serve([
+      modelSays({
+        action: 'book',
+        details: { name: 'Asha Menon', date, time: '19:00', guests: '2', seating: 'Indoor', cuisine: 'Any', specialRequests: 'None' },
+      }),
+      modelSays(),
+    ]);
+
+    const greeting = await call('incoming', { CallSid: 'CA1', From: '+919840012345', To: '+914400000000' });
+    assert.equal(greeting.status, 200);
+    assert.match(greeting.body, /<Gather input="speech dtmf" action="\/api\/voice\/gather"/);
+    assert.match(spoken(greeting.body), /^Thank you for calling/);
+
+    // The caller's number is the contact, so the read-back follows straight away
+    const readBack = await call('gather', { CallSid: 'CA1', SpeechResult: `Table for two indoors on ${date} at 7pm for Asha Menon` });
+    assert.match(spoken(readBack.body), /^Let me confirm: a table for 2 under Asha Menon .* sent to \+919840012345\./);
+    assert.match(spoken(readBack.body), /press 1 for yes or 2 for no\.$/);
+
+    const booked = await call('gather', { CallSid: 'CA1', Digits: '1' });
+    assert.match(spoken(booked.body), /^Your table is booked, Asha Menon!/);
+    const booking = await Booking.findOne({ customerName: 'Asha Menon' });
+    assert.equal(booking.status, 'Confirmed');
+    assert.equal(booking.phone, '+919840012345');
+
+    const goodbye = await call('gather', { CallSid: 'CA1' });
+    assert.match(goodbye.body, /<Hangup\/>/);
+  });
+
+  it('puts the caller through to staff after repeated failures', async () => {
+    process.env.VOICE_TRANSFER_NUMBER = '+914412345678';
+    try {
+      await serve([]);
+      await call('incoming', { CallSid: 'CA2', From: 'anonymous' });
+      const first = await call('gather', { CallSid: 'CA2' });
+      assert.match(spoken(first.body), /didn&#39;t hear anything/);
+      await call('gather', { CallSid: 'CA2' });
+      const third = await call('gather', { CallSid: 'CA2' });
+      assert.match(third.body, /<Dial>\+914412345678<\/Dial>/);
+    } finally {
+      delete process.env.VOICE_TRANSFER_NUMBER;
+    }
+  });
+
+  it('refuses a turn for a call that was never answered', async () => {
+    await serve([]);
+    const stray = await call('gather', { CallSid: 'CA-unknown', SpeechResult: 'Book a table' });
+    assert.equal(stray.status, 404);
+  });
+
+  it('answers nothing while phone bookings are off', async () => {
+    delete process.env.VOICE_SIMULATOR;
+    try {
+      await serve([]);
+      assert.equal((await call('incoming', { CallSid: 'CA4', From: '+919840012345' })).status, 404);
+      assert.equal((await server.request('GET', '/api/voice/simulator')).status, 404);
+    } finally {
+      process.env.VOICE_SIMULATOR = 'true';
+    }
+  });
+
+  it('takes only signed webhooks in production, trusting their caller ID', async () => {
+    delete process.env.VOICE_SIMULATOR;
+    process.env.VOICE_ENABLED = 'true';
+    process.env.TWILIO_AUTH_TOKEN = 'test-token';
+    try {
+      await Guest.create({ name: 'Asha Menon', phone: '+919840012345', preferences: { seating: 'Outdoor' } });
+      await serve([modelSays({ action: 'book' })]);
+      const unsigned = await call('incoming', { CallSid: 'CA5', From: '+919840012345' });
+      assert.equal(unsigned.status, 403);
+      assert.equal((await server.request('GET', '/api/voice/simulator')).status, 404);
+
+      const fields = { CallSid: 'CA5', From: '+919840012345' };
+      const signed = await call('incoming', fields, { 'X-Twilio-Signature': sign('test-token', '/api/voice/incoming', fields) });
+      assert.equal(signed.status, 200);
+      assert.doesNotMatch(spoken(signed.body), /Asha/); // Nothing is said about the profile
+
+      // The regular's name and usual seating are already filled in
+      const turn = { CallSid: 'CA5', SpeechResult: 'I would like to book a table' };
+      const asked = await call('gather', turn, { 'X-Twilio-Signature': sign('test-token', '/api/voice/gather', turn) });
+      assert.equal(asked.status, 200);
+      assert.match(spoken(asked.body), /What date/);
+    } finally {
+      delete process.env.VOICE_ENABLED;
+      delete process.env.TWILIO_AUTH_TOKEN;
+      process.env.VOICE_SIMULATOR = 'true';
+    }
+  });
+
+  it('limits how fast one call can post turns', async () => {
+    process.env.VOICE_RATE_LIMIT = '3';
+    try {
+      await serve([]);
+      await call('incoming', { CallSid: 'CA6', From: 'anonymous' });
+      await call('gather', { CallSid: 'CA6', SpeechResult: 'hello' });
+      await call('gather', { CallSid: 'CA6', SpeechResult: 'hello' });
+      assert.equal((await call('gather', { CallSid: 'CA6', SpeechResult: 'hello' })).status, 429);
+    } finally {
+      delete process.env.VOICE_RATE_LIMIT;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { createWeatherService, createWeatherProvider } from '../services/weather/index.js';
+import { createFixtureWeatherProvider } from '../services/weather/fixture.js';
+import { createOpenWeatherMapProvider } from '../services/weather/openWeatherMap.js';
+import recorded from '../data/weather-fixture.json' with { type: 'json' };
+
+// --- Forecast matching against a recorded OpenWeatherMap response ---
+// The recording has an entry every 3 hours from 2025-06-01 00:00 UTC; bookings are
+// in restaurant time (Asia/Kolkata, UTC+5:30).
+
+const HOUR = 60 * 60 * 1000;
+
+describe('weather service', () => {
+  let timezone;
+
+  before(() => {
+    timezone = process.env.RESTAURANT_TIMEZONE;
+    process.env.RESTAURANT_TIMEZONE = 'Asia/Kolkata';
+  });
+
+  after(() => {
+    if (timezone === undefined) delete process.env.RESTAURANT_TIMEZONE;
+    else process.env.RESTAURANT_TIMEZONE = timezone;
+  });
+
+  const recordedService = () =>
+    createWeatherService({ provider: createFixtureWeatherProvider({ shiftToNow: false }) });
+
+  it('returns the entry at the booking time in restaurant time', async () => {
+    const forecast = await recordedService().getForecast('2025-06-01', '20:30'); // 15:00 UTC
+    assert.equal(forecast.condition, 'light rain');
+    assert.equal(forecast.temp, 34);
+    assert.equal(forecast.forecastTime, '2025-06-01T15:00:00.000Z');
+    assert.equal(forecast.provider, 'fixture');
+  });
+
+  it('picks the nearest entry between two forecasts', async () => {
+    const forecast = await recordedService().getForecast('2025-06-02', '12:45'); // 07:15 UTC
+    assert.equal(forecast.forecastTime, '2025-06-02T06:00:00.000Z');
+    assert.equal(forecast.condition, 'clear sky');
+    assert.equal(forecast.temp, 25.76);
+  });
+
+  it('matches just before the first entry but not hours before it', async () => {
+    const service = recordedService();
+    const early = await service.getForecast('2025-06-01', '05:00'); // 23:30 UTC the day before
+    assert.equal(early.forecastTime, '2025-06-01T00:00:00.000Z');
+    assert.equal(await service.getForecast('2025-06-01', '03:00'), null); // 2.5 hours out
+  });
+
+  it('returns null for dates outside the forecast range', async () => {
+    const service = recordedService();
+    assert.equal(await service.getForecast('2025-06-10', '19:00'), null);
+    assert.equal(await service.getForecast('2025-05-20', '19:00'), null);
+    assert.equal(await service.getForecast('not a date', '19:00'), null);
+  });
+
+  it('turns away malformed dates without asking the provider', async () => {
+    let calls = 0;
+    const provider = { name: 'counting', getForecast: async () => { calls += 1; return []; } };
+    const { error } = console;
+    const logged = [];
+    console.error = (...args) => logged.push(args);
+    try {
+      const service = createWeatherService({ provider });
+      for (const date of ['not a date', '2025-13-45', '01/06/2025', undefined]) {
+        assert.equal(await service.getForecast(date, '19:00'), null);
+      }
+    } finally {
+      console.error = error;
+    }
+    assert.equal(calls, 0);
+    assert.deepEqual(logged, []);
+  });
+
+  it('assumes a dinner booking when no time is given', async () => {
+    const service = recordedService();
+    assert.deepEqual(
+      (await service.getForecast('2025-06-03')).forecastTime,
+      (await service.getForecast('2025-06-03', '19:00')).forecastTime
+    );
+  });
+
+  it('caches the forecast until the TTL runs out', async () => {
+    let clock = Date.parse('2025-06-01T00:10:00Z');
+    let calls = 0;
+    const fixture = createFixtureWeatherProvider({ shiftToNow: false });
+    const provider = { name: 'counting', getForecast: (location) => { calls++; return fixture.getForecast(location); } };
+    const service = createWeatherService({ provider, ttlMs: 30 * 60 * 1000, now: () => clock });
+
+    await service.getForecast('2025-06-01', '20:30');
+    await service.getForecast('2025-06-02', '12:45');
+    assert.equal(calls, 1);
+
+    clock += HOUR;
+    await service.getForecast('2025-06-01', '20:30');
+    assert.equal(calls, 2);
+  });
+
+  it('returns null when the provider fails', async () => {
+    const provider = { name: 'down', getForecast: async () => { throw new Error('503 Service Unavailable'); } };
+    const { error } = console;
+    console.error = () => {};
+    try {
+      assert.equal(await createWeatherService({ provider }).getForecast('2025-06-01', '20:30'), null);
+    } finally {
+      console.error = error;
+    }
+  });
+
+  it('gives no forecast without an API key unless the fixture is asked for', async () => {
+    assert.equal(createWeatherProvider({}), null);
+    assert.equal(await createWeatherService({ provider: createWeatherProvider({}) }).getForecast('2025-06-01', '20:30'), null);
+    assert.equal(createWeatherProvider({ WEATHER_PROVIDER: 'fixture' }).name, 'fixture');
+    assert.equal(createWeatherProvider({ OPENWEATHER_API_KEY: 'test-key' }).name, 'openweathermap');
+  });
+
+  it('reads the OpenWeatherMap response for the restaurant location', async () => {
+    const { get } = axios;
+    let sent;
+    axios.get = async (url, options) => {
+      sent = { url, ...options };
+      return { data: recorded };
+    };
+    try {
+      const provider = createOpenWeatherMapProvider({ apiKey: 'test-key' });
+      const forecast = await createWeatherService({ provider }).getForecast('2025-06-01', '20:30');
+      assert.match(sent.url, /api\.openweathermap\.org\/data\/2\.5\/forecast$/);
+      assert.deepEqual(sent.params, { lat: 10.7905, lon: 78.7047, appid: 'test-key', units: 'metric' });
+      assert.equal(forecast.condition, 'light rain');
+      assert.equal(forecast.provider, 'openweathermap');
+    } finally {
+      axios.get = get;
+    }
+  });
+});
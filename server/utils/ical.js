@@ -0,0 +1,63 @@
+// --- iCalendar Helpers ---
+// Just enough of RFC 5545 to publish bookings as VEVENTs: escaping, line
+// folding and UTC timestamps.
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are continued on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Formats a timestamp (Date or ms) as an iCalendar UTC date-time, e.g. 20250601T133000Z.
+ */
+export const formatICalDate = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Builds a VCALENDAR document. Each event is
+ * { uid, start, end, stamp, summary, description, location, status, sequence }
+ * with times as Date or ms and status CONFIRMED | TENTATIVE | CANCELLED.
+ */
+export const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Voice Booking Agent//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatICalDate(event.stamp)}`,
+      `DTSTART:${formatICalDate(event.start)}`,
+      `DTEND:${formatICalDate(event.end)}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `STATUS:${event.status}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      `LOCATION:${escapeText(event.location)}`,
+      'END:VEVENT',
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,77 @@
+// --- Time Helpers ---
+// Bookings store the time as free text ("19:00", "7 PM", "7:30pm"), so every
+// calculation first converts it into minutes since midnight.
+
+/**
+ * Parses a human time string into minutes since midnight.
+ * Returns null when the string cannot be understood.
+ */
+export const parseTime = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toLowerCase()
+    .replace(/\s*([ap])\.?m\.?$/, ' $1m') // "7 p.m." -> "7 pm"
+    .replace(/^(\d{1,2})\.(\d{2})/, '$1:$2'); // "19.30" -> "19:30"
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem.startsWith('p')) hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Formats minutes since midnight as a 24h "HH:MM" string.
+ */
+export const formatTime = (minutes) => {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+/**
+ * Returns the UTC [start, end) range covering a booking date ("YYYY-MM-DD" or Date).
+ */
+export const dayRange = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+};
+
+/**
+ * Converts a wall-clock date and time in an IANA timezone (e.g. "Asia/Kolkata")
+ * into a UTC timestamp in milliseconds.
+ */
+export const zonedTimeToUtc = (dateStr, timeStr, timeZone) => {
+  const [year, month, day] = String(dateStr).split('-').map(Number);
+  const minutes = parseTime(timeStr) ?? 0;
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // How far the zone is from UTC at a given instant, in milliseconds
+  const offsetAt = (instant) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+      }).formatToParts(new Date(instant)).map(p => [p.type, p.value])
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - instant;
+  };
+
+  // Second pass corrects the guess when it lands on the other side of a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+};